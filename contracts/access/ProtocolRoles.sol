@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title ProtocolRoles
+ * @author JustFlash Protocol
+ * @notice Shared role identifiers and two-step admin transfer for the JustFlash contracts
+ * @dev Every role is administered by DEFAULT_ADMIN_ROLE. Each contract grants it, and
+ * the operational roles it uses, to its initial admin from its constructor or initializer,
+ * so a fresh deployment behaves like a single-owner one until roles are handed out with
+ * grantRole/revokeRole (emitting RoleGranted/RoleRevoked). There is no constructor here
+ * so proxied contracts can make the same grants from an initializer.
+ *
+ * DEFAULT_ADMIN_ROLE has a single holder and cannot be granted or revoked directly. The
+ * admin proposes a successor with beginDefaultAdminTransfer and the successor takes over
+ * by calling acceptDefaultAdminTransfer, so a mistyped address never receives control.
+ */
+abstract contract ProtocolRoles is AccessControl {
+    /// @notice Whitelists, delists and registers tokens and sets per-token borrow limits
+    bytes32 public constant TOKEN_MANAGER_ROLE = keccak256("TOKEN_MANAGER_ROLE");
+
+    /// @notice Sets flash loan fees, overrides, discounts and the fee split
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice Sets the treasury and fee collector and moves unaccounted or stuck funds
+    bytes32 public constant TREASURY_MANAGER_ROLE = keccak256("TREASURY_MANAGER_ROLE");
+
+    /// @notice Pauses flash loans and deposits and enables emergency mode
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /**
+     * @notice Two-step admin state, kept out of the sequential layout so proxies deployed
+     * before it existed keep every slot where it was
+     * @custom:storage-location erc7201:justflash.storage.ProtocolRoles
+     */
+    struct ProtocolRolesStorage {
+        address defaultAdmin;
+        address pendingDefaultAdmin;
+    }
+
+    /// @dev keccak256(abi.encode(uint256(keccak256("justflash.storage.ProtocolRoles")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant PROTOCOL_ROLES_STORAGE =
+        0xf3e23eff6910d7fc77d9daa4be2ebaf918193f83d89d4984019df55de40af100;
+
+    /**
+     * @notice Emitted when the admin proposes a successor
+     * @param currentAdmin The current admin
+     * @param newAdmin The proposed admin, who must accept
+     */
+    event DefaultAdminTransferStarted(address indexed currentAdmin, address indexed newAdmin);
+
+    /**
+     * @notice Emitted when a proposed transfer is withdrawn before acceptance
+     * @param currentAdmin The current admin
+     * @param canceledAdmin The proposal that was withdrawn
+     */
+    event DefaultAdminTransferCanceled(address indexed currentAdmin, address indexed canceledAdmin);
+
+    /// @notice Error thrown when DEFAULT_ADMIN_ROLE would be granted or revoked outside the two-step transfer
+    error DefaultAdminTransferRequired();
+
+    /// @notice Error thrown when a transfer is proposed to the zero address or the current admin
+    error InvalidDefaultAdmin(address newAdmin);
+
+    /// @notice Error thrown when someone other than the proposed admin accepts
+    error NotPendingDefaultAdmin(address account);
+
+    /**
+     * @notice Returns the holder of DEFAULT_ADMIN_ROLE
+     * @dev Zero once renounced, and on proxies initialized before the two-step transfer
+     * until their admin first calls beginDefaultAdminTransfer
+     * @return admin The current admin
+     */
+    function defaultAdmin() public view returns (address) {
+        return _getProtocolRolesStorage().defaultAdmin;
+    }
+
+    /**
+     * @notice Returns the proposed next admin
+     * @return newAdmin The pending admin (zero when no transfer is in progress)
+     */
+    function pendingDefaultAdmin() public view returns (address) {
+        return _getProtocolRolesStorage().pendingDefaultAdmin;
+    }
+
+    /**
+     * @notice Proposes a new admin, replacing any earlier proposal
+     * @dev The current admin keeps every power until the proposal is accepted. A proxy
+     * initialized before the two-step transfer holds the role without a recorded admin,
+     * so the caller is recorded first and gives the role up on acceptance.
+     * @param newAdmin The proposed admin
+     */
+    function beginDefaultAdminTransfer(address newAdmin) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        ProtocolRolesStorage storage $ = _getProtocolRolesStorage();
+        if ($.defaultAdmin == address(0)) $.defaultAdmin = msg.sender;
+
+        if (newAdmin == address(0) || newAdmin == $.defaultAdmin) revert InvalidDefaultAdmin(newAdmin);
+        $.pendingDefaultAdmin = newAdmin;
+        emit DefaultAdminTransferStarted($.defaultAdmin, newAdmin);
+    }
+
+    /**
+     * @notice Withdraws the pending proposal
+     */
+    function cancelDefaultAdminTransfer() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        ProtocolRolesStorage storage $ = _getProtocolRolesStorage();
+        address canceledAdmin = $.pendingDefaultAdmin;
+        delete $.pendingDefaultAdmin;
+        emit DefaultAdminTransferCanceled($.defaultAdmin, canceledAdmin);
+    }
+
+    /**
+     * @notice Completes a transfer: the proposed admin takes DEFAULT_ADMIN_ROLE from the current one
+     */
+    function acceptDefaultAdminTransfer() external {
+        ProtocolRolesStorage storage $ = _getProtocolRolesStorage();
+        address newAdmin = $.pendingDefaultAdmin;
+        if (msg.sender != newAdmin) revert NotPendingDefaultAdmin(msg.sender);
+
+        if ($.defaultAdmin != address(0)) _revokeRole(DEFAULT_ADMIN_ROLE, $.defaultAdmin);
+        _grantRole(DEFAULT_ADMIN_ROLE, newAdmin);
+    }
+
+    /**
+     * @inheritdoc AccessControl
+     * @dev Reverts for DEFAULT_ADMIN_ROLE, which only moves through the two-step transfer
+     */
+    function grantRole(bytes32 role, address account) public virtual override {
+        if (role == DEFAULT_ADMIN_ROLE) revert DefaultAdminTransferRequired();
+        super.grantRole(role, account);
+    }
+
+    /**
+     * @inheritdoc AccessControl
+     * @dev Reverts for DEFAULT_ADMIN_ROLE, which only moves through the two-step transfer
+     */
+    function revokeRole(bytes32 role, address account) public virtual override {
+        if (role == DEFAULT_ADMIN_ROLE) revert DefaultAdminTransferRequired();
+        super.revokeRole(role, account);
+    }
+
+    /**
+     * @notice Records the single admin when DEFAULT_ADMIN_ROLE is granted
+     * @dev Granting the role while it is held reverts, so there is never more than one admin
+     */
+    function _grantRole(bytes32 role, address account) internal virtual override returns (bool) {
+        if (role == DEFAULT_ADMIN_ROLE) {
+            ProtocolRolesStorage storage $ = _getProtocolRolesStorage();
+            if ($.defaultAdmin != address(0)) revert DefaultAdminTransferRequired();
+            $.defaultAdmin = account;
+            delete $.pendingDefaultAdmin;
+        }
+        return super._grantRole(role, account);
+    }
+
+    /**
+     * @notice Clears the admin, and any pending proposal, when DEFAULT_ADMIN_ROLE is revoked or renounced
+     */
+    function _revokeRole(bytes32 role, address account) internal virtual override returns (bool) {
+        ProtocolRolesStorage storage $ = _getProtocolRolesStorage();
+        if (role == DEFAULT_ADMIN_ROLE && account == $.defaultAdmin) {
+            delete $.defaultAdmin;
+            delete $.pendingDefaultAdmin;
+        }
+        return super._revokeRole(role, account);
+    }
+
+    /**
+     * @notice Returns a pointer to the two-step admin state
+     */
+    // solhint-disable-next-line var-name-mixedcase
+    function _getProtocolRolesStorage() private pure returns (ProtocolRolesStorage storage $) {
+        assembly {
+            $.slot := PROTOCOL_ROLES_STORAGE
+        }
+    }
+}
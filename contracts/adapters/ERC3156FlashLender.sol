@@ -0,0 +1,129 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "../interfaces/IFlashLoanReceiver.sol";
+import "../interfaces/IFlashLoanPool.sol";
+
+/**
+ * @title ERC3156FlashLender
+ * @author JustFlash Protocol
+ * @notice ERC-3156 compliant lender front-end for the JustFlash pool
+ * @dev ERC-3156 `flashLoan(IERC3156FlashBorrower,address,uint256,bytes)` has the same selector as
+ * `FlashLoanPool.flashLoan(address,address,uint256,bytes)`, so both cannot live on one contract.
+ * This lender borrows from the pool as an IFlashLoanReceiver and forwards the loan to the
+ * ERC-3156 borrower, so borrower code ported from EVM chains works unchanged.
+ * The lender must be trusted on the pool with setTrustedAdapter: it borrows through
+ * flashLoanFor, so fees and volume tiers apply to the caller of flashLoan.
+ *
+ * Execution Flow:
+ * 1. Borrower calls flashLoan() on this contract
+ * 2. Lender calls POOL.flashLoanFor() with itself as receiver and the caller as borrower
+ * 3. Pool calls executeOperation(); lender forwards tokens to the borrower
+ * 4. Lender calls onFlashLoan() and checks the ERC-3156 return value
+ * 5. Lender pulls amount + fee from the borrower and approves the pool
+ */
+contract ERC3156FlashLender is IERC3156FlashLender, IFlashLoanReceiver, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice Return value required from IERC3156FlashBorrower.onFlashLoan
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    /// @notice The flash loan pool address
+    IFlashLoanPool public immutable POOL;
+
+    /// @notice Error thrown when address is zero
+    error ZeroAddress();
+
+    /// @notice Error thrown when caller is not the pool
+    error UnauthorizedPool(address caller);
+
+    /// @notice Error thrown when the pool loan was not initiated by this lender
+    error UntrustedInitiator(address initiator);
+
+    /// @notice Error thrown when the borrower returns an unexpected callback value
+    error InvalidCallbackReturn(bytes32 returned);
+
+    /**
+     * @notice Initializes the lender with pool address
+     * @param poolAddress The flash loan pool address
+     */
+    constructor(address poolAddress) {
+        if (poolAddress == address(0)) revert ZeroAddress();
+        POOL = IFlashLoanPool(poolAddress);
+    }
+
+    /**
+     * @inheritdoc IERC3156FlashLender
+     */
+    function maxFlashLoan(address token) external view override returns (uint256) {
+        return POOL.maxFlashLoan(token);
+    }
+
+    /**
+     * @inheritdoc IERC3156FlashLender
+     * @dev Quotes the fee charged when msg.sender calls flashLoan, including its discounts.
+     * Reverts with TokenNotSupported from the pool for unsupported tokens.
+     */
+    function flashFee(address token, uint256 amount) external view override returns (uint256) {
+        return POOL.flashFeeFor(token, amount, address(this), msg.sender);
+    }
+
+    /**
+     * @inheritdoc IERC3156FlashLender
+     */
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external override nonReentrant returns (bool) {
+        if (address(receiver) == address(0)) revert ZeroAddress();
+
+        POOL.flashLoanFor(address(this), token, amount, abi.encode(msg.sender, address(receiver), data), msg.sender);
+
+        return true;
+    }
+
+    /**
+     * @inheritdoc IFlashLoanReceiver
+     * @dev Only accepts loans that this lender requested from the pool
+     */
+    function executeOperation(
+        address token,
+        uint256 amount,
+        uint256 premium,
+        address initiator,
+        bytes calldata params
+    ) external override returns (bool) {
+        if (msg.sender != address(POOL)) revert UnauthorizedPool(msg.sender);
+        if (initiator != address(this)) revert UntrustedInitiator(initiator);
+
+        (address borrowerInitiator, address receiver, bytes memory data) = abi.decode(
+            params,
+            (address, address, bytes)
+        );
+
+        IERC20(token).safeTransfer(receiver, amount);
+
+        bytes32 result = IERC3156FlashBorrower(receiver).onFlashLoan(
+            borrowerInitiator,
+            token,
+            amount,
+            premium,
+            data
+        );
+        if (result != CALLBACK_SUCCESS) revert InvalidCallbackReturn(result);
+
+        // ERC-3156: the lender pulls repayment from the borrower
+        uint256 amountOwed = amount + premium;
+        IERC20(token).safeTransferFrom(receiver, address(this), amountOwed);
+        IERC20(token).safeIncreaseAllowance(address(POOL), amountOwed);
+
+        return true;
+    }
+}
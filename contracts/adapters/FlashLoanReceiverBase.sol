@@ -4,18 +4,19 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "../interfaces/IFlashLoanReceiver.sol";
 import "../interfaces/IFlashLoanPool.sol";
+import "../access/ProtocolRoles.sol";
 
 /**
  * @title FlashLoanReceiverBase
  * @author JustFlash Protocol
  * @notice Abstract base contract for flash loan receivers
  * @dev Provides common functionality and safety checks for flash loan receivers.
- * Third-party protocols should inherit from this contract.
+ * Third-party protocols should inherit from this contract. Loans and configuration are
+ * restricted to DEFAULT_ADMIN_ROLE; rescuing funds to TREASURY_MANAGER_ROLE.
  */
-abstract contract FlashLoanReceiverBase is IFlashLoanReceiver, ReentrancyGuard, Ownable {
+abstract contract FlashLoanReceiverBase is IFlashLoanReceiver, ReentrancyGuard, ProtocolRoles {
     using SafeERC20 for IERC20;
 
     /// @notice The flash loan pool address
@@ -30,10 +31,12 @@ abstract contract FlashLoanReceiverBase is IFlashLoanReceiver, ReentrancyGuard,
     /**
      * @notice Initializes the receiver with pool address
      * @param poolAddress The flash loan pool address
-     * @param initialOwner The initial owner address
+     * @param initialAdmin The initial admin address (also granted the treasury manager role)
      */
-    constructor(address poolAddress, address initialOwner) Ownable(initialOwner) {
+    constructor(address poolAddress, address initialAdmin) {
         POOL = IFlashLoanPool(poolAddress);
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(TREASURY_MANAGER_ROLE, initialAdmin);
     }
 
     /**
@@ -98,7 +101,7 @@ abstract contract FlashLoanReceiverBase is IFlashLoanReceiver, ReentrancyGuard,
         address token,
         uint256 amount,
         bytes calldata params
-    ) external onlyOwner {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
         POOL.flashLoan(address(this), token, amount, params);
     }
 
@@ -112,7 +115,7 @@ abstract contract FlashLoanReceiverBase is IFlashLoanReceiver, ReentrancyGuard,
         address token,
         address to,
         uint256 amount
-    ) external onlyOwner {
+    ) external onlyRole(TREASURY_MANAGER_ROLE) {
         IERC20(token).safeTransfer(to, amount);
     }
 
@@ -121,7 +124,7 @@ abstract contract FlashLoanReceiverBase is IFlashLoanReceiver, ReentrancyGuard,
      * @param to The recipient address
      * @param amount The amount to rescue
      */
-    function rescueTRX(address payable to, uint256 amount) external onlyOwner {
+    function rescueTRX(address payable to, uint256 amount) external onlyRole(TREASURY_MANAGER_ROLE) {
         (bool success, ) = to.call{value: amount}("");
         require(success, "TRX transfer failed");
     }
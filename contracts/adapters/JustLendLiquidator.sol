@@ -46,12 +46,12 @@ contract JustLendLiquidator is FlashLoanReceiverBase {
     /**
      * @notice Initializes the liquidator
      * @param poolAddress The flash loan pool address
-     * @param initialOwner The initial owner address
+     * @param initialAdmin The initial admin address
      */
     constructor(
         address poolAddress,
-        address initialOwner
-    ) FlashLoanReceiverBase(poolAddress, initialOwner) {}
+        address initialAdmin
+    ) FlashLoanReceiverBase(poolAddress, initialAdmin) {}
 
     /**
      * @inheritdoc FlashLoanReceiverBase
@@ -132,7 +132,7 @@ contract JustLendLiquidator is FlashLoanReceiverBase {
         address borrower,
         address jTokenCollateral,
         address jTokenDebt
-    ) external onlyOwner {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
         bytes memory params = abi.encode(borrower, jTokenCollateral, jTokenDebt);
         POOL.flashLoan(address(this), debtToken, repayAmount, params);
     }
@@ -48,16 +48,16 @@ contract SunSwapArbitrage is FlashLoanReceiverBase {
     /**
      * @notice Initializes the arbitrage contract
      * @param poolAddress The flash loan pool address
-     * @param initialOwner The initial owner address
+     * @param initialAdmin The initial admin address
      * @param routerAddress The SunSwap router address
      * @param minProfit The minimum profit threshold
      */
     constructor(
         address poolAddress,
-        address initialOwner,
+        address initialAdmin,
         address routerAddress,
         uint256 minProfit
-    ) FlashLoanReceiverBase(poolAddress, initialOwner) {
+    ) FlashLoanReceiverBase(poolAddress, initialAdmin) {
         sunswapRouter = routerAddress;
         minProfitThreshold = minProfit;
     }
@@ -133,7 +133,7 @@ contract SunSwapArbitrage is FlashLoanReceiverBase {
         uint256 amount,
         address[] calldata path,
         uint256 minAmountOut
-    ) external onlyOwner {
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
         bytes memory params = abi.encode(path, minAmountOut);
         POOL.flashLoan(address(this), token, amount, params);
     }
@@ -142,7 +142,7 @@ contract SunSwapArbitrage is FlashLoanReceiverBase {
      * @notice Updates the SunSwap router address
      * @param newRouter The new router address
      */
-    function setRouter(address newRouter) external onlyOwner {
+    function setRouter(address newRouter) external onlyRole(DEFAULT_ADMIN_ROLE) {
         address oldRouter = sunswapRouter;
         sunswapRouter = newRouter;
         emit RouterUpdated(oldRouter, newRouter);
@@ -152,7 +152,7 @@ contract SunSwapArbitrage is FlashLoanReceiverBase {
      * @notice Updates the minimum profit threshold
      * @param newThreshold The new minimum profit
      */
-    function setMinProfitThreshold(uint256 newThreshold) external onlyOwner {
+    function setMinProfitThreshold(uint256 newThreshold) external onlyRole(DEFAULT_ADMIN_ROLE) {
         uint256 oldThreshold = minProfitThreshold;
         minProfitThreshold = newThreshold;
         emit MinProfitThresholdUpdated(oldThreshold, newThreshold);
@@ -0,0 +1,248 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/IFlashLoanReceiver.sol";
+import "../interfaces/IFlashLoanPool.sol";
+import "../interfaces/IFlashLoanVault.sol";
+import "../interfaces/ITRXFlashLoanReceiver.sol";
+import "../interfaces/IWTRX.sol";
+
+/**
+ * @title TRXGateway
+ * @author JustFlash Protocol
+ * @notice Native TRX front-end for the WTRX pool: flash loans, deposits and withdrawals in TRX
+ * @dev The gateway borrows WTRX from the pool as an IFlashLoanReceiver, unwraps it and
+ * forwards TRX to the borrower, then wraps the TRX repayment and lets the pool pull it.
+ * The gateway must be trusted on the pool with setTrustedAdapter: it borrows through
+ * flashLoanFor, so fee discounts and volume tiers apply to the caller of flashLoanTRX.
+ *
+ * Execution Flow:
+ * 1. Borrower calls flashLoanTRX() on this contract
+ * 2. Gateway calls POOL.flashLoanFor() for WTRX with itself as receiver and the caller as borrower
+ * 3. Pool calls executeOperation(); gateway unwraps and calls executeTRXOperation() with the TRX
+ * 4. Borrower sends amount + premium in TRX back to the gateway
+ * 5. Gateway wraps the repayment, refunds any surplus and approves the pool
+ */
+contract TRXGateway is IFlashLoanReceiver, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /// @notice The flash loan pool address
+    IFlashLoanPool public immutable POOL;
+
+    /// @notice The Wrapped TRX token listed in the pool
+    IWTRX public immutable WTRX;
+
+    /// @notice Borrower allowed to send TRX to the gateway during a loan
+    address private _activeReceiver;
+
+    /**
+     * @notice Emitted when native TRX is flash loaned through the gateway
+     * @param receiver The contract that received the TRX
+     * @param initiator The address that called flashLoanTRX
+     * @param amount The amount borrowed (in sun)
+     * @param premium The fee paid (in sun)
+     */
+    event TRXFlashLoan(address indexed receiver, address indexed initiator, uint256 amount, uint256 premium);
+
+    /**
+     * @notice Emitted when TRX is deposited into the WTRX pool
+     * @param user The address credited with shares
+     * @param amount The amount of TRX deposited (in sun)
+     * @param shares The number of pool shares minted
+     */
+    event TRXDeposit(address indexed user, uint256 amount, uint256 shares);
+
+    /**
+     * @notice Emitted when WTRX pool shares are redeemed for TRX
+     * @param user The address whose shares were burned
+     * @param shares The number of pool shares burned
+     * @param amount The amount of TRX sent (in sun)
+     */
+    event TRXWithdrawal(address indexed user, uint256 shares, uint256 amount);
+
+    /// @notice Error thrown when address is zero
+    error ZeroAddress();
+
+    /// @notice Error thrown when amount is zero
+    error ZeroAmount();
+
+    /// @notice Error thrown when caller is not the pool
+    error UnauthorizedPool(address caller);
+
+    /// @notice Error thrown when the pool loan was not initiated by this gateway
+    error UntrustedInitiator(address initiator);
+
+    /// @notice Error thrown when the pool lends a token other than WTRX
+    error UnexpectedToken(address token);
+
+    /// @notice Error thrown when the borrower callback returns false
+    error ReceiverCallbackFailed();
+
+    /// @notice Error thrown when the borrower sends back less than amount + premium
+    error TRXRepaymentFailed(uint256 expected, uint256 actual);
+
+    /// @notice Error thrown when TRX arrives from an address other than WTRX or the active borrower
+    error UnexpectedTRXSender(address sender);
+
+    /// @notice Error thrown when withdrawal yields fewer TRX than minimum
+    error SlippageAmountOut(uint256 amount, uint256 minAmountOut);
+
+    /**
+     * @notice Initializes the gateway
+     * @param poolAddress The flash loan pool address
+     * @param wtrxAddress The WTRX token address (must be whitelisted in the pool)
+     */
+    constructor(address poolAddress, address wtrxAddress) {
+        if (poolAddress == address(0) || wtrxAddress == address(0)) revert ZeroAddress();
+        POOL = IFlashLoanPool(poolAddress);
+        WTRX = IWTRX(wtrxAddress);
+    }
+
+    /**
+     * @notice Accepts TRX from WTRX unwraps and from the borrower repaying an active loan
+     */
+    receive() external payable {
+        if (msg.sender != address(WTRX) && msg.sender != _activeReceiver) {
+            revert UnexpectedTRXSender(msg.sender);
+        }
+    }
+
+    // ============ Flash Loans ============
+
+    /**
+     * @notice Flash loans native TRX out of the WTRX pool
+     * @param receiverAddress The ITRXFlashLoanReceiver contract receiving the TRX
+     * @param amount The amount of TRX to borrow (in sun)
+     * @param params Arbitrary data forwarded to the receiver
+     * @return success True if the loan was repaid
+     */
+    function flashLoanTRX(
+        address receiverAddress,
+        uint256 amount,
+        bytes calldata params
+    ) external nonReentrant returns (bool) {
+        if (receiverAddress == address(0)) revert ZeroAddress();
+
+        POOL.flashLoanFor(
+            address(this),
+            address(WTRX),
+            amount,
+            abi.encode(msg.sender, receiverAddress, params),
+            msg.sender
+        );
+
+        return true;
+    }
+
+    /**
+     * @inheritdoc IFlashLoanReceiver
+     * @dev Only accepts WTRX loans that this gateway requested from the pool
+     */
+    function executeOperation(
+        address token,
+        uint256 amount,
+        uint256 premium,
+        address initiator,
+        bytes calldata params
+    ) external override returns (bool) {
+        if (msg.sender != address(POOL)) revert UnauthorizedPool(msg.sender);
+        if (initiator != address(this)) revert UntrustedInitiator(initiator);
+        if (token != address(WTRX)) revert UnexpectedToken(token);
+
+        (address borrowerInitiator, address receiver, bytes memory data) = abi.decode(
+            params,
+            (address, address, bytes)
+        );
+
+        uint256 balanceBefore = address(this).balance;
+        WTRX.withdraw(amount);
+
+        _activeReceiver = receiver;
+        bool success = ITRXFlashLoanReceiver(receiver).executeTRXOperation{value: amount}(
+            amount,
+            premium,
+            borrowerInitiator,
+            data
+        );
+        _activeReceiver = address(0);
+
+        if (!success) revert ReceiverCallbackFailed();
+
+        uint256 amountOwed = amount + premium;
+        uint256 repaid = address(this).balance - balanceBefore;
+        if (repaid < amountOwed) revert TRXRepaymentFailed(amountOwed, repaid);
+
+        WTRX.deposit{value: amountOwed}();
+        IERC20(address(WTRX)).safeIncreaseAllowance(address(POOL), amountOwed);
+
+        if (repaid > amountOwed) {
+            Address.sendValue(payable(receiver), repaid - amountOwed);
+        }
+
+        emit TRXFlashLoan(receiver, borrowerInitiator, amount, premium);
+
+        return true;
+    }
+
+    // ============ Deposits and Withdrawals ============
+
+    /**
+     * @notice Wraps the TRX sent with the call and deposits it into the WTRX pool
+     * @param minSharesOut Minimum shares to mint (slippage protection)
+     * @return shares The number of pool shares credited to the caller
+     */
+    function depositTRX(uint256 minSharesOut) external payable nonReentrant returns (uint256 shares) {
+        if (msg.value == 0) revert ZeroAmount();
+
+        WTRX.deposit{value: msg.value}();
+        IERC20(address(WTRX)).safeIncreaseAllowance(address(POOL), msg.value);
+
+        shares = IFlashLoanVault(address(POOL)).depositFor(address(WTRX), msg.value, msg.sender, minSharesOut);
+
+        emit TRXDeposit(msg.sender, msg.value, shares);
+    }
+
+    /**
+     * @notice Redeems the caller's WTRX pool shares and sends the proceeds in TRX
+     * @dev The caller must first approve this gateway for the shares with
+     * FlashLoanPool.approveShares or the WTRX share token
+     * @param shares The number of pool shares to burn
+     * @param minAmountOut Minimum TRX to receive (slippage protection)
+     * @return amount The amount of TRX sent to the caller
+     */
+    function withdrawTRX(uint256 shares, uint256 minAmountOut) external nonReentrant returns (uint256 amount) {
+        if (shares == 0) revert ZeroAmount();
+
+        amount = IFlashLoanVault(address(POOL)).redeem(address(WTRX), shares, address(this), msg.sender);
+        if (amount < minAmountOut) revert SlippageAmountOut(amount, minAmountOut);
+
+        WTRX.withdraw(amount);
+        Address.sendValue(payable(msg.sender), amount);
+
+        emit TRXWithdrawal(msg.sender, shares, amount);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Returns the maximum amount of TRX that can be flash loaned
+     * @return amount The available WTRX liquidity
+     */
+    function maxFlashLoanTRX() external view returns (uint256) {
+        return POOL.maxFlashLoan(address(WTRX));
+    }
+
+    /**
+     * @notice Returns the premium for a TRX flash loan
+     * @dev Quotes the fee charged when msg.sender calls flashLoanTRX, including its discounts
+     * @param amount The amount to borrow (in sun)
+     * @return fee The premium charged by the pool for WTRX
+     */
+    function flashFeeTRX(uint256 amount) external view returns (uint256) {
+        return POOL.flashFeeFor(address(WTRX), amount, address(this), msg.sender);
+    }
+}
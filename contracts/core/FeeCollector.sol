@@ -3,12 +3,13 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "../interfaces/IFeeCollector.sol";
+import "../interfaces/IFlashLoanPool.sol";
+import "../access/ProtocolRoles.sol";
 
 /**
- * @title FeeCollector
+ * @title FeeCollectorBase
  * @author JustFlash Protocol
  * @notice Handles protocol fee accumulation and distribution
  * @dev Splits flash loan fees between treasury (20%) and depositors (80%)
@@ -17,8 +18,26 @@ import "../interfaces/IFeeCollector.sol";
  * Fee Distribution Model:
  * - Treasury Share: 20% of premium (protocol revenue)
  * - Depositor Share: 80% of premium (yield for LPs)
+ *
+ * The treasury share can be divided further between weighted recipients (insurance
+ * fund, buyback contract, dev fund, ...) that pull their part with claim(token).
+ * Whatever the weights leave over, including rounding dust, stays with the treasury.
+ *
+ * Other approved fee sources (e.g. FlashMintFacility) have no LPs behind them,
+ * so their premiums go to the treasury in full.
+ *
+ * When a ReserveFund is set, reserveShareBps of every pool premium is sent to it first
+ * and only the rest is split. Other sources' premiums skip the reserve: it can only pay
+ * out to cover the pool's shortfall in the same token.
+ *
+ * Loans made with a referral code credit the code's referrer with referralShareBps
+ * of the whole premium, claimable with claim(token). Like the reserve share it comes off
+ * the top, so the depositor and protocol shares split what is left.
+ *
+ * State is set by _initializeFeeCollector so the contract can be deployed directly
+ * (FeeCollector below) or behind a proxy (FeeCollectorUpgradeable).
  */
-contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
+abstract contract FeeCollectorBase is IFeeCollector, ProtocolRoles, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
     /// @notice Basis points denominator
@@ -42,7 +61,59 @@ contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
     /// @notice Mapping of token => accumulated depositor fees (returned to pool)
     mapping(address => uint256) private _depositorFees;
 
-    /// @notice Error thrown when caller is not the flash loan pool
+    /// @notice Mapping of contract => allowed to report fees besides the pool
+    mapping(address => bool) private _feeSources;
+
+    /// @notice Maximum number of protocol share recipients
+    uint256 public constant MAX_FEE_RECIPIENTS = 10;
+
+    /// @notice Recipients sharing the protocol share with the treasury
+    address[] private _feeRecipients;
+
+    /// @notice Mapping of recipient => weight in basis points of the protocol share
+    mapping(address => uint256) private _recipientWeights;
+
+    /// @notice Mapping of token => recipient => credited, unclaimed fees
+    mapping(address => mapping(address => uint256)) private _claimable;
+
+    /// @notice Tokens that have collected fees, for batch treasury withdrawals
+    address[] private _feeTokens;
+
+    /// @notice Mapping of token => listed in _feeTokens
+    mapping(address => bool) private _isFeeToken;
+
+    /// @notice Maximum reserve share in basis points (5000 = 50%)
+    uint256 public constant MAX_RESERVE_SHARE_BPS = 5000;
+
+    /// @notice Reserve fund receiving part of every pool premium (zero disables routing)
+    address public reserveFund;
+
+    /// @notice Share of every pool premium sent to the reserve fund, in basis points
+    uint256 public reserveShareBps;
+
+    /// @notice Maximum referral share in basis points (5000 = 50%)
+    uint256 public constant MAX_REFERRAL_SHARE_BPS = 5000;
+
+    /// @notice Referrer slice of the premium on referred loans, in basis points
+    uint256 public referralShareBps;
+
+    /// @notice Referral volume, loan count and earnings per referrer and token
+    struct ReferralStats {
+        uint256 volume;
+        uint256 loans;
+        uint256 earned;
+    }
+
+    /// @notice Mapping of referral code => referrer
+    mapping(bytes32 => address) private _referralCodes;
+
+    /// @notice Mapping of referrer => token => referral stats
+    mapping(address => mapping(address => ReferralStats)) private _referralStats;
+
+    /// @dev Reserved slots so upgradeable deployments can add state without shifting the layout
+    uint256[50] private __gap;
+
+    /// @notice Error thrown when caller is not the flash loan pool or an approved fee source
     error UnauthorizedCaller(address caller);
 
     /// @notice Error thrown when address is zero
@@ -54,20 +125,51 @@ contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
     /// @notice Error thrown when no fees to withdraw
     error NoFeesToWithdraw(address token);
 
+    /// @notice Error thrown when recipient arrays mismatch, repeat an address or overweight the share
+    error InvalidFeeRecipients();
+
+    /// @notice Error thrown when the reserve share exceeds the maximum
+    error ReserveShareTooHigh(uint256 shareBps, uint256 maxShareBps);
+
+    /// @notice Error thrown when a referral code is zero or already registered
+    error ReferralCodeUnavailable(bytes32 code);
+
+    /// @notice Error thrown when a referred loan uses an unregistered code
+    error UnknownReferralCode(bytes32 code);
+
+    /// @notice Error thrown when the referral share exceeds the maximum
+    error ReferralShareTooHigh(uint256 shareBps, uint256 maxShareBps);
+
     /// @notice Emitted when flash loan pool is updated
     event FlashLoanPoolUpdated(address indexed oldPool, address indexed newPool);
 
+    /// @notice Emitted when a fee source is approved or revoked
+    event FeeSourceUpdated(address indexed source, bool allowed);
+
+    /// @notice Emitted when the reserve fund is updated
+    event ReserveFundUpdated(address indexed oldFund, address indexed newFund);
+
+    /// @notice Emitted when the reserve share is updated
+    event ReserveShareUpdated(uint256 oldShareBps, uint256 newShareBps);
+
+    /// @notice Emitted when part of a premium is sent to the reserve fund
+    event ReserveFunded(address indexed token, uint256 amount, address indexed reserve);
+
+    /// @notice Emitted when the referral share is updated
+    event ReferralShareUpdated(uint256 oldShareBps, uint256 newShareBps);
+
     /**
      * @notice Initializes the fee collector
-     * @param initialOwner The initial owner address
+     * @dev The initial admin receives the admin role and the fee and treasury manager roles
+     * @param initialAdmin The initial admin address
      * @param treasuryAddress The treasury address for protocol fees
      * @param poolAddress The flash loan pool address
      */
-    constructor(
-        address initialOwner,
+    function _initializeFeeCollector(
+        address initialAdmin,
         address treasuryAddress,
         address poolAddress
-    ) Ownable(initialOwner) {
+    ) internal {
         if (treasuryAddress == address(0)) revert ZeroAddress();
         if (poolAddress == address(0)) revert ZeroAddress();
         
@@ -77,52 +179,141 @@ contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
         // Default split: 20% treasury, 80% depositors
         treasuryShareBps = 2000;
         depositorShareBps = 8000;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(FEE_MANAGER_ROLE, initialAdmin);
+        _grantRole(TREASURY_MANAGER_ROLE, initialAdmin);
     }
 
     /**
-     * @notice Modifier to restrict to flash loan pool
+     * @notice Modifier to restrict to the flash loan pool and approved fee sources
      */
-    modifier onlyPool() {
-        if (msg.sender != flashLoanPool) revert UnauthorizedCaller(msg.sender);
+    modifier onlyFeeSource() {
+        if (msg.sender != flashLoanPool && !_feeSources[msg.sender]) revert UnauthorizedCaller(msg.sender);
         _;
     }
 
     /**
      * @inheritdoc IFeeCollector
      * @dev Called by FlashLoanPool after successful flash loan repayment.
-     * Splits fees according to configured percentages.
+     * Splits fees according to configured percentages. Fees from other
+     * approved sources go to the treasury in full.
      */
-    function collectFees(address token, uint256 amount) external override onlyPool {
-        if (amount == 0) return;
+    function collectFees(address token, uint256 amount) external override onlyFeeSource {
+        _collectFees(token, amount, address(0));
+    }
 
-        // Calculate split
-        uint256 treasuryAmount = (amount * treasuryShareBps) / BPS_DENOMINATOR;
-        uint256 depositorAmount = amount - treasuryAmount;
+    /**
+     * @inheritdoc IFeeCollector
+     * @dev Stats are recorded even when the premium is zero
+     */
+    function collectReferredFees(
+        address token,
+        uint256 amount,
+        bytes32 referralCode,
+        uint256 volume
+    ) external override onlyFeeSource {
+        address referrer = _referralCodes[referralCode];
+        if (referrer == address(0)) revert UnknownReferralCode(referralCode);
+
+        uint256 referralAmount = _collectFees(token, amount, referrer);
+
+        ReferralStats storage stats = _referralStats[referrer][token];
+        stats.volume += volume;
+        stats.loans += 1;
+        stats.earned += referralAmount;
+
+        emit ReferralFeesCredited(referralCode, referrer, token, referralAmount, volume);
+    }
 
-        // Record fees
-        _treasuryFees[token] += treasuryAmount;
-        _depositorFees[token] += depositorAmount;
+    /**
+     * @inheritdoc IFeeCollector
+     */
+    function registerReferralCode(bytes32 code) external override {
+        if (code == bytes32(0) || _referralCodes[code] != address(0)) revert ReferralCodeUnavailable(code);
+        _referralCodes[code] = msg.sender;
+        emit ReferralCodeRegistered(code, msg.sender);
+    }
 
-        emit FeesCollected(token, amount, treasuryAmount, depositorAmount);
+    /**
+     * @inheritdoc IFeeCollector
+     */
+    function withdrawTreasuryFees(address token) external override nonReentrant {
+        if (_treasuryFees[token] == 0) revert NoFeesToWithdraw(token);
+        _withdrawTreasuryFees(token);
+    }
 
-        // Return depositor share to pool immediately
-        if (depositorAmount > 0) {
-            IERC20(token).safeTransfer(flashLoanPool, depositorAmount);
+    /**
+     * @inheritdoc IFeeCollector
+     */
+    function withdrawAllTreasuryFees() external override nonReentrant {
+        uint256 length = _feeTokens.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (_treasuryFees[_feeTokens[i]] > 0) {
+                _withdrawTreasuryFees(_feeTokens[i]);
+            }
         }
     }
 
     /**
      * @inheritdoc IFeeCollector
+     * @dev Also open to recipients that have since been removed
      */
-    function withdrawTreasuryFees(address token) external override nonReentrant {
-        uint256 amount = _treasuryFees[token];
+    function claim(address token) external override nonReentrant returns (uint256 amount) {
+        amount = _claimable[token][msg.sender];
         if (amount == 0) revert NoFeesToWithdraw(token);
 
-        _treasuryFees[token] = 0;
+        _claimable[token][msg.sender] = 0;
 
-        IERC20(token).safeTransfer(treasury, amount);
+        IERC20(token).safeTransfer(msg.sender, amount);
 
-        emit TreasuryWithdrawal(token, amount, treasury);
+        emit FeesClaimed(token, msg.sender, amount);
+    }
+
+    /**
+     * @inheritdoc IFeeCollector
+     */
+    function getClaimable(address token, address recipient) external view override returns (uint256) {
+        return _claimable[token][recipient];
+    }
+
+    /**
+     * @notice Returns the protocol share recipients and their weights
+     * @return recipients The recipient addresses
+     * @return weightsBps Each recipient's weight in basis points of the protocol share
+     */
+    function getFeeRecipients() external view returns (address[] memory recipients, uint256[] memory weightsBps) {
+        recipients = _feeRecipients;
+        weightsBps = new uint256[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            weightsBps[i] = _recipientWeights[recipients[i]];
+        }
+    }
+
+    /**
+     * @notice Returns every token that has collected fees
+     * @return tokens The token addresses
+     */
+    function getFeeTokens() external view returns (address[] memory) {
+        return _feeTokens;
+    }
+
+    /**
+     * @inheritdoc IFeeCollector
+     */
+    function getReferrer(bytes32 code) external view override returns (address) {
+        return _referralCodes[code];
+    }
+
+    /**
+     * @inheritdoc IFeeCollector
+     */
+    function getReferralStats(
+        address referrer,
+        address token
+    ) external view override returns (uint256 volume, uint256 loans, uint256 earned) {
+        ReferralStats storage stats = _referralStats[referrer][token];
+        return (stats.volume, stats.loans, stats.earned);
     }
 
     /**
@@ -132,6 +323,15 @@ contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
         return _treasuryFees[token];
     }
 
+    /**
+     * @notice Checks if a contract may report fees besides the pool
+     * @param source The contract address
+     * @return allowed True if the source is approved
+     */
+    function isFeeSource(address source) external view returns (bool) {
+        return _feeSources[source];
+    }
+
     /**
      * @notice Returns accumulated depositor fees for a token
      * @param token The token address
@@ -158,7 +358,7 @@ contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
     /**
      * @inheritdoc IFeeCollector
      */
-    function setTreasury(address newTreasury) external override onlyOwner {
+    function setTreasury(address newTreasury) external override onlyRole(TREASURY_MANAGER_ROLE) {
         if (newTreasury == address(0)) revert ZeroAddress();
         
         address oldTreasury = treasury;
@@ -170,7 +370,10 @@ contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
     /**
      * @inheritdoc IFeeCollector
      */
-    function setFeeSplit(uint256 newTreasuryBps, uint256 newDepositorBps) external override onlyOwner {
+    function setFeeSplit(
+        uint256 newTreasuryBps,
+        uint256 newDepositorBps
+    ) external override onlyRole(FEE_MANAGER_ROLE) {
         if (newTreasuryBps + newDepositorBps != BPS_DENOMINATOR) {
             revert InvalidFeeSplit(newTreasuryBps, newDepositorBps);
         }
@@ -181,11 +384,79 @@ contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
         emit FeeSplitUpdated(newTreasuryBps, newDepositorBps);
     }
 
+    /**
+     * @notice Replaces the recipients sharing the protocol share with the treasury
+     * @dev Weights are basis points of the protocol share and may sum to at most 10000;
+     * the treasury keeps the remainder. Credited balances of removed recipients stay claimable.
+     * @param recipients The recipient addresses
+     * @param weightsBps Each recipient's weight in basis points
+     */
+    function setFeeRecipients(
+        address[] calldata recipients,
+        uint256[] calldata weightsBps
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        if (recipients.length != weightsBps.length || recipients.length > MAX_FEE_RECIPIENTS) {
+            revert InvalidFeeRecipients();
+        }
+
+        for (uint256 i = 0; i < _feeRecipients.length; i++) {
+            delete _recipientWeights[_feeRecipients[i]];
+        }
+        delete _feeRecipients;
+
+        uint256 totalWeight;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            address recipient = recipients[i];
+            if (recipient == address(0)) revert ZeroAddress();
+            if (weightsBps[i] == 0 || _recipientWeights[recipient] != 0) revert InvalidFeeRecipients();
+
+            _recipientWeights[recipient] = weightsBps[i];
+            _feeRecipients.push(recipient);
+            totalWeight += weightsBps[i];
+        }
+        if (totalWeight > BPS_DENOMINATOR) revert InvalidFeeRecipients();
+
+        emit FeeRecipientsUpdated(recipients, weightsBps);
+    }
+
+    /**
+     * @notice Updates the reserve fund receiving part of every pool premium
+     * @dev Reserves already held by the old fund move with ReserveFund.migrateReserves
+     * @param newFund The new reserve fund address (zero stops reserve routing)
+     */
+    function setReserveFund(address newFund) external onlyRole(TREASURY_MANAGER_ROLE) {
+        address oldFund = reserveFund;
+        reserveFund = newFund;
+        emit ReserveFundUpdated(oldFund, newFund);
+    }
+
+    /**
+     * @notice Updates the share of every pool premium sent to the reserve fund
+     * @param newShareBps The new share in basis points
+     */
+    function setReserveShare(uint256 newShareBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (newShareBps > MAX_RESERVE_SHARE_BPS) revert ReserveShareTooHigh(newShareBps, MAX_RESERVE_SHARE_BPS);
+        uint256 oldShareBps = reserveShareBps;
+        reserveShareBps = newShareBps;
+        emit ReserveShareUpdated(oldShareBps, newShareBps);
+    }
+
+    /**
+     * @notice Updates the referrer slice of the premium on referred loans
+     * @param newShareBps The new share in basis points of the premium (max MAX_REFERRAL_SHARE_BPS)
+     */
+    function setReferralShare(uint256 newShareBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (newShareBps > MAX_REFERRAL_SHARE_BPS) revert ReferralShareTooHigh(newShareBps, MAX_REFERRAL_SHARE_BPS);
+        uint256 oldShareBps = referralShareBps;
+        referralShareBps = newShareBps;
+        emit ReferralShareUpdated(oldShareBps, newShareBps);
+    }
+
     /**
      * @notice Updates the flash loan pool address
      * @param newPool The new pool address
      */
-    function setFlashLoanPool(address newPool) external onlyOwner {
+    function setFlashLoanPool(address newPool) external onlyRole(DEFAULT_ADMIN_ROLE) {
         if (newPool == address(0)) revert ZeroAddress();
         
         address oldPool = flashLoanPool;
@@ -193,4 +464,122 @@ contract FeeCollector is IFeeCollector, Ownable, ReentrancyGuard {
         
         emit FlashLoanPoolUpdated(oldPool, newPool);
     }
+
+    /**
+     * @notice Approves or revokes a contract that reports fees, such as FlashMintFacility
+     * @param source The contract address
+     * @param allowed Whether the source may call collectFees
+     */
+    function setFeeSource(address source, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (source == address(0)) revert ZeroAddress();
+
+        _feeSources[source] = allowed;
+
+        emit FeeSourceUpdated(source, allowed);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Splits a premium between reserve, referrer, recipients, treasury and depositors
+     * @param token The token address
+     * @param amount The premium received
+     * @param referrer The referrer to credit (zero for none)
+     * @return referralAmount The slice credited to the referrer
+     */
+    function _collectFees(address token, uint256 amount, address referrer) private returns (uint256 referralAmount) {
+        if (amount == 0) return 0;
+
+        // Reserve share comes off the top of pool premiums, the only ones it can cover losses for
+        bool fromPool = msg.sender == flashLoanPool;
+        uint256 reserveAmount = fromPool && reserveFund != address(0)
+            ? (amount * reserveShareBps) / BPS_DENOMINATOR
+            : 0;
+
+        // A referrer's slice also comes off the top; both shares are capped at 50%, so they fit
+        if (referrer != address(0)) {
+            referralAmount = (amount * referralShareBps) / BPS_DENOMINATOR;
+            _claimable[token][referrer] += referralAmount;
+        }
+        uint256 splitAmount = amount - reserveAmount - referralAmount;
+
+        // Calculate split
+        uint256 treasuryAmount = fromPool
+            ? (splitAmount * treasuryShareBps) / BPS_DENOMINATOR
+            : splitAmount;
+        uint256 depositorAmount = splitAmount - treasuryAmount;
+
+        // Record fees; recipients are credited first and the treasury keeps the rest
+        if (!_isFeeToken[token]) {
+            _isFeeToken[token] = true;
+            _feeTokens.push(token);
+        }
+        _treasuryFees[token] += treasuryAmount - _allocateToRecipients(token, treasuryAmount);
+        _depositorFees[token] += depositorAmount;
+
+        emit FeesCollected(token, amount, treasuryAmount, depositorAmount);
+
+        if (reserveAmount > 0) {
+            IERC20(token).safeTransfer(reserveFund, reserveAmount);
+            emit ReserveFunded(token, reserveAmount, reserveFund);
+        }
+
+        // Return depositor share to pool immediately and credit what arrived to LP share value
+        if (depositorAmount > 0) {
+            uint256 poolBalance = IERC20(token).balanceOf(flashLoanPool);
+            IERC20(token).safeTransfer(flashLoanPool, depositorAmount);
+            IFlashLoanPool(flashLoanPool).accrueFees(token, IERC20(token).balanceOf(flashLoanPool) - poolBalance);
+        }
+    }
+
+    /**
+     * @notice Credits each recipient its weighted part of a protocol share
+     * @dev Parts round down, so the dust stays with the treasury
+     * @param token The token address
+     * @param amount The protocol share to divide
+     * @return allocated The total credited to recipients
+     */
+    function _allocateToRecipients(address token, uint256 amount) private returns (uint256 allocated) {
+        uint256 length = _feeRecipients.length;
+        for (uint256 i = 0; i < length; i++) {
+            address recipient = _feeRecipients[i];
+            uint256 part = (amount * _recipientWeights[recipient]) / BPS_DENOMINATOR;
+            if (part == 0) continue;
+
+            _claimable[token][recipient] += part;
+            allocated += part;
+
+            emit FeesAllocated(token, recipient, part);
+        }
+    }
+
+    /**
+     * @notice Sends a token's accumulated treasury fees to the treasury
+     * @param token The token address
+     */
+    function _withdrawTreasuryFees(address token) private {
+        uint256 amount = _treasuryFees[token];
+        _treasuryFees[token] = 0;
+
+        IERC20(token).safeTransfer(treasury, amount);
+
+        emit TreasuryWithdrawal(token, amount, treasury);
+    }
+}
+
+/**
+ * @title FeeCollector
+ * @author JustFlash Protocol
+ * @notice Directly deployed fee collector
+ */
+contract FeeCollector is FeeCollectorBase {
+    /**
+     * @notice Initializes the fee collector
+     * @param initialAdmin The initial admin address
+     * @param treasuryAddress The treasury address for protocol fees
+     * @param poolAddress The flash loan pool address
+     */
+    constructor(address initialAdmin, address treasuryAddress, address poolAddress) {
+        _initializeFeeCollector(initialAdmin, treasuryAddress, poolAddress);
+    }
 }
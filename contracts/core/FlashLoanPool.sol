@@ -2,28 +2,54 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "../interfaces/IFlashLoanPool.sol";
+import "../interfaces/IFlashLoanVault.sol";
 import "../interfaces/IFlashLoanReceiver.sol";
+import "../interfaces/IFlashLoanBatchReceiver.sol";
 import "../interfaces/IFeeCollector.sol";
+import "../interfaces/IPoolRegistry.sol";
+import "../interfaces/IWithdrawalQueue.sol";
+import "./PoolShareToken.sol";
+import "../access/ProtocolRoles.sol";
 
 /**
- * @title FlashLoanPool
+ * @title FlashLoanPoolBase
  * @author JustFlash Protocol
  * @notice Core flash loan pool contract for TRON
  * @dev Implements pool-based flash loan architecture inspired by Aave V3,
- * adapted for TVM's resource model. Supports ERC-4626 vault pattern for LP shares.
+ * adapted for TVM's resource model. Supports ERC-4626 vault pattern for LP shares,
+ * with each token pool's shares issued as a transferable TRC-20 PoolShareToken.
  *
  * Security Features:
  * - ReentrancyGuard on all external entry points
  * - Checks-Effects-Interactions pattern
  * - Balance verification post-callback
  * - Token whitelist support
+ * - Virtual share offset and slippage bounds against share inflation attacks
+ * - Balance-delta accounting, with per-token flags for transfer-tax and rebasing tokens
+ * - Guardian pause (global or per token) that keeps withdrawals open, plus emergency withdrawal mode
+ * - FIFO withdrawal queue for when the pool balance cannot cover a withdrawal
+ * - Optional linear vesting of premiums into share price against just-in-time liquidity
+ * - Role-based admin: token, fee and treasury managers, guardian and default admin
+ *
+ * State is set by _initializeFlashLoanPool instead of a constructor so the same logic can be
+ * deployed directly (FlashLoanPool below) or behind a proxy (FlashLoanPoolUpgradeable).
  */
-contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
+abstract contract FlashLoanPoolBase is
+    IFlashLoanPool,
+    IFlashLoanVault,
+    IWithdrawalQueue,
+    ReentrancyGuard,
+    Pausable,
+    ProtocolRoles
+{
     using SafeERC20 for IERC20;
+    using Math for uint256;
 
     /// @notice Flash loan fee in basis points (5 bps = 0.05%)
     uint256 public flashLoanFeeBps;
@@ -34,24 +60,156 @@ contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
     /// @notice Basis points denominator
     uint256 public constant BPS_DENOMINATOR = 10000;
 
+    /// @notice Virtual shares added to every pool's share supply in conversions
+    /// @dev Together with VIRTUAL_ASSETS this keeps the first deposit 1:1 while making
+    /// donation/inflation attacks on later depositors unprofitable
+    uint256 public constant VIRTUAL_SHARES = 1;
+
+    /// @notice Virtual assets added to every pool's total deposits in conversions
+    uint256 public constant VIRTUAL_ASSETS = 1;
+
+    /// @notice Maximum period over which accrued premiums vest into share price
+    uint256 public constant MAX_FEE_VESTING_PERIOD = 7 days;
+
     /// @notice Fee collector contract address
     IFeeCollector public feeCollector;
 
-    /// @notice Mapping of token => user => pool shares
-    mapping(address => mapping(address => uint256)) private _poolShares;
+    /// @notice Optional registry that must also list a token as active for new loans and deposits
+    /// @dev Zero disables the check; withdrawals only depend on the pool's own whitelist
+    IPoolRegistry public poolRegistry;
 
-    /// @notice Mapping of token => total pool shares
-    mapping(address => uint256) private _totalPoolShares;
+    /// @notice Mapping of token => LP share token
+    mapping(address => PoolShareToken) private _shareTokens;
 
     /// @notice Mapping of token => total deposits (for share calculation)
     mapping(address => uint256) private _totalDeposits;
 
+    /// @notice Per-token flash loan fee override
+    struct FeeOverride {
+        bool enabled;
+        uint256 feeBps;
+    }
+
+    /// @notice Mapping of token => flash loan fee override (falls back to flashLoanFeeBps)
+    mapping(address => FeeOverride) private _feeOverrides;
+
+    /// @notice Token behaviours the pool must account for
+    /// @dev transferTax: transfers may deliver less than the amount sent, so deposits are
+    /// credited with what arrives. rebasing: the balance moves without transfers, so tracked
+    /// deposits follow the balance and the difference belongs to LPs instead of being skimmable.
+    struct TokenFlags {
+        bool transferTax;
+        bool rebasing;
+    }
+
+    /// @notice Mapping of token => behaviour flags
+    mapping(address => TokenFlags) private _tokenFlags;
+
+    /// @notice Volume-based fee tier: borrowers whose cumulative volume reaches minVolume pay feeBps
+    struct VolumeTier {
+        uint256 minVolume;
+        uint256 feeBps;
+    }
+
+    /// @notice Mapping of borrower (receiver or initiator) => discounted fee
+    mapping(address => FeeOverride) private _borrowerFees;
+
+    /// @notice Mapping of token => volume tiers, ascending by minVolume
+    mapping(address => VolumeTier[]) private _volumeTiers;
+
+    /// @notice Mapping of token => initiator => cumulative amount borrowed
+    mapping(address => mapping(address => uint256)) private _cumulativeBorrowed;
+
+    /// @notice Mapping of token => maximum amount per flash loan (0 = uncapped)
+    mapping(address => uint256) private _maxLoanAmounts;
+
+    /// @notice Mapping of token => maximum amount borrowed per block (0 = unlimited)
+    mapping(address => uint256) private _blockBorrowLimits;
+
+    /// @notice Mapping of token => block number of the last borrow
+    mapping(address => uint256) private _lastBorrowBlock;
+
+    /// @notice Mapping of token => amount borrowed in _lastBorrowBlock
+    mapping(address => uint256) private _borrowedInBlock;
+
+    /// @notice Premiums still vesting into a pool's share price
+    /// @dev locked is the unvested amount at lastAccrual and unlocks linearly over period
+    struct FeeVesting {
+        uint256 period;
+        uint256 locked;
+        uint256 lastAccrual;
+    }
+
+    /// @notice Mapping of token => fee vesting state (period 0 = premiums count immediately)
+    mapping(address => FeeVesting) private _feeVesting;
+
+    /// @notice Queued withdrawal: shares already burned, assets owed to owner
+    struct WithdrawalRequest {
+        address owner;
+        address token;
+        uint256 assets;
+        uint256 shares;
+        uint256 queueIndex;
+        uint256 requestedAt;
+        WithdrawalStatus status;
+    }
+
+    /// @notice Per-token FIFO of request ids and the assets they hold back from LPs
+    /// @dev Entries before head are finalized or cancelled; queuedAssets is kept out of
+    /// _totalDeposits and finalizedAssets is reserved for claims
+    struct WithdrawalQueue {
+        uint256[] requestIds;
+        uint256 head;
+        uint256 queuedAssets;
+        uint256 finalizedAssets;
+        uint256 pendingCount;
+    }
+
+    /// @notice Mapping of request id => withdrawal request (ids start at 1)
+    mapping(uint256 => WithdrawalRequest) private _withdrawalRequests;
+
+    /// @notice Number of withdrawal requests ever made
+    uint256 private _withdrawalRequestCount;
+
+    /// @notice Mapping of token => withdrawal queue
+    mapping(address => WithdrawalQueue) private _withdrawalQueues;
+
+    /// @notice Mapping of owner => request ids, oldest first
+    mapping(address => uint256[]) private _ownerWithdrawalRequests;
+
+    /// @notice True once a guardian has declared an emergency
+    /// @dev Blocks flash loans and deposits for every token and opens emergencyWithdraw()
+    bool public emergencyMode;
+
+    /// @notice Mapping of token => paused for flash loans and deposits
+    mapping(address => bool) private _pausedTokens;
+
     /// @notice Mapping of supported tokens (whitelist)
     mapping(address => bool) private _supportedTokens;
 
     /// @notice Array of all supported token addresses
     address[] private _tokenList;
 
+    /// @notice Cumulative flash loan activity of a token
+    /// @dev uniqueBorrowers counts initiators on their first loan of the token. A proxy upgraded
+    /// from an implementation without stats starts every counter from the upgrade.
+    struct PoolStats {
+        uint256 totalBorrowed;
+        uint256 loanCount;
+        uint256 totalPremiums;
+        uint256 uniqueBorrowers;
+        uint256 lastLoanTimestamp;
+    }
+
+    /// @notice Mapping of token => cumulative flash loan activity
+    mapping(address => PoolStats) private _poolStats;
+
+    /// @notice Mapping of adapter => whether it may borrow on behalf of its callers via flashLoanFor
+    mapping(address => bool) private _trustedAdapters;
+
+    /// @dev Reserved slots so upgradeable deployments can add state without shifting the layout
+    uint256[48] private __gap;
+
     /// @notice Emitted when a token is added to the whitelist
     event TokenWhitelisted(address indexed token);
 
@@ -61,9 +219,57 @@ contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
     /// @notice Emitted when flash loan fee is updated
     event FlashLoanFeeUpdated(uint256 oldFee, uint256 newFee);
 
+    /// @notice Emitted when the LP share token for a pool token is deployed
+    event ShareTokenCreated(address indexed token, address indexed shareToken);
+
+    /// @notice Emitted when a per-token fee override is set or cleared
+    event TokenFeeOverrideUpdated(address indexed token, bool enabled, uint256 feeBps);
+
+    /// @notice Emitted when a borrower's discounted fee is set or cleared
+    event BorrowerFeeUpdated(address indexed borrower, bool enabled, uint256 feeBps);
+
+    /// @notice Emitted when a token's transfer-tax or rebasing flags change
+    event TokenFlagsUpdated(address indexed token, bool transferTax, bool rebasing);
+
+    /// @notice Emitted when a token's volume tiers are replaced
+    event VolumeTiersUpdated(address indexed token, uint256[] minVolumes, uint256[] feesBps);
+
+    /// @notice Emitted when a per-token maximum loan size is updated
+    event MaxLoanAmountUpdated(address indexed token, uint256 oldAmount, uint256 newAmount);
+
+    /// @notice Emitted when a per-token per-block borrow limit is updated
+    event BlockBorrowLimitUpdated(address indexed token, uint256 oldLimit, uint256 newLimit);
+
+    /// @notice Emitted when the fee vesting period of a token is updated
+    event FeeVestingPeriodUpdated(address indexed token, uint256 oldPeriod, uint256 newPeriod);
+
+    /// @notice Emitted when tokens held above tracked deposits are sent out
+    event Skimmed(address indexed token, address indexed to, uint256 amount);
+
+    /// @notice Emitted when tracked deposits are reset to the pool balance
+    event Synced(address indexed token, uint256 oldTotalDeposits, uint256 newTotalDeposits);
+
+    /// @notice Emitted when flash loans and deposits are paused for a token
+    event TokenPaused(address indexed token, address indexed account);
+
+    /// @notice Emitted when flash loans and deposits are resumed for a token
+    event TokenUnpaused(address indexed token, address indexed account);
+
+    /// @notice Emitted when emergency mode is switched on or off
+    event EmergencyModeUpdated(bool enabled, address indexed account);
+
+    /// @notice Emitted when a holder exits through emergencyWithdraw()
+    event EmergencyWithdrawal(address indexed owner, address indexed token, uint256 shares, uint256 amount);
+
     /// @notice Emitted when fee collector is updated
     event FeeCollectorUpdated(address indexed oldCollector, address indexed newCollector);
 
+    /// @notice Emitted when the pool registry is updated
+    event PoolRegistryUpdated(address indexed oldRegistry, address indexed newRegistry);
+
+    /// @notice Emitted when an adapter is trusted or untrusted to borrow for its callers
+    event TrustedAdapterUpdated(address indexed adapter, bool trusted);
+
     /// @notice Error thrown when amount is zero
     error ZeroAmount();
 
@@ -85,22 +291,115 @@ contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
     /// @notice Error thrown when address is zero
     error ZeroAddress();
 
+    /// @notice Error thrown when flash loans and deposits are paused for a token
+    error TokenIsPaused(address token);
+
+    /// @notice Error thrown when an action is blocked by emergency mode
+    error EmergencyModeActive();
+
+    /// @notice Error thrown when emergencyWithdraw() is called outside emergency mode
+    error EmergencyModeNotActive();
+
+    /// @notice Error thrown when caller is not the fee collector
+    error UnauthorizedFeeCollector(address caller);
+
+    /// @notice Error thrown when a transfer of an unflagged token moves a different amount than requested
+    error TransferAmountMismatch(address token, uint256 expected, uint256 actual);
+
+    /// @notice Error thrown when a deposit would mint zero shares
+    error ZeroShares();
+
+    /// @notice Error thrown when a deposit mints fewer shares than the caller's minimum
+    error SlippageSharesOut(uint256 shares, uint256 minSharesOut);
+
+    /// @notice Error thrown when a withdrawal returns fewer tokens than the caller's minimum
+    error SlippageAmountOut(uint256 amount, uint256 minAmountOut);
+
     /// @notice Error thrown when insufficient shares
     error InsufficientShares(uint256 requested, uint256 available);
 
+    /// @notice Error thrown when a spender's share allowance is too low
+    error InsufficientShareAllowance(uint256 requested, uint256 allowed);
+
+    /// @notice Error thrown when a loan exceeds the token's maximum loan size
+    error LoanAmountTooLarge(address token, uint256 amount, uint256 maxAmount);
+
+    /// @notice Error thrown when a loan exceeds the token's remaining per-block borrow capacity
+    error BlockBorrowLimitExceeded(address token, uint256 amount, uint256 remaining);
+
+    /// @notice Error thrown when volume tiers are mismatched or not strictly ascending
+    error InvalidVolumeTiers();
+
+    /// @notice Error thrown when a fee vesting period exceeds the maximum
+    error VestingPeriodTooLong(uint256 period, uint256 maxPeriod);
+
+    /// @notice Error thrown when batch arrays are empty or mismatched
+    error InvalidBatchLength(uint256 tokensLength, uint256 amountsLength);
+
+    /// @notice Error thrown when a token appears more than once in a batch
+    error DuplicateToken(address token);
+
+    /// @notice Error thrown when a withdrawal request id does not exist
+    error WithdrawalRequestNotFound(uint256 requestId);
+
+    /// @notice Error thrown when the caller does not own a withdrawal request
+    error NotRequestOwner(uint256 requestId, address caller);
+
+    /// @notice Error thrown when a withdrawal request is no longer pending
+    error WithdrawalNotPending(uint256 requestId);
+
+    /// @notice Error thrown when a withdrawal request cannot be finalized yet
+    error WithdrawalNotReady(uint256 requestId);
+
+    /// @notice Error thrown when the admin tries to renounce control of the pool
+    error DefaultAdminRenounceDisabled();
+
+    /// @notice Error thrown when a referral code is not registered with the fee collector, or none is set
+    error UnknownReferralCode(bytes32 code);
+
+    /// @notice Error thrown when flashLoanFor is called by an adapter governance has not trusted
+    error UntrustedAdapter(address caller);
+
+    /**
+     * @notice Blocks new exposure (flash loans, deposits) while paused or in emergency mode
+     * @param token The token being borrowed or deposited
+     */
+    modifier whenTokenActive(address token) {
+        _requireTokenActive(token);
+        _;
+    }
+
+    /**
+     * @notice Folds any rebase of a rebasing token into tracked deposits before shares are priced
+     * @param token The token being deposited or withdrawn
+     */
+    modifier syncsRebase(address token) {
+        _syncRebase(token);
+        _;
+    }
+
     /**
      * @notice Initializes the flash loan pool
-     * @param initialOwner The address of the initial owner
+     * @dev The initial admin receives the admin role and every operational role
+     * @param initialAdmin The address of the initial admin
      * @param initialFee The initial flash loan fee in basis points
      */
-    constructor(address initialOwner, uint256 initialFee) Ownable(initialOwner) {
+    function _initializeFlashLoanPool(address initialAdmin, uint256 initialFee) internal {
         if (initialFee > MAX_FEE_BPS) revert FeeTooHigh(initialFee, MAX_FEE_BPS);
         flashLoanFeeBps = initialFee;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(TOKEN_MANAGER_ROLE, initialAdmin);
+        _grantRole(FEE_MANAGER_ROLE, initialAdmin);
+        _grantRole(TREASURY_MANAGER_ROLE, initialAdmin);
+        _grantRole(GUARDIAN_ROLE, initialAdmin);
     }
 
     /**
      * @inheritdoc IFlashLoanPool
-     * @dev Implements atomic flash loan with CEI pattern:
+     * @dev The premium is the lowest of the token fee, the receiver's and initiator's
+     * borrower fee and the initiator's volume tier; FlashLoan reports the premium charged.
+     * Implements atomic flash loan with CEI pattern:
      * 1. CHECKS: Validate inputs (amount, liquidity, receiver)
      * 2. EFFECTS: Calculate premium, record pre-balance
      * 3. INTERACTIONS: Transfer, callback, pull repayment
@@ -110,60 +409,95 @@ contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
         address token,
         uint256 amount,
         bytes calldata params
+    ) external override nonReentrant returns (bool) {
+        return _flashLoan(receiverAddress, token, amount, params, bytes32(0), msg.sender);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     * @dev The code is checked before the loan is sent, so it is never silently dropped
+     */
+    function flashLoanWithReferral(
+        address receiverAddress,
+        address token,
+        uint256 amount,
+        bytes calldata params,
+        bytes32 referralCode
+    ) external override nonReentrant returns (bool) {
+        if (address(feeCollector) == address(0) || feeCollector.getReferrer(referralCode) == address(0)) {
+            revert UnknownReferralCode(referralCode);
+        }
+        return _flashLoan(receiverAddress, token, amount, params, referralCode, msg.sender);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function flashLoanFor(
+        address receiverAddress,
+        address token,
+        uint256 amount,
+        bytes calldata params,
+        address borrower
+    ) external override nonReentrant returns (bool) {
+        if (!_trustedAdapters[msg.sender]) revert UntrustedAdapter(msg.sender);
+        if (borrower == address(0)) revert ZeroAddress();
+        return _flashLoan(receiverAddress, token, amount, params, bytes32(0), borrower);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     * @dev Same CEI flow as flashLoan(), applied to every leg:
+     * 1. CHECKS: Validate every leg and reject duplicate tokens
+     * 2. EFFECTS: Calculate premiums, record pre-balances
+     * 3. INTERACTIONS: Transfer all legs, single callback, settle each leg
+     */
+    function flashLoanBatch(
+        address receiverAddress,
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        bytes calldata params
     ) external override nonReentrant returns (bool) {
         // CHECKS
-        if (amount == 0) revert ZeroAmount();
         if (receiverAddress == address(0)) revert ZeroAddress();
-        if (!_supportedTokens[token]) revert TokenNotSupported(token);
-
-        IERC20 tokenContract = IERC20(token);
-        uint256 availableLiquidity = tokenContract.balanceOf(address(this));
 
-        if (amount > availableLiquidity) {
-            revert InsufficientLiquidity(token, amount, availableLiquidity);
+        uint256 length = tokens.length;
+        if (length == 0 || length != amounts.length) {
+            revert InvalidBatchLength(length, amounts.length);
         }
 
-        // EFFECTS
-        uint256 premium = (amount * flashLoanFeeBps) / BPS_DENOMINATOR;
-        uint256 amountPlusPremium = amount + premium;
-        uint256 preBalance = availableLiquidity;
+        uint256[] memory premiums = new uint256[](length);
+        uint256[] memory preBalances = new uint256[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            // A repeated token would be checked against a stale pre-balance
+            for (uint256 j = 0; j < i; j++) {
+                if (tokens[j] == tokens[i]) revert DuplicateToken(tokens[i]);
+            }
+
+            // CHECKS + EFFECTS per leg
+            (premiums[i], preBalances[i]) = _openLoan(receiverAddress, tokens[i], amounts[i], msg.sender);
+        }
 
         // INTERACTIONS
-        // Transfer tokens to receiver
-        tokenContract.safeTransfer(receiverAddress, amount);
+        for (uint256 i = 0; i < length; i++) {
+            IERC20(tokens[i]).safeTransfer(receiverAddress, amounts[i]);
+        }
 
-        // Execute callback on receiver
-        bool success = IFlashLoanReceiver(receiverAddress).executeOperation(
-            token,
-            amount,
-            premium,
+        bool success = IFlashLoanBatchReceiver(receiverAddress).executeBatchOperation(
+            tokens,
+            amounts,
+            premiums,
             msg.sender,
             params
         );
 
         if (!success) revert ReceiverCallbackFailed();
 
-        // Pull repayment (receiver must have approved this contract)
-        tokenContract.safeTransferFrom(receiverAddress, address(this), amountPlusPremium);
-
-        // Verify repayment
-        uint256 postBalance = tokenContract.balanceOf(address(this));
-        if (postBalance < preBalance + premium) {
-            revert FlashLoanRepaymentFailed(token, preBalance + premium, postBalance);
-        }
-
-        // Distribute fees
-        if (premium > 0 && address(feeCollector) != address(0)) {
-            // Transfer premium to fee collector for distribution
-            tokenContract.safeTransfer(address(feeCollector), premium);
-            feeCollector.collectFees(token, premium);
-        } else if (premium > 0) {
-            // If no fee collector, premium stays in pool (increases share value)
-            _totalDeposits[token] += premium;
+        for (uint256 i = 0; i < length; i++) {
+            _settleLoan(receiverAddress, tokens[i], amounts[i], premiums[i], preBalances[i], bytes32(0), msg.sender);
         }
 
-        emit FlashLoan(receiverAddress, token, amount, premium, msg.sender);
-
         return true;
     }
 
@@ -174,36 +508,61 @@ contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
      */
     function deposit(
         address token,
-        uint256 amount
-    ) external override nonReentrant returns (uint256 shares) {
+        uint256 amount,
+        uint256 minSharesOut
+    ) external override nonReentrant whenTokenActive(token) syncsRebase(token) returns (uint256 shares) {
         if (amount == 0) revert ZeroAmount();
-        if (!_supportedTokens[token]) revert TokenNotSupported(token);
+        if (!isTokenSupported(token)) revert TokenNotSupported(token);
 
-        IERC20 tokenContract = IERC20(token);
+        uint256 received = _pullAssets(token, amount);
+        shares = _convertToShares(token, received, Math.Rounding.Floor);
+        if (shares < minSharesOut) revert SlippageSharesOut(shares, minSharesOut);
+        _deposit(token, msg.sender, received, shares);
 
-        // Calculate shares to mint
-        uint256 totalShares = _totalPoolShares[token];
-        uint256 totalDeposited = _totalDeposits[token];
+        return shares;
+    }
 
-        if (totalShares == 0 || totalDeposited == 0) {
-            // First deposit: 1:1 ratio
-            shares = amount;
-        } else {
-            // Subsequent deposits: proportional to existing shares
-            shares = (amount * totalShares) / totalDeposited;
-        }
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function depositFor(
+        address token,
+        uint256 assets,
+        address receiver,
+        uint256 minSharesOut
+    ) external override nonReentrant whenTokenActive(token) syncsRebase(token) returns (uint256 shares) {
+        if (assets == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert ZeroAddress();
+        if (!isTokenSupported(token)) revert TokenNotSupported(token);
+
+        uint256 received = _pullAssets(token, assets);
+        shares = _convertToShares(token, received, Math.Rounding.Floor);
+        if (shares < minSharesOut) revert SlippageSharesOut(shares, minSharesOut);
+        _deposit(token, receiver, received, shares);
 
-        // Effects
-        _poolShares[token][msg.sender] += shares;
-        _totalPoolShares[token] += shares;
-        _totalDeposits[token] += amount;
+        return shares;
+    }
 
-        // Interactions
-        tokenContract.safeTransferFrom(msg.sender, address(this), amount);
+    /**
+     * @inheritdoc IFlashLoanVault
+     * @dev Exact-share mints need the full amount to arrive, so they revert with
+     * TransferAmountMismatch when a transfer-tax token charges its fee; use deposit instead
+     */
+    function mint(
+        address token,
+        uint256 shares,
+        address receiver
+    ) external override nonReentrant whenTokenActive(token) syncsRebase(token) returns (uint256 assets) {
+        if (shares == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert ZeroAddress();
+        if (!isTokenSupported(token)) revert TokenNotSupported(token);
 
-        emit Deposit(msg.sender, token, amount, shares);
+        assets = _convertToAssets(token, shares, Math.Rounding.Ceil);
+        uint256 received = _pullAssets(token, assets);
+        if (received != assets) revert TransferAmountMismatch(token, assets, received);
+        _deposit(token, receiver, assets, shares);
 
-        return shares;
+        return assets;
     }
 
     /**
@@ -213,122 +572,1334 @@ contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
      */
     function withdraw(
         address token,
-        uint256 shares
-    ) external override nonReentrant returns (uint256 amount) {
+        uint256 shares,
+        uint256 minAmountOut
+    ) external override nonReentrant syncsRebase(token) returns (uint256 amount) {
         if (shares == 0) revert ZeroAmount();
         if (!_supportedTokens[token]) revert TokenNotSupported(token);
 
-        uint256 userShares = _poolShares[token][msg.sender];
-        if (shares > userShares) revert InsufficientShares(shares, userShares);
+        amount = _convertToAssets(token, shares, Math.Rounding.Floor);
+        if (amount < minAmountOut) revert SlippageAmountOut(amount, minAmountOut);
+        _withdraw(token, msg.sender, msg.sender, amount, shares);
 
-        uint256 totalShares = _totalPoolShares[token];
-        uint256 totalDeposited = _totalDeposits[token];
+        return amount;
+    }
 
-        // Calculate amount to withdraw (proportional to shares)
-        amount = (shares * totalDeposited) / totalShares;
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function withdrawTo(
+        address token,
+        uint256 shares,
+        address receiver,
+        uint256 minAmountOut
+    ) external override nonReentrant syncsRebase(token) returns (uint256 assets) {
+        if (shares == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert ZeroAddress();
+        if (!_supportedTokens[token]) revert TokenNotSupported(token);
 
-        // Effects
-        _poolShares[token][msg.sender] -= shares;
-        _totalPoolShares[token] -= shares;
-        _totalDeposits[token] -= amount;
+        assets = _convertToAssets(token, shares, Math.Rounding.Floor);
+        if (assets < minAmountOut) revert SlippageAmountOut(assets, minAmountOut);
+        _withdraw(token, receiver, msg.sender, assets, shares);
 
-        // Interactions
-        IERC20(token).safeTransfer(msg.sender, amount);
+        return assets;
+    }
 
-        emit Withdrawal(msg.sender, token, shares, amount);
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function withdrawAssets(
+        address token,
+        uint256 assets,
+        address receiver,
+        address owner
+    ) external override nonReentrant syncsRebase(token) returns (uint256 shares) {
+        if (assets == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert ZeroAddress();
+        if (!_supportedTokens[token]) revert TokenNotSupported(token);
 
-        return amount;
+        shares = _convertToShares(token, assets, Math.Rounding.Ceil);
+        _withdraw(token, receiver, owner, assets, shares);
+
+        return shares;
     }
 
     /**
-     * @inheritdoc IFlashLoanPool
+     * @inheritdoc IFlashLoanVault
      */
-    function getAvailableLiquidity(address token) external view override returns (uint256) {
-        return IERC20(token).balanceOf(address(this));
+    function redeem(
+        address token,
+        uint256 shares,
+        address receiver,
+        address owner
+    ) external override nonReentrant syncsRebase(token) returns (uint256 assets) {
+        if (shares == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert ZeroAddress();
+        if (!_supportedTokens[token]) revert TokenNotSupported(token);
+
+        assets = _convertToAssets(token, shares, Math.Rounding.Floor);
+        _withdraw(token, receiver, owner, assets, shares);
+
+        return assets;
     }
 
     /**
-     * @inheritdoc IFlashLoanPool
+     * @notice Burns all of the caller's shares for a token and returns the assets
+     * @dev Only available in emergency mode; works for delisted tokens and skips
+     * slippage bounds so holders can always exit
+     * @param token The token address
+     * @return amount The amount of tokens withdrawn
      */
-    function getFlashLoanFee() external view override returns (uint256) {
-        return flashLoanFeeBps;
+    function emergencyWithdraw(address token) external nonReentrant syncsRebase(token) returns (uint256 amount) {
+        if (!emergencyMode) revert EmergencyModeNotActive();
+
+        uint256 shares = _shareBalance(token, msg.sender);
+        if (shares == 0) revert ZeroAmount();
+
+        amount = _convertToAssets(token, shares, Math.Rounding.Floor);
+        _withdraw(token, msg.sender, msg.sender, amount, shares);
+
+        emit EmergencyWithdrawal(msg.sender, token, shares, amount);
+
+        return amount;
     }
 
+    // ============ Withdrawal Queue ============
+
     /**
-     * @inheritdoc IFlashLoanPool
+     * @inheritdoc IWithdrawalQueue
+     * @dev Open while paused, like withdraw. The owner stops earning premiums on the
+     * queued assets from this point on.
      */
-    function getPoolShares(address user, address token) external view override returns (uint256) {
-        return _poolShares[token][user];
+    function requestWithdrawal(
+        address token,
+        uint256 shares,
+        uint256 minAmountOut
+    ) external override nonReentrant syncsRebase(token) returns (uint256 requestId) {
+        if (shares == 0) revert ZeroAmount();
+        if (!_supportedTokens[token]) revert TokenNotSupported(token);
+
+        uint256 assets = _convertToAssets(token, shares, Math.Rounding.Floor);
+        if (assets == 0) revert ZeroAmount();
+        if (assets < minAmountOut) revert SlippageAmountOut(assets, minAmountOut);
+
+        PoolShareToken shareToken = _shareTokens[token];
+        uint256 userShares = shareToken.balanceOf(msg.sender);
+        if (shares > userShares) revert InsufficientShares(shares, userShares);
+
+        // Move the assets from LP accounting into the queue
+        _totalDeposits[token] -= assets;
+        shareToken.burn(msg.sender, shares);
+
+        WithdrawalQueue storage queue = _withdrawalQueues[token];
+        requestId = ++_withdrawalRequestCount;
+        _withdrawalRequests[requestId] = WithdrawalRequest({
+            owner: msg.sender,
+            token: token,
+            assets: assets,
+            shares: shares,
+            queueIndex: queue.requestIds.length,
+            requestedAt: block.timestamp,
+            status: WithdrawalStatus.Pending
+        });
+        queue.requestIds.push(requestId);
+        queue.queuedAssets += assets;
+        queue.pendingCount++;
+        _ownerWithdrawalRequests[msg.sender].push(requestId);
+
+        emit WithdrawalRequested(requestId, msg.sender, token, shares, assets);
+
+        return requestId;
     }
 
     /**
-     * @inheritdoc IFlashLoanPool
+     * @inheritdoc IWithdrawalQueue
+     * @dev Anyone may claim; the assets always go to the request owner
      */
-    function getTotalPoolShares(address token) external view override returns (uint256) {
-        return _totalPoolShares[token];
+    function claimWithdrawal(uint256 requestId) external override nonReentrant returns (uint256 assets) {
+        WithdrawalRequest storage request = _getWithdrawalRequest(requestId);
+        address token = request.token;
+        WithdrawalQueue storage queue = _withdrawalQueues[token];
+
+        if (request.status == WithdrawalStatus.Pending) {
+            _processWithdrawals(token, request.queueIndex + 1 - queue.head);
+        }
+        if (request.status != WithdrawalStatus.Finalized) revert WithdrawalNotReady(requestId);
+
+        assets = request.assets;
+        request.status = WithdrawalStatus.Claimed;
+        queue.queuedAssets -= assets;
+        queue.finalizedAssets -= assets;
+
+        _sendAssets(token, request.owner, assets);
+
+        emit WithdrawalClaimed(requestId, request.owner, token, assets);
+
+        return assets;
     }
 
     /**
-     * @notice Returns the total deposits for a token
-     * @param token The token address
-     * @return totalDeposits The total amount deposited
+     * @inheritdoc IWithdrawalQueue
+     * @dev Only pending requests can be cancelled; finalized requests can be claimed instead.
+     * Cancelling is a deposit, so it is refused whenever deposit() would be: the request then
+     * stays queued until it can be paid.
      */
-    function getTotalDeposits(address token) external view returns (uint256) {
-        return _totalDeposits[token];
+    function cancelWithdrawal(uint256 requestId) external override nonReentrant returns (uint256 shares) {
+        WithdrawalRequest storage request = _getWithdrawalRequest(requestId);
+        if (request.owner != msg.sender) revert NotRequestOwner(requestId, msg.sender);
+        if (request.status != WithdrawalStatus.Pending) revert WithdrawalNotPending(requestId);
+
+        address token = request.token;
+        _requireTokenActive(token);
+        if (!isTokenSupported(token)) revert TokenNotSupported(token);
+        _syncRebase(token);
+
+        uint256 assets = request.assets;
+        request.status = WithdrawalStatus.Cancelled;
+        WithdrawalQueue storage queue = _withdrawalQueues[token];
+        queue.queuedAssets -= assets;
+        queue.pendingCount--;
+
+        // Priced before the assets rejoin the pool, like any other deposit
+        shares = _convertToShares(token, assets, Math.Rounding.Floor);
+        _deposit(token, msg.sender, assets, shares);
+
+        emit WithdrawalCancelled(requestId, msg.sender, token, assets, shares);
+
+        return shares;
     }
 
     /**
-     * @notice Converts shares to underlying amount
-     * @param token The token address
-     * @param shares The number of shares
-     * @return amount The underlying token amount
+     * @inheritdoc IWithdrawalQueue
      */
-    function sharesToAmount(address token, uint256 shares) external view returns (uint256 amount) {
-        uint256 totalShares = _totalPoolShares[token];
-        if (totalShares == 0) return shares;
-        return (shares * _totalDeposits[token]) / totalShares;
+    function processWithdrawals(
+        address token,
+        uint256 maxRequests
+    ) external override nonReentrant returns (uint256 finalized) {
+        return _processWithdrawals(token, maxRequests);
     }
 
     /**
-     * @notice Converts underlying amount to shares
-     * @param token The token address
-     * @param amount The token amount
-     * @return shares The equivalent number of shares
+     * @inheritdoc IFlashLoanPool
+     * @dev Not nonReentrant: the fee collector calls back while _settleLoan holds the lock.
+     * Only the part backed by the pool balance is credited, so total deposits never exceed what
+     * the pool holds. During a shortfall the fees refill it first instead of reverting the loan
+     * that paid them. With a vesting period set, the amount reaches share price linearly over that period.
      */
-    function amountToShares(address token, uint256 amount) external view returns (uint256 shares) {
-        uint256 totalDeposited = _totalDeposits[token];
-        if (totalDeposited == 0) return amount;
-        return (amount * _totalPoolShares[token]) / totalDeposited;
+    function accrueFees(address token, uint256 amount) external override {
+        if (msg.sender != address(feeCollector)) revert UnauthorizedFeeCollector(msg.sender);
+
+        uint256 owed = _totalDeposits[token] + _withdrawalQueues[token].queuedAssets;
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 backed = balance > owed ? balance - owed : 0;
+        if (amount > backed) amount = backed;
+        if (amount == 0) return;
+
+        _totalDeposits[token] += amount;
+        _lockFees(token, amount);
+
+        emit FeesAccrued(token, amount);
     }
 
     /**
-     * @notice Checks if a token is supported
-     * @param token The token address
-     * @return supported True if the token is whitelisted
+     * @inheritdoc IFlashLoanVault
      */
-    function isTokenSupported(address token) external view returns (bool) {
-        return _supportedTokens[token];
+    function approveShares(address token, address spender, uint256 shares) external override {
+        if (spender == address(0)) revert ZeroAddress();
+        PoolShareToken shareToken = _shareTokens[token];
+        if (address(shareToken) == address(0)) revert TokenNotSupported(token);
+        shareToken.poolApprove(msg.sender, spender, shares);
+        emit SharesApproval(token, msg.sender, spender, shares);
     }
 
     /**
-     * @notice Returns all supported tokens
-     * @return tokens Array of whitelisted token addresses
+     * @inheritdoc IFlashLoanPool
      */
-    function getSupportedTokens() external view returns (address[] memory) {
-        return _tokenList;
+    function getAvailableLiquidity(address token) external view override returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
     }
 
-    // ============ Admin Functions ============
-
     /**
-     * @notice Adds a token to the whitelist
-     * @param token The token address to whitelist
+     * @inheritdoc IFlashLoanPool
      */
-    function whitelistToken(address token) external onlyOwner {
-        if (token == address(0)) revert ZeroAddress();
+    function maxFlashLoan(address token) public view override returns (uint256) {
+        if (!isTokenSupported(token) || !isTokenActive(token)) return 0;
+
+        uint256 maxAmount = IERC20(token).balanceOf(address(this));
+        uint256 maxLoanAmount = _maxLoanAmounts[token];
+        if (maxLoanAmount != 0) maxAmount = Math.min(maxAmount, maxLoanAmount);
+        if (_blockBorrowLimits[token] != 0) {
+            maxAmount = Math.min(maxAmount, getRemainingBlockBorrowCapacity(token));
+        }
+        return maxAmount;
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function flashFee(address token, uint256 amount) external view override returns (uint256) {
+        if (!isTokenSupported(token)) revert TokenNotSupported(token);
+        return _premium(token, amount, msg.sender, msg.sender);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function flashFeeFor(
+        address token,
+        uint256 amount,
+        address receiver,
+        address initiator
+    ) external view override returns (uint256) {
+        if (!isTokenSupported(token)) revert TokenNotSupported(token);
+        return _premium(token, amount, receiver, initiator);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function quoteFlashLoan(
+        address token,
+        uint256 amount,
+        address receiver,
+        address initiator
+    ) external view override returns (uint256 premium, uint256 maxBorrowable, FlashLoanStatus status) {
+        premium = _premium(token, amount, receiver, initiator);
+        maxBorrowable = maxFlashLoan(token);
+        status = _loanStatus(token, amount, receiver);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function getFlashLoanFee() external view override returns (uint256) {
+        return flashLoanFeeBps;
+    }
+
+    /**
+     * @notice Returns the flash loan fee charged for a token
+     * @param token The token address
+     * @return feeBps The pool override if one is set, then the registry override, otherwise the global fee
+     */
+    function getTokenFee(address token) public view returns (uint256) {
+        FeeOverride storage feeOverride = _feeOverrides[token];
+        if (feeOverride.enabled) return feeOverride.feeBps;
+
+        if (address(poolRegistry) != address(0)) {
+            (bool enabled, uint256 registryFee) = poolRegistry.getFeeOverride(token);
+            if (enabled && registryFee <= MAX_FEE_BPS) return registryFee;
+        }
+        return flashLoanFeeBps;
+    }
+
+    /**
+     * @notice Returns the fee a specific loan would be charged
+     * @param token The token address
+     * @param receiver The loan receiver
+     * @param initiator The address calling flashLoan, or the borrower of an adapter's flashLoanFor
+     * @return feeBps The lowest of the token fee, borrower fees and the initiator's volume tier
+     */
+    function getEffectiveFee(
+        address token,
+        address receiver,
+        address initiator
+    ) public view returns (uint256 feeBps) {
+        feeBps = getTokenFee(token);
+
+        FeeOverride storage receiverFee = _borrowerFees[receiver];
+        if (receiverFee.enabled && receiverFee.feeBps < feeBps) feeBps = receiverFee.feeBps;
+
+        FeeOverride storage initiatorFee = _borrowerFees[initiator];
+        if (initiatorFee.enabled && initiatorFee.feeBps < feeBps) feeBps = initiatorFee.feeBps;
+
+        VolumeTier[] storage tiers = _volumeTiers[token];
+        uint256 volume = _cumulativeBorrowed[token][initiator];
+        for (uint256 i = tiers.length; i > 0; i--) {
+            if (volume >= tiers[i - 1].minVolume) {
+                if (tiers[i - 1].feeBps < feeBps) feeBps = tiers[i - 1].feeBps;
+                break;
+            }
+        }
+
+        return feeBps;
+    }
+
+    /**
+     * @notice Returns whether an adapter may borrow on behalf of its callers
+     * @param adapter The adapter contract
+     * @return trusted True if the adapter may call flashLoanFor
+     */
+    function isTrustedAdapter(address adapter) external view returns (bool) {
+        return _trustedAdapters[adapter];
+    }
+
+    /**
+     * @notice Returns the discounted fee configured for a borrower
+     * @param borrower The receiver or initiator address
+     * @return enabled True if the borrower has a discounted fee
+     * @return feeBps The borrower fee in basis points
+     */
+    function getBorrowerFee(address borrower) external view returns (bool enabled, uint256 feeBps) {
+        FeeOverride storage borrowerFee = _borrowerFees[borrower];
+        return (borrowerFee.enabled, borrowerFee.feeBps);
+    }
+
+    /**
+     * @notice Returns the volume tiers configured for a token
+     * @param token The token address
+     * @return minVolumes Cumulative borrowed amount thresholds, ascending
+     * @return feesBps Fee in basis points for each threshold
+     */
+    function getVolumeTiers(
+        address token
+    ) external view returns (uint256[] memory minVolumes, uint256[] memory feesBps) {
+        VolumeTier[] storage tiers = _volumeTiers[token];
+        minVolumes = new uint256[](tiers.length);
+        feesBps = new uint256[](tiers.length);
+        for (uint256 i = 0; i < tiers.length; i++) {
+            minVolumes[i] = tiers[i].minVolume;
+            feesBps[i] = tiers[i].feeBps;
+        }
+        return (minVolumes, feesBps);
+    }
+
+    /**
+     * @notice Returns the cumulative amount of a token borrowed by an initiator
+     * @param token The token address
+     * @param initiator The address that called flashLoan
+     * @return volume The total borrowed
+     */
+    function getCumulativeBorrowed(address token, address initiator) external view returns (uint256) {
+        return _cumulativeBorrowed[token][initiator];
+    }
+
+    /**
+     * @notice Returns the fee override configured for a token
+     * @param token The token address
+     * @return enabled True if the token has its own fee
+     * @return feeBps The override fee in basis points
+     */
+    function getFeeOverride(address token) external view returns (bool enabled, uint256 feeBps) {
+        FeeOverride storage feeOverride = _feeOverrides[token];
+        return (feeOverride.enabled, feeOverride.feeBps);
+    }
+
+    /**
+     * @notice Returns the behaviour flags configured for a token
+     * @param token The token address
+     * @return transferTax True if transfers of the token may deliver less than the amount sent
+     * @return rebasing True if the token's balances change without transfers
+     */
+    function getTokenFlags(address token) external view returns (bool transferTax, bool rebasing) {
+        TokenFlags storage flags = _tokenFlags[token];
+        return (flags.transferTax, flags.rebasing);
+    }
+
+    /**
+     * @notice Returns the maximum amount per flash loan for a token
+     * @param token The token address
+     * @return maxAmount The cap (0 = uncapped)
+     */
+    function getMaxLoanAmount(address token) external view returns (uint256) {
+        return _maxLoanAmounts[token];
+    }
+
+    /**
+     * @notice Returns the per-block borrow limit for a token
+     * @param token The token address
+     * @return limit The limit (0 = unlimited)
+     */
+    function getBlockBorrowLimit(address token) external view returns (uint256) {
+        return _blockBorrowLimits[token];
+    }
+
+    /**
+     * @notice Returns the fee vesting state of a token
+     * @param token The token address
+     * @return period The vesting period in seconds (0 = premiums count immediately)
+     * @return lockedFees The premiums not yet reflected in share price
+     * @return vestedAt The timestamp at which the current locked premiums are fully vested
+     */
+    function getFeeVesting(
+        address token
+    ) external view returns (uint256 period, uint256 lockedFees, uint256 vestedAt) {
+        FeeVesting storage vesting = _feeVesting[token];
+        lockedFees = _lockedFees(token);
+        vestedAt = lockedFees > 0 ? vesting.lastAccrual + vesting.period : 0;
+        return (vesting.period, lockedFees, vestedAt);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function getPoolStats(
+        address token
+    )
+        external
+        view
+        override
+        returns (
+            uint256 totalBorrowed,
+            uint256 loanCount,
+            uint256 totalPremiums,
+            uint256 uniqueBorrowers,
+            uint256 lastLoanTimestamp
+        )
+    {
+        PoolStats storage stats = _poolStats[token];
+        return (
+            stats.totalBorrowed,
+            stats.loanCount,
+            stats.totalPremiums,
+            stats.uniqueBorrowers,
+            stats.lastLoanTimestamp
+        );
+    }
+
+    /**
+     * @notice Returns the amount of a token borrowed in the current block
+     * @param token The token address
+     * @return borrowed The amount borrowed so far in this block
+     */
+    function getBorrowedThisBlock(address token) public view returns (uint256) {
+        return _lastBorrowBlock[token] == block.number ? _borrowedInBlock[token] : 0;
+    }
+
+    /**
+     * @notice Returns how much more of a token can be borrowed in the current block
+     * @param token The token address
+     * @return remaining The remaining capacity (type(uint256).max if unlimited)
+     */
+    function getRemainingBlockBorrowCapacity(address token) public view returns (uint256) {
+        uint256 limit = _blockBorrowLimits[token];
+        if (limit == 0) return type(uint256).max;
+        uint256 borrowed = getBorrowedThisBlock(token);
+        return borrowed >= limit ? 0 : limit - borrowed;
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function getPoolShares(address user, address token) external view override returns (uint256) {
+        return _shareBalance(token, user);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function getTotalPoolShares(address token) external view override returns (uint256) {
+        return _totalShares(token);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     */
+    function getShareToken(address token) external view override returns (address) {
+        return address(_shareTokens[token]);
+    }
+
+    /**
+     * @notice Returns the total deposits for a token
+     * @param token The token address
+     * @return totalDeposits The total amount deposited
+     */
+    function getTotalDeposits(address token) external view returns (uint256) {
+        return _totalDeposits[token];
+    }
+
+    /**
+     * @notice Returns the pool balance not backed by tracked deposits or queued withdrawals
+     * @dev Non-zero only after direct transfers (donations); see skim() and sync()
+     * @param token The token address
+     * @return excess The balance above total deposits
+     */
+    function getExcessBalance(address token) public view returns (uint256) {
+        // A rebasing token's balance drift belongs to LPs and is folded in by _syncRebase
+        if (_tokenFlags[token].rebasing) return 0;
+
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 owed = _totalDeposits[token] + _withdrawalQueues[token].queuedAssets;
+        return balance > owed ? balance - owed : 0;
+    }
+
+    /**
+     * @inheritdoc IFlashLoanPool
+     * @dev Zero for rebasing tokens, whose balance drift is folded in by _syncRebase
+     */
+    function getShortfall(address token) external view override returns (uint256) {
+        if (_tokenFlags[token].rebasing) return 0;
+
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 owed = _totalDeposits[token] + _withdrawalQueues[token].queuedAssets;
+        return owed > balance ? owed - balance : 0;
+    }
+
+    /**
+     * @notice Converts shares to underlying amount
+     * @param token The token address
+     * @param shares The number of shares
+     * @return amount The underlying token amount
+     */
+    function sharesToAmount(address token, uint256 shares) external view returns (uint256 amount) {
+        return _convertToAssets(token, shares, Math.Rounding.Floor);
+    }
+
+    /**
+     * @notice Converts underlying amount to shares
+     * @param token The token address
+     * @param amount The token amount
+     * @return shares The equivalent number of shares
+     */
+    function amountToShares(address token, uint256 amount) external view returns (uint256 shares) {
+        return _convertToShares(token, amount, Math.Rounding.Floor);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function shareAllowance(
+        address token,
+        address owner,
+        address spender
+    ) external view override returns (uint256) {
+        PoolShareToken shareToken = _shareTokens[token];
+        if (address(shareToken) == address(0)) return 0;
+        return shareToken.allowance(owner, spender);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     * @dev Excludes premiums that are still vesting
+     */
+    function totalAssets(address token) external view override returns (uint256) {
+        return _vestedDeposits(token);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function previewDeposit(address token, uint256 assets) external view override returns (uint256) {
+        return _convertToShares(token, assets, Math.Rounding.Floor);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function previewMint(address token, uint256 shares) external view override returns (uint256) {
+        return _convertToAssets(token, shares, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function previewWithdraw(address token, uint256 assets) external view override returns (uint256) {
+        return _convertToShares(token, assets, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function previewRedeem(address token, uint256 shares) external view override returns (uint256) {
+        return _convertToAssets(token, shares, Math.Rounding.Floor);
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function maxDeposit(address token, address) external view override returns (uint256) {
+        return isTokenSupported(token) && isTokenActive(token) ? type(uint256).max : 0;
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function maxMint(address token, address) external view override returns (uint256) {
+        return isTokenSupported(token) && isTokenActive(token) ? type(uint256).max : 0;
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function maxWithdraw(address token, address owner) external view override returns (uint256) {
+        if (!_supportedTokens[token]) return 0;
+        uint256 ownerAssets = _convertToAssets(token, _shareBalance(token, owner), Math.Rounding.Floor);
+        return Math.min(ownerAssets, _liquidBalance(token));
+    }
+
+    /**
+     * @inheritdoc IFlashLoanVault
+     */
+    function maxRedeem(address token, address owner) external view override returns (uint256) {
+        if (!_supportedTokens[token]) return 0;
+        uint256 liquidShares = _convertToShares(token, _liquidBalance(token), Math.Rounding.Floor);
+        return Math.min(_shareBalance(token, owner), liquidShares);
+    }
+
+    /**
+     * @notice Checks if a token is supported for flash loans and deposits
+     * @dev When a pool registry is set, the token must also be registered and active there
+     * and mapped to this pool
+     * @param token The token address
+     * @return supported True if the token is whitelisted (and active in the registry for this pool, if any)
+     */
+    function isTokenSupported(address token) public view returns (bool) {
+        if (!_supportedTokens[token]) return false;
+        if (address(poolRegistry) == address(0)) return true;
+        return poolRegistry.getPool(token) == address(this) && poolRegistry.isTokenSupported(token);
+    }
+
+    /**
+     * @notice Checks if a token is on the pool's own whitelist, ignoring the registry
+     * @param token The token address
+     * @return whitelisted True if the token is whitelisted in the pool
+     */
+    function isTokenWhitelisted(address token) external view returns (bool) {
+        return _supportedTokens[token];
+    }
+
+    /**
+     * @notice Checks if flash loans and deposits are paused for a token
+     * @param token The token address
+     * @return paused True if the token itself is paused (ignores the global pause)
+     */
+    function isTokenPaused(address token) external view returns (bool) {
+        return _pausedTokens[token];
+    }
+
+    /**
+     * @notice Checks if a token currently accepts flash loans and deposits
+     * @param token The token address
+     * @return active False while globally paused, token-paused or in emergency mode
+     */
+    function isTokenActive(address token) public view returns (bool) {
+        return !paused() && !_pausedTokens[token] && !emergencyMode;
+    }
+
+    /**
+     * @notice Returns all supported tokens
+     * @return tokens Array of whitelisted token addresses
+     */
+    function getSupportedTokens() external view returns (address[] memory) {
+        return _tokenList;
+    }
+
+    /**
+     * @inheritdoc IWithdrawalQueue
+     */
+    function getWithdrawalRequest(
+        uint256 requestId
+    )
+        external
+        view
+        override
+        returns (
+            address owner,
+            address token,
+            uint256 assets,
+            uint256 shares,
+            uint256 requestedAt,
+            WithdrawalStatus status
+        )
+    {
+        WithdrawalRequest storage request = _withdrawalRequests[requestId];
+        return (
+            request.owner,
+            request.token,
+            request.assets,
+            request.shares,
+            request.requestedAt,
+            request.status
+        );
+    }
+
+    /**
+     * @inheritdoc IWithdrawalQueue
+     */
+    function getWithdrawalRequests(address owner) external view override returns (uint256[] memory) {
+        return _ownerWithdrawalRequests[owner];
+    }
+
+    /**
+     * @inheritdoc IWithdrawalQueue
+     */
+    function getWithdrawalQueue(
+        address token
+    ) external view override returns (uint256 queuedAssets, uint256 finalizedAssets, uint256 pendingRequests) {
+        WithdrawalQueue storage queue = _withdrawalQueues[token];
+        return (queue.queuedAssets, queue.finalizedAssets, queue.pendingCount);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Reverts unless the token accepts flash loans and deposits
+     * @param token The token address
+     */
+    function _requireTokenActive(address token) private view {
+        _requireNotPaused();
+        if (emergencyMode) revert EmergencyModeActive();
+        if (_pausedTokens[token]) revert TokenIsPaused(token);
+    }
+
+    /**
+     * @notice Runs the checks of _flashLoan, _openLoan and _useBorrowCapacity without reverting
+     * @dev Must stay in the same order as those checks so quotes report the error a loan would hit
+     * @param token The token to borrow
+     * @param amount The amount to borrow
+     * @param receiverAddress The loan receiver
+     * @return status Available, or the first failing check
+     */
+    function _loanStatus(
+        address token,
+        uint256 amount,
+        address receiverAddress
+    ) private view returns (FlashLoanStatus) {
+        if (receiverAddress == address(0)) return FlashLoanStatus.ZeroAddress;
+        if (!isTokenActive(token)) return FlashLoanStatus.Paused;
+        if (amount == 0) return FlashLoanStatus.ZeroAmount;
+        if (!isTokenSupported(token)) return FlashLoanStatus.TokenNotSupported;
+        if (amount > IERC20(token).balanceOf(address(this))) return FlashLoanStatus.InsufficientLiquidity;
+
+        uint256 maxLoanAmount = _maxLoanAmounts[token];
+        if (maxLoanAmount != 0 && amount > maxLoanAmount) return FlashLoanStatus.LoanAmountTooLarge;
+        if (_blockBorrowLimits[token] != 0 && amount > getRemainingBlockBorrowCapacity(token)) {
+            return FlashLoanStatus.BlockBorrowLimitExceeded;
+        }
+        return FlashLoanStatus.Available;
+    }
+
+    /**
+     * @notice Runs a single-token flash loan
+     * @dev CEI flow: _openLoan checks and records, then transfer and callback, then _settleLoan
+     * @param receiverAddress The IFlashLoanReceiver contract receiving the loan
+     * @param token The token to borrow
+     * @param amount The amount to borrow
+     * @param params Arbitrary data forwarded to the receiver
+     * @param referralCode The referral code credited with part of the premium (zero for none)
+     * @param initiator The address charged for the loan (msg.sender, or an adapter's borrower)
+     * @return success True if the flash loan was repaid
+     */
+    function _flashLoan(
+        address receiverAddress,
+        address token,
+        uint256 amount,
+        bytes calldata params,
+        bytes32 referralCode,
+        address initiator
+    ) private returns (bool) {
+        // CHECKS + EFFECTS
+        if (receiverAddress == address(0)) revert ZeroAddress();
+        (uint256 premium, uint256 preBalance) = _openLoan(receiverAddress, token, amount, initiator);
+
+        // INTERACTIONS
+        // Transfer tokens to receiver
+        IERC20(token).safeTransfer(receiverAddress, amount);
+
+        // Execute callback on receiver
+        bool success = IFlashLoanReceiver(receiverAddress).executeOperation(
+            token,
+            amount,
+            premium,
+            msg.sender,
+            params
+        );
+
+        if (!success) revert ReceiverCallbackFailed();
+
+        _settleLoan(receiverAddress, token, amount, premium, preBalance, referralCode, initiator);
+
+        return true;
+    }
+
+    /**
+     * @notice Validates a loan leg, consumes borrow capacity and records borrower volume
+     * @dev Keep the checks in step with _loanStatus, which quoteFlashLoan reports
+     * @param receiverAddress The loan receiver
+     * @param token The token to borrow
+     * @param amount The amount to borrow
+     * @param initiator The address charged for the loan
+     * @return premium The premium owed at the loan's effective fee
+     * @return preBalance The pool balance before the loan is sent
+     */
+    function _openLoan(
+        address receiverAddress,
+        address token,
+        uint256 amount,
+        address initiator
+    ) private returns (uint256 premium, uint256 preBalance) {
+        _requireTokenActive(token);
+        if (amount == 0) revert ZeroAmount();
+        if (!isTokenSupported(token)) revert TokenNotSupported(token);
+        _syncRebase(token);
+
+        preBalance = IERC20(token).balanceOf(address(this));
+        if (amount > preBalance) {
+            revert InsufficientLiquidity(token, amount, preBalance);
+        }
+
+        _useBorrowCapacity(token, amount);
+        premium = _premium(token, amount, receiverAddress, initiator);
+        _recordLoan(token, amount, premium, initiator);
+
+        return (premium, preBalance);
+    }
+
+    /**
+     * @notice Records a loan leg in the initiator's volume and the token's statistics
+     * @param token The token borrowed
+     * @param amount The amount borrowed
+     * @param premium The premium owed
+     * @param initiator The address charged for the loan
+     */
+    function _recordLoan(address token, uint256 amount, uint256 premium, address initiator) private {
+        PoolStats storage stats = _poolStats[token];
+        if (_cumulativeBorrowed[token][initiator] == 0) stats.uniqueBorrowers += 1;
+        _cumulativeBorrowed[token][initiator] += amount;
+
+        stats.totalBorrowed += amount;
+        stats.loanCount += 1;
+        stats.totalPremiums += premium;
+        stats.lastLoanTimestamp = block.timestamp;
+    }
+
+    /**
+     * @notice Calculates the premium owed on a loan
+     * @param token The token address
+     * @param amount The loan amount
+     * @param receiver The loan receiver
+     * @param initiator The address charged for the loan
+     * @return premium The premium at the loan's effective fee
+     */
+    function _premium(
+        address token,
+        uint256 amount,
+        address receiver,
+        address initiator
+    ) private view returns (uint256) {
+        return (amount * getEffectiveFee(token, receiver, initiator)) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @notice Enforces the token's loan size cap and consumes per-block borrow capacity
+     * @param token The token address
+     * @param amount The loan amount
+     */
+    function _useBorrowCapacity(address token, uint256 amount) private {
+        uint256 maxLoanAmount = _maxLoanAmounts[token];
+        if (maxLoanAmount != 0 && amount > maxLoanAmount) {
+            revert LoanAmountTooLarge(token, amount, maxLoanAmount);
+        }
+
+        if (_blockBorrowLimits[token] == 0) return;
+
+        uint256 remaining = getRemainingBlockBorrowCapacity(token);
+        if (amount > remaining) revert BlockBorrowLimitExceeded(token, amount, remaining);
+
+        _borrowedInBlock[token] = getBorrowedThisBlock(token) + amount;
+        _lastBorrowBlock[token] = block.number;
+    }
+
+    /**
+     * @notice Converts an asset amount to pool shares
+     * @dev Uses the virtual offset, so empty pools convert 1:1 and an attacker
+     * inflating the share price forfeits most of the donation to the virtual shares.
+     * Premiums still vesting are left out of the price.
+     * @param token The token address
+     * @param assets The token amount
+     * @param rounding The rounding direction
+     * @return shares The equivalent number of shares
+     */
+    function _convertToShares(
+        address token,
+        uint256 assets,
+        Math.Rounding rounding
+    ) private view returns (uint256) {
+        return assets.mulDiv(
+            _totalShares(token) + VIRTUAL_SHARES,
+            _vestedDeposits(token) + VIRTUAL_ASSETS,
+            rounding
+        );
+    }
+
+    /**
+     * @notice Converts pool shares to an asset amount
+     * @dev Uses the same virtual offset and vested deposits as _convertToShares
+     * @param token The token address
+     * @param shares The number of shares
+     * @param rounding The rounding direction
+     * @return assets The underlying token amount
+     */
+    function _convertToAssets(
+        address token,
+        uint256 shares,
+        Math.Rounding rounding
+    ) private view returns (uint256) {
+        return shares.mulDiv(
+            _vestedDeposits(token) + VIRTUAL_ASSETS,
+            _totalShares(token) + VIRTUAL_SHARES,
+            rounding
+        );
+    }
+
+    /**
+     * @notice Returns an account's balance of a pool's share token
+     * @param token The token address
+     * @param account The share holder
+     * @return shares The share balance (0 if no share token exists)
+     */
+    function _shareBalance(address token, address account) private view returns (uint256) {
+        PoolShareToken shareToken = _shareTokens[token];
+        if (address(shareToken) == address(0)) return 0;
+        return shareToken.balanceOf(account);
+    }
+
+    /**
+     * @notice Returns the outstanding supply of a pool's share token
+     * @param token The token address
+     * @return shares The total shares (0 if no share token exists)
+     */
+    function _totalShares(address token) private view returns (uint256) {
+        PoolShareToken shareToken = _shareTokens[token];
+        if (address(shareToken) == address(0)) return 0;
+        return shareToken.totalSupply();
+    }
+
+    /**
+     * @notice Returns tracked deposits minus premiums that are still vesting
+     * @param token The token address
+     * @return vested The deposits that back share price
+     */
+    function _vestedDeposits(address token) private view returns (uint256) {
+        uint256 tracked = _totalDeposits[token];
+        uint256 locked = _lockedFees(token);
+        return tracked > locked ? tracked - locked : 0;
+    }
+
+    /**
+     * @notice Returns the part of accrued premiums not yet vested into share price
+     * @param token The token address
+     * @return locked The unvested premiums
+     */
+    function _lockedFees(address token) private view returns (uint256) {
+        FeeVesting storage vesting = _feeVesting[token];
+        if (vesting.period == 0 || vesting.locked == 0) return 0;
+
+        uint256 elapsed = block.timestamp - vesting.lastAccrual;
+        if (elapsed >= vesting.period) return 0;
+        return (vesting.locked * (vesting.period - elapsed)) / vesting.period;
+    }
+
+    /**
+     * @notice Starts vesting newly accrued premiums
+     * @dev Premiums still locked are rolled into the new amount and restart the period,
+     * so a loan right after a deposit never unlocks earlier premiums faster
+     * @param token The token address
+     * @param amount The premiums just added to tracked deposits
+     */
+    function _lockFees(address token, uint256 amount) private {
+        FeeVesting storage vesting = _feeVesting[token];
+        if (vesting.period == 0) return;
+
+        vesting.locked = _lockedFees(token) + amount;
+        vesting.lastAccrual = block.timestamp;
+    }
+
+    /**
+     * @notice Deploys the LP share token for a newly whitelisted pool token
+     * @dev Name and symbol are derived from the underlying ("JustFlash USDT LP", "jfUSDT");
+     * tokens without metadata fall back to a generic name and 6 decimals
+     * @param token The token address
+     */
+    function _createShareToken(address token) private {
+        string memory symbol;
+        uint8 tokenDecimals;
+        try IERC20Metadata(token).symbol() returns (string memory tokenSymbol) {
+            symbol = tokenSymbol;
+        } catch {
+            symbol = "TOKEN";
+        }
+        try IERC20Metadata(token).decimals() returns (uint8 value) {
+            tokenDecimals = value;
+        } catch {
+            tokenDecimals = 6;
+        }
+
+        PoolShareToken shareToken = new PoolShareToken(
+            token,
+            string.concat("JustFlash ", symbol, " LP"),
+            string.concat("jf", symbol),
+            tokenDecimals
+        );
+        _shareTokens[token] = shareToken;
+
+        emit ShareTokenCreated(token, address(shareToken));
+    }
+
+    /**
+     * @notice Credits shares to a receiver for assets already pulled with _pullAssets
+     * @param token The token address
+     * @param receiver The address credited with shares
+     * @param assets The amount of tokens received
+     * @param shares The number of shares to mint
+     */
+    function _deposit(address token, address receiver, uint256 assets, uint256 shares) private {
+        // A deposit rounded down to zero shares would be donated to existing holders
+        if (shares == 0) revert ZeroShares();
+
+        _totalDeposits[token] += assets;
+        _shareTokens[token].mint(receiver, shares);
+
+        emit Deposit(receiver, token, assets, shares);
+    }
+
+    /**
+     * @notice Pulls assets from the caller and returns the amount that actually arrived
+     * @dev Runs before shares are priced so transfer-tax tokens are credited with the
+     * received amount. Any difference on a token without the transfer-tax or rebasing flag reverts.
+     * @param token The token address
+     * @param amount The amount to pull
+     * @return received The increase in the pool's balance
+     */
+    function _pullAssets(address token, uint256 amount) private returns (uint256 received) {
+        IERC20 tokenContract = IERC20(token);
+        uint256 balanceBefore = tokenContract.balanceOf(address(this));
+        tokenContract.safeTransferFrom(msg.sender, address(this), amount);
+        received = tokenContract.balanceOf(address(this)) - balanceBefore;
+
+        if (received != amount && !_allowsTransferDelta(token)) {
+            revert TransferAmountMismatch(token, amount, received);
+        }
+    }
+
+    /**
+     * @notice Checks if a transfer of the token may move a different amount than requested
+     * @dev Rebasing tokens derive balances from an index, so their transfers can round
+     * @param token The token address
+     * @return allowed True if the token has the transfer-tax or rebasing flag
+     */
+    function _allowsTransferDelta(address token) private view returns (bool) {
+        TokenFlags storage flags = _tokenFlags[token];
+        return flags.transferTax || flags.rebasing;
+    }
+
+    /**
+     * @notice Sets tracked deposits of a rebasing token to the pool balance net of queued withdrawals
+     * @dev No-op for tokens without the rebasing flag. Queued requests are fixed amounts,
+     * so rebases only move LP share value
+     * @param token The token address
+     */
+    function _syncRebase(address token) private {
+        if (!_tokenFlags[token].rebasing) return;
+
+        uint256 oldTotalDeposits = _totalDeposits[token];
+        uint256 newTotalDeposits = _liquidBalance(token);
+        if (newTotalDeposits == oldTotalDeposits) return;
+
+        _totalDeposits[token] = newTotalDeposits;
+        emit Synced(token, oldTotalDeposits, newTotalDeposits);
+    }
+
+    /**
+     * @notice Burns an owner's shares and sends assets to a receiver
+     * @dev Spends the caller's share allowance when acting on behalf of owner
+     * @param token The token address
+     * @param receiver The address receiving the tokens
+     * @param owner The address whose shares are burned
+     * @param assets The amount of tokens to send
+     * @param shares The number of shares to burn
+     */
+    function _withdraw(
+        address token,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares
+    ) private {
+        PoolShareToken shareToken = _shareTokens[token];
+
+        if (msg.sender != owner) {
+            uint256 allowed = shareToken.allowance(owner, msg.sender);
+            if (shares > allowed) revert InsufficientShareAllowance(shares, allowed);
+            shareToken.poolSpendAllowance(owner, msg.sender, shares);
+        }
+
+        uint256 userShares = shareToken.balanceOf(owner);
+        if (shares > userShares) revert InsufficientShares(shares, userShares);
+
+        // Queued withdrawals are paid first; a short pool must be exited through the queue
+        uint256 available = _liquidBalance(token);
+        if (assets > available) revert InsufficientLiquidity(token, assets, available);
+
+        // Effects
+        _totalDeposits[token] -= assets;
+        shareToken.burn(owner, shares);
+
+        // Interactions
+        _sendAssets(token, receiver, assets);
+
+        emit Withdrawal(owner, token, shares, assets);
+    }
+
+    /**
+     * @notice Transfers assets out of the pool, measuring what actually left
+     * @dev If a transfer tax is charged on top of the amount sent, the extra is
+     * taken out of tracked deposits so they keep matching the balance
+     * @param token The token address
+     * @param receiver The address receiving the tokens
+     * @param assets The amount of tokens to send
+     */
+    function _sendAssets(address token, address receiver, uint256 assets) private {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransfer(receiver, assets);
+        uint256 sent = balanceBefore - IERC20(token).balanceOf(address(this));
+
+        if (sent != assets) {
+            if (!_allowsTransferDelta(token)) revert TransferAmountMismatch(token, assets, sent);
+            if (sent > assets) {
+                uint256 tracked = _totalDeposits[token];
+                uint256 extra = sent - assets;
+                _totalDeposits[token] = tracked > extra ? tracked - extra : 0;
+            }
+        }
+    }
+
+    /**
+     * @notice Returns the pool balance not owed to queued withdrawals
+     * @param token The token address
+     * @return liquid The balance LPs can withdraw directly
+     */
+    function _liquidBalance(address token) private view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 queued = _withdrawalQueues[token].queuedAssets;
+        return balance > queued ? balance - queued : 0;
+    }
+
+    /**
+     * @notice Looks up a withdrawal request, reverting if it does not exist
+     * @param requestId The request identifier
+     * @return request The stored request
+     */
+    function _getWithdrawalRequest(uint256 requestId) private view returns (WithdrawalRequest storage request) {
+        request = _withdrawalRequests[requestId];
+        if (request.status == WithdrawalStatus.None) revert WithdrawalRequestNotFound(requestId);
+    }
+
+    /**
+     * @notice Finalizes pending requests from the head of a token's queue
+     * @dev Stops at the first request the unreserved balance cannot cover, so later
+     * (possibly smaller) requests never jump the queue. Cancelled entries are skipped.
+     * @param token The token address
+     * @param maxRequests The maximum number of queue entries to walk
+     * @return finalized The number of requests finalized
+     */
+    function _processWithdrawals(address token, uint256 maxRequests) private returns (uint256 finalized) {
+        WithdrawalQueue storage queue = _withdrawalQueues[token];
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 available = balance > queue.finalizedAssets ? balance - queue.finalizedAssets : 0;
+        uint256 head = queue.head;
+        uint256 end = queue.requestIds.length;
+        if (end - head > maxRequests) end = head + maxRequests;
+
+        for (; head < end; head++) {
+            uint256 requestId = queue.requestIds[head];
+            WithdrawalRequest storage request = _withdrawalRequests[requestId];
+            if (request.status != WithdrawalStatus.Pending) continue;
+            if (request.assets > available) break;
+
+            available -= request.assets;
+            request.status = WithdrawalStatus.Finalized;
+            queue.finalizedAssets += request.assets;
+            queue.pendingCount--;
+            finalized++;
+
+            emit WithdrawalFinalized(requestId, token, request.assets);
+        }
+
+        queue.head = head;
+    }
+
+    /**
+     * @notice Pulls repayment for a single loan leg, verifies it and distributes the premium
+     * @dev Repayment is verified on the pool balance, so a receiver of a transfer-tax token
+     * must cover the tax, e.g. by transferring the shortfall to the pool before returning
+     * @param receiverAddress The receiver that must have approved amount + premium
+     * @param token The borrowed token
+     * @param amount The borrowed amount
+     * @param premium The premium owed
+     * @param preBalance The pool balance recorded before the loan was sent
+     * @param referralCode The referral code credited with part of the premium (zero for none)
+     * @param initiator The address charged for the loan, reported in FlashLoan
+     */
+    function _settleLoan(
+        address receiverAddress,
+        address token,
+        uint256 amount,
+        uint256 premium,
+        uint256 preBalance,
+        bytes32 referralCode,
+        address initiator
+    ) private {
+        IERC20 tokenContract = IERC20(token);
+
+        // Pull repayment (receiver must have approved this contract)
+        tokenContract.safeTransferFrom(receiverAddress, address(this), amount + premium);
+
+        // Verify repayment
+        uint256 postBalance = tokenContract.balanceOf(address(this));
+        if (postBalance < preBalance + premium) {
+            revert FlashLoanRepaymentFailed(token, preBalance + premium, postBalance);
+        }
+
+        emit FlashLoan(receiverAddress, token, amount, premium, initiator);
+
+        // Distribute fees
+        if (address(feeCollector) != address(0)) {
+            // Transfer premium to fee collector and report what arrived, net of any transfer tax
+            uint256 collected;
+            if (premium > 0) {
+                uint256 collectorBalance = tokenContract.balanceOf(address(feeCollector));
+                tokenContract.safeTransfer(address(feeCollector), premium);
+                collected = tokenContract.balanceOf(address(feeCollector)) - collectorBalance;
+            }
+            if (referralCode != bytes32(0)) {
+                // Reported at zero premium too, so the referrer's stats count every referred loan
+                feeCollector.collectReferredFees(token, collected, referralCode, amount);
+            } else if (premium > 0) {
+                feeCollector.collectFees(token, collected);
+            }
+        } else if (premium > 0) {
+            // If no fee collector, premium stays in pool (increases share value)
+            _totalDeposits[token] += premium;
+            _lockFees(token, premium);
+        }
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @inheritdoc AccessControl
+     * @dev The pool holds LP funds, so DEFAULT_ADMIN_ROLE can only be handed over, never renounced.
+     * Other roles can still be renounced.
+     */
+    function renounceRole(bytes32 role, address callerConfirmation) public override {
+        if (role == DEFAULT_ADMIN_ROLE) revert DefaultAdminRenounceDisabled();
+        super.renounceRole(role, callerConfirmation);
+    }
+
+    /**
+     * @notice Adds a token to the whitelist
+     * @dev Deploys the pool's LP share token on first whitelisting; re-whitelisting
+     * a delisted token reuses the existing share token so holders keep their position
+     * @param token The token address to whitelist
+     */
+    function whitelistToken(address token) external onlyRole(TOKEN_MANAGER_ROLE) {
+        if (token == address(0)) revert ZeroAddress();
         if (!_supportedTokens[token]) {
             _supportedTokens[token] = true;
             _tokenList.push(token);
+            if (address(_shareTokens[token]) == address(0)) {
+                _createShareToken(token);
+            }
             emit TokenWhitelisted(token);
         }
     }
@@ -337,7 +1908,7 @@ contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
      * @notice Removes a token from the whitelist
      * @param token The token address to delist
      */
-    function delistToken(address token) external onlyOwner {
+    function delistToken(address token) external onlyRole(TOKEN_MANAGER_ROLE) {
         if (_supportedTokens[token]) {
             _supportedTokens[token] = false;
             // Remove from token list
@@ -352,24 +1923,268 @@ contract FlashLoanPool is IFlashLoanPool, ReentrancyGuard, Ownable {
         }
     }
 
+    /**
+     * @notice Sends tokens held above tracked deposits (stray donations) to a recipient
+     * @param token The token address
+     * @param to The recipient of the excess balance
+     * @return amount The amount skimmed
+     */
+    function skim(
+        address token,
+        address to
+    ) external onlyRole(TREASURY_MANAGER_ROLE) nonReentrant returns (uint256 amount) {
+        if (to == address(0)) revert ZeroAddress();
+
+        amount = getExcessBalance(token);
+        if (amount > 0) {
+            IERC20(token).safeTransfer(to, amount);
+            emit Skimmed(token, to, amount);
+        }
+
+        return amount;
+    }
+
+    /**
+     * @notice Resets tracked deposits to the pool balance, crediting stray donations to LPs
+     * @dev Assets owed to queued withdrawals are left out
+     * @param token The token address
+     */
+    function sync(address token) external onlyRole(TREASURY_MANAGER_ROLE) nonReentrant {
+        uint256 oldTotalDeposits = _totalDeposits[token];
+        uint256 newTotalDeposits = _liquidBalance(token);
+        _totalDeposits[token] = newTotalDeposits;
+
+        emit Synced(token, oldTotalDeposits, newTotalDeposits);
+    }
+
     /**
      * @notice Updates the flash loan fee
      * @param newFeeBps The new fee in basis points
      */
-    function setFlashLoanFee(uint256 newFeeBps) external onlyOwner {
+    function setFlashLoanFee(uint256 newFeeBps) external onlyRole(FEE_MANAGER_ROLE) {
         if (newFeeBps > MAX_FEE_BPS) revert FeeTooHigh(newFeeBps, MAX_FEE_BPS);
         uint256 oldFee = flashLoanFeeBps;
         flashLoanFeeBps = newFeeBps;
         emit FlashLoanFeeUpdated(oldFee, newFeeBps);
     }
 
+    /**
+     * @notice Sets a flash loan fee for a single token, overriding the global fee
+     * @param token The token address
+     * @param feeBps The token's fee in basis points
+     */
+    function setTokenFee(address token, uint256 feeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (feeBps > MAX_FEE_BPS) revert FeeTooHigh(feeBps, MAX_FEE_BPS);
+        _feeOverrides[token] = FeeOverride({enabled: true, feeBps: feeBps});
+        emit TokenFeeOverrideUpdated(token, true, feeBps);
+    }
+
+    /**
+     * @notice Removes a token's fee override so it pays the global fee again
+     * @param token The token address
+     */
+    function clearTokenFee(address token) external onlyRole(FEE_MANAGER_ROLE) {
+        delete _feeOverrides[token];
+        emit TokenFeeOverrideUpdated(token, false, 0);
+    }
+
+    /**
+     * @notice Grants a borrower a reduced (or zero) fee when it is the receiver or initiator
+     * @dev Intended for protocol-owned liquidation and arbitrage contracts
+     * @param borrower The receiver or initiator address
+     * @param feeBps The discounted fee in basis points
+     */
+    function setBorrowerFee(address borrower, uint256 feeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (borrower == address(0)) revert ZeroAddress();
+        if (feeBps > MAX_FEE_BPS) revert FeeTooHigh(feeBps, MAX_FEE_BPS);
+        _borrowerFees[borrower] = FeeOverride({enabled: true, feeBps: feeBps});
+        emit BorrowerFeeUpdated(borrower, true, feeBps);
+    }
+
+    /**
+     * @notice Removes a borrower's discounted fee
+     * @param borrower The receiver or initiator address
+     */
+    function clearBorrowerFee(address borrower) external onlyRole(FEE_MANAGER_ROLE) {
+        delete _borrowerFees[borrower];
+        emit BorrowerFeeUpdated(borrower, false, 0);
+    }
+
+    /**
+     * @notice Replaces a token's volume tiers
+     * @dev Pass empty arrays to remove all tiers
+     * @param token The token address
+     * @param minVolumes Cumulative borrowed amount thresholds, strictly ascending
+     * @param feesBps Fee in basis points for each threshold
+     */
+    function setVolumeTiers(
+        address token,
+        uint256[] calldata minVolumes,
+        uint256[] calldata feesBps
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        if (minVolumes.length != feesBps.length) revert InvalidVolumeTiers();
+
+        delete _volumeTiers[token];
+        for (uint256 i = 0; i < minVolumes.length; i++) {
+            if (i > 0 && minVolumes[i] <= minVolumes[i - 1]) revert InvalidVolumeTiers();
+            if (feesBps[i] > MAX_FEE_BPS) revert FeeTooHigh(feesBps[i], MAX_FEE_BPS);
+            _volumeTiers[token].push(VolumeTier({minVolume: minVolumes[i], feeBps: feesBps[i]}));
+        }
+
+        emit VolumeTiersUpdated(token, minVolumes, feesBps);
+    }
+
+    /**
+     * @notice Caps the amount of a token that can be borrowed in a single flash loan
+     * @param token The token address
+     * @param maxAmount The cap (0 = uncapped)
+     */
+    function setMaxLoanAmount(address token, uint256 maxAmount) external onlyRole(TOKEN_MANAGER_ROLE) {
+        uint256 oldAmount = _maxLoanAmounts[token];
+        _maxLoanAmounts[token] = maxAmount;
+        emit MaxLoanAmountUpdated(token, oldAmount, maxAmount);
+    }
+
+    /**
+     * @notice Declares how a token behaves on transfer
+     * @dev Enabling rebasing folds the current balance drift into LP deposits on the next
+     * deposit, withdrawal or loan; disabling it makes later drift skimmable again
+     * @param token The token address
+     * @param transferTax True if transfers may deliver less than the amount sent
+     * @param rebasing True if balances change without transfers
+     */
+    function setTokenFlags(address token, bool transferTax, bool rebasing) external onlyRole(TOKEN_MANAGER_ROLE) {
+        if (token == address(0)) revert ZeroAddress();
+        _tokenFlags[token] = TokenFlags(transferTax, rebasing);
+        emit TokenFlagsUpdated(token, transferTax, rebasing);
+    }
+
+    /**
+     * @notice Limits the total amount of a token that can be borrowed within one block
+     * @param token The token address
+     * @param limit The limit (0 = unlimited)
+     */
+    function setBlockBorrowLimit(address token, uint256 limit) external onlyRole(TOKEN_MANAGER_ROLE) {
+        uint256 oldLimit = _blockBorrowLimits[token];
+        _blockBorrowLimits[token] = limit;
+        emit BlockBorrowLimitUpdated(token, oldLimit, limit);
+    }
+
+    /**
+     * @notice Sets the period over which a token's accrued premiums vest into share price
+     * @dev Deters depositing right before a large loan and withdrawing right after.
+     * Premiums still locked keep vesting over the new period from now; 0 releases them at once.
+     * @param token The token address
+     * @param period The vesting period in seconds (0 = premiums count immediately)
+     */
+    function setFeeVestingPeriod(address token, uint256 period) external onlyRole(FEE_MANAGER_ROLE) {
+        if (period > MAX_FEE_VESTING_PERIOD) revert VestingPeriodTooLong(period, MAX_FEE_VESTING_PERIOD);
+
+        FeeVesting storage vesting = _feeVesting[token];
+        uint256 oldPeriod = vesting.period;
+        vesting.locked = period == 0 ? 0 : _lockedFees(token);
+        vesting.lastAccrual = block.timestamp;
+        vesting.period = period;
+
+        emit FeeVestingPeriodUpdated(token, oldPeriod, period);
+    }
+
     /**
      * @notice Updates the fee collector contract
      * @param newFeeCollector The new fee collector address
      */
-    function setFeeCollector(address newFeeCollector) external onlyOwner {
+    function setFeeCollector(address newFeeCollector) external onlyRole(TREASURY_MANAGER_ROLE) {
         address oldCollector = address(feeCollector);
         feeCollector = IFeeCollector(newFeeCollector);
         emit FeeCollectorUpdated(oldCollector, newFeeCollector);
     }
+
+    /**
+     * @notice Sets the registry consulted for token support
+     * @param newRegistry The new registry address (zero to rely on the pool whitelist only)
+     */
+    function setPoolRegistry(address newRegistry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        address oldRegistry = address(poolRegistry);
+        poolRegistry = IPoolRegistry(newRegistry);
+        emit PoolRegistryUpdated(oldRegistry, newRegistry);
+    }
+
+    /**
+     * @notice Trusts or untrusts an adapter to borrow on behalf of its callers
+     * @dev A trusted adapter chooses the borrower its loans are charged to, so only trust
+     * adapters that pass their own msg.sender, such as TRXGateway and ERC3156FlashLender
+     * @param adapter The adapter contract
+     * @param trusted Whether the adapter may call flashLoanFor
+     */
+    function setTrustedAdapter(address adapter, bool trusted) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (adapter == address(0)) revert ZeroAddress();
+        _trustedAdapters[adapter] = trusted;
+        emit TrustedAdapterUpdated(adapter, trusted);
+    }
+
+    // ============ Guardian Functions ============
+
+    /**
+     * @notice Pauses flash loans and deposits for every token; withdrawals stay open
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Resumes flash loans and deposits after a global pause
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Pauses flash loans and deposits for a single token; withdrawals stay open
+     * @param token The token address
+     */
+    function pauseToken(address token) external onlyRole(GUARDIAN_ROLE) {
+        _pausedTokens[token] = true;
+        emit TokenPaused(token, msg.sender);
+    }
+
+    /**
+     * @notice Resumes flash loans and deposits for a single token
+     * @param token The token address
+     */
+    function unpauseToken(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pausedTokens[token] = false;
+        emit TokenUnpaused(token, msg.sender);
+    }
+
+    /**
+     * @notice Declares an emergency: blocks new exposure and opens emergencyWithdraw()
+     */
+    function enableEmergencyMode() external onlyRole(GUARDIAN_ROLE) {
+        emergencyMode = true;
+        emit EmergencyModeUpdated(true, msg.sender);
+    }
+
+    /**
+     * @notice Ends emergency mode
+     */
+    function disableEmergencyMode() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emergencyMode = false;
+        emit EmergencyModeUpdated(false, msg.sender);
+    }
+}
+
+/**
+ * @title FlashLoanPool
+ * @author JustFlash Protocol
+ * @notice Directly deployed flash loan pool
+ */
+contract FlashLoanPool is FlashLoanPoolBase {
+    /**
+     * @notice Initializes the flash loan pool
+     * @param initialAdmin The address of the initial admin
+     * @param initialFee The initial flash loan fee in basis points
+     */
+    constructor(address initialAdmin, uint256 initialFee) {
+        _initializeFlashLoanPool(initialAdmin, initialFee);
+    }
 }
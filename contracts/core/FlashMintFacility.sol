@@ -0,0 +1,232 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "../interfaces/IFlashLoanReceiver.sol";
+import "../interfaces/IFlashMintableToken.sol";
+import "../interfaces/IFeeCollector.sol";
+import "../access/ProtocolRoles.sol";
+
+/**
+ * @title FlashMintFacility
+ * @author JustFlash Protocol
+ * @notice Flash mints an unbacked amount of a protocol token, bounded by a per-transaction ceiling
+ * @dev Loan sizes are not limited by pooled liquidity. The facility must be a minter of TOKEN
+ * and an approved fee source on the FeeCollector.
+ *
+ * Execution Flow:
+ * 1. Borrower calls flashMint() on this contract
+ * 2. Facility mints amount to the receiver
+ * 3. Facility calls executeOperation() on the receiver
+ * 4. Facility pulls amount + premium, burns amount and sends the premium to the FeeCollector
+ * 5. Facility checks that total supply is back where it started
+ */
+contract FlashMintFacility is ReentrancyGuard, Pausable, ProtocolRoles {
+    using SafeERC20 for IERC20;
+
+    /// @notice Maximum flash mint fee in basis points (100 bps = 1%)
+    uint256 public constant MAX_FEE_BPS = 100;
+
+    /// @notice Basis points denominator
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    /// @notice The token minted by this facility
+    IFlashMintableToken public immutable TOKEN;
+
+    /// @notice Fee collector receiving flash mint premiums
+    IFeeCollector public feeCollector;
+
+    /// @notice Flash mint fee in basis points
+    uint256 public flashMintFeeBps;
+
+    /// @notice Maximum amount per flash mint (0 disables flash minting)
+    uint256 public maxFlashMint;
+
+    /**
+     * @notice Emitted when a flash mint is executed successfully
+     * @param receiver The address that received the minted tokens
+     * @param amount The amount minted and burned
+     * @param premium The premium charged
+     * @param initiator The address that called flashMint
+     */
+    event FlashMint(address indexed receiver, uint256 amount, uint256 premium, address indexed initiator);
+
+    /// @notice Emitted when the flash mint fee is updated
+    event FlashMintFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    /// @notice Emitted when the per-transaction ceiling is updated
+    event MaxFlashMintUpdated(uint256 oldAmount, uint256 newAmount);
+
+    /// @notice Emitted when the fee collector is updated
+    event FeeCollectorUpdated(address indexed oldCollector, address indexed newCollector);
+
+    /// @notice Error thrown when address is zero
+    error ZeroAddress();
+
+    /// @notice Error thrown when amount is zero
+    error ZeroAmount();
+
+    /// @notice Error thrown when fee exceeds maximum
+    error FeeTooHigh(uint256 fee, uint256 maxFee);
+
+    /// @notice Error thrown when a flash mint exceeds the per-transaction ceiling
+    error FlashMintCeilingExceeded(uint256 amount, uint256 ceiling);
+
+    /// @notice Error thrown when receiver callback fails
+    error ReceiverCallbackFailed();
+
+    /// @notice Error thrown when total supply does not return to its pre-mint level
+    error SupplyNotRestored(uint256 expected, uint256 actual);
+
+    /**
+     * @notice Initializes the facility
+     * @dev The initial admin also receives the token, fee and treasury manager and guardian roles
+     * @param initialAdmin The initial admin address
+     * @param token The flash-mintable token
+     * @param collector The fee collector receiving premiums
+     * @param initialFee The flash mint fee in basis points
+     * @param initialCeiling The maximum amount per flash mint
+     */
+    constructor(
+        address initialAdmin,
+        address token,
+        address collector,
+        uint256 initialFee,
+        uint256 initialCeiling
+    ) {
+        if (token == address(0) || collector == address(0)) revert ZeroAddress();
+        if (initialFee > MAX_FEE_BPS) revert FeeTooHigh(initialFee, MAX_FEE_BPS);
+
+        TOKEN = IFlashMintableToken(token);
+        feeCollector = IFeeCollector(collector);
+        flashMintFeeBps = initialFee;
+        maxFlashMint = initialCeiling;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(TOKEN_MANAGER_ROLE, initialAdmin);
+        _grantRole(FEE_MANAGER_ROLE, initialAdmin);
+        _grantRole(TREASURY_MANAGER_ROLE, initialAdmin);
+        _grantRole(GUARDIAN_ROLE, initialAdmin);
+    }
+
+    /**
+     * @notice Mints amount to a receiver, runs its callback and burns amount + premium back
+     * @dev The receiver must approve this facility for amount + premium before returning
+     * @param receiverAddress The IFlashLoanReceiver contract receiving the tokens
+     * @param amount The amount to mint
+     * @param params Arbitrary data forwarded to the receiver
+     * @return success True if the mint was repaid
+     */
+    function flashMint(
+        address receiverAddress,
+        uint256 amount,
+        bytes calldata params
+    ) external nonReentrant whenNotPaused returns (bool) {
+        // CHECKS
+        if (receiverAddress == address(0)) revert ZeroAddress();
+        if (amount == 0) revert ZeroAmount();
+        if (amount > maxFlashMint) revert FlashMintCeilingExceeded(amount, maxFlashMint);
+
+        uint256 premium = flashMintFee(amount);
+        uint256 supplyBefore = TOKEN.totalSupply();
+
+        // INTERACTIONS
+        TOKEN.mint(receiverAddress, amount);
+
+        bool success = IFlashLoanReceiver(receiverAddress).executeOperation(
+            address(TOKEN),
+            amount,
+            premium,
+            msg.sender,
+            params
+        );
+        if (!success) revert ReceiverCallbackFailed();
+
+        IERC20(address(TOKEN)).safeTransferFrom(receiverAddress, address(this), amount + premium);
+        TOKEN.burn(address(this), amount);
+
+        uint256 supplyAfter = TOKEN.totalSupply();
+        if (supplyAfter != supplyBefore) revert SupplyNotRestored(supplyBefore, supplyAfter);
+
+        emit FlashMint(receiverAddress, amount, premium, msg.sender);
+
+        if (premium > 0) {
+            IERC20(address(TOKEN)).safeTransfer(address(feeCollector), premium);
+            feeCollector.collectFees(address(TOKEN), premium);
+        }
+
+        return true;
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Returns the premium for a flash mint
+     * @param amount The amount to mint
+     * @return fee The premium charged
+     */
+    function flashMintFee(uint256 amount) public view returns (uint256) {
+        return (amount * flashMintFeeBps) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @notice Returns the largest amount that can be flash minted right now
+     * @return amount The ceiling, or 0 while paused
+     */
+    function maxFlashMintAmount() external view returns (uint256) {
+        return paused() ? 0 : maxFlashMint;
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Updates the flash mint fee
+     * @param newFeeBps The new fee in basis points
+     */
+    function setFlashMintFee(uint256 newFeeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (newFeeBps > MAX_FEE_BPS) revert FeeTooHigh(newFeeBps, MAX_FEE_BPS);
+        uint256 oldFee = flashMintFeeBps;
+        flashMintFeeBps = newFeeBps;
+        emit FlashMintFeeUpdated(oldFee, newFeeBps);
+    }
+
+    /**
+     * @notice Updates the per-transaction ceiling
+     * @param newCeiling The maximum amount per flash mint (0 disables flash minting)
+     */
+    function setMaxFlashMint(uint256 newCeiling) external onlyRole(TOKEN_MANAGER_ROLE) {
+        uint256 oldCeiling = maxFlashMint;
+        maxFlashMint = newCeiling;
+        emit MaxFlashMintUpdated(oldCeiling, newCeiling);
+    }
+
+    /**
+     * @notice Updates the fee collector
+     * @param newCollector The new fee collector address
+     */
+    function setFeeCollector(address newCollector) external onlyRole(TREASURY_MANAGER_ROLE) {
+        if (newCollector == address(0)) revert ZeroAddress();
+        address oldCollector = address(feeCollector);
+        feeCollector = IFeeCollector(newCollector);
+        emit FeeCollectorUpdated(oldCollector, newCollector);
+    }
+
+    // ============ Guardian Functions ============
+
+    /**
+     * @notice Stops flash minting
+     */
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Resumes flash minting
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+}
@@ -1,19 +1,42 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "../interfaces/IPoolRegistry.sol";
+import "../access/ProtocolRoles.sol";
 
 /**
- * @title PoolRegistry
+ * @title PoolRegistryBase
  * @author JustFlash Protocol
  * @notice Manages the mapping of tokens to their pool addresses
  * @dev Provides centralized registry for token support and pool discovery.
- * Governance can add/remove tokens after security review.
+ * Governance can add/remove tokens after security review. Tokens live in the
+ * default pool unless mapped to another registered pool, so risky tokens can be
+ * isolated in their own pool contract. Each token also carries descriptive
+ * metadata and an optional fee override that pools consult.
+ *
+ * State is set by _initializePoolRegistry so the registry can be deployed directly
+ * (PoolRegistry below) or behind a proxy (PoolRegistryUpgradeable).
  */
-contract PoolRegistry is IPoolRegistry, Ownable {
-    /// @notice Single flash loan pool address
-    address public immutable flashLoanPool;
+abstract contract PoolRegistryBase is IPoolRegistry, ProtocolRoles {
+    /// @notice Per-token metadata stored by the registry
+    struct TokenMetadata {
+        string symbol;
+        uint8 decimals;
+        TokenCategory category;
+        uint8 riskTier;
+        bool hasFeeOverride;
+        uint256 feeOverrideBps;
+    }
+
+    /// @notice Maximum fee override in basis points (1%)
+    uint256 public constant MAX_FEE_BPS = 100;
+
+    /// @notice Highest risk tier (1 = lowest risk, 0 = unrated)
+    uint8 public constant MAX_RISK_TIER = 5;
+
+    /// @notice Default flash loan pool, used by registerToken
+    address public flashLoanPool;
 
     /// @notice Mapping of token => registration status
     mapping(address => bool) private _registeredTokens;
@@ -24,6 +47,24 @@ contract PoolRegistry is IPoolRegistry, Ownable {
     /// @notice Array of all registered token addresses
     address[] private _tokenList;
 
+    /// @notice Mapping of token => pool holding its liquidity
+    mapping(address => address) private _tokenPools;
+
+    /// @notice Mapping of token => metadata
+    mapping(address => TokenMetadata) private _tokenMetadata;
+
+    /// @notice Array of all pool addresses
+    address[] private _pools;
+
+    /// @notice Mapping of pool => registration status
+    mapping(address => bool) private _isPool;
+
+    /// @notice Mapping of pool => number of tokens mapped to it
+    mapping(address => uint256) private _poolTokenCount;
+
+    /// @dev Reserved slots so upgradeable deployments can add state without shifting the layout
+    uint256[50] private __gap;
+
     /// @notice Error thrown when address is zero
     error ZeroAddress();
 
@@ -33,42 +74,79 @@ contract PoolRegistry is IPoolRegistry, Ownable {
     /// @notice Error thrown when token is not registered
     error TokenNotRegistered(address token);
 
+    /// @notice Error thrown when pool is already registered
+    error PoolAlreadyAdded(address pool);
+
+    /// @notice Error thrown when pool is not registered
+    error PoolNotAdded(address pool);
+
+    /// @notice Error thrown when removing a pool that still has tokens mapped to it
+    error PoolInUse(address pool, uint256 tokenCount);
+
+    /// @notice Error thrown when removing the default pool
+    error CannotRemoveDefaultPool();
+
+    /// @notice Error thrown when fee override exceeds maximum
+    error FeeTooHigh(uint256 fee, uint256 maxFee);
+
+    /// @notice Error thrown when risk tier exceeds maximum
+    error InvalidRiskTier(uint8 riskTier, uint8 maxRiskTier);
+
     /**
      * @notice Initializes the pool registry
-     * @param initialOwner The initial owner address
-     * @param poolAddress The flash loan pool address
+     * @dev The initial admin receives the admin role and the token and fee manager roles
+     * @param initialAdmin The initial admin address
+     * @param poolAddress The default flash loan pool address
      */
-    constructor(address initialOwner, address poolAddress) Ownable(initialOwner) {
+    function _initializePoolRegistry(address initialAdmin, address poolAddress) internal {
         if (poolAddress == address(0)) revert ZeroAddress();
         flashLoanPool = poolAddress;
+
+        _isPool[poolAddress] = true;
+        _pools.push(poolAddress);
+        emit PoolAdded(poolAddress);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(TOKEN_MANAGER_ROLE, initialAdmin);
+        _grantRole(FEE_MANAGER_ROLE, initialAdmin);
     }
 
+    // ============ Token Registration ============
+
     /**
      * @inheritdoc IPoolRegistry
-     * @dev Registers a new token and sets it as active by default
+     * @dev Registers a new token in the default pool and sets it as active by default
      */
-    function registerToken(address token) external override onlyOwner returns (bool) {
-        if (token == address(0)) revert ZeroAddress();
-        if (_registeredTokens[token]) revert TokenAlreadyRegistered(token);
-
-        _registeredTokens[token] = true;
-        _activeTokens[token] = true;
-        _tokenList.push(token);
-
-        emit TokenRegistered(token, flashLoanPool);
+    function registerToken(address token) external override onlyRole(TOKEN_MANAGER_ROLE) returns (bool) {
+        _registerToken(token, flashLoanPool);
+        return true;
+    }
 
+    /**
+     * @notice Registers a new token in a specific pool
+     * @dev Used to list risky tokens in an isolated pool
+     * @param token The token address
+     * @param pool The pool address (must have been added with addPool)
+     * @return success True if registration was successful
+     */
+    function registerTokenInPool(address token, address pool) external onlyRole(TOKEN_MANAGER_ROLE) returns (bool) {
+        if (!_isPool[pool]) revert PoolNotAdded(pool);
+        _registerToken(token, pool);
         return true;
     }
 
     /**
      * @inheritdoc IPoolRegistry
-     * @dev Removes token from registry completely
+     * @dev Removes token from registry completely, including its metadata
      */
-    function removeToken(address token) external override onlyOwner returns (bool) {
+    function removeToken(address token) external override onlyRole(TOKEN_MANAGER_ROLE) returns (bool) {
         if (!_registeredTokens[token]) revert TokenNotRegistered(token);
 
         _registeredTokens[token] = false;
         _activeTokens[token] = false;
+        _poolTokenCount[_tokenPools[token]]--;
+        delete _tokenPools[token];
+        delete _tokenMetadata[token];
 
         // Remove from token list
         for (uint256 i = 0; i < _tokenList.length; i++) {
@@ -87,7 +165,7 @@ contract PoolRegistry is IPoolRegistry, Ownable {
     /**
      * @inheritdoc IPoolRegistry
      */
-    function setTokenActive(address token, bool active) external override onlyOwner {
+    function setTokenActive(address token, bool active) external override onlyRole(TOKEN_MANAGER_ROLE) {
         if (!_registeredTokens[token]) revert TokenNotRegistered(token);
         
         _activeTokens[token] = active;
@@ -95,6 +173,123 @@ contract PoolRegistry is IPoolRegistry, Ownable {
         emit TokenStatusUpdated(token, active);
     }
 
+    /**
+     * @notice Moves a registered token to another pool
+     * @dev The old pool stops treating the token as supported; LPs there can still withdraw
+     * @param token The token address
+     * @param pool The new pool address (must have been added with addPool)
+     */
+    function setTokenPool(address token, address pool) external onlyRole(TOKEN_MANAGER_ROLE) {
+        if (!_registeredTokens[token]) revert TokenNotRegistered(token);
+        if (!_isPool[pool]) revert PoolNotAdded(pool);
+
+        address oldPool = _tokenPools[token];
+        _poolTokenCount[oldPool]--;
+        _poolTokenCount[pool]++;
+        _tokenPools[token] = pool;
+
+        emit TokenPoolUpdated(token, oldPool, pool);
+    }
+
+    // ============ Token Metadata ============
+
+    /**
+     * @notice Sets the descriptive metadata for a token
+     * @param token The token address
+     * @param symbol The token symbol
+     * @param decimals The token decimals
+     * @param category The token category
+     * @param riskTier The risk tier (0 = unrated, 1 = lowest risk, MAX_RISK_TIER = highest)
+     */
+    function setTokenMetadata(
+        address token,
+        string calldata symbol,
+        uint8 decimals,
+        TokenCategory category,
+        uint8 riskTier
+    ) external onlyRole(TOKEN_MANAGER_ROLE) {
+        if (!_registeredTokens[token]) revert TokenNotRegistered(token);
+        if (riskTier > MAX_RISK_TIER) revert InvalidRiskTier(riskTier, MAX_RISK_TIER);
+
+        TokenMetadata storage metadata = _tokenMetadata[token];
+        metadata.symbol = symbol;
+        metadata.decimals = decimals;
+        metadata.category = category;
+        metadata.riskTier = riskTier;
+
+        emit TokenMetadataUpdated(token, symbol, decimals, category, riskTier);
+    }
+
+    /**
+     * @notice Sets a registry fee override for a token
+     * @dev Pools apply it when they have no override of their own for the token
+     * @param token The token address
+     * @param feeBps The fee in basis points
+     */
+    function setTokenFeeOverride(address token, uint256 feeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (!_registeredTokens[token]) revert TokenNotRegistered(token);
+        if (feeBps > MAX_FEE_BPS) revert FeeTooHigh(feeBps, MAX_FEE_BPS);
+
+        _tokenMetadata[token].hasFeeOverride = true;
+        _tokenMetadata[token].feeOverrideBps = feeBps;
+
+        emit TokenFeeOverrideUpdated(token, true, feeBps);
+    }
+
+    /**
+     * @notice Clears the registry fee override for a token
+     * @param token The token address
+     */
+    function clearTokenFeeOverride(address token) external onlyRole(FEE_MANAGER_ROLE) {
+        if (!_registeredTokens[token]) revert TokenNotRegistered(token);
+
+        _tokenMetadata[token].hasFeeOverride = false;
+        _tokenMetadata[token].feeOverrideBps = 0;
+
+        emit TokenFeeOverrideUpdated(token, false, 0);
+    }
+
+    // ============ Pool Management ============
+
+    /**
+     * @notice Adds a pool contract that tokens can be mapped to
+     * @param pool The pool address
+     */
+    function addPool(address pool) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (pool == address(0)) revert ZeroAddress();
+        if (_isPool[pool]) revert PoolAlreadyAdded(pool);
+
+        _isPool[pool] = true;
+        _pools.push(pool);
+
+        emit PoolAdded(pool);
+    }
+
+    /**
+     * @notice Removes a pool contract
+     * @dev Tokens must be moved or removed first; the default pool cannot be removed
+     * @param pool The pool address
+     */
+    function removePool(address pool) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (!_isPool[pool]) revert PoolNotAdded(pool);
+        if (pool == flashLoanPool) revert CannotRemoveDefaultPool();
+        if (_poolTokenCount[pool] > 0) revert PoolInUse(pool, _poolTokenCount[pool]);
+
+        _isPool[pool] = false;
+
+        for (uint256 i = 0; i < _pools.length; i++) {
+            if (_pools[i] == pool) {
+                _pools[i] = _pools[_pools.length - 1];
+                _pools.pop();
+                break;
+            }
+        }
+
+        emit PoolRemoved(pool);
+    }
+
+    // ============ View Functions ============
+
     /**
      * @inheritdoc IPoolRegistry
      */
@@ -104,17 +299,66 @@ contract PoolRegistry is IPoolRegistry, Ownable {
 
     /**
      * @inheritdoc IPoolRegistry
+     * @dev Prefer getTokens for large registries
      */
     function getRegisteredTokens() external view override returns (address[] memory) {
         return _tokenList;
     }
 
+    /**
+     * @inheritdoc IPoolRegistry
+     * @dev Returns an empty array when offset is past the end
+     */
+    function getTokens(
+        uint256 offset,
+        uint256 limit
+    ) external view override returns (address[] memory tokens, uint256 total) {
+        total = _tokenList.length;
+        if (offset >= total) return (new address[](0), total);
+
+        // Capped before adding, so any limit (up to type(uint256).max) means "the rest"
+        if (limit > total - offset) limit = total - offset;
+        uint256 end = offset + limit;
+
+        tokens = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            tokens[i - offset] = _tokenList[i];
+        }
+    }
+
     /**
      * @inheritdoc IPoolRegistry
      */
     function getPool(address token) external view override returns (address) {
-        if (!_registeredTokens[token]) return address(0);
-        return flashLoanPool;
+        return _tokenPools[token];
+    }
+
+    /**
+     * @inheritdoc IPoolRegistry
+     */
+    function getPools() external view override returns (address[] memory) {
+        return _pools;
+    }
+
+    /**
+     * @inheritdoc IPoolRegistry
+     */
+    function getTokenMetadata(address token)
+        external
+        view
+        override
+        returns (string memory symbol, uint8 decimals, TokenCategory category, uint8 riskTier)
+    {
+        TokenMetadata storage metadata = _tokenMetadata[token];
+        return (metadata.symbol, metadata.decimals, metadata.category, metadata.riskTier);
+    }
+
+    /**
+     * @inheritdoc IPoolRegistry
+     */
+    function getFeeOverride(address token) external view override returns (bool enabled, uint256 feeBps) {
+        TokenMetadata storage metadata = _tokenMetadata[token];
+        return (metadata.hasFeeOverride, metadata.feeOverrideBps);
     }
 
     /**
@@ -125,6 +369,24 @@ contract PoolRegistry is IPoolRegistry, Ownable {
         return _tokenList.length;
     }
 
+    /**
+     * @notice Returns the number of tokens mapped to a pool
+     * @param pool The pool address
+     * @return count The number of tokens in the pool
+     */
+    function getPoolTokenCount(address pool) external view returns (uint256) {
+        return _poolTokenCount[pool];
+    }
+
+    /**
+     * @notice Checks if a pool has been added to the registry
+     * @param pool The pool address
+     * @return registered True if the pool is registered
+     */
+    function isPoolRegistered(address pool) external view returns (bool) {
+        return _isPool[pool];
+    }
+
     /**
      * @notice Checks if a token is registered (regardless of active status)
      * @param token The token address
@@ -142,4 +404,54 @@ contract PoolRegistry is IPoolRegistry, Ownable {
     function isTokenActive(address token) external view returns (bool) {
         return _activeTokens[token];
     }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Registers a token in a pool and records its on-chain symbol and decimals
+     * @dev Tokens without metadata functions get an empty symbol and 6 decimals,
+     * which can be corrected with setTokenMetadata
+     * @param token The token address
+     * @param pool The pool address
+     */
+    function _registerToken(address token, address pool) private {
+        if (token == address(0)) revert ZeroAddress();
+        if (_registeredTokens[token]) revert TokenAlreadyRegistered(token);
+
+        _registeredTokens[token] = true;
+        _activeTokens[token] = true;
+        _tokenList.push(token);
+        _tokenPools[token] = pool;
+        _poolTokenCount[pool]++;
+
+        TokenMetadata storage metadata = _tokenMetadata[token];
+        try IERC20Metadata(token).symbol() returns (string memory tokenSymbol) {
+            metadata.symbol = tokenSymbol;
+        } catch {
+            metadata.symbol = "";
+        }
+        try IERC20Metadata(token).decimals() returns (uint8 value) {
+            metadata.decimals = value;
+        } catch {
+            metadata.decimals = 6;
+        }
+
+        emit TokenRegistered(token, pool);
+    }
+}
+
+/**
+ * @title PoolRegistry
+ * @author JustFlash Protocol
+ * @notice Directly deployed pool registry
+ */
+contract PoolRegistry is PoolRegistryBase {
+    /**
+     * @notice Initializes the pool registry
+     * @param initialAdmin The initial admin address
+     * @param poolAddress The default flash loan pool address
+     */
+    constructor(address initialAdmin, address poolAddress) {
+        _initializePoolRegistry(initialAdmin, poolAddress);
+    }
 }
@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title PoolShareToken
+ * @author JustFlash Protocol
+ * @notice Transferable TRC-20 LP share token for a single FlashLoanPool token pool
+ * @dev Deployed by the pool when a token is first whitelisted. Only the pool can mint,
+ * burn or move allowances; holders transfer and approve like any other TRC-20.
+ * Decimals mirror the underlying token so 1:1 deposits read naturally in wallets.
+ */
+contract PoolShareToken is ERC20 {
+    /// @notice The flash loan pool that owns this share token
+    address public immutable POOL;
+
+    /// @notice The underlying pool token the shares are redeemable for
+    address public immutable ASSET;
+
+    uint8 private _decimals;
+
+    /// @notice Error thrown when caller is not the pool
+    error UnauthorizedPool(address caller);
+
+    modifier onlyPool() {
+        if (msg.sender != POOL) revert UnauthorizedPool(msg.sender);
+        _;
+    }
+
+    /**
+     * @notice Initializes the share token for a pool token
+     * @param asset The underlying pool token
+     * @param name_ The share token name
+     * @param symbol_ The share token symbol
+     * @param decimals_ The share token decimals (matches the underlying)
+     */
+    constructor(
+        address asset,
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_
+    ) ERC20(name_, symbol_) {
+        POOL = msg.sender;
+        ASSET = asset;
+        _decimals = decimals_;
+    }
+
+    /**
+     * @inheritdoc ERC20
+     */
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @notice Mints shares to an account
+     * @param to The account receiving the shares
+     * @param amount The number of shares to mint
+     */
+    function mint(address to, uint256 amount) external onlyPool {
+        _mint(to, amount);
+    }
+
+    /**
+     * @notice Burns shares from an account
+     * @param from The account whose shares are burned
+     * @param amount The number of shares to burn
+     */
+    function burn(address from, uint256 amount) external onlyPool {
+        _burn(from, amount);
+    }
+
+    /**
+     * @notice Sets an allowance on behalf of an owner (used by FlashLoanPool.approveShares)
+     * @param owner The account owning the shares
+     * @param spender The account allowed to spend them
+     * @param amount The new allowance
+     */
+    function poolApprove(address owner, address spender, uint256 amount) external onlyPool {
+        _approve(owner, spender, amount);
+    }
+
+    /**
+     * @notice Spends a spender's allowance when the pool burns shares on an owner's behalf
+     * @dev Infinite allowances are not decreased
+     * @param owner The account owning the shares
+     * @param spender The account spending the allowance
+     * @param amount The number of shares spent
+     */
+    function poolSpendAllowance(address owner, address spender, uint256 amount) external onlyPool {
+        _spendAllowance(owner, spender, amount);
+    }
+}
@@ -0,0 +1,177 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/IFlashLoanPool.sol";
+import "../interfaces/IFlashLoanVault.sol";
+import "../access/ProtocolRoles.sol";
+
+/**
+ * @title ReserveFund
+ * @author JustFlash Protocol
+ * @notice Insurance reserve fed by a slice of every flash loan premium
+ * @dev The FeeCollector sends this contract its reserve share, so reserves are simply the
+ * contract's token balances. When the pool owes LPs more than it holds (a delisted token,
+ * bad debt from a future lending integration), governance sends reserves back with cover(),
+ * which makes LPs whole without minting shares. When the FeeCollector is pointed at a new
+ * fund, governance moves the reserves over with migrateReserves().
+ */
+contract ReserveFund is ReentrancyGuard, ProtocolRoles {
+    using SafeERC20 for IERC20;
+
+    /// @notice Basis points denominator
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    /// @notice The flash loan pool covered by this reserve
+    address public flashLoanPool;
+
+    /**
+     * @notice Emitted when reserves are sent to the pool to cover a shortfall
+     * @param token The address of the token
+     * @param amount The amount sent to the pool
+     * @param remainingShortfall The shortfall left after the cover
+     * @param reserveRatioBps The reserve ratio after the cover
+     */
+    event ShortfallCovered(
+        address indexed token,
+        uint256 amount,
+        uint256 remainingShortfall,
+        uint256 reserveRatioBps
+    );
+
+    /**
+     * @notice Emitted when reserves are moved to a replacement fund
+     * @param token The address of the token
+     * @param newReserve The fund receiving the reserves
+     * @param amount The amount moved
+     */
+    event ReservesMigrated(address indexed token, address indexed newReserve, uint256 amount);
+
+    /// @notice Emitted when the covered pool is updated
+    event FlashLoanPoolUpdated(address indexed oldPool, address indexed newPool);
+
+    /// @notice Error thrown when address is zero
+    error ZeroAddress();
+
+    /// @notice Error thrown when amount is zero
+    error ZeroAmount();
+
+    /// @notice Error thrown when a cover exceeds the pool's shortfall
+    error CoverExceedsShortfall(address token, uint256 amount, uint256 shortfall);
+
+    /// @notice Error thrown when reserves would be migrated to this fund
+    error InvalidReserve(address reserve);
+
+    /// @notice Error thrown when a cover exceeds the reserves held
+    error InsufficientReserves(address token, uint256 amount, uint256 reserves);
+
+    /**
+     * @notice Initializes the reserve
+     * @param initialAdmin The initial admin address
+     * @param poolAddress The flash loan pool covered by this reserve
+     */
+    constructor(address initialAdmin, address poolAddress) {
+        if (poolAddress == address(0)) revert ZeroAddress();
+        flashLoanPool = poolAddress;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+    }
+
+    /**
+     * @notice Sends reserves to the pool to make LPs whole
+     * @dev Governed: with a timelock deployment this call is queued like any other admin call.
+     * The amount is capped by the pool's current shortfall so reserves cannot inflate LP value.
+     * @param token The address of the token
+     * @param amount The amount to send
+     */
+    function cover(address token, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (amount == 0) revert ZeroAmount();
+
+        uint256 shortfall = IFlashLoanPool(flashLoanPool).getShortfall(token);
+        if (amount > shortfall) revert CoverExceedsShortfall(token, amount, shortfall);
+
+        uint256 reserves = IERC20(token).balanceOf(address(this));
+        if (amount > reserves) revert InsufficientReserves(token, amount, reserves);
+
+        IERC20(token).safeTransfer(flashLoanPool, amount);
+
+        emit ShortfallCovered(
+            token,
+            amount,
+            IFlashLoanPool(flashLoanPool).getShortfall(token),
+            getReserveRatio(token)
+        );
+    }
+
+    /**
+     * @notice Moves all reserves of a token to the fund that replaces this one
+     * @dev Governed like cover(). Also the way out for reserves of a token the covered pool
+     * no longer lists, which cover() can never pay out.
+     * @param token The address of the token
+     * @param newReserve The replacement reserve fund
+     */
+    function migrateReserves(address token, address newReserve) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        if (newReserve == address(0)) revert ZeroAddress();
+        if (newReserve == address(this)) revert InvalidReserve(newReserve);
+
+        uint256 amount = IERC20(token).balanceOf(address(this));
+        if (amount == 0) revert ZeroAmount();
+
+        IERC20(token).safeTransfer(newReserve, amount);
+        emit ReservesMigrated(token, newReserve, amount);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Returns the reserves held for a token
+     * @param token The address of the token
+     * @return reserves The token balance of this contract
+     */
+    function getReserves(address token) public view returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @notice Returns reserves as a share of the LP assets they insure
+     * @param token The address of the token
+     * @return ratioBps Reserves per pool assets in basis points (0 when the pool holds no assets)
+     */
+    function getReserveRatio(address token) public view returns (uint256) {
+        uint256 poolAssets = IFlashLoanVault(flashLoanPool).totalAssets(token);
+        if (poolAssets == 0) return 0;
+        return (getReserves(token) * BPS_DENOMINATOR) / poolAssets;
+    }
+
+    /**
+     * @notice Returns the reserve position for a token in one call
+     * @param token The address of the token
+     * @return reserves The reserves held
+     * @return poolAssets The LP assets of the pool
+     * @return shortfall The amount the pool is missing
+     * @return ratioBps The reserve ratio in basis points
+     */
+    function getReserveStatus(
+        address token
+    ) external view returns (uint256 reserves, uint256 poolAssets, uint256 shortfall, uint256 ratioBps) {
+        reserves = getReserves(token);
+        poolAssets = IFlashLoanVault(flashLoanPool).totalAssets(token);
+        shortfall = IFlashLoanPool(flashLoanPool).getShortfall(token);
+        ratioBps = getReserveRatio(token);
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Updates the covered pool
+     * @param newPool The new pool address
+     */
+    function setFlashLoanPool(address newPool) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newPool == address(0)) revert ZeroAddress();
+        address oldPool = flashLoanPool;
+        flashLoanPool = newPool;
+        emit FlashLoanPoolUpdated(oldPool, newPool);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title ProtocolTimelock
+ * @author JustFlash Protocol
+ * @notice Timelock holding the admin roles on the protocol contracts so changes are announced before they apply
+ * @dev Thin wrapper over OpenZeppelin's TimelockController:
+ * - `schedule` / `scheduleBatch` queue a call, emitting `CallScheduled`
+ * - `execute` / `executeBatch` run it once `getMinDelay()` has elapsed, emitting `CallExecuted`
+ * - `cancel` drops a queued call, emitting `Cancelled`
+ * The delay can only be changed through the timelock itself (`updateDelay`), so it is
+ * subject to the current delay. Guardian pauses on FlashLoanPool are not timelocked.
+ */
+contract ProtocolTimelock is TimelockController {
+    /**
+     * @notice Initializes the timelock
+     * @param minDelay Minimum delay in seconds between queueing and executing a call
+     * @param proposers Accounts allowed to queue and cancel calls
+     * @param executors Accounts allowed to execute ready calls (address(0) lets anyone execute)
+     * @param admin Optional bootstrap admin for role setup (address(0) for a self-administered timelock)
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
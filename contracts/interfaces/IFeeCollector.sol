@@ -11,7 +11,7 @@ interface IFeeCollector {
     /**
      * @notice Emitted when fees are collected
      * @param token The address of the token
-     * @param amount The amount of fees collected
+     * @param amount The amount of fees collected, including any reserve share
      * @param treasuryShare The amount sent to treasury
      * @param depositorShare The amount distributed to depositors
      */
@@ -48,6 +48,52 @@ interface IFeeCollector {
      */
     event FeeSplitUpdated(uint256 treasuryBps, uint256 depositorBps);
 
+    /**
+     * @notice Emitted when the protocol share recipients are replaced
+     * @param recipients The new recipient addresses
+     * @param weightsBps Each recipient's weight in basis points of the protocol share
+     */
+    event FeeRecipientsUpdated(address[] recipients, uint256[] weightsBps);
+
+    /**
+     * @notice Emitted when part of the protocol share is credited to a recipient
+     * @param token The address of the token
+     * @param recipient The recipient credited
+     * @param amount The amount credited
+     */
+    event FeesAllocated(address indexed token, address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Emitted when a recipient claims its credited fees
+     * @param token The address of the token
+     * @param recipient The recipient that claimed
+     * @param amount The amount transferred
+     */
+    event FeesClaimed(address indexed token, address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Emitted when a referral code is registered
+     * @param code The referral code
+     * @param referrer The address credited for loans using the code
+     */
+    event ReferralCodeRegistered(bytes32 indexed code, address indexed referrer);
+
+    /**
+     * @notice Emitted when a referred loan credits its referrer
+     * @param code The referral code used
+     * @param referrer The referrer credited
+     * @param token The address of the token
+     * @param amount The premium slice credited
+     * @param volume The loan amount
+     */
+    event ReferralFeesCredited(
+        bytes32 indexed code,
+        address indexed referrer,
+        address indexed token,
+        uint256 amount,
+        uint256 volume
+    );
+
     /**
      * @notice Collects fees from a flash loan
      * @param token The address of the token
@@ -55,12 +101,69 @@ interface IFeeCollector {
      */
     function collectFees(address token, uint256 amount) external;
 
+    /**
+     * @notice Collects fees from a flash loan made with a referral code
+     * @dev Reverts for unknown codes. The referrer's slice is claimable with claim(token).
+     * @param token The address of the token
+     * @param amount The total fee amount
+     * @param referralCode The registered referral code
+     * @param volume The loan amount, recorded in the referrer's stats
+     */
+    function collectReferredFees(address token, uint256 amount, bytes32 referralCode, uint256 volume) external;
+
+    /**
+     * @notice Registers a referral code for the caller
+     * @param code The referral code (non-zero, not yet taken)
+     */
+    function registerReferralCode(bytes32 code) external;
+
+    /**
+     * @notice Returns the referrer behind a code
+     * @param code The referral code
+     * @return referrer The referrer address (zero if unregistered)
+     */
+    function getReferrer(bytes32 code) external view returns (address referrer);
+
+    /**
+     * @notice Returns a referrer's stats for a token
+     * @param referrer The referrer address
+     * @param token The address of the token
+     * @return volume The total amount borrowed with the referrer's codes
+     * @return loans The number of loans made with the referrer's codes
+     * @return earned The total premium slices credited
+     */
+    function getReferralStats(
+        address referrer,
+        address token
+    ) external view returns (uint256 volume, uint256 loans, uint256 earned);
+
     /**
      * @notice Withdraws accumulated treasury fees
      * @param token The address of the token to withdraw
      */
     function withdrawTreasuryFees(address token) external;
 
+    /**
+     * @notice Withdraws accumulated treasury fees for every token that has collected fees
+     * @dev Tokens without treasury fees are skipped
+     */
+    function withdrawAllTreasuryFees() external;
+
+    /**
+     * @notice Transfers the caller's credited fees for a token to the caller
+     * @param token The address of the token to claim
+     * @return amount The amount claimed
+     */
+    function claim(address token) external returns (uint256 amount);
+
+    /**
+     * @notice Returns the fees credited to a recipient and not yet claimed
+     * @param token The address of the token
+     * @param recipient The recipient address
+     * @return amount The claimable amount
+     */
+    function getClaimable(address token, address recipient) external view returns (uint256 amount);
+
     /**
      * @notice Returns the accumulated treasury fees for a token
      * @param token The address of the token
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IFlashLoanBatchReceiver
+ * @author JustFlash Protocol
+ * @notice Interface for multi-asset flash loan receiver contracts
+ * @dev Contracts that call FlashLoanPool.flashLoanBatch() must implement this interface.
+ * All borrowed legs are transferred before the callback and every leg must be repaid
+ * (amount + premium) within the same transaction.
+ */
+interface IFlashLoanBatchReceiver {
+    /**
+     * @notice Executes the multi-asset flash loan callback operation
+     * @dev Called once after every borrowed amount has been transferred to the receiver.
+     * The receiver must approve the pool to pull back amounts[i] + premiums[i] for each token.
+     * @param tokens The addresses of the TRC-20 tokens being borrowed
+     * @param amounts The amounts borrowed, index-aligned with tokens
+     * @param premiums The fees owed per token, index-aligned with tokens
+     * @param initiator The address that initiated the flash loan (original msg.sender to pool)
+     * @param params Arbitrary data passed through from the flashLoanBatch() call
+     * @return success True if the operation was successful and repayment is ready
+     */
+    function executeBatchOperation(
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        uint256[] calldata premiums,
+        address initiator,
+        bytes calldata params
+    ) external returns (bool success);
+}
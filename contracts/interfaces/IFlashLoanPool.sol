@@ -8,13 +8,27 @@ pragma solidity ^0.8.20;
  * @dev Defines the core functions for flash loans, deposits, and withdrawals
  */
 interface IFlashLoanPool {
+    /// @notice Outcome of a flash loan quote, in the order flashLoan() checks it
+    /// @dev Each value other than Available names the error flashLoan() would revert with;
+    /// Paused covers EnforcedPause, EmergencyModeActive and TokenIsPaused
+    enum FlashLoanStatus {
+        Available,
+        ZeroAddress,
+        Paused,
+        ZeroAmount,
+        TokenNotSupported,
+        InsufficientLiquidity,
+        LoanAmountTooLarge,
+        BlockBorrowLimitExceeded
+    }
+
     /**
      * @notice Emitted when a flash loan is executed successfully
      * @param receiver The address that received the flash loan
      * @param token The address of the borrowed token
      * @param amount The amount borrowed
-     * @param premium The premium paid
-     * @param initiator The address that initiated the flash loan
+     * @param premium The premium actually charged, after any borrower fee tier discount
+     * @param initiator The address that initiated the flash loan, or the borrower of an adapter loan
      */
     event FlashLoan(
         address indexed receiver,
@@ -52,6 +66,13 @@ interface IFlashLoanPool {
         uint256 amount
     );
 
+    /**
+     * @notice Emitted when the depositor share of a premium is added to pool accounting
+     * @param token The address of the token
+     * @param amount The amount credited to depositors
+     */
+    event FeesAccrued(address indexed token, uint256 amount);
+
     /**
      * @notice Executes a flash loan
      * @dev The receiver must implement IFlashLoanReceiver and repay amount + premium
@@ -68,16 +89,75 @@ interface IFlashLoanPool {
         bytes calldata params
     ) external returns (bool success);
 
+    /**
+     * @notice Executes a flash loan on behalf of a registered referrer
+     * @dev Same as flashLoan, but the FeeCollector credits the referrer with part of the
+     * premium and records the loan in its referral stats, even when the premium is zero.
+     * Reverts with UnknownReferralCode for unregistered codes or when no fee collector is set.
+     * @param receiverAddress The address of the contract that will receive the loan and execute callback
+     * @param token The address of the TRC-20 token to borrow
+     * @param amount The amount of tokens to borrow
+     * @param params Arbitrary data to pass to the receiver's executeOperation callback
+     * @param referralCode The code registered with FeeCollector.registerReferralCode
+     * @return success True if the flash loan was executed successfully
+     */
+    function flashLoanWithReferral(
+        address receiverAddress,
+        address token,
+        uint256 amount,
+        bytes calldata params,
+        bytes32 referralCode
+    ) external returns (bool success);
+
+    /**
+     * @notice Executes a flash loan sent by a trusted adapter on behalf of a borrower
+     * @dev Only callable by adapters trusted by governance. Fees, volume tiers and borrower
+     * stats are keyed on the borrower, while the receiver callback still sees the adapter
+     * as initiator.
+     * @param receiverAddress The address of the contract that will receive the loan and execute callback
+     * @param token The address of the TRC-20 token to borrow
+     * @param amount The amount of tokens to borrow
+     * @param params Arbitrary data to pass to the receiver's executeOperation callback
+     * @param borrower The address that asked the adapter for the loan
+     * @return success True if the flash loan was executed successfully
+     */
+    function flashLoanFor(
+        address receiverAddress,
+        address token,
+        uint256 amount,
+        bytes calldata params,
+        address borrower
+    ) external returns (bool success);
+
+    /**
+     * @notice Executes a multi-asset flash loan in a single atomic transaction
+     * @dev The receiver must implement IFlashLoanBatchReceiver and repay every leg.
+     * One FlashLoan event is emitted per borrowed token.
+     * @param receiverAddress The address of the contract that will receive the loans and execute callback
+     * @param tokens The addresses of the TRC-20 tokens to borrow (no duplicates)
+     * @param amounts The amounts to borrow, index-aligned with tokens
+     * @param params Arbitrary data to pass to the receiver's executeBatchOperation callback
+     * @return success True if the flash loan was executed successfully
+     */
+    function flashLoanBatch(
+        address receiverAddress,
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        bytes calldata params
+    ) external returns (bool success);
+
     /**
      * @notice Deposits liquidity into the pool
      * @dev Depositors receive pool shares (ERC-4626 pattern) proportional to their contribution
      * @param token The address of the TRC-20 token to deposit
      * @param amount The amount of tokens to deposit
+     * @param minSharesOut The minimum shares to mint, reverts otherwise (slippage bound)
      * @return shares The number of pool shares minted to the depositor
      */
     function deposit(
         address token,
-        uint256 amount
+        uint256 amount,
+        uint256 minSharesOut
     ) external returns (uint256 shares);
 
     /**
@@ -85,13 +165,24 @@ interface IFlashLoanPool {
      * @dev Burns pool shares and returns the proportional amount of underlying tokens
      * @param token The address of the TRC-20 token to withdraw
      * @param shares The number of pool shares to burn
+     * @param minAmountOut The minimum tokens to receive, reverts otherwise (slippage bound)
      * @return amount The amount of tokens withdrawn
      */
     function withdraw(
         address token,
-        uint256 shares
+        uint256 shares,
+        uint256 minAmountOut
     ) external returns (uint256 amount);
 
+    /**
+     * @notice Credits depositor fees returned by the fee collector to the pool's share accounting
+     * @dev Only callable by the configured fee collector, after it has transferred `amount` back.
+     * While the pool is short of what it owes LPs, only the part above the shortfall is credited.
+     * @param token The address of the token
+     * @param amount The depositor fee amount already transferred to the pool
+     */
+    function accrueFees(address token, uint256 amount) external;
+
     /**
      * @notice Returns the total liquidity available for a given token
      * @param token The address of the token to query
@@ -99,6 +190,60 @@ interface IFlashLoanPool {
      */
     function getAvailableLiquidity(address token) external view returns (uint256 liquidity);
 
+    /**
+     * @notice Returns the maximum amount of a token that can be flash borrowed (ERC-3156)
+     * @param token The address of the token to query
+     * @return amount The maximum loan amount (0 if the token is not supported)
+     */
+    function maxFlashLoan(address token) external view returns (uint256 amount);
+
+    /**
+     * @notice Returns the premium charged for borrowing an amount of a token (ERC-3156)
+     * @dev Reverts if the token is not supported. Quotes the premium the caller would be
+     * charged as both receiver and initiator, including its fee discounts and volume tier.
+     * @param token The address of the token to borrow
+     * @param amount The amount to borrow
+     * @return fee The premium owed on top of the borrowed amount
+     */
+    function flashFee(address token, uint256 amount) external view returns (uint256 fee);
+
+    /**
+     * @notice Returns the premium charged for a loan with a given receiver and initiator
+     * @dev Reverts if the token is not supported. For adapter loans the initiator is the
+     * borrower passed to flashLoanFor.
+     * @param token The address of the token to borrow
+     * @param amount The amount to borrow
+     * @param receiver The receiver of the loan
+     * @param initiator The address the loan is charged to
+     * @return fee The premium owed on top of the borrowed amount
+     */
+    function flashFeeFor(
+        address token,
+        uint256 amount,
+        address receiver,
+        address initiator
+    ) external view returns (uint256 fee);
+
+    /**
+     * @notice Quotes a flash loan without sending it
+     * @dev Priced like the loan itself: receiver discounts by the receiver, initiator discounts
+     * and volume tiers by the initiator. A receiver that starts its own loans, as with
+     * FlashLoanReceiverBase, is passed as both.
+     * @param token The address of the token to borrow
+     * @param amount The amount to borrow
+     * @param receiver The contract that will receive the loan
+     * @param initiator The address that will call flashLoan
+     * @return premium The premium the loan would be charged, including borrower discounts
+     * @return maxBorrowable The largest amount borrowable right now (same as maxFlashLoan)
+     * @return status Available, or the first check flashLoan() would fail
+     */
+    function quoteFlashLoan(
+        address token,
+        uint256 amount,
+        address receiver,
+        address initiator
+    ) external view returns (uint256 premium, uint256 maxBorrowable, FlashLoanStatus status);
+
     /**
      * @notice Returns the current flash loan fee in basis points
      * @return fee The flash loan fee (e.g., 5 = 0.05%)
@@ -119,4 +264,44 @@ interface IFlashLoanPool {
      * @return totalShares The total number of pool shares outstanding
      */
     function getTotalPoolShares(address token) external view returns (uint256 totalShares);
+
+    /**
+     * @notice Returns how far the pool balance falls short of what it owes LPs
+     * @dev What is owed is tracked deposits plus queued withdrawals. Covered by the ReserveFund.
+     * @param token The address of the token
+     * @return shortfall The missing amount (0 when fully backed)
+     */
+    function getShortfall(address token) external view returns (uint256 shortfall);
+
+    /**
+     * @notice Returns the cumulative flash loan activity of a token
+     * @dev Counted per loan leg, so each token of a batch loan counts as one loan. Borrowers
+     * are loan initiators (the borrower for adapter loans); premiums are those charged, before any transfer tax.
+     * @param token The address of the token
+     * @return totalBorrowed The total amount ever borrowed
+     * @return loanCount The number of flash loans taken
+     * @return totalPremiums The total premiums charged
+     * @return uniqueBorrowers The number of distinct initiators that have borrowed the token
+     * @return lastLoanTimestamp The timestamp of the latest loan (0 if never borrowed)
+     */
+    function getPoolStats(
+        address token
+    )
+        external
+        view
+        returns (
+            uint256 totalBorrowed,
+            uint256 loanCount,
+            uint256 totalPremiums,
+            uint256 uniqueBorrowers,
+            uint256 lastLoanTimestamp
+        );
+
+    /**
+     * @notice Returns the TRC-20 LP share token for a pool token
+     * @dev Share balances and getPoolShares() always agree; shares are freely transferable
+     * @param token The address of the token
+     * @return shareToken The share token address (zero if the token was never whitelisted)
+     */
+    function getShareToken(address token) external view returns (address shareToken);
 }
@@ -0,0 +1,191 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IFlashLoanVault
+ * @author JustFlash Protocol
+ * @notice ERC-4626 style vault interface for the per-token liquidity pools
+ * @dev Mirrors ERC-4626 semantics with an extra leading `token` argument selecting the pool.
+ * Rounding always favours the pool: previews for deposit/redeem round down,
+ * previews for mint/withdraw round up.
+ */
+interface IFlashLoanVault {
+    /**
+     * @notice Emitted when an owner approves a spender to use its pool shares
+     * @param token The address of the pool token
+     * @param owner The address owning the shares
+     * @param spender The address allowed to redeem/withdraw on behalf of owner
+     * @param shares The approved share amount
+     */
+    event SharesApproval(
+        address indexed token,
+        address indexed owner,
+        address indexed spender,
+        uint256 shares
+    );
+
+    /**
+     * @notice Deposits assets and credits the minted shares to a receiver
+     * @param token The address of the TRC-20 token to deposit
+     * @param assets The amount of tokens to deposit
+     * @param receiver The address receiving the pool shares
+     * @param minSharesOut The minimum shares to mint, reverts otherwise (slippage bound)
+     * @return shares The number of pool shares minted
+     */
+    function depositFor(
+        address token,
+        uint256 assets,
+        address receiver,
+        uint256 minSharesOut
+    ) external returns (uint256 shares);
+
+    /**
+     * @notice Mints an exact amount of shares by depositing the required assets
+     * @param token The address of the TRC-20 token to deposit
+     * @param shares The number of pool shares to mint
+     * @param receiver The address receiving the pool shares
+     * @return assets The amount of tokens pulled from the caller
+     */
+    function mint(
+        address token,
+        uint256 shares,
+        address receiver
+    ) external returns (uint256 assets);
+
+    /**
+     * @notice Withdraws an exact amount of assets by burning the required shares
+     * @param token The address of the TRC-20 token to withdraw
+     * @param assets The amount of tokens to withdraw
+     * @param receiver The address receiving the tokens
+     * @param owner The address whose shares are burned
+     * @return shares The number of pool shares burned
+     */
+    function withdrawAssets(
+        address token,
+        uint256 assets,
+        address receiver,
+        address owner
+    ) external returns (uint256 shares);
+
+    /**
+     * @notice Burns an exact amount of shares and sends the assets to a receiver
+     * @param token The address of the TRC-20 token to withdraw
+     * @param shares The number of pool shares to burn
+     * @param receiver The address receiving the tokens
+     * @param owner The address whose shares are burned
+     * @return assets The amount of tokens withdrawn
+     */
+    function redeem(
+        address token,
+        uint256 shares,
+        address receiver,
+        address owner
+    ) external returns (uint256 assets);
+
+    /**
+     * @notice Burns the caller's shares and sends the assets to a receiver
+     * @param token The address of the TRC-20 token to withdraw
+     * @param shares The number of pool shares to burn
+     * @param receiver The address receiving the tokens
+     * @param minAmountOut The minimum amount to receive, reverts otherwise (slippage bound)
+     * @return assets The amount of tokens withdrawn
+     */
+    function withdrawTo(
+        address token,
+        uint256 shares,
+        address receiver,
+        uint256 minAmountOut
+    ) external returns (uint256 assets);
+
+    /**
+     * @notice Approves a spender to redeem or withdraw the caller's shares
+     * @param token The address of the pool token
+     * @param spender The address to approve
+     * @param shares The share allowance
+     */
+    function approveShares(address token, address spender, uint256 shares) external;
+
+    /**
+     * @notice Returns the remaining share allowance of a spender
+     * @param token The address of the pool token
+     * @param owner The address owning the shares
+     * @param spender The approved address
+     * @return shares The remaining allowance
+     */
+    function shareAllowance(
+        address token,
+        address owner,
+        address spender
+    ) external view returns (uint256 shares);
+
+    /**
+     * @notice Returns the total assets managed by the pool for a token
+     * @param token The address of the pool token
+     * @return assets The total deposits backing the outstanding shares
+     */
+    function totalAssets(address token) external view returns (uint256 assets);
+
+    /**
+     * @notice Simulates the shares minted by depositing assets
+     * @param token The address of the pool token
+     * @param assets The amount of tokens
+     * @return shares The shares that would be minted (rounded down)
+     */
+    function previewDeposit(address token, uint256 assets) external view returns (uint256 shares);
+
+    /**
+     * @notice Simulates the assets required to mint shares
+     * @param token The address of the pool token
+     * @param shares The amount of shares
+     * @return assets The assets that would be pulled (rounded up)
+     */
+    function previewMint(address token, uint256 shares) external view returns (uint256 assets);
+
+    /**
+     * @notice Simulates the shares burned to withdraw assets
+     * @param token The address of the pool token
+     * @param assets The amount of tokens
+     * @return shares The shares that would be burned (rounded up)
+     */
+    function previewWithdraw(address token, uint256 assets) external view returns (uint256 shares);
+
+    /**
+     * @notice Simulates the assets received for redeeming shares
+     * @param token The address of the pool token
+     * @param shares The amount of shares
+     * @return assets The assets that would be withdrawn (rounded down)
+     */
+    function previewRedeem(address token, uint256 shares) external view returns (uint256 assets);
+
+    /**
+     * @notice Returns the maximum assets a receiver can deposit
+     * @param token The address of the pool token
+     * @param receiver The address that would receive shares
+     * @return assets The maximum deposit (0 if the token is not supported)
+     */
+    function maxDeposit(address token, address receiver) external view returns (uint256 assets);
+
+    /**
+     * @notice Returns the maximum shares a receiver can mint
+     * @param token The address of the pool token
+     * @param receiver The address that would receive shares
+     * @return shares The maximum mint (0 if the token is not supported)
+     */
+    function maxMint(address token, address receiver) external view returns (uint256 shares);
+
+    /**
+     * @notice Returns the maximum assets an owner can withdraw right now
+     * @param token The address of the pool token
+     * @param owner The address owning the shares
+     * @return assets The maximum withdrawal, capped by available liquidity
+     */
+    function maxWithdraw(address token, address owner) external view returns (uint256 assets);
+
+    /**
+     * @notice Returns the maximum shares an owner can redeem right now
+     * @param token The address of the pool token
+     * @param owner The address owning the shares
+     * @return shares The maximum redemption, capped by available liquidity
+     */
+    function maxRedeem(address token, address owner) external view returns (uint256 shares);
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IFlashMintableToken
+ * @author JustFlash Protocol
+ * @notice Interface for a TRC-20 that lets the FlashMintFacility mint and burn supply
+ * @dev The token must restrict mint and burn to its minters and list the facility as one.
+ */
+interface IFlashMintableToken is IERC20 {
+    /**
+     * @notice Mints new tokens
+     * @param to The address receiving the tokens
+     * @param amount The amount to mint
+     */
+    function mint(address to, uint256 amount) external;
+
+    /**
+     * @notice Burns tokens
+     * @param from The address whose tokens are burned
+     * @param amount The amount to burn
+     */
+    function burn(address from, uint256 amount) external;
+}
@@ -8,6 +8,15 @@ pragma solidity ^0.8.20;
  * @dev Manages the mapping of tokens to their respective pool addresses
  */
 interface IPoolRegistry {
+    /// @notice Broad classification of a listed token, used for display and risk grouping
+    enum TokenCategory {
+        Uncategorized,
+        Stablecoin,
+        WrappedNative,
+        Governance,
+        Volatile
+    }
+
     /**
      * @notice Emitted when a new token is registered
      * @param token The address of the registered token
@@ -28,6 +37,50 @@ interface IPoolRegistry {
      */
     event TokenStatusUpdated(address indexed token, bool active);
 
+    /**
+     * @notice Emitted when a pool contract is added to the registry
+     * @param pool The address of the pool
+     */
+    event PoolAdded(address indexed pool);
+
+    /**
+     * @notice Emitted when a pool contract is removed from the registry
+     * @param pool The address of the pool
+     */
+    event PoolRemoved(address indexed pool);
+
+    /**
+     * @notice Emitted when a registered token is moved to another pool
+     * @param token The address of the token
+     * @param oldPool The previous pool for the token
+     * @param newPool The new pool for the token
+     */
+    event TokenPoolUpdated(address indexed token, address indexed oldPool, address indexed newPool);
+
+    /**
+     * @notice Emitted when a token's descriptive metadata is updated
+     * @param token The address of the token
+     * @param symbol The token symbol
+     * @param decimals The token decimals
+     * @param category The token category
+     * @param riskTier The token risk tier (0 = unrated)
+     */
+    event TokenMetadataUpdated(
+        address indexed token,
+        string symbol,
+        uint8 decimals,
+        TokenCategory category,
+        uint8 riskTier
+    );
+
+    /**
+     * @notice Emitted when a token's registry fee override is set or cleared
+     * @param token The address of the token
+     * @param enabled Whether the override is active
+     * @param feeBps The override fee in basis points (0 when cleared)
+     */
+    event TokenFeeOverrideUpdated(address indexed token, bool enabled, uint256 feeBps);
+
     /**
      * @notice Registers a new token in the registry
      * @param token The address of the TRC-20 token to register
@@ -68,4 +121,40 @@ interface IPoolRegistry {
      * @return pool The pool address (address(0) if not registered)
      */
     function getPool(address token) external view returns (address pool);
+
+    /**
+     * @notice Returns a page of registered tokens
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of tokens to return
+     * @return tokens The token addresses in the requested range
+     * @return total The total number of registered tokens
+     */
+    function getTokens(uint256 offset, uint256 limit) external view returns (address[] memory tokens, uint256 total);
+
+    /**
+     * @notice Returns every pool contract known to the registry
+     * @return pools Array of pool addresses
+     */
+    function getPools() external view returns (address[] memory pools);
+
+    /**
+     * @notice Returns the descriptive metadata for a token
+     * @param token The address of the token
+     * @return symbol The token symbol
+     * @return decimals The token decimals
+     * @return category The token category
+     * @return riskTier The token risk tier (0 = unrated)
+     */
+    function getTokenMetadata(address token)
+        external
+        view
+        returns (string memory symbol, uint8 decimals, TokenCategory category, uint8 riskTier);
+
+    /**
+     * @notice Returns the registry fee override for a token
+     * @param token The address of the token
+     * @return enabled Whether an override is set
+     * @return feeBps The override fee in basis points
+     */
+    function getFeeOverride(address token) external view returns (bool enabled, uint256 feeBps);
 }
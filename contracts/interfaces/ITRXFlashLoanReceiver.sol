@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ITRXFlashLoanReceiver
+ * @author JustFlash Protocol
+ * @notice Interface for contracts borrowing native TRX through the TRXGateway
+ * @dev The borrowed TRX is sent as the call value of executeTRXOperation. Before
+ * returning, the receiver must send amount + premium in TRX back to the gateway
+ * (msg.sender), e.g. with a plain value transfer. Any surplus is refunded.
+ */
+interface ITRXFlashLoanReceiver {
+    /**
+     * @notice Executes the TRX flash loan callback operation
+     * @param amount The amount of TRX borrowed (in sun), sent as msg.value
+     * @param premium The fee owed in addition to the borrowed amount
+     * @param initiator The address that called TRXGateway.flashLoanTRX
+     * @param params Arbitrary data passed through from the flashLoanTRX() call
+     * @return success True if the operation was successful and repayment was sent
+     */
+    function executeTRXOperation(
+        uint256 amount,
+        uint256 premium,
+        address initiator,
+        bytes calldata params
+    ) external payable returns (bool success);
+}
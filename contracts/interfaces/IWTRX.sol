@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IWTRX
+ * @author JustFlash Protocol
+ * @notice Interface for the Wrapped TRX token
+ * @dev WTRX follows the WETH9 layout: deposit() wraps the TRX sent with the call 1:1
+ * and withdraw() burns WTRX and sends the same amount of TRX to the caller.
+ */
+interface IWTRX is IERC20 {
+    /**
+     * @notice Wraps the TRX sent with the call into WTRX for the caller
+     */
+    function deposit() external payable;
+
+    /**
+     * @notice Burns WTRX and sends the same amount of TRX to the caller
+     * @param amount The amount to unwrap (in sun)
+     */
+    function withdraw(uint256 amount) external;
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IWithdrawalQueue
+ * @author JustFlash Protocol
+ * @notice Queued withdrawals for when a pool cannot pay out immediately
+ * @dev A request burns the owner's shares at the current price and fixes the asset amount.
+ * Requests for a token are finalized strictly first-in first-out as liquidity returns,
+ * and finalized assets are reserved until claimed. Pending requests can be cancelled
+ * for shares at the then-current price.
+ */
+interface IWithdrawalQueue {
+    /// @notice Lifecycle of a withdrawal request
+    enum WithdrawalStatus {
+        None,
+        Pending,
+        Finalized,
+        Claimed,
+        Cancelled
+    }
+
+    /**
+     * @notice Emitted when shares are burned into a queued withdrawal
+     * @param requestId The request identifier
+     * @param owner The address whose shares were burned
+     * @param token The address of the pool token
+     * @param shares The number of pool shares burned
+     * @param assets The amount of tokens owed
+     */
+    event WithdrawalRequested(
+        uint256 indexed requestId,
+        address indexed owner,
+        address indexed token,
+        uint256 shares,
+        uint256 assets
+    );
+
+    /**
+     * @notice Emitted when liquidity is reserved for a request
+     * @param requestId The request identifier
+     * @param token The address of the pool token
+     * @param assets The amount of tokens reserved
+     */
+    event WithdrawalFinalized(uint256 indexed requestId, address indexed token, uint256 assets);
+
+    /**
+     * @notice Emitted when a finalized request is paid out
+     * @param requestId The request identifier
+     * @param owner The address receiving the tokens
+     * @param token The address of the pool token
+     * @param assets The amount of tokens sent
+     */
+    event WithdrawalClaimed(
+        uint256 indexed requestId,
+        address indexed owner,
+        address indexed token,
+        uint256 assets
+    );
+
+    /**
+     * @notice Emitted when a pending request is cancelled and its assets are deposited again
+     * @param requestId The request identifier
+     * @param owner The address credited with shares
+     * @param token The address of the pool token
+     * @param assets The amount of tokens returned to the pool
+     * @param shares The number of pool shares minted
+     */
+    event WithdrawalCancelled(
+        uint256 indexed requestId,
+        address indexed owner,
+        address indexed token,
+        uint256 assets,
+        uint256 shares
+    );
+
+    /**
+     * @notice Burns shares and queues the assets they are worth for withdrawal
+     * @param token The address of the pool token
+     * @param shares The number of pool shares to burn
+     * @param minAmountOut The minimum tokens owed, reverts otherwise (slippage bound)
+     * @return requestId The request identifier
+     */
+    function requestWithdrawal(
+        address token,
+        uint256 shares,
+        uint256 minAmountOut
+    ) external returns (uint256 requestId);
+
+    /**
+     * @notice Pays out a request, finalizing the queue up to it first if liquidity allows
+     * @param requestId The request identifier
+     * @return assets The amount of tokens sent to the owner
+     */
+    function claimWithdrawal(uint256 requestId) external returns (uint256 assets);
+
+    /**
+     * @notice Cancels a pending request and credits the owner with new shares for its assets
+     * @dev Reverts while deposits of the token are not allowed (paused, emergency mode or unsupported)
+     * @param requestId The request identifier
+     * @return shares The number of pool shares minted
+     */
+    function cancelWithdrawal(uint256 requestId) external returns (uint256 shares);
+
+    /**
+     * @notice Finalizes pending requests for a token in order while liquidity covers them
+     * @param token The address of the pool token
+     * @param maxRequests The maximum number of queue entries to walk
+     * @return finalized The number of requests finalized
+     */
+    function processWithdrawals(address token, uint256 maxRequests) external returns (uint256 finalized);
+
+    /**
+     * @notice Returns a withdrawal request
+     * @param requestId The request identifier
+     * @return owner The address whose shares were burned
+     * @return token The address of the pool token
+     * @return assets The amount of tokens owed
+     * @return shares The number of pool shares burned
+     * @return requestedAt The timestamp of the request
+     * @return status The request status
+     */
+    function getWithdrawalRequest(
+        uint256 requestId
+    )
+        external
+        view
+        returns (
+            address owner,
+            address token,
+            uint256 assets,
+            uint256 shares,
+            uint256 requestedAt,
+            WithdrawalStatus status
+        );
+
+    /**
+     * @notice Returns the identifiers of every request an owner has made
+     * @param owner The address to query
+     * @return requestIds The request identifiers, oldest first
+     */
+    function getWithdrawalRequests(address owner) external view returns (uint256[] memory requestIds);
+
+    /**
+     * @notice Returns the queue totals for a token
+     * @param token The address of the pool token
+     * @return queuedAssets The tokens owed to pending and finalized requests
+     * @return finalizedAssets The tokens reserved for finalized requests
+     * @return pendingRequests The number of requests waiting for liquidity
+     */
+    function getWithdrawalQueue(
+        address token
+    ) external view returns (uint256 queuedAssets, uint256 finalizedAssets, uint256 pendingRequests);
+}
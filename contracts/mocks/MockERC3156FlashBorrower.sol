@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+
+/**
+ * @title MockERC3156FlashBorrower
+ * @notice Mock ERC-3156 borrower for testing the standard lender interface
+ */
+contract MockERC3156FlashBorrower is IERC3156FlashBorrower {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    IERC3156FlashLender public lender;
+
+    // Test configuration
+    bool public shouldRepay = true;
+    bool public shouldReturnSuccess = true;
+
+    // Tracking
+    address public lastInitiator;
+    address public lastToken;
+    uint256 public lastAmount;
+    uint256 public lastFee;
+    bytes public lastData;
+    uint256 public lastBalance;
+    uint256 public callCount;
+
+    constructor(address _lender) {
+        lender = IERC3156FlashLender(_lender);
+    }
+
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bytes32) {
+        // Record call data
+        lastInitiator = initiator;
+        lastToken = token;
+        lastAmount = amount;
+        lastFee = fee;
+        lastData = data;
+        lastBalance = IERC20(token).balanceOf(address(this));
+        callCount++;
+
+        if (shouldRepay) {
+            // ERC-3156: approve the lender to pull amount + fee
+            IERC20(token).safeIncreaseAllowance(msg.sender, amount + fee);
+        }
+
+        return shouldReturnSuccess ? CALLBACK_SUCCESS : bytes32(0);
+    }
+
+    function flashBorrow(
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external {
+        lender.flashLoan(this, token, amount, data);
+    }
+
+    // Test configuration functions
+    function setShouldRepay(bool _shouldRepay) external {
+        shouldRepay = _shouldRepay;
+    }
+
+    function setShouldReturnSuccess(bool _shouldReturnSuccess) external {
+        shouldReturnSuccess = _shouldReturnSuccess;
+    }
+}
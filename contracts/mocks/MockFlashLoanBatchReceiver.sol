@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IFlashLoanBatchReceiver.sol";
+import "../interfaces/IFlashLoanPool.sol";
+
+/**
+ * @title MockFlashLoanBatchReceiver
+ * @notice Mock receiver for testing multi-asset flash loans
+ */
+contract MockFlashLoanBatchReceiver is IFlashLoanBatchReceiver {
+    using SafeERC20 for IERC20;
+
+    IFlashLoanPool public pool;
+
+    // Test configuration
+    bool public shouldRepay = true;
+    bool public shouldReturnTrue = true;
+
+    // Tracking
+    address[] public lastTokens;
+    uint256[] public lastAmounts;
+    uint256[] public lastPremiums;
+    address public lastInitiator;
+    bytes public lastParams;
+    uint256 public callCount;
+
+    constructor(address _pool) {
+        pool = IFlashLoanPool(_pool);
+    }
+
+    function executeBatchOperation(
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        uint256[] calldata premiums,
+        address initiator,
+        bytes calldata params
+    ) external override returns (bool) {
+        // Record call data
+        lastTokens = tokens;
+        lastAmounts = amounts;
+        lastPremiums = premiums;
+        lastInitiator = initiator;
+        lastParams = params;
+        callCount++;
+
+        if (shouldRepay) {
+            // Approve pool for repayment of every leg
+            for (uint256 i = 0; i < tokens.length; i++) {
+                IERC20(tokens[i]).safeIncreaseAllowance(msg.sender, amounts[i] + premiums[i]);
+            }
+        }
+
+        return shouldReturnTrue;
+    }
+
+    function initiateBatchFlashLoan(
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        bytes calldata params
+    ) external {
+        pool.flashLoanBatch(address(this), tokens, amounts, params);
+    }
+
+    function getLastPremiums() external view returns (uint256[] memory) {
+        return lastPremiums;
+    }
+
+    // Test configuration functions
+    function setShouldRepay(bool _shouldRepay) external {
+        shouldRepay = _shouldRepay;
+    }
+
+    function setShouldReturnTrue(bool _shouldReturnTrue) external {
+        shouldReturnTrue = _shouldReturnTrue;
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../upgradeable/FlashLoanPoolUpgradeable.sol";
+
+/**
+ * @title MockFlashLoanPoolV2
+ * @notice Upgrade target for testing: the pool plus one new state variable appended after the layout
+ */
+contract MockFlashLoanPoolV2 is FlashLoanPoolUpgradeable {
+    /// @notice New state added by the upgrade
+    uint256 public upgradeCounter;
+
+    /**
+     * @notice Returns the implementation version
+     * @return The version number
+     */
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+
+    /**
+     * @notice Writes the new state variable
+     */
+    function bumpUpgradeCounter() external {
+        upgradeCounter += 1;
+    }
+
+    /**
+     * @notice Clears the recorded admin, as on a proxy initialized before the two-step transfer
+     * @dev The admin keeps DEFAULT_ADMIN_ROLE; only the ProtocolRoles record is erased
+     */
+    function clearRecordedAdmin() external {
+        bytes32 slot = 0xf3e23eff6910d7fc77d9daa4be2ebaf918193f83d89d4984019df55de40af100;
+        assembly {
+            sstore(slot, 0)
+        }
+    }
+}
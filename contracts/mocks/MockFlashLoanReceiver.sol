@@ -19,6 +19,7 @@ contract MockFlashLoanReceiver is IFlashLoanReceiver {
     bool public shouldRepay = true;
     bool public shouldReturnTrue = true;
     uint256 public extraRepayment = 0;
+    uint256 public directRepayment = 0;
     
     // Tracking
     uint256 public lastAmount;
@@ -47,6 +48,11 @@ contract MockFlashLoanReceiver is IFlashLoanReceiver {
         lastParams = params;
         callCount++;
 
+        if (directRepayment > 0) {
+            // Push tokens straight to the pool, e.g. to cover a transfer tax on repayment
+            IERC20(token).safeTransfer(msg.sender, directRepayment);
+        }
+
         if (shouldRepay) {
             // Approve pool for repayment
             uint256 amountOwed = amount + premium + extraRepayment;
@@ -64,6 +70,17 @@ contract MockFlashLoanReceiver is IFlashLoanReceiver {
         pool.flashLoan(address(this), token, amount, params);
     }
 
+    // Several sequential loans in one transaction (same block)
+    function initiateRepeatedFlashLoans(
+        address token,
+        uint256 amount,
+        uint256 count
+    ) external {
+        for (uint256 i = 0; i < count; i++) {
+            pool.flashLoan(address(this), token, amount, "");
+        }
+    }
+
     // Test configuration functions
     function setShouldRepay(bool _shouldRepay) external {
         shouldRepay = _shouldRepay;
@@ -77,6 +94,10 @@ contract MockFlashLoanReceiver is IFlashLoanReceiver {
         extraRepayment = _extraRepayment;
     }
 
+    function setDirectRepayment(uint256 _directRepayment) external {
+        directRepayment = _directRepayment;
+    }
+
     function setPool(address _pool) external {
         pool = IFlashLoanPool(_pool);
     }
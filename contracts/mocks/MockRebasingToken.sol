@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+/**
+ * @title MockRebasingToken
+ * @notice Mock rebasing TRC-20 for testing: balances are internal shares scaled by an index
+ */
+contract MockRebasingToken is IERC20, IERC20Metadata {
+    uint256 public constant INDEX_PRECISION = 1e18;
+
+    string public override name;
+    string public override symbol;
+    uint8 public override decimals;
+
+    // Balance multiplier; rebase() moves every holder's balance at once
+    uint256 public index = INDEX_PRECISION;
+
+    uint256 private _totalShares;
+    mapping(address => uint256) private _shares;
+    mapping(address => mapping(address => uint256)) private _allowances;
+
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) {
+        name = name_;
+        symbol = symbol_;
+        decimals = decimals_;
+    }
+
+    function totalSupply() external view override returns (uint256) {
+        return (_totalShares * index) / INDEX_PRECISION;
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (_shares[account] * index) / INDEX_PRECISION;
+    }
+
+    function allowance(address owner, address spender) external view override returns (uint256) {
+        return _allowances[owner][spender];
+    }
+
+    function approve(address spender, uint256 amount) external override returns (bool) {
+        _allowances[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external override returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external override returns (bool) {
+        uint256 allowed = _allowances[from][msg.sender];
+        require(allowed >= amount, "Insufficient allowance");
+        _allowances[from][msg.sender] = allowed - amount;
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function mint(address to, uint256 amount) external {
+        uint256 shares = (amount * INDEX_PRECISION) / index;
+        _shares[to] += shares;
+        _totalShares += shares;
+        emit Transfer(address(0), to, amount);
+    }
+
+    // Scales every balance by newIndex / INDEX_PRECISION (e.g. 1.1e18 = +10%)
+    function rebase(uint256 newIndex) external {
+        index = newIndex;
+    }
+
+    function _transfer(address from, address to, uint256 amount) private {
+        uint256 shares = (amount * INDEX_PRECISION) / index;
+        require(_shares[from] >= shares, "Insufficient balance");
+        _shares[from] -= shares;
+        _shares[to] += shares;
+        emit Transfer(from, to, amount);
+    }
+}
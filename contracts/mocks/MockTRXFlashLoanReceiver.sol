@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/ITRXFlashLoanReceiver.sol";
+import "../adapters/TRXGateway.sol";
+
+/**
+ * @title MockTRXFlashLoanReceiver
+ * @notice Mock receiver for testing native TRX flash loans through the gateway
+ */
+contract MockTRXFlashLoanReceiver is ITRXFlashLoanReceiver {
+    TRXGateway public gateway;
+
+    // Test configuration
+    bool public shouldRepay = true;
+    uint256 public extraRepayment = 0;
+
+    // Tracking
+    uint256 public lastAmount;
+    uint256 public lastPremium;
+    uint256 public lastValue;
+    address public lastInitiator;
+    bytes public lastParams;
+
+    constructor(address payable _gateway) {
+        gateway = TRXGateway(_gateway);
+    }
+
+    // Funded with TRX to cover premiums
+    receive() external payable {}
+
+    function executeTRXOperation(
+        uint256 amount,
+        uint256 premium,
+        address initiator,
+        bytes calldata params
+    ) external payable override returns (bool) {
+        lastAmount = amount;
+        lastPremium = premium;
+        lastValue = msg.value;
+        lastInitiator = initiator;
+        lastParams = params;
+
+        if (shouldRepay) {
+            (bool sent, ) = payable(msg.sender).call{value: amount + premium + extraRepayment}("");
+            require(sent, "Repayment failed");
+        }
+
+        return true;
+    }
+
+    function initiateFlashLoan(uint256 amount, bytes calldata params) external {
+        gateway.flashLoanTRX(address(this), amount, params);
+    }
+
+    function setShouldRepay(bool _shouldRepay) external {
+        shouldRepay = _shouldRepay;
+    }
+
+    function setExtraRepayment(uint256 _extra) external {
+        extraRepayment = _extra;
+    }
+}
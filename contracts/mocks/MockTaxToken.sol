@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockTaxToken
+ * @notice Mock fee-on-transfer TRC-20 for testing: burns a share of every transfer
+ */
+contract MockTaxToken is ERC20 {
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    uint8 private _decimals;
+    uint256 public taxBps;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_,
+        uint256 taxBps_
+    ) ERC20(name, symbol) {
+        _decimals = decimals_;
+        taxBps = taxBps_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function setTaxBps(uint256 taxBps_) external {
+        taxBps = taxBps_;
+    }
+
+    // Transfers between holders deliver value minus the tax, which is burned
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0) || taxBps == 0) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 tax = (value * taxBps) / BPS_DENOMINATOR;
+        super._update(from, address(0), tax);
+        super._update(from, to, value - tax);
+    }
+}
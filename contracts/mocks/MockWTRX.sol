@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockWTRX
+ * @notice Mock Wrapped TRX for testing (WETH9-style deposit/withdraw)
+ */
+contract MockWTRX is ERC20 {
+    constructor() ERC20("Wrapped TRX", "WTRX") {}
+
+    receive() external payable {
+        _mint(msg.sender, msg.value);
+    }
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function deposit() external payable {
+        _mint(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        payable(msg.sender).transfer(amount);
+    }
+}
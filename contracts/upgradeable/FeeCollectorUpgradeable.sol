@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "../core/FeeCollector.sol";
+
+/**
+ * @title FeeCollectorUpgradeable
+ * @author JustFlash Protocol
+ * @notice UUPS implementation of the fee collector, deployed behind a ProtocolProxy
+ * @dev Shares FeeCollectorBase with the directly deployed FeeCollector. Upgrades are
+ * authorized by DEFAULT_ADMIN_ROLE.
+ */
+contract FeeCollectorUpgradeable is FeeCollectorBase, Initializable, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initializes the proxy's state
+     * @param initialAdmin The initial admin address
+     * @param treasuryAddress The treasury address for protocol fees
+     * @param poolAddress The flash loan pool address
+     */
+    function initialize(address initialAdmin, address treasuryAddress, address poolAddress) external initializer {
+        _initializeFeeCollector(initialAdmin, treasuryAddress, poolAddress);
+    }
+
+    /**
+     * @notice Restricts upgrades to the admin
+     * @param newImplementation The implementation being upgraded to
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "../core/FlashLoanPool.sol";
+
+/**
+ * @title FlashLoanPoolUpgradeable
+ * @author JustFlash Protocol
+ * @notice UUPS implementation of the flash loan pool, deployed behind a ProtocolProxy
+ * @dev Shares FlashLoanPoolBase with the directly deployed FlashLoanPool, so behaviour and
+ * storage layout are identical. Upgrades are authorized by DEFAULT_ADMIN_ROLE, which a
+ * timelock deployment holds. Check new implementations with scripts/upgrade.js.
+ */
+contract FlashLoanPoolUpgradeable is FlashLoanPoolBase, Initializable, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initializes the proxy's state
+     * @param initialAdmin The address of the initial admin
+     * @param initialFee The initial flash loan fee in basis points
+     */
+    function initialize(address initialAdmin, uint256 initialFee) external initializer {
+        _initializeFlashLoanPool(initialAdmin, initialFee);
+    }
+
+    /**
+     * @notice Restricts upgrades to the admin
+     * @param newImplementation The implementation being upgraded to
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "../core/PoolRegistry.sol";
+
+/**
+ * @title PoolRegistryUpgradeable
+ * @author JustFlash Protocol
+ * @notice UUPS implementation of the pool registry, deployed behind a ProtocolProxy
+ * @dev Shares PoolRegistryBase with the directly deployed PoolRegistry. Upgrades are
+ * authorized by DEFAULT_ADMIN_ROLE.
+ */
+contract PoolRegistryUpgradeable is PoolRegistryBase, Initializable, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initializes the proxy's state
+     * @param initialAdmin The initial admin address
+     * @param poolAddress The default flash loan pool address
+     */
+    function initialize(address initialAdmin, address poolAddress) external initializer {
+        _initializePoolRegistry(initialAdmin, poolAddress);
+    }
+
+    /**
+     * @notice Restricts upgrades to the admin
+     * @param newImplementation The implementation being upgraded to
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
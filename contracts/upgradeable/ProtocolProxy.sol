@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title ProtocolProxy
+ * @author JustFlash Protocol
+ * @notice ERC-1967 proxy in front of the upgradeable core contracts
+ * @dev Thin wrapper over OpenZeppelin's ERC1967Proxy so it has its own build artifact.
+ * The implementation's `initialize` call is passed as `data` and runs in the proxy's
+ * storage during deployment. Upgrades go through the implementation's UUPS
+ * `upgradeToAndCall`, not through the proxy.
+ */
+contract ProtocolProxy is ERC1967Proxy {
+    /**
+     * @notice Deploys the proxy and initializes it
+     * @param implementation The initial implementation address
+     * @param data The encoded initialize call
+     */
+    constructor(address implementation, bytes memory data) payable ERC1967Proxy(implementation, data) {}
+}
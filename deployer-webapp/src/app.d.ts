@@ -1,6 +1,29 @@
 /// <reference types="@sveltejs/kit" />
 
+// TronLink wallet types (subset used by the operations panel)
+interface TronWeb {
+  ready: boolean;
+  defaultAddress: {
+    base58: string;
+    hex: string;
+  };
+  contract(): {
+    at(address: string): Promise<TronContract>;
+  };
+}
+
+interface TronContract {
+  [key: string]: (...args: unknown[]) => {
+    call(): Promise<unknown>;
+    send(options?: { feeLimit?: number }): Promise<string>;
+  };
+}
+
 declare global {
+  interface Window {
+    tronWeb?: TronWeb;
+  }
+
   namespace App {
     interface Locals {
       user:  {
@@ -14,6 +14,17 @@ interface RealtimeMetrics {
     overall: number;
   };
   alerts: Alert[];
+  reserves: ReserveStatus[];
+}
+
+// Mirrors ReserveFund.getReserveStatus(token), amounts in whole tokens
+export interface ReserveStatus {
+  token: string;
+  symbol: string;
+  reserves: number;
+  poolAssets: number;
+  shortfall: number;
+  ratioBps: number;
 }
 
 interface Alert {
@@ -37,7 +48,8 @@ function createRealtimeStore() {
       database: 100,
       overall: 100
     },
-    alerts: []
+    alerts: [],
+    reserves: []
   });
 
   let ws: WebSocket | null = null;
@@ -97,6 +109,15 @@ function createRealtimeStore() {
               systemHealth: data.value
             };
           
+          case 'reserve':
+            return {
+              ...metrics,
+              reserves: [
+                ...metrics.reserves.filter(r => r.token !== data.value.token),
+                data.value
+              ]
+            };
+          
           case 'alert':
             return {
               ...metrics,
@@ -146,6 +167,11 @@ export const tvlGrowth = derived(
   }
 );
 
+export const totalShortfall = derived(
+  realtimeStore,
+  $metrics => $metrics.reserves.reduce((sum, r) => sum + r.shortfall, 0)
+);
+
 export const healthScore = derived(
   realtimeStore,
   $metrics => {
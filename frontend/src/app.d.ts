@@ -15,6 +15,9 @@ interface TronWeb {
 		sign(transaction: unknown): Promise<unknown>;
 		sendRawTransaction(transaction: unknown): Promise<unknown>;
 	};
+	address: {
+		fromHex(address: string): string;
+	};
 	toSun(amount: number): number;
 	fromSun(amount: number): number;
 }
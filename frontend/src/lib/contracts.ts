@@ -6,25 +6,141 @@
 import { writable, get } from 'svelte/store';
 import { walletConnected, walletAddress, walletError, getContract, parseAmount } from './wallet';
 
+// Contract instance as returned by getContract
+type PoolContract = NonNullable<Awaited<ReturnType<typeof getContract>>>;
+
+// Token categories as stored by PoolRegistry (IPoolRegistry.TokenCategory)
+export const TOKEN_CATEGORIES = ['Uncategorized', 'Stablecoin', 'Wrapped Native', 'Governance', 'Volatile'];
+
+// Token listing discovered from PoolRegistry
+export interface RegistryToken {
+	token: string;
+	pool: string;
+	symbol: string;
+	decimals: number;
+	category: number;
+	riskTier: number;
+	active: boolean;
+}
+
+// Withdrawal request statuses (IWithdrawalQueue.WithdrawalStatus)
+export const WITHDRAWAL_STATUSES = ['None', 'Pending', 'Finalized', 'Claimed', 'Cancelled'];
+
+// Flash loan quote statuses (IFlashLoanPool.FlashLoanStatus), named after the error a loan would revert with
+export const FLASH_LOAN_STATUSES = [
+	'Available',
+	'ZeroAddress',
+	'Paused',
+	'ZeroAmount',
+	'TokenNotSupported',
+	'InsufficientLiquidity',
+	'LoanAmountTooLarge',
+	'BlockBorrowLimitExceeded'
+];
+
+// Flash loan quote from FlashLoanPool.quoteFlashLoan (amounts in token base units)
+export interface FlashLoanQuote {
+	premium: string;
+	maxBorrowable: string;
+	status: number;
+	statusLabel: string;
+}
+
+// Queued withdrawal that is still waiting for liquidity or to be claimed
+export interface WithdrawalRequestData {
+	id: string;
+	assets: string;
+	shares: string;
+	requestedAt: number;
+	status: number;
+}
+
 // Pool data store
 export interface PoolData {
 	token: string;
+	pool: string;
 	tokenSymbol: string;
+	decimals: number;
+	category: number;
+	riskTier: number;
 	liquidity: string;
 	totalShares: string;
 	userShares: string;
 	userDeposit: string;
 	flashLoanFee: number;
+	hasFeeOverride: boolean;
+	maxLoanAmount: string;
+	blockBorrowLimit: string;
+	shareToken: string;
+	withdrawalRequests: WithdrawalRequestData[];
+	feeVestingPeriod: number;
+	lockedFees: string;
+	feesVestedAt: number;
+	totalBorrowed: string;
+	loanCount: number;
+	totalPremiums: string;
+	uniqueBorrowers: number;
+	lastLoanTimestamp: number;
 }
 
 export const poolsData = writable<PoolData[]>([]);
 export const isLoading = writable(false);
 
+// Slippage tolerance applied to previewed shares/amounts (50 bps = 0.5%)
+export const DEFAULT_SLIPPAGE_BPS = 50n;
+
+// Lower bound for a previewed amount after slippage tolerance
+function withSlippage(previewed: unknown): string {
+	return ((BigInt(String(previewed)) * (10000n - DEFAULT_SLIPPAGE_BPS)) / 10000n).toString();
+}
+
+// Tokens read from PoolRegistry per getTokens call
+const REGISTRY_PAGE_SIZE = 50;
+
 // Note: ABIs are loaded dynamically from contract instances via getContract()
 // TronWeb handles ABI resolution when connecting to deployed contracts
 
-// Load pool data
-export async function loadPoolData(poolAddress: string, tokenAddresses: string[]): Promise<void> {
+// TronWeb returns addresses as hex; the UI works in base58
+function toBase58(address: unknown): string {
+	return window.tronWeb?.address.fromHex(String(address)) ?? String(address);
+}
+
+// Discover listed tokens, their pools and metadata from PoolRegistry
+export async function discoverTokens(registryAddress: string): Promise<RegistryToken[]> {
+	const registry = await getContract(registryAddress);
+	if (!registry) return [];
+
+	const tokens: RegistryToken[] = [];
+	for (let offset = 0; ; offset += REGISTRY_PAGE_SIZE) {
+		const page = await registry.getTokens(offset, REGISTRY_PAGE_SIZE).call();
+
+		for (const tokenHex of page.tokens as unknown[]) {
+			const token = toBase58(tokenHex);
+			const [pool, metadata, active] = await Promise.all([
+				registry.getPool(token).call(),
+				registry.getTokenMetadata(token).call(),
+				registry.isTokenSupported(token).call()
+			]);
+
+			tokens.push({
+				token,
+				pool: toBase58(pool),
+				symbol: String(metadata.symbol),
+				decimals: Number(metadata.decimals),
+				category: Number(metadata.category),
+				riskTier: Number(metadata.riskTier),
+				active: Boolean(active)
+			});
+		}
+
+		if (offset + REGISTRY_PAGE_SIZE >= Number(page.total)) break;
+	}
+
+	return tokens;
+}
+
+// Load pool data for every token listed in the registry, each from its own pool
+export async function loadPoolData(registryAddress: string): Promise<void> {
 	if (!get(walletConnected)) {
 		walletError.set('Wallet not connected');
 		return;
@@ -34,39 +150,88 @@ export async function loadPoolData(poolAddress: string, tokenAddresses: string[]
 	walletError.set(null);
 
 	try {
-		const pool = await getContract(poolAddress);
-		if (!pool) return;
-
+		const listings = await discoverTokens(registryAddress);
 		const userAddr = get(walletAddress);
-		const fee = await pool.getFlashLoanFee().call();
 
 		const pools: PoolData[] = [];
 
-		for (const tokenAddr of tokenAddresses) {
+		for (const listing of listings) {
+			const tokenAddr = listing.token;
 			try {
-				const token = await getContract(tokenAddr);
-				if (!token) continue;
+				const pool = await getContract(listing.pool);
+				if (!pool) continue;
 
-				const [symbol, liquidity, totalShares, userShares] = await Promise.all([
-					token.symbol().call(),
+				const [
+					liquidity,
+					totalShares,
+					userShares,
+					shareToken,
+					fee,
+					feeOverride,
+					maxLoanAmount,
+					blockBorrowLimit,
+					feeVesting,
+					poolStats
+				] = await Promise.all([
 					pool.getAvailableLiquidity(tokenAddr).call(),
 					pool.getTotalPoolShares(tokenAddr).call(),
-					userAddr ? pool.getPoolShares(userAddr, tokenAddr).call() : Promise.resolve('0')
+					userAddr ? pool.getPoolShares(userAddr, tokenAddr).call() : Promise.resolve('0'),
+					pool.getShareToken(tokenAddr).call(),
+					pool.getTokenFee(tokenAddr).call(),
+					pool.getFeeOverride(tokenAddr).call(),
+					pool.getMaxLoanAmount(tokenAddr).call(),
+					pool.getBlockBorrowLimit(tokenAddr).call(),
+					pool.getFeeVesting(tokenAddr).call(),
+					pool.getPoolStats(tokenAddr).call()
 				]);
+				const vesting = feeVesting as { period: unknown; lockedFees: unknown; vestedAt: unknown };
+				const stats = poolStats as {
+					totalBorrowed: unknown;
+					loanCount: unknown;
+					totalPremiums: unknown;
+					uniqueBorrowers: unknown;
+					lastLoanTimestamp: unknown;
+				};
 
 				let userDeposit = '0';
 				if (userShares && BigInt(userShares.toString()) > 0) {
 					userDeposit = await pool.sharesToAmount(tokenAddr, userShares).call();
 				}
 
+				const withdrawalRequests = userAddr
+					? await loadWithdrawalRequests(pool, tokenAddr, userAddr)
+					: [];
+
 				pools.push({
 					token: tokenAddr,
-					tokenSymbol: symbol.toString(),
+					pool: listing.pool,
+					tokenSymbol: listing.symbol,
+					decimals: listing.decimals,
+					category: listing.category,
+					riskTier: listing.riskTier,
 					liquidity: liquidity.toString(),
 					totalShares: totalShares.toString(),
 					userShares: userShares.toString(),
 					userDeposit: userDeposit.toString(),
-					flashLoanFee: Number(fee)
+					// Effective fee for this token (pool override, registry override or the global fee)
+					flashLoanFee: Number(fee),
+					hasFeeOverride: Boolean((feeOverride as { enabled: boolean }).enabled),
+					// 0 means uncapped / unlimited
+					maxLoanAmount: String(maxLoanAmount),
+					blockBorrowLimit: String(blockBorrowLimit),
+					// LP share tokens are shown in base58
+					shareToken: toBase58(shareToken),
+					withdrawalRequests,
+					// Premiums still vesting into share price (anti-JIT)
+					feeVestingPeriod: Number(vesting.period),
+					lockedFees: String(vesting.lockedFees),
+					feesVestedAt: Number(vesting.vestedAt),
+					// Cumulative loan activity recorded on-chain since the pool went live
+					totalBorrowed: String(stats.totalBorrowed),
+					loanCount: Number(stats.loanCount),
+					totalPremiums: String(stats.totalPremiums),
+					uniqueBorrowers: Number(stats.uniqueBorrowers),
+					lastLoanTimestamp: Number(stats.lastLoanTimestamp)
 				});
 			} catch (error) {
 				console.error(`Failed to load data for token ${tokenAddr}:`, error);
@@ -107,8 +272,11 @@ export async function deposit(
 		// Approve token transfer
 		await token.approve(poolAddress, parsedAmount).send({ feeLimit: 100_000_000 });
 
-		// Deposit
-		const txId = await pool.deposit(tokenAddress, parsedAmount).send({ feeLimit: 200_000_000 });
+		// Deposit, reverting if the share price moves beyond tolerance before inclusion
+		const expectedShares = await pool.previewDeposit(tokenAddress, parsedAmount).call();
+		const txId = await pool
+			.deposit(tokenAddress, parsedAmount, withSlippage(expectedShares))
+			.send({ feeLimit: 200_000_000 });
 
 		return txId;
 	} catch (error) {
@@ -137,7 +305,10 @@ export async function withdraw(
 		const pool = await getContract(poolAddress);
 		if (!pool) return null;
 
-		const txId = await pool.withdraw(tokenAddress, shares).send({ feeLimit: 200_000_000 });
+		const expectedAmount = await pool.previewRedeem(tokenAddress, shares).call();
+		const txId = await pool
+			.withdraw(tokenAddress, shares, withSlippage(expectedAmount))
+			.send({ feeLimit: 200_000_000 });
 
 		return txId;
 	} catch (error) {
@@ -148,9 +319,118 @@ export async function withdraw(
 	}
 }
 
-// Calculate premium for flash loan
-export function calculatePremium(amount: number, feeBps: number): number {
-	return (amount * feeBps) / 10000;
+// Open (pending or finalized) withdrawal requests of an owner for one token
+async function loadWithdrawalRequests(
+	pool: PoolContract,
+	tokenAddress: string,
+	owner: string
+): Promise<WithdrawalRequestData[]> {
+	const ids = (await pool.getWithdrawalRequests(owner).call()) as unknown[];
+	const requests: WithdrawalRequestData[] = [];
+
+	for (const id of ids) {
+		const request = (await pool.getWithdrawalRequest(String(id)).call()) as Record<string, unknown>;
+		const status = Number(request.status);
+		if (toBase58(request.token) !== tokenAddress || (status !== 1 && status !== 2)) continue;
+
+		requests.push({
+			id: String(id),
+			assets: String(request.assets),
+			shares: String(request.shares),
+			requestedAt: Number(request.requestedAt),
+			status
+		});
+	}
+
+	return requests;
+}
+
+// Burn shares into a queued withdrawal, for when the pool cannot pay out right away
+export async function requestWithdrawal(
+	poolAddress: string,
+	tokenAddress: string,
+	shares: string
+): Promise<string | null> {
+	return sendQueueTransaction(poolAddress, 'Withdrawal request', async (pool) => {
+		const expectedAmount = await pool.previewRedeem(tokenAddress, shares).call();
+		return pool.requestWithdrawal(tokenAddress, shares, withSlippage(expectedAmount));
+	});
+}
+
+// Pay out a queued withdrawal once liquidity has returned
+export async function claimWithdrawal(poolAddress: string, requestId: string): Promise<string | null> {
+	return sendQueueTransaction(poolAddress, 'Claim', async (pool) => pool.claimWithdrawal(requestId));
+}
+
+// Turn a pending withdrawal back into pool shares
+export async function cancelWithdrawal(poolAddress: string, requestId: string): Promise<string | null> {
+	return sendQueueTransaction(poolAddress, 'Cancel', async (pool) => pool.cancelWithdrawal(requestId));
+}
+
+// Shared wallet checks, loading state and error reporting for withdrawal queue calls
+async function sendQueueTransaction(
+	poolAddress: string,
+	label: string,
+	buildCall: (pool: PoolContract) => Promise<ReturnType<PoolContract[string]>>
+): Promise<string | null> {
+	if (!get(walletConnected)) {
+		walletError.set('Wallet not connected');
+		return null;
+	}
+
+	isLoading.set(true);
+	walletError.set(null);
+
+	try {
+		const pool = await getContract(poolAddress);
+		if (!pool) return null;
+
+		const call = await buildCall(pool);
+		return await call.send({ feeLimit: 200_000_000 });
+	} catch (error) {
+		walletError.set(`${label} failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+		return null;
+	} finally {
+		isLoading.set(false);
+	}
+}
+
+// Quote a flash loan on-chain: the premium charged (with borrower discounts), the max borrowable
+// amount and whether the loan would go through. A constant call, so no wallet signature is needed.
+// The initiator is the address that calls flashLoan; pass the receiver again if it starts its own loans.
+export async function quoteFlashLoan(
+	poolAddress: string,
+	tokenAddress: string,
+	amount: string,
+	receiver: string,
+	initiator: string
+): Promise<FlashLoanQuote | null> {
+	try {
+		const pool = await getContract(poolAddress);
+		if (!pool) return null;
+
+		const quote = (await pool.quoteFlashLoan(tokenAddress, amount, receiver, initiator).call()) as {
+			premium: unknown;
+			maxBorrowable: unknown;
+			status: unknown;
+		};
+		const status = Number(quote.status);
+		return {
+			premium: String(quote.premium),
+			maxBorrowable: String(quote.maxBorrowable),
+			status,
+			statusLabel: FLASH_LOAN_STATUSES[status] ?? 'Unknown'
+		};
+	} catch (error) {
+		walletError.set(`Quote failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+		return null;
+	}
+}
+
+// Calculate premium for flash loan in token base units, rounding down like the pool.
+// Prefer quoteFlashLoan, which also applies per-token fees and borrower discounts.
+export function calculatePremium(amount: bigint, feeBps: bigint): bigint {
+	return (amount * feeBps) / 10000n;
 }
 
 // Calculate APY for depositors
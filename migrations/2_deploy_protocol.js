@@ -1,6 +1,8 @@
 const FlashLoanPool = artifacts.require("FlashLoanPool");
 const FeeCollector = artifacts.require("FeeCollector");
 const PoolRegistry = artifacts.require("PoolRegistry");
+const TRXGateway = artifacts.require("TRXGateway");
+const ERC3156FlashLender = artifacts.require("ERC3156FlashLender");
 
 /**
  * @title JustFlash Protocol Deployment
@@ -11,6 +13,8 @@ const PoolRegistry = artifacts.require("PoolRegistry");
  * 2. FeeCollector (fee distribution)
  * 3. PoolRegistry (token management)
  * 4. Configure contracts (link together, whitelist tokens)
+ * 5. TRXGateway (native TRX front-end, when WTRX is listed)
+ * 6. ERC3156FlashLender (ERC-3156 front-end)
  */
 module.exports = async function (deployer, network, accounts) {
   const owner = accounts[0];
@@ -56,7 +60,9 @@ module.exports = async function (deployer, network, accounts) {
   // 4. Configure FlashLoanPool with FeeCollector
   console.log('4. Configuring FlashLoanPool...');
   await flashLoanPool.setFeeCollector(feeCollector.address);
-  console.log(`   FeeCollector linked to FlashLoanPool\n`);
+  console.log(`   FeeCollector linked to FlashLoanPool`);
+  await flashLoanPool.setPoolRegistry(poolRegistry.address);
+  console.log(`   PoolRegistry linked to FlashLoanPool\n`);
 
   // 5. Whitelist tokens based on network
   console.log('5. Whitelisting tokens...');
@@ -74,6 +80,21 @@ module.exports = async function (deployer, network, accounts) {
     }
   }
 
+  let trxGateway = null;
+  if (tokenAddresses.WTRX) {
+    await deployer.deploy(TRXGateway, flashLoanPool.address, tokenAddresses.WTRX);
+    trxGateway = await TRXGateway.deployed();
+    console.log(`   TRXGateway deployed at: ${trxGateway.address}`);
+    await flashLoanPool.setTrustedAdapter(trxGateway.address, true);
+    console.log(`   TRXGateway trusted by FlashLoanPool`);
+  }
+
+  await deployer.deploy(ERC3156FlashLender, flashLoanPool.address);
+  const erc3156Lender = await ERC3156FlashLender.deployed();
+  console.log(`   ERC3156FlashLender deployed at: ${erc3156Lender.address}`);
+  await flashLoanPool.setTrustedAdapter(erc3156Lender.address, true);
+  console.log(`   ERC3156FlashLender trusted by FlashLoanPool`);
+
   console.log('\n========================================');
   console.log('Deployment Complete!');
   console.log('========================================');
@@ -81,6 +102,10 @@ module.exports = async function (deployer, network, accounts) {
   console.log(`  FlashLoanPool: ${flashLoanPool.address}`);
   console.log(`  FeeCollector:  ${feeCollector.address}`);
   console.log(`  PoolRegistry:  ${poolRegistry.address}`);
+  if (trxGateway) {
+    console.log(`  TRXGateway:    ${trxGateway.address}`);
+  }
+  console.log(`  ERC-3156:      ${erc3156Lender.address}`);
   console.log('========================================\n');
 
   // Save deployment info
@@ -91,6 +116,8 @@ module.exports = async function (deployer, network, accounts) {
       FlashLoanPool: flashLoanPool.address,
       FeeCollector: feeCollector.address,
       PoolRegistry: poolRegistry.address,
+      ...(trxGateway && { TRXGateway: trxGateway.address }),
+      ERC3156FlashLender: erc3156Lender.address,
     },
     config,
     tokens: tokenAddresses,
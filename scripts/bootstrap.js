@@ -56,7 +56,11 @@ const IERC20_ABI = [
 
 const FLASH_LOAN_POOL_ABI = [
   {
-    inputs: [{ name: 'token', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    inputs: [
+      { name: 'token', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'minSharesOut', type: 'uint256' },
+    ],
     name: 'deposit',
     outputs: [{ name: 'shares', type: 'uint256' }],
     type: 'function',
@@ -162,9 +166,9 @@ async function main() {
       });
       console.log(`  Approved ${liquidityAmount} ${tokenName}`);
 
-      // Deposit to pool
+      // Deposit to pool (seeding liquidity, so no minimum share bound)
       console.log(`  Depositing to pool...`);
-      const tx = await flashLoanPool.deposit(tokenAddress, liquidityAmount).send({
+      const tx = await flashLoanPool.deposit(tokenAddress, liquidityAmount, 0).send({
         feeLimit: 200_000_000,
       });
       console.log(`  Deposited! TX: ${tx}`);
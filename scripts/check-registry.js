@@ -0,0 +1,229 @@
+/**
+ * @title JustFlash Registry Consistency Checker
+ * @notice Reports drift between the pool whitelists and the PoolRegistry
+ *
+ * Usage:
+ *   node scripts/check-registry.js [--network <network>]
+ *
+ * Reads the registry address from deployments/<network>.json, walks every pool
+ * the registry knows about and exits with code 1 if a token is whitelisted in a
+ * pool without being mapped to it in the registry (or the reverse), or if a pool
+ * does not point back at the registry. Read-only: no private key is required.
+ */
+
+require('dotenv').config();
+const TronWeb = require('tronweb');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const network = getArg(args, '--network') || 'development';
+
+// Network configurations
+const networks = {
+  development: {
+    fullHost: `http://127.0.0.1:${process.env.HOST_PORT || 9090}`,
+  },
+  nile: {
+    fullHost: 'https://nile.trongrid.io',
+    headers: { 'TRON-PRO-API-KEY': process.env.TRONGRID_API_KEY },
+  },
+  shasta: {
+    fullHost: 'https://api.shasta.trongrid.io',
+  },
+  mainnet: {
+    fullHost: 'https://api.trongrid.io',
+    headers: { 'TRON-PRO-API-KEY': process.env.TRONGRID_API_KEY },
+  },
+};
+
+// Contract ABIs (simplified for the checker)
+// Tokens fetched per getTokens call
+const PAGE_SIZE = 50;
+
+const FLASH_LOAN_POOL_ABI = [
+  {
+    inputs: [],
+    name: 'getSupportedTokens',
+    outputs: [{ name: '', type: 'address[]' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [],
+    name: 'poolRegistry',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [{ name: 'token', type: 'address' }],
+    name: 'isTokenWhitelisted',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+];
+
+const POOL_REGISTRY_ABI = [
+  {
+    inputs: [
+      { name: 'offset', type: 'uint256' },
+      { name: 'limit', type: 'uint256' },
+    ],
+    name: 'getTokens',
+    outputs: [
+      { name: 'tokens', type: 'address[]' },
+      { name: 'total', type: 'uint256' },
+    ],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [],
+    name: 'getPools',
+    outputs: [{ name: '', type: 'address[]' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [{ name: 'token', type: 'address' }],
+    name: 'isTokenRegistered',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [{ name: 'token', type: 'address' }],
+    name: 'isTokenSupported',
+    outputs: [{ name: '', type: 'bool' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [{ name: 'token', type: 'address' }],
+    name: 'getPool',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+];
+
+async function main() {
+  console.log('========================================');
+  console.log('JustFlash Registry Consistency Check');
+  console.log('========================================');
+  console.log(`Network: ${network}`);
+  console.log('========================================\n');
+
+  // Validate network configuration
+  if (!networks[network]) {
+    console.error(`Unknown network: ${network}`);
+    process.exit(1);
+  }
+
+  const config = networks[network];
+  const tronWeb = new TronWeb({
+    fullHost: config.fullHost,
+    headers: config.headers,
+  });
+
+  // Load deployment info
+  const deploymentPath = `../deployments/${network}.json`;
+  let deployment;
+  try {
+    deployment = require(deploymentPath);
+  } catch (error) {
+    console.error(`No deployment file found at deployments/${network}.json`);
+    process.exit(1);
+  }
+
+  const registryAddress = deployment.contracts.PoolRegistry;
+  console.log(`PoolRegistry: ${registryAddress}\n`);
+
+  // Constant calls need an owner address; no key is used
+  tronWeb.setAddress(registryAddress);
+
+  const registry = await tronWeb.contract(POOL_REGISTRY_ABI, registryAddress);
+  const toBase58 = (address) => tronWeb.address.fromHex(address);
+
+  const issues = [];
+  const notes = [];
+
+  // Registry side: token => pool, read page by page
+  const registryTokens = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await registry.getTokens(offset, PAGE_SIZE).call();
+    registryTokens.push(...page.tokens.map(toBase58));
+    if (offset + PAGE_SIZE >= Number(page.total)) break;
+  }
+
+  const tokenPools = {};
+  for (const token of registryTokens) {
+    tokenPools[token] = toBase58(await registry.getPool(token).call());
+    if (!(await registry.isTokenSupported(token).call())) {
+      notes.push(`${token}: inactive in PoolRegistry (loans and deposits disabled)`);
+    }
+  }
+
+  const pools = (await registry.getPools().call()).map(toBase58);
+  if (deployment.contracts.FlashLoanPool && !pools.includes(deployment.contracts.FlashLoanPool)) {
+    issues.push(`FlashLoanPool ${deployment.contracts.FlashLoanPool} is not registered as a pool`);
+  }
+
+  for (const poolAddress of pools) {
+    console.log(`Pool: ${poolAddress}`);
+    const pool = await tronWeb.contract(FLASH_LOAN_POOL_ABI, poolAddress);
+
+    // Link between the two contracts
+    const linkedRegistry = toBase58(await pool.poolRegistry().call());
+    if (linkedRegistry !== registryAddress) {
+      issues.push(`${poolAddress}: poolRegistry is ${linkedRegistry}, expected ${registryAddress}`);
+    }
+
+    const poolTokens = (await pool.getSupportedTokens().call()).map(toBase58);
+    const mappedTokens = registryTokens.filter((token) => tokenPools[token] === poolAddress);
+    const allTokens = [...new Set([...poolTokens, ...mappedTokens])];
+
+    for (const token of allTokens) {
+      const whitelisted = await pool.isTokenWhitelisted(token).call();
+      const mappedPool = tokenPools[token];
+
+      if (whitelisted && !mappedPool) {
+        issues.push(`${token}: whitelisted in ${poolAddress} but not registered in PoolRegistry`);
+      } else if (whitelisted && mappedPool !== poolAddress) {
+        notes.push(`${token}: still whitelisted in ${poolAddress} but mapped to ${mappedPool} (withdrawals only)`);
+      } else if (!whitelisted) {
+        issues.push(`${token}: mapped to ${poolAddress} in PoolRegistry but not whitelisted there`);
+      }
+    }
+    console.log(`  Tokens checked: ${allTokens.length}`);
+  }
+
+  for (const note of notes) {
+    console.log(`  Note: ${note}`);
+  }
+
+  if (issues.length > 0) {
+    console.log(`\nDrift detected (${issues.length}):`);
+    for (const issue of issues) {
+      console.log(`  - ${issue}`);
+    }
+    console.log('');
+    process.exit(1);
+  }
+
+  console.log('\nPools and PoolRegistry are consistent.\n');
+}
+
+function getArg(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return null;
+  return args[index + 1];
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Consistency check failed:', error);
+    process.exit(1);
+  });
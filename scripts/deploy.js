@@ -3,7 +3,28 @@
  * @notice Alternative deployment using TronWeb directly
  *
  * Usage:
- *   node scripts/deploy.js --network <network>
+ *   node scripts/deploy.js --network <network> [--roles <file>] [--timelock] [--upgradeable]
+ *
+ * --roles (or ROLES_CONFIG) points at a JSON role map, keyed by contract and role
+ * name, listing the accounts to grant (see config/roles.example.json).
+ *
+ * With --timelock (or TIMELOCK_ENABLED=true) a ProtocolTimelock is deployed and the
+ * deployer's manager roles on FlashLoanPool, FeeCollector and PoolRegistry (and
+ * FlashMintFacility and ReserveFund, when deployed) are moved to it. The admin role is
+ * proposed to the timelock, which takes it over once it accepts through a queued call
+ * (scripts/transfer-ownership.js --accept, then --execute after the delay).
+ *
+ * FLASH_MINT_TOKEN deploys a FlashMintFacility for that token and approves it as a
+ * FeeCollector fee source. Granting the facility mint and burn rights on the token
+ * is left to the token's own admin.
+ *
+ * RESERVE_SHARE_BPS deploys a ReserveFund and has the FeeCollector send it that share
+ * of every pool premium.
+ *
+ * With --upgradeable (or UPGRADEABLE=true) FlashLoanPool, FeeCollector and PoolRegistry
+ * are deployed as UUPS implementations behind ProtocolProxy instances, which are the
+ * addresses recorded under `contracts`. The implementations and their storage layouts
+ * are recorded too, for scripts/upgrade.js.
  *
  * This script provides more control over deployment compared to TronBox migrations.
  */
@@ -12,10 +33,28 @@ require('dotenv').config();
 const TronWeb = require('tronweb');
 const fs = require('fs');
 const path = require('path');
+const { getStorageLayout } = require('./storage-layout');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const network = getArg(args, '--network') || 'development';
+const useTimelock = args.includes('--timelock') || process.env.TIMELOCK_ENABLED === 'true';
+const upgradeable = args.includes('--upgradeable') || process.env.UPGRADEABLE === 'true';
+
+// TronWeb hex form of address(0), used for a self-administered timelock
+const ZERO_ADDRESS_HEX = '410000000000000000000000000000000000000000';
+
+// Roles defined in contracts/access/ProtocolRoles.sol that a role map can grant.
+// DEFAULT_ADMIN_ROLE only moves through the two-step transfer (scripts/transfer-ownership.js)
+const ROLE_NAMES = [
+  'TOKEN_MANAGER_ROLE',
+  'FEE_MANAGER_ROLE',
+  'TREASURY_MANAGER_ROLE',
+  'GUARDIAN_ROLE',
+];
+
+// Roles moved to the timelock; guardians keep pausing without a delay
+const TIMELOCKED_ROLES = ['TOKEN_MANAGER_ROLE', 'FEE_MANAGER_ROLE', 'TREASURY_MANAGER_ROLE'];
 
 // Network configurations
 const networks = {
@@ -87,38 +126,75 @@ async function main() {
 
   // Configuration
   const flashLoanFeeBps = process.env.FLASH_LOAN_FEE_BPS || 5;
+  const feeVestingPeriod = Number(process.env.FEE_VESTING_PERIOD || 0);
   const treasury = process.env.TREASURY_ADDRESS || ownerAddressBase58;
+  const timelockDelay = process.env.TIMELOCK_MIN_DELAY || 172800; // 48 hours
+  const timelockProposer = process.env.TIMELOCK_PROPOSER || ownerAddressBase58;
+  const timelockExecutor = process.env.TIMELOCK_EXECUTOR || ownerAddressBase58;
+  const flashMintToken = process.env.FLASH_MINT_TOKEN;
+  const flashMintFeeBps = process.env.FLASH_MINT_FEE_BPS || 5;
+  const flashMintCeiling = process.env.FLASH_MINT_CEILING || 0;
+  const reserveShareBps = Number(process.env.RESERVE_SHARE_BPS || 0);
+  const roleMap = loadRoleMap();
 
   console.log(`\nConfiguration:`);
   console.log(`  Flash Loan Fee: ${flashLoanFeeBps} bps`);
+  console.log(`  Fee Vesting: ${feeVestingPeriod ? `${feeVestingPeriod}s` : 'disabled'}`);
   console.log(`  Treasury: ${treasury}`);
+  console.log(`  Role map: ${Object.keys(roleMap).length ? Object.keys(roleMap).join(', ') : 'none'}`);
+  console.log(`  Flash Mint: ${flashMintToken ? `${flashMintToken} (${flashMintFeeBps} bps)` : 'disabled'}`);
+  console.log(`  Reserve Share: ${reserveShareBps ? `${reserveShareBps} bps` : 'disabled'}`);
+  console.log(`  Timelock: ${useTimelock ? `${timelockDelay}s delay` : 'disabled'}`);
+  console.log(`  Upgradeable: ${upgradeable ? 'UUPS proxies' : 'disabled'}`);
+
+  const deployedNames = [
+    'FlashLoanPool',
+    'FeeCollector',
+    'PoolRegistry',
+    ...(flashMintToken ? ['FlashMintFacility'] : []),
+    ...(reserveShareBps ? ['ReserveFund'] : []),
+  ];
+  const unknown = Object.keys(roleMap).filter((name) => !deployedNames.includes(name));
+  if (unknown.length) {
+    console.error(`Role map references contracts this deployment does not create: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
 
   // Deploy contracts
   console.log('\n--- Deploying Contracts ---\n');
 
+  // Implementations behind the core proxies, when deploying upgradeable
+  const implementations = {};
+
   // 1. Deploy FlashLoanPool
   console.log('1. Deploying FlashLoanPool...');
-  const flashLoanPool = await deployContract(
+  const flashLoanPool = await deployCore(
     tronWeb,
-    contracts.FlashLoanPool,
+    contracts,
+    implementations,
+    'FlashLoanPool',
     [ownerAddress, flashLoanFeeBps]
   );
   console.log(`   FlashLoanPool: ${flashLoanPool.address}\n`);
 
   // 2. Deploy FeeCollector
   console.log('2. Deploying FeeCollector...');
-  const feeCollector = await deployContract(
+  const feeCollector = await deployCore(
     tronWeb,
-    contracts.FeeCollector,
+    contracts,
+    implementations,
+    'FeeCollector',
     [ownerAddress, treasury, flashLoanPool.address]
   );
   console.log(`   FeeCollector: ${feeCollector.address}\n`);
 
   // 3. Deploy PoolRegistry
   console.log('3. Deploying PoolRegistry...');
-  const poolRegistry = await deployContract(
+  const poolRegistry = await deployCore(
     tronWeb,
-    contracts.PoolRegistry,
+    contracts,
+    implementations,
+    'PoolRegistry',
     [ownerAddress, flashLoanPool.address]
   );
   console.log(`   PoolRegistry: ${poolRegistry.address}\n`);
@@ -127,27 +203,156 @@ async function main() {
   console.log('4. Configuring contracts...');
 
   // Link FeeCollector to FlashLoanPool
-  const poolContract = await tronWeb.contract().at(flashLoanPool.address);
+  // Core contracts are addressed with their own ABI, since behind a proxy the on-chain ABI is the proxy's
+  const poolContract = tronWeb.contract(contracts.FlashLoanPool.abi, flashLoanPool.address);
   await poolContract.setFeeCollector(feeCollector.address).send({
     feeLimit: 100_000_000,
   });
   console.log('   FeeCollector linked to FlashLoanPool');
 
-  // 5. Whitelist tokens
+  // Link PoolRegistry so deactivating a token there stops loans and deposits
+  await poolContract.setPoolRegistry(poolRegistry.address).send({
+    feeLimit: 100_000_000,
+  });
+  console.log('   PoolRegistry linked to FlashLoanPool');
+
+  // 5. Whitelist tokens in the pool and register them in the registry
   console.log('\n5. Whitelisting tokens...');
   const tokens = tokensByNetwork[network] || {};
+  const registryContract = tronWeb.contract(contracts.PoolRegistry.abi, poolRegistry.address);
 
   for (const [name, address] of Object.entries(tokens)) {
     try {
       await poolContract.whitelistToken(address).send({
         feeLimit: 100_000_000,
       });
+      await registryContract.registerToken(address).send({
+        feeLimit: 100_000_000,
+      });
+      if (feeVestingPeriod > 0) {
+        await poolContract.setFeeVestingPeriod(address, feeVestingPeriod).send({
+          feeLimit: 100_000_000,
+        });
+      }
       console.log(`   Whitelisted ${name}: ${address}`);
     } catch (error) {
       console.log(`   Warning: Could not whitelist ${name}: ${error.message}`);
     }
   }
 
+  // Native TRX loans, deposits and withdrawals go through a gateway on the WTRX pool
+  let trxGateway = null;
+  if (tokens.WTRX) {
+    trxGateway = await deployContract(
+      tronWeb,
+      contracts.TRXGateway,
+      [flashLoanPool.address, tokens.WTRX]
+    );
+    console.log(`   TRXGateway: ${trxGateway.address}`);
+
+    // The gateway borrows for its callers, so the pool must trust it to name the borrower
+    await poolContract.setTrustedAdapter(trxGateway.address, true).send({
+      feeLimit: 100_000_000,
+    });
+    console.log('   TRXGateway trusted by FlashLoanPool');
+  }
+
+  // ERC-3156 borrowers ported from EVM chains use a separate lender front-end, also trusted
+  const erc3156Lender = await deployContract(tronWeb, contracts.ERC3156FlashLender, [flashLoanPool.address]);
+  console.log(`   ERC3156FlashLender: ${erc3156Lender.address}`);
+  await poolContract.setTrustedAdapter(erc3156Lender.address, true).send({
+    feeLimit: 100_000_000,
+  });
+  console.log('   ERC3156FlashLender trusted by FlashLoanPool');
+
+  // Flash mints of a protocol token; the token must also make the facility a minter
+  let flashMintFacility = null;
+  if (flashMintToken) {
+    flashMintFacility = await deployContract(
+      tronWeb,
+      contracts.FlashMintFacility,
+      [ownerAddress, flashMintToken, feeCollector.address, flashMintFeeBps, flashMintCeiling]
+    );
+    const collectorContract = tronWeb.contract(contracts.FeeCollector.abi, feeCollector.address);
+    await collectorContract.setFeeSource(flashMintFacility.address, true).send({
+      feeLimit: 100_000_000,
+    });
+    console.log(`   FlashMintFacility: ${flashMintFacility.address}`);
+  }
+
+  // Reserve fund fed by a share of every pool premium, covering pool shortfalls
+  let reserveFund = null;
+  if (reserveShareBps > 0) {
+    reserveFund = await deployContract(
+      tronWeb,
+      contracts.ReserveFund,
+      [ownerAddress, flashLoanPool.address]
+    );
+    const collectorContract = tronWeb.contract(contracts.FeeCollector.abi, feeCollector.address);
+    await collectorContract.setReserveFund(reserveFund.address).send({
+      feeLimit: 100_000_000,
+    });
+    await collectorContract.setReserveShare(reserveShareBps).send({
+      feeLimit: 100_000_000,
+    });
+    console.log(`   ReserveFund: ${reserveFund.address}`);
+  }
+
+  // 6. Assign roles from the role map
+  console.log('\n6. Assigning roles...');
+  const managed = {
+    FlashLoanPool: flashLoanPool.address,
+    FeeCollector: feeCollector.address,
+    PoolRegistry: poolRegistry.address,
+    ...(flashMintFacility && { FlashMintFacility: flashMintFacility.address }),
+    ...(reserveFund && { ReserveFund: reserveFund.address }),
+  };
+
+  for (const [name, roles] of Object.entries(roleMap)) {
+    if (!managed[name]) {
+      throw new Error(`Role map references unknown contract: ${name}`);
+    }
+    const instance = tronWeb.contract(contracts[name].abi, managed[name]);
+    for (const [roleName, accounts] of Object.entries(roles)) {
+      const role = await instance[roleName]().call();
+      for (const account of accounts) {
+        await instance.grantRole(role, account).send({ feeLimit: 100_000_000 });
+        console.log(`   ${name}: granted ${roleName} to ${account}`);
+      }
+    }
+  }
+
+  // 7. Optionally hand admin and manager roles to the timelock
+  let timelock = null;
+  if (useTimelock) {
+    console.log('\n7. Deploying ProtocolTimelock...');
+    timelock = await deployContract(
+      tronWeb,
+      contracts.ProtocolTimelock,
+      [timelockDelay, [timelockProposer], [timelockExecutor], ZERO_ADDRESS_HEX]
+    );
+    console.log(`   ProtocolTimelock: ${timelock.address}`);
+
+    for (const [name, address] of Object.entries(managed)) {
+      const instance = tronWeb.contract(contracts[name].abi, address);
+      for (const roleName of TIMELOCKED_ROLES) {
+        const role = await instance[roleName]().call();
+        if (!(await instance.hasRole(role, ownerAddress).call())) continue;
+
+        await instance.grantRole(role, timelock.address).send({ feeLimit: 100_000_000 });
+        await instance.renounceRole(role, ownerAddress).send({ feeLimit: 100_000_000 });
+        console.log(`   ${name}: moved ${roleName} to timelock`);
+      }
+
+      // The deployer stays admin until the timelock accepts
+      await instance.beginDefaultAdminTransfer(timelock.address).send({ feeLimit: 100_000_000 });
+      console.log(`   ${name}: proposed timelock as admin`);
+    }
+    console.log(
+      `   Complete with: node scripts/transfer-ownership.js --network ${network} --contract all --accept`
+    );
+  }
+
   // Save deployment info
   const deployment = {
     network,
@@ -156,11 +361,38 @@ async function main() {
       FlashLoanPool: flashLoanPool.address,
       FeeCollector: feeCollector.address,
       PoolRegistry: poolRegistry.address,
+      ...(trxGateway && { TRXGateway: trxGateway.address }),
+      ERC3156FlashLender: erc3156Lender.address,
+      ...(flashMintFacility && { FlashMintFacility: flashMintFacility.address }),
+      ...(reserveFund && { ReserveFund: reserveFund.address }),
+      ...(timelock && { ProtocolTimelock: timelock.address }),
     },
     config: {
       flashLoanFeeBps,
+      feeVestingPeriod,
       treasury,
+      ...(flashMintFacility && {
+        flashMintToken,
+        flashMintFeeBps,
+        flashMintCeiling,
+      }),
+      ...(reserveFund && { reserveShareBps }),
+      ...(timelock && {
+        timelockDelay,
+        timelockProposer,
+        timelockExecutor,
+      }),
     },
+    ...(upgradeable && {
+      implementations,
+      storageLayouts: Object.fromEntries(
+        Object.entries(implementations).map(([name, { contract }]) => [
+          name,
+          getStorageLayout(path.join(__dirname, '..', 'build', 'contracts'), contract),
+        ])
+      ),
+    }),
+    roles: roleMap,
     tokens,
   };
 
@@ -180,9 +412,50 @@ async function main() {
   console.log(`  FlashLoanPool: ${flashLoanPool.address}`);
   console.log(`  FeeCollector:  ${feeCollector.address}`);
   console.log(`  PoolRegistry:  ${poolRegistry.address}`);
+  if (trxGateway) {
+    console.log(`  TRXGateway:    ${trxGateway.address}`);
+  }
+  console.log(`  ERC-3156:      ${erc3156Lender.address}`);
+  if (flashMintFacility) {
+    console.log(`  FlashMint:     ${flashMintFacility.address}`);
+  }
+  if (reserveFund) {
+    console.log(`  ReserveFund:   ${reserveFund.address}`);
+  }
+  if (timelock) {
+    console.log(`  Timelock:      ${timelock.address}`);
+  }
+  for (const [name, { contract, address }] of Object.entries(implementations)) {
+    console.log(`  ${name} implementation (${contract}): ${address}`);
+  }
   console.log('========================================\n');
 }
 
+/**
+ * Deploys a core contract directly, or with --upgradeable as its UUPS implementation
+ * behind a ProtocolProxy that runs initialize(...initArgs) on deployment.
+ */
+async function deployCore(tronWeb, contracts, implementations, name, initArgs) {
+  if (!upgradeable) {
+    return deployContract(tronWeb, contracts[name], initArgs);
+  }
+
+  const implementationName = `${name}Upgradeable`;
+  const implementation = await deployContract(tronWeb, contracts[implementationName], []);
+  implementations[name] = { contract: implementationName, address: implementation.address };
+  console.log(`   ${implementationName}: ${implementation.address}`);
+
+  const initialize = contracts[implementationName].abi.find(
+    (entry) => entry.type === 'function' && entry.name === 'initialize'
+  );
+  const types = initialize.inputs.map((input) => input.type);
+  const data =
+    tronWeb.sha3(`initialize(${types.join(',')})`).slice(0, 10) +
+    tronWeb.utils.abi.encodeParams(types, initArgs).slice(2);
+
+  return deployContract(tronWeb, contracts.ProtocolProxy, [implementation.address, data]);
+}
+
 async function deployContract(tronWeb, contractData, constructorArgs) {
   const transaction = await tronWeb.transactionBuilder.createSmartContract({
     abi: contractData.abi,
@@ -229,7 +502,20 @@ async function deployContract(tronWeb, contractData, constructorArgs) {
 function loadContracts() {
   const buildDir = path.join(__dirname, '..', 'build', 'contracts');
 
-  const contractNames = ['FlashLoanPool', 'FeeCollector', 'PoolRegistry'];
+  const contractNames = [
+    'FlashLoanPool',
+    'FeeCollector',
+    'PoolRegistry',
+    'TRXGateway',
+    'ERC3156FlashLender',
+    'FlashMintFacility',
+    'ReserveFund',
+    'ProtocolTimelock',
+    'FlashLoanPoolUpgradeable',
+    'FeeCollectorUpgradeable',
+    'PoolRegistryUpgradeable',
+    'ProtocolProxy',
+  ];
   const contracts = {};
 
   for (const name of contractNames) {
@@ -250,6 +536,49 @@ function loadContracts() {
   return contracts;
 }
 
+/**
+ * Loads the role-assignment map ({ Contract: { ROLE_NAME: [accounts] } })
+ * from --roles or ROLES_CONFIG; GUARDIAN_ADDRESS adds a pool guardian.
+ */
+function loadRoleMap() {
+  const rolesPath = getArg(args, '--roles') || process.env.ROLES_CONFIG;
+  let roleMap = {};
+
+  if (rolesPath) {
+    const resolved = path.resolve(rolesPath);
+    if (!fs.existsSync(resolved)) {
+      console.error(`Role map not found: ${resolved}`);
+      process.exit(1);
+    }
+    roleMap = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  }
+
+  // Reject bad role names before anything is deployed, so a deployment never stops half-configured
+  for (const [name, roles] of Object.entries(roleMap)) {
+    for (const roleName of Object.keys(roles)) {
+      if (roleName === 'DEFAULT_ADMIN_ROLE') {
+        console.error(`Role map grants DEFAULT_ADMIN_ROLE on ${name}; the admin role moves with`);
+        console.error('scripts/transfer-ownership.js --to <address> after deployment');
+        process.exit(1);
+      }
+      if (!ROLE_NAMES.includes(roleName)) {
+        console.error(`Role map references unknown role: ${name}.${roleName}`);
+        process.exit(1);
+      }
+    }
+  }
+
+  if (process.env.GUARDIAN_ADDRESS) {
+    roleMap.FlashLoanPool = roleMap.FlashLoanPool || {};
+    const guardians = roleMap.FlashLoanPool.GUARDIAN_ROLE || [];
+    if (!guardians.includes(process.env.GUARDIAN_ADDRESS)) {
+      roleMap.FlashLoanPool.GUARDIAN_ROLE = [...guardians, process.env.GUARDIAN_ADDRESS];
+    }
+  }
+
+  return roleMap;
+}
+
 function getArg(args, flag) {
   const index = args.indexOf(flag);
   if (index === -1) return null;
@@ -0,0 +1,282 @@
+/**
+ * @title JustFlash Storage Layout Helpers
+ * @notice Derives storage layouts from TronBox build artifacts and checks upgrade safety
+ *
+ * TronBox artifacts carry each source file's AST but no storage layout, so the layout
+ * is rebuilt here from the contract's linearized bases using the compiler's packing
+ * rules. Constants and immutables take no storage and are skipped.
+ *
+ * An upgrade is compatible when every variable of the old layout keeps its slot, offset
+ * and type, and new variables only take slots past the old layout's end or slots
+ * released by shrinking a `__gap` array (whose end must stay where it was).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GAP_NAME = '__gap';
+
+/**
+ * Computes the storage layout of a contract from a build directory.
+ * @param {string} buildDir Directory holding the TronBox artifacts (build/contracts)
+ * @param {string} contractName Name of the contract to lay out
+ * @returns {Array<{contract: string, label: string, type: string, slot: number, offset: number, bytes: number}>}
+ */
+function getStorageLayout(buildDir, contractName) {
+  const definitions = loadDefinitions(buildDir);
+  const contract = Object.values(definitions).find(
+    (node) => node.nodeType === 'ContractDefinition' && node.name === contractName
+  );
+  if (!contract) {
+    throw new Error(`Contract ${contractName} not found in ${buildDir}`);
+  }
+
+  const layout = [];
+  const cursor = { slot: 0, offset: 0 };
+
+  // linearizedBaseContracts lists the most derived contract first
+  for (const baseId of [...contract.linearizedBaseContracts].reverse()) {
+    const base = definitions[baseId];
+    if (!base) {
+      throw new Error(`Base contract ${baseId} of ${contractName} has no artifact in ${buildDir}`);
+    }
+
+    for (const node of base.nodes) {
+      if (node.nodeType !== 'VariableDeclaration' || !node.stateVariable) continue;
+      if (node.constant || node.mutability === 'constant' || node.mutability === 'immutable') continue;
+
+      const type = describeType(node.typeName, definitions);
+      const position = place(cursor, type);
+      layout.push({
+        contract: base.name,
+        label: node.name,
+        type: type.label,
+        slot: position.slot,
+        offset: position.offset,
+        bytes: type.bytes || type.slots * 32,
+      });
+    }
+  }
+
+  return layout;
+}
+
+/**
+ * Checks that a new layout can replace an old one behind the same proxy.
+ * @param {Array} oldLayout Layout of the deployed implementation
+ * @param {Array} newLayout Layout of the candidate implementation
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function compareStorageLayouts(oldLayout, newLayout) {
+  const errors = [];
+  const warnings = [];
+  const matched = new Set();
+
+  const at = (slot, offset) => newLayout.find((entry) => entry.slot === slot && entry.offset === offset);
+
+  for (const entry of oldLayout) {
+    if (entry.label === GAP_NAME) continue;
+
+    const replacement = at(entry.slot, entry.offset);
+    if (!replacement) {
+      errors.push(`${entry.contract}.${entry.label} (slot ${entry.slot}) was removed or moved`);
+      continue;
+    }
+    matched.add(replacement);
+
+    if (replacement.type !== entry.type) {
+      errors.push(
+        `${entry.contract}.${entry.label} (slot ${entry.slot}) changed type from ${entry.type} to ${replacement.type}`
+      );
+    } else if (replacement.label !== entry.label) {
+      warnings.push(`${entry.contract}.${entry.label} (slot ${entry.slot}) was renamed to ${replacement.label}`);
+    }
+  }
+
+  const oldEnd = layoutEnd(oldLayout);
+  const oldGaps = oldLayout.filter((entry) => entry.label === GAP_NAME);
+
+  for (const gap of oldGaps) {
+    const gapEnd = gap.slot + gap.bytes / 32;
+    const shrunk = newLayout.find((entry) => entry.label === GAP_NAME && entry.slot + entry.bytes / 32 === gapEnd);
+    const used = newLayout.some(
+      (entry) => !matched.has(entry) && entry.label !== GAP_NAME && entry.slot >= gap.slot && entry.slot < gapEnd
+    );
+    if (used && !shrunk) {
+      errors.push(`${gap.contract}.${GAP_NAME} (slot ${gap.slot}) was used without shrinking it to end at ${gapEnd}`);
+    }
+  }
+
+  for (const entry of newLayout) {
+    if (matched.has(entry) || entry.label === GAP_NAME || position(entry) >= oldEnd) continue;
+
+    const inGap = oldGaps.some(
+      (gap) => position(entry) >= position(gap) && position(entry) + entry.bytes <= position(gap) + gap.bytes
+    );
+    if (!inGap) {
+      errors.push(`${entry.contract}.${entry.label} (slot ${entry.slot}) overlaps the existing layout`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Indexes every contract, struct and enum definition in the build directory by AST id.
+ */
+function loadDefinitions(buildDir) {
+  if (!fs.existsSync(buildDir)) {
+    throw new Error(`Build directory not found: ${buildDir}`);
+  }
+
+  const definitions = {};
+  for (const file of fs.readdirSync(buildDir)) {
+    if (!file.endsWith('.json')) continue;
+    const artifact = JSON.parse(fs.readFileSync(path.join(buildDir, file), 'utf8'));
+    if (artifact.ast) collect(artifact.ast, definitions);
+  }
+  return definitions;
+}
+
+function collect(node, definitions) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collect(child, definitions));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  if (
+    ['ContractDefinition', 'StructDefinition', 'EnumDefinition', 'UserDefinedValueTypeDefinition'].includes(
+      node.nodeType
+    )
+  ) {
+    definitions[node.id] = node;
+  }
+  if (node.nodes) collect(node.nodes, definitions);
+}
+
+/**
+ * Describes a type for packing: its label, byte size when packable, and slot count.
+ */
+function describeType(typeName, definitions) {
+  switch (typeName.nodeType) {
+    case 'ElementaryTypeName':
+      return elementary(typeName.name === 'address payable' ? 'address' : typeName.name);
+
+    case 'Mapping': {
+      const key = describeType(typeName.keyType, definitions).label;
+      const value = describeType(typeName.valueType, definitions).label;
+      return { label: `mapping(${key} => ${value})`, bytes: null, slots: 1 };
+    }
+
+    case 'ArrayTypeName': {
+      const base = describeType(typeName.baseType, definitions);
+      const length = arrayLength(typeName);
+      if (length === null) {
+        return { label: `${base.label}[]`, bytes: null, slots: 1 };
+      }
+      const slots = base.bytes
+        ? Math.ceil(length / Math.floor(32 / base.bytes))
+        : length * base.slots;
+      return { label: `${base.label}[${length}]`, bytes: null, slots };
+    }
+
+    case 'UserDefinedTypeName': {
+      const definition = definitions[typeName.referencedDeclaration];
+      if (!definition) {
+        throw new Error(`Type ${typeName.typeDescriptions.typeString} has no definition in the build`);
+      }
+      if (definition.nodeType === 'ContractDefinition') return elementary('address');
+      if (definition.nodeType === 'EnumDefinition') {
+        return { label: `enum ${definition.name}`, bytes: definition.members.length > 256 ? 2 : 1, slots: 1 };
+      }
+      if (definition.nodeType === 'UserDefinedValueTypeDefinition') {
+        return describeType(definition.underlyingType, definitions);
+      }
+      return describeStruct(definition, definitions);
+    }
+
+    case 'FunctionTypeName':
+      return {
+        label: typeName.typeDescriptions.typeString,
+        bytes: typeName.visibility === 'external' ? 24 : 8,
+        slots: 1,
+      };
+
+    default:
+      throw new Error(`Unsupported type in storage: ${typeName.nodeType}`);
+  }
+}
+
+function describeStruct(definition, definitions) {
+  const cursor = { slot: 0, offset: 0 };
+  const members = definition.members.map((member) => {
+    const type = describeType(member.typeName, definitions);
+    place(cursor, type);
+    return type.label;
+  });
+  const slots = cursor.offset > 0 ? cursor.slot + 1 : cursor.slot;
+  return { label: `struct ${definition.name}(${members.join(',')})`, bytes: null, slots: Math.max(slots, 1) };
+}
+
+function elementary(name) {
+  if (name === 'string' || name === 'bytes') return { label: name, bytes: null, slots: 1 };
+  if (name === 'bool') return { label: name, bytes: 1, slots: 1 };
+  if (name === 'address') return { label: name, bytes: 20, slots: 1 };
+
+  const sized = name.match(/^(u?int|bytes)(\d+)$/);
+  if (sized) {
+    const bytes = sized[1] === 'bytes' ? Number(sized[2]) : Number(sized[2]) / 8;
+    return { label: name, bytes, slots: 1 };
+  }
+  if (name === 'uint' || name === 'int') return { label: `${name}256`, bytes: 32, slots: 1 };
+
+  throw new Error(`Unsupported elementary type in storage: ${name}`);
+}
+
+function arrayLength(typeName) {
+  if (!typeName.length) return null;
+  if (typeName.length.value !== undefined) return Number(typeName.length.value);
+
+  // Lengths given as constant expressions are resolved in the type string
+  const match = typeName.typeDescriptions.typeString.match(/\[(\d+)\](?: storage ref)?$/);
+  if (!match) throw new Error(`Cannot resolve array length of ${typeName.typeDescriptions.typeString}`);
+  return Number(match[1]);
+}
+
+/**
+ * Places a type at the cursor following the compiler's packing rules and advances it.
+ */
+function place(cursor, type) {
+  if (type.bytes) {
+    if (cursor.offset + type.bytes > 32) {
+      cursor.slot += 1;
+      cursor.offset = 0;
+    }
+    const position = { slot: cursor.slot, offset: cursor.offset };
+    cursor.offset += type.bytes;
+    return position;
+  }
+
+  // Mappings, dynamic and static arrays, strings and structs start and end on slot boundaries
+  if (cursor.offset > 0) {
+    cursor.slot += 1;
+    cursor.offset = 0;
+  }
+  const position = { slot: cursor.slot, offset: 0 };
+  cursor.slot += type.slots;
+  return position;
+}
+
+function position(entry) {
+  return entry.slot * 32 + entry.offset;
+}
+
+function layoutEnd(layout) {
+  return layout.reduce((end, entry) => Math.max(end, position(entry) + entry.bytes), 0);
+}
+
+module.exports = {
+  getStorageLayout,
+  compareStorageLayouts,
+};
@@ -0,0 +1,331 @@
+/**
+ * @title JustFlash Admin Transfer Script
+ * @notice Hands DEFAULT_ADMIN_ROLE over in two steps, checking each step on-chain
+ *
+ * Usage:
+ *   node scripts/transfer-ownership.js --network <network> --contract <name|address|all>
+ *   node scripts/transfer-ownership.js --network <network> --contract <...> --to <address>
+ *   node scripts/transfer-ownership.js --network <network> --contract <...> --accept [--execute]
+ *   node scripts/transfer-ownership.js --network <network> --contract <...> --cancel
+ *
+ * --contract takes a name from deployments/<network>.json, a contract address (e.g. an
+ * adapter) or `all` for every role-managed contract in the deployment. Without an action
+ * the current and pending admin are printed.
+ *
+ * --to proposes a new admin and must be signed by the current admin. --accept must be
+ * signed by the proposed admin. When the proposed admin is the deployment's
+ * ProtocolTimelock, --accept schedules the acceptance on the timelock instead (the signer
+ * must be a proposer) and --accept --execute runs it once the delay has passed.
+ *
+ * Every transaction is waited for, and the script then reads the admin state back and
+ * exits with code 1 if it does not match what was sent.
+ */
+
+require('dotenv').config();
+const TronWeb = require('tronweb');
+const fs = require('fs');
+const path = require('path');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const network = getArg(args, '--network') || 'development';
+const contractArg = getArg(args, '--contract');
+const newAdmin = getArg(args, '--to');
+const accept = args.includes('--accept');
+const executeScheduled = args.includes('--execute');
+const cancel = args.includes('--cancel');
+
+// Contracts deployed by deploy.js that inherit ProtocolRoles
+const ADMIN_CONTRACTS = ['FlashLoanPool', 'FeeCollector', 'PoolRegistry', 'FlashMintFacility', 'ReserveFund'];
+
+const ZERO_ADDRESS_HEX = '410000000000000000000000000000000000000000';
+const ZERO_BYTES32 = '0x' + '0'.repeat(64);
+
+// Network configurations
+const networks = {
+  development: {
+    fullHost: `http://127.0.0.1:${process.env.HOST_PORT || 9090}`,
+    privateKey: process.env.PRIVATE_KEY_DEV,
+  },
+  nile: {
+    fullHost: 'https://nile.trongrid.io',
+    privateKey: process.env.PRIVATE_KEY_NILE,
+    headers: { 'TRON-PRO-API-KEY': process.env.TRONGRID_API_KEY },
+  },
+  shasta: {
+    fullHost: 'https://api.shasta.trongrid.io',
+    privateKey: process.env.PRIVATE_KEY_SHASTA,
+  },
+  mainnet: {
+    fullHost: 'https://api.trongrid.io',
+    privateKey: process.env.PRIVATE_KEY_MAINNET,
+    headers: { 'TRON-PRO-API-KEY': process.env.TRONGRID_API_KEY },
+  },
+};
+
+// Two-step admin functions from contracts/access/ProtocolRoles.sol
+const PROTOCOL_ROLES_ABI = [
+  {
+    inputs: [],
+    name: 'defaultAdmin',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [],
+    name: 'pendingDefaultAdmin',
+    outputs: [{ name: '', type: 'address' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [{ name: 'newAdmin', type: 'address' }],
+    name: 'beginDefaultAdminTransfer',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function',
+  },
+  {
+    inputs: [],
+    name: 'cancelDefaultAdminTransfer',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function',
+  },
+  {
+    inputs: [],
+    name: 'acceptDefaultAdminTransfer',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function',
+  },
+];
+
+async function main() {
+  console.log('========================================');
+  console.log('JustFlash Admin Transfer');
+  console.log('========================================');
+  console.log(`Network: ${network}`);
+  console.log('========================================\n');
+
+  if (!contractArg) {
+    console.error('--contract is required (a deployment name, an address or all)');
+    process.exit(1);
+  }
+  if ([Boolean(newAdmin), accept, cancel].filter(Boolean).length > 1) {
+    console.error('Use only one of --to, --accept and --cancel');
+    process.exit(1);
+  }
+
+  if (!networks[network]) {
+    console.error(`Unknown network: ${network}`);
+    process.exit(1);
+  }
+
+  const config = networks[network];
+  if (!config.privateKey) {
+    console.error(`Private key not set for network: ${network}`);
+    process.exit(1);
+  }
+
+  const tronWeb = new TronWeb({
+    fullHost: config.fullHost,
+    privateKey: config.privateKey,
+    headers: config.headers,
+  });
+
+  const signer = tronWeb.address.fromHex(tronWeb.address.fromPrivateKey(config.privateKey));
+  const zeroAddress = tronWeb.address.fromHex(ZERO_ADDRESS_HEX);
+  console.log(`Signer: ${signer}`);
+
+  const deployment = loadDeployment();
+  const timelockAddress = deployment.contracts && deployment.contracts.ProtocolTimelock;
+  const targets = resolveTargets(tronWeb, deployment);
+
+  if (newAdmin && !tronWeb.isAddress(newAdmin)) {
+    console.error(`Not a valid address: ${newAdmin}`);
+    process.exit(1);
+  }
+
+  let failed = false;
+  for (const [name, address] of targets) {
+    const instance = tronWeb.contract(PROTOCOL_ROLES_ABI, address);
+    const state = await readState(tronWeb, instance);
+    console.log(`\n${name} (${address})`);
+    console.log(`   Admin:   ${state.admin}`);
+    console.log(`   Pending: ${state.pending === zeroAddress ? 'none' : state.pending}`);
+
+    if (newAdmin) {
+      if (state.admin !== signer) {
+        console.error('   The signer is not the current admin');
+        failed = true;
+        continue;
+      }
+      if (await isContract(tronWeb, newAdmin)) {
+        console.log('   Note: the new admin is a contract and must be able to call acceptDefaultAdminTransfer');
+      }
+
+      await send(tronWeb, instance.beginDefaultAdminTransfer(newAdmin));
+      const proposed = tronWeb.address.fromHex(newAdmin);
+      failed = !(await verify(tronWeb, instance, { admin: signer, pending: proposed })) || failed;
+    } else if (cancel) {
+      await send(tronWeb, instance.cancelDefaultAdminTransfer());
+      failed = !(await verify(tronWeb, instance, { admin: state.admin, pending: zeroAddress })) || failed;
+    } else if (accept) {
+      if (state.pending === zeroAddress) {
+        console.error('   No transfer is pending');
+        failed = true;
+      } else if (state.pending === signer) {
+        await send(tronWeb, instance.acceptDefaultAdminTransfer());
+        failed = !(await verify(tronWeb, instance, { admin: signer, pending: zeroAddress })) || failed;
+      } else if (timelockAddress && state.pending === timelockAddress) {
+        failed = !(await acceptThroughTimelock(tronWeb, timelockAddress, instance, address, state)) || failed;
+      } else {
+        console.error(`   Only the proposed admin (${state.pending}) can accept`);
+        failed = true;
+      }
+    }
+  }
+
+  if (failed) {
+    console.error('\nAdmin transfer did not complete for every contract');
+    process.exit(1);
+  }
+  console.log('\nDone');
+}
+
+async function acceptThroughTimelock(tronWeb, timelockAddress, instance, address, state) {
+  const timelock = await tronWeb.contract().at(timelockAddress);
+  const data = tronWeb.sha3('acceptDefaultAdminTransfer()').slice(0, 10);
+  // The current admin changes once the call runs, so a later transfer gets a fresh operation
+  const salt = tronWeb.sha3(state.admin);
+  const id = await timelock.hashOperation(address, 0, data, ZERO_BYTES32, salt).call();
+
+  if (!executeScheduled) {
+    if (await timelock.isOperation(id).call()) {
+      console.log('   Acceptance already scheduled on the timelock');
+      return true;
+    }
+    const delay = await timelock.getMinDelay().call();
+    await send(tronWeb, timelock.schedule(address, 0, data, ZERO_BYTES32, salt, delay));
+    if (!(await timelock.isOperationPending(id).call())) {
+      console.error('   Scheduling was not confirmed on-chain');
+      return false;
+    }
+    const readyAt = new Date(Date.now() + Number(delay) * 1000).toISOString();
+    console.log(`   Acceptance scheduled on the timelock; rerun with --accept --execute after ${readyAt}`);
+    return true;
+  }
+
+  if (!(await timelock.isOperationReady(id).call())) {
+    console.error('   The scheduled acceptance is missing or not ready yet');
+    return false;
+  }
+  await send(tronWeb, timelock.execute(address, 0, data, ZERO_BYTES32, salt));
+  return verify(tronWeb, instance, { admin: timelockAddress, pending: tronWeb.address.fromHex(ZERO_ADDRESS_HEX) });
+}
+
+async function readState(tronWeb, instance) {
+  return {
+    admin: tronWeb.address.fromHex(await instance.defaultAdmin().call()),
+    pending: tronWeb.address.fromHex(await instance.pendingDefaultAdmin().call()),
+  };
+}
+
+/**
+ * Reads the admin state back after a transaction and compares it to what was expected.
+ */
+async function verify(tronWeb, instance, expected) {
+  const state = await readState(tronWeb, instance);
+  if (state.admin !== expected.admin || state.pending !== expected.pending) {
+    console.error(`   Verification failed: admin ${state.admin}, pending ${state.pending}`);
+    return false;
+  }
+  console.log(`   Verified on-chain: admin ${state.admin}, pending ${state.pending}`);
+  return true;
+}
+
+/**
+ * Sends a contract call and waits until the transaction is confirmed successfully.
+ */
+async function send(tronWeb, method) {
+  const txID = await method.send({ feeLimit: 100_000_000 });
+
+  let txInfo = null;
+  let attempts = 0;
+  const maxAttempts = 30;
+
+  while (!txInfo && attempts < maxAttempts) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    try {
+      const info = await tronWeb.trx.getTransactionInfo(txID);
+      if (info && info.id) {
+        txInfo = info;
+      }
+    } catch {
+      // Transaction not yet confirmed, continue polling
+    }
+    attempts++;
+  }
+
+  if (!txInfo) {
+    throw new Error(`Transaction ${txID} confirmation not detected after ${maxAttempts} seconds`);
+  }
+  if (txInfo.receipt && txInfo.receipt.result && txInfo.receipt.result !== 'SUCCESS') {
+    throw new Error(`Transaction ${txID} failed: ${txInfo.receipt.result}`);
+  }
+  console.log(`   Confirmed: ${txID}`);
+}
+
+async function isContract(tronWeb, address) {
+  try {
+    const contract = await tronWeb.trx.getContract(address);
+    return Boolean(contract && contract.bytecode);
+  } catch {
+    return false;
+  }
+}
+
+function resolveTargets(tronWeb, deployment) {
+  const deployed = deployment.contracts || {};
+
+  if (contractArg === 'all') {
+    const targets = ADMIN_CONTRACTS.filter((name) => deployed[name]).map((name) => [name, deployed[name]]);
+    if (!targets.length) {
+      console.error(`No role-managed contracts in deployments/${network}.json`);
+      process.exit(1);
+    }
+    return targets;
+  }
+  if (deployed[contractArg]) {
+    return [[contractArg, deployed[contractArg]]];
+  }
+  if (tronWeb.isAddress(contractArg)) {
+    return [[contractArg, contractArg]];
+  }
+
+  console.error(`Unknown contract: ${contractArg}`);
+  process.exit(1);
+}
+
+function loadDeployment() {
+  const deploymentPath = path.join(__dirname, '..', 'deployments', `${network}.json`);
+  if (!fs.existsSync(deploymentPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+}
+
+function getArg(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return null;
+  return args[index + 1];
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Admin transfer failed:', error);
+    process.exit(1);
+  });
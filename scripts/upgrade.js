@@ -0,0 +1,301 @@
+/**
+ * @title JustFlash Upgrade Script
+ * @notice Deploys a new implementation of a proxied core contract and upgrades the proxy
+ *
+ * Usage:
+ *   node scripts/upgrade.js --network <network> --contract <name> [--implementation <artifact>]
+ *                           [--previous <build dir>]
+ *   node scripts/upgrade.js --network <network> --contract <name> --execute
+ *
+ * <name> is FlashLoanPool, FeeCollector or PoolRegistry of a deployment made with
+ * `deploy.js --upgradeable`. The new implementation is <name>Upgradeable from
+ * build/contracts unless --implementation names another artifact.
+ *
+ * Before anything is deployed, the new implementation's storage layout is checked
+ * against the deployed one: from the previous release's build directory when
+ * --previous is given, otherwise from the layout recorded in deployments/<network>.json
+ * at the last deploy or upgrade. Any incompatibility aborts the upgrade.
+ *
+ * A deployer holding DEFAULT_ADMIN_ROLE on the proxy upgrades it directly. Once the
+ * admin role sits with the ProtocolTimelock, the upgrade is scheduled there instead;
+ * run again with --execute after the delay to apply it.
+ */
+
+require('dotenv').config();
+const TronWeb = require('tronweb');
+const fs = require('fs');
+const path = require('path');
+const { getStorageLayout, compareStorageLayouts } = require('./storage-layout');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const network = getArg(args, '--network') || 'development';
+const contractName = getArg(args, '--contract');
+const implementationName = getArg(args, '--implementation') || `${contractName}Upgradeable`;
+const previousBuildDir = getArg(args, '--previous');
+const executeScheduled = args.includes('--execute');
+
+// Core contracts that deploy.js --upgradeable puts behind a proxy
+const UPGRADEABLE_CONTRACTS = ['FlashLoanPool', 'FeeCollector', 'PoolRegistry'];
+
+const ZERO_BYTES32 = '0x' + '0'.repeat(64);
+
+// Network configurations
+const networks = {
+  development: {
+    fullHost: `http://127.0.0.1:${process.env.HOST_PORT || 9090}`,
+    privateKey: process.env.PRIVATE_KEY_DEV,
+  },
+  nile: {
+    fullHost: 'https://nile.trongrid.io',
+    privateKey: process.env.PRIVATE_KEY_NILE,
+    headers: { 'TRON-PRO-API-KEY': process.env.TRONGRID_API_KEY },
+  },
+  shasta: {
+    fullHost: 'https://api.shasta.trongrid.io',
+    privateKey: process.env.PRIVATE_KEY_SHASTA,
+  },
+  mainnet: {
+    fullHost: 'https://api.trongrid.io',
+    privateKey: process.env.PRIVATE_KEY_MAINNET,
+    headers: { 'TRON-PRO-API-KEY': process.env.TRONGRID_API_KEY },
+  },
+};
+
+async function main() {
+  console.log('========================================');
+  console.log('JustFlash Protocol Upgrade');
+  console.log('========================================');
+  console.log(`Network: ${network}`);
+  console.log(`Contract: ${contractName}`);
+  console.log('========================================\n');
+
+  if (!UPGRADEABLE_CONTRACTS.includes(contractName)) {
+    console.error(`--contract must be one of: ${UPGRADEABLE_CONTRACTS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!networks[network]) {
+    console.error(`Unknown network: ${network}`);
+    process.exit(1);
+  }
+
+  const config = networks[network];
+  if (!config.privateKey) {
+    console.error(`Private key not set for network: ${network}`);
+    process.exit(1);
+  }
+
+  const deploymentPath = path.join(__dirname, '..', 'deployments', `${network}.json`);
+  if (!fs.existsSync(deploymentPath)) {
+    console.error(`Deployment not found: ${deploymentPath}`);
+    process.exit(1);
+  }
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+
+  const current = deployment.implementations && deployment.implementations[contractName];
+  if (!current) {
+    console.error(`${contractName} was not deployed behind a proxy (run deploy.js with --upgradeable)`);
+    process.exit(1);
+  }
+  const proxyAddress = deployment.contracts[contractName];
+
+  const tronWeb = new TronWeb({
+    fullHost: config.fullHost,
+    privateKey: config.privateKey,
+    headers: config.headers,
+  });
+
+  const ownerAddress = tronWeb.address.fromPrivateKey(config.privateKey);
+  console.log(`Deployer: ${tronWeb.address.fromHex(ownerAddress)}`);
+  console.log(`Proxy: ${proxyAddress}`);
+  console.log(`Current implementation: ${current.contract} at ${current.address}\n`);
+
+  if (executeScheduled) {
+    await executePendingUpgrade(tronWeb, deployment, proxyAddress);
+  } else {
+    await upgrade(tronWeb, deployment, ownerAddress, proxyAddress, current);
+  }
+
+  fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+  console.log(`\nDeployment updated: ${deploymentPath}`);
+}
+
+async function upgrade(tronWeb, deployment, ownerAddress, proxyAddress, current) {
+  const buildDir = path.join(__dirname, '..', 'build', 'contracts');
+
+  // 1. Check the new layout against the deployed one
+  console.log('1. Checking storage layout...');
+  const oldLayout = previousBuildDir
+    ? getStorageLayout(path.resolve(previousBuildDir), current.contract)
+    : deployment.storageLayouts && deployment.storageLayouts[contractName];
+  if (!oldLayout) {
+    console.error('   No recorded storage layout for the deployed implementation; pass --previous <build dir>');
+    process.exit(1);
+  }
+
+  const newLayout = getStorageLayout(buildDir, implementationName);
+  const { errors, warnings } = compareStorageLayouts(oldLayout, newLayout);
+  for (const warning of warnings) {
+    console.log(`   Warning: ${warning}`);
+  }
+  if (errors.length) {
+    for (const error of errors) {
+      console.error(`   Error: ${error}`);
+    }
+    console.error(`\n${implementationName} is not storage compatible with ${current.contract}; aborting`);
+    process.exit(1);
+  }
+  console.log(`   ${implementationName} is storage compatible with ${current.contract}`);
+
+  // 2. Deploy the new implementation
+  console.log('\n2. Deploying implementation...');
+  const artifact = loadArtifact(buildDir, implementationName);
+  const implementation = await deployContract(tronWeb, artifact, []);
+  console.log(`   ${implementationName}: ${implementation.address}`);
+
+  // 3. Upgrade directly, or through the timelock once it holds the admin role
+  console.log('\n3. Upgrading proxy...');
+  const proxy = tronWeb.contract(artifact.abi, proxyAddress);
+  const adminRole = await proxy.DEFAULT_ADMIN_ROLE().call();
+  const upgradeCall = encodeCall(tronWeb, 'upgradeToAndCall(address,bytes)', ['address', 'bytes'], [
+    implementation.address,
+    '0x',
+  ]);
+
+  if (await proxy.hasRole(adminRole, ownerAddress).call()) {
+    await proxy.upgradeToAndCall(implementation.address, '0x').send({ feeLimit: 100_000_000 });
+    recordImplementation(deployment, implementationName, implementation.address, newLayout);
+    console.log(`   ${contractName} upgraded to ${implementation.address}`);
+    return;
+  }
+
+  const timelockAddress = deployment.contracts.ProtocolTimelock;
+  if (!timelockAddress || !(await proxy.hasRole(adminRole, timelockAddress).call())) {
+    console.error('   The deployer is not the proxy admin and no timelock holds the admin role');
+    process.exit(1);
+  }
+
+  const timelock = await tronWeb.contract().at(timelockAddress);
+  const delay = await timelock.getMinDelay().call();
+  const salt = tronWeb.sha3(implementation.address);
+  await timelock.schedule(proxyAddress, 0, upgradeCall, ZERO_BYTES32, salt, delay).send({
+    feeLimit: 100_000_000,
+  });
+
+  const readyAt = new Date(Date.now() + Number(delay) * 1000).toISOString();
+  deployment.pendingUpgrades = deployment.pendingUpgrades || {};
+  deployment.pendingUpgrades[contractName] = {
+    contract: implementationName,
+    address: implementation.address,
+    data: upgradeCall,
+    salt,
+    readyAt,
+    storageLayout: newLayout,
+  };
+  console.log(`   Upgrade scheduled on ProtocolTimelock ${timelockAddress}`);
+  console.log(`   Run with --execute after ${readyAt}`);
+}
+
+async function executePendingUpgrade(tronWeb, deployment, proxyAddress) {
+  const pending = deployment.pendingUpgrades && deployment.pendingUpgrades[contractName];
+  if (!pending) {
+    console.error(`No scheduled upgrade for ${contractName}`);
+    process.exit(1);
+  }
+
+  console.log(`Executing scheduled upgrade to ${pending.contract} at ${pending.address}...`);
+  const timelock = await tronWeb.contract().at(deployment.contracts.ProtocolTimelock);
+  await timelock.execute(proxyAddress, 0, pending.data, ZERO_BYTES32, pending.salt).send({
+    feeLimit: 100_000_000,
+  });
+
+  recordImplementation(deployment, pending.contract, pending.address, pending.storageLayout);
+  delete deployment.pendingUpgrades[contractName];
+  console.log(`${contractName} upgraded to ${pending.address}`);
+}
+
+function recordImplementation(deployment, name, address, layout) {
+  deployment.implementations[contractName] = { contract: name, address };
+  deployment.storageLayouts = deployment.storageLayouts || {};
+  deployment.storageLayouts[contractName] = layout;
+  deployment.upgrades = deployment.upgrades || [];
+  deployment.upgrades.push({
+    contract: contractName,
+    implementation: name,
+    address,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function encodeCall(tronWeb, signature, types, values) {
+  const selector = tronWeb.sha3(signature).slice(0, 10);
+  return selector + tronWeb.utils.abi.encodeParams(types, values).slice(2);
+}
+
+async function deployContract(tronWeb, contractData, constructorArgs) {
+  const transaction = await tronWeb.transactionBuilder.createSmartContract({
+    abi: contractData.abi,
+    bytecode: contractData.bytecode,
+    feeLimit: 1_000_000_000,
+    callValue: 0,
+    userFeePercentage: 100,
+    originEnergyLimit: 10_000_000,
+    parameters: constructorArgs,
+  });
+
+  const signedTx = await tronWeb.trx.sign(transaction);
+  const receipt = await tronWeb.trx.sendRawTransaction(signedTx);
+
+  // Wait for transaction confirmation with polling
+  const txID = receipt.transaction.txID;
+  let confirmed = false;
+  let attempts = 0;
+  const maxAttempts = 30;
+
+  while (!confirmed && attempts < maxAttempts) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    try {
+      const txInfo = await tronWeb.trx.getTransactionInfo(txID);
+      if (txInfo && txInfo.id) {
+        confirmed = true;
+      }
+    } catch {
+      // Transaction not yet confirmed, continue polling
+    }
+    attempts++;
+  }
+
+  if (!confirmed) {
+    console.warn(`Warning: Transaction ${txID} confirmation not detected after ${maxAttempts} seconds`);
+  }
+
+  return {
+    address: tronWeb.address.fromHex(receipt.transaction.contract_address),
+    txID,
+  };
+}
+
+function loadArtifact(buildDir, name) {
+  const artifactPath = path.join(buildDir, `${name}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    console.error(`Contract artifact not found: ${artifactPath}`);
+    console.error('Please run: npm run compile');
+    process.exit(1);
+  }
+  const data = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  return { abi: data.abi, bytecode: data.bytecode };
+}
+
+function getArg(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return null;
+  return args[index + 1];
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Upgrade failed:', error);
+    process.exit(1);
+  });
@@ -3,6 +3,9 @@ const FlashLoanPool = artifacts.require("FlashLoanPool");
 const FeeCollector = artifacts.require("FeeCollector");
 const MockERC20 = artifacts.require("MockERC20");
 const ProfitableReceiver = artifacts.require("ProfitableReceiver");
+const TRXGateway = artifacts.require("TRXGateway");
+const MockWTRX = artifacts.require("MockWTRX");
+const MockTRXFlashLoanReceiver = artifacts.require("MockTRXFlashLoanReceiver");
 
 /**
  * @title Adapter Test Suite
@@ -40,7 +43,7 @@ contract("Adapters", (accounts) => {
     
     // Deposit liquidity
     await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
-    await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
+    await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
   });
 
   describe("ProfitableReceiver", () => {
@@ -98,4 +101,130 @@ contract("Adapters", (accounts) => {
       }
     });
   });
+
+  describe("TRXGateway", () => {
+    const TRX_DEPOSIT = web3.utils.toBN(web3.utils.toWei("10", "ether"));
+    const TRX_LOAN = web3.utils.toBN(web3.utils.toWei("4", "ether"));
+    const TRX_FUNDING = web3.utils.toBN(web3.utils.toWei("1", "ether"));
+
+    let wtrx;
+    let gateway;
+    let trxReceiver;
+
+    beforeEach(async () => {
+      wtrx = await MockWTRX.new();
+      await pool.whitelistToken(wtrx.address, { from: owner });
+
+      gateway = await TRXGateway.new(pool.address, wtrx.address);
+      await pool.setTrustedAdapter(gateway.address, true, { from: owner });
+      trxReceiver = await MockTRXFlashLoanReceiver.new(gateway.address);
+      await web3.eth.sendTransaction({ from: owner, to: trxReceiver.address, value: TRX_FUNDING });
+
+      await gateway.depositTRX(0, { from: user1, value: TRX_DEPOSIT });
+    });
+
+    it("should deposit native TRX as WTRX pool shares", async () => {
+      const shares = await pool.getPoolShares(user1, wtrx.address);
+      assert.equal(shares.toString(), TRX_DEPOSIT.toString(), "Depositor should hold the shares");
+      assert.equal(
+        (await wtrx.balanceOf(pool.address)).toString(),
+        TRX_DEPOSIT.toString(),
+        "Pool should hold the wrapped TRX"
+      );
+    });
+
+    it("should lend native TRX and re-wrap the repayment", async () => {
+      const premium = await gateway.flashFeeTRX(TRX_LOAN);
+      const tx = await trxReceiver.initiateFlashLoan(TRX_LOAN, "0x1234", { from: owner });
+      const gatewayEvent = await gateway.getPastEvents("TRXFlashLoan", { fromBlock: tx.receipt.blockNumber });
+
+      assert.equal((await trxReceiver.lastValue()).toString(), TRX_LOAN.toString(), "Receiver should get TRX");
+      assert.equal((await trxReceiver.lastPremium()).toString(), premium.toString(), "Premium should match");
+      assert.equal(await trxReceiver.lastInitiator(), trxReceiver.address, "Initiator should be the caller");
+      assert.equal(await trxReceiver.lastParams(), "0x1234", "Params should be forwarded");
+      assert.equal(gatewayEvent.length, 1, "Should emit TRXFlashLoan");
+      assert.equal(await web3.eth.getBalance(gateway.address), "0", "Gateway should hold no TRX");
+    });
+
+    it("should charge gateway loans to the caller's fee discount and volume", async () => {
+      await pool.setBorrowerFee(trxReceiver.address, 0, { from: owner });
+
+      const quoted = await gateway.flashFeeTRX(TRX_LOAN, { from: trxReceiver.address });
+      assert.equal(quoted.toNumber(), 0, "flashFeeTRX should quote the caller's fee");
+
+      await trxReceiver.initiateFlashLoan(TRX_LOAN, "0x", { from: owner });
+
+      assert.equal((await trxReceiver.lastPremium()).toNumber(), 0, "Caller's discount should apply");
+      const volume = await pool.getCumulativeBorrowed(wtrx.address, trxReceiver.address);
+      assert.equal(volume.toString(), TRX_LOAN.toString(), "Volume should be keyed on the caller");
+      assert.equal((await pool.getCumulativeBorrowed(wtrx.address, gateway.address)).toNumber(), 0, "Gateway has no volume");
+    });
+
+    it("should refund TRX sent above the amount owed", async () => {
+      const surplus = web3.utils.toBN(1000);
+      await trxReceiver.setExtraRepayment(surplus);
+      const premium = await gateway.flashFeeTRX(TRX_LOAN);
+
+      await trxReceiver.initiateFlashLoan(TRX_LOAN, "0x", { from: owner });
+
+      const balance = web3.utils.toBN(await web3.eth.getBalance(trxReceiver.address));
+      assert.equal(balance.toString(), TRX_FUNDING.sub(premium).toString(), "Only the premium should be spent");
+    });
+
+    it("should revert when the TRX is not repaid", async () => {
+      await trxReceiver.setShouldRepay(false);
+
+      try {
+        await trxReceiver.initiateFlashLoan(TRX_LOAN, "0x", { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TRXRepaymentFailed"), "Should revert with TRXRepaymentFailed");
+      }
+    });
+
+    it("should withdraw pool shares as native TRX", async () => {
+      const shares = await pool.getPoolShares(user1, wtrx.address);
+      await pool.approveShares(wtrx.address, gateway.address, shares, { from: user1 });
+
+      const balanceBefore = web3.utils.toBN(await web3.eth.getBalance(user1));
+      const tx = await gateway.withdrawTRX(shares, TRX_DEPOSIT, { from: user1, gasPrice: 0 });
+      const balanceAfter = web3.utils.toBN(await web3.eth.getBalance(user1));
+
+      assert.equal(tx.logs[0].event, "TRXWithdrawal", "Should emit TRXWithdrawal");
+      assert.equal(balanceAfter.sub(balanceBefore).toString(), TRX_DEPOSIT.toString(), "Should receive TRX");
+      assert.equal((await pool.getPoolShares(user1, wtrx.address)).toString(), "0", "Shares should be burned");
+    });
+
+    it("should reject TRX withdrawals without a share allowance", async () => {
+      const shares = await pool.getPoolShares(user1, wtrx.address);
+
+      try {
+        await gateway.withdrawTRX(shares, 0, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InsufficientShareAllowance"), "Should revert without allowance");
+      }
+    });
+
+    it("should reject stray TRX transfers", async () => {
+      try {
+        await gateway.sendTransaction({ from: owner, value: 1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        // Truffle cannot decode custom errors raised in receive()
+        assert(error.message.includes("revert"), "Should revert plain TRX transfers");
+      }
+
+      assert.equal(await web3.eth.getBalance(gateway.address), "0", "Gateway should hold no TRX");
+    });
+
+    it("should only accept WTRX loans it requested", async () => {
+      try {
+        await gateway.executeOperation(wtrx.address, TRX_LOAN, 0, gateway.address, "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UnauthorizedPool"), "Should revert with UnauthorizedPool");
+      }
+    });
+  });
 });
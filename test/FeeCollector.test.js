@@ -1,6 +1,7 @@
 const FeeCollector = artifacts.require("FeeCollector");
 const FlashLoanPool = artifacts.require("FlashLoanPool");
 const MockERC20 = artifacts.require("MockERC20");
+const MockFlashLoanReceiver = artifacts.require("MockFlashLoanReceiver");
 
 /**
  * @title FeeCollector Test Suite
@@ -30,9 +31,9 @@ contract("FeeCollector", (accounts) => {
   });
 
   describe("Deployment", () => {
-    it("should deploy with correct owner", async () => {
-      const contractOwner = await feeCollector.owner();
-      assert.equal(contractOwner, owner, "Owner should be deployer");
+    it("should grant the default admin role to the deployer", async () => {
+      const adminRole = await feeCollector.DEFAULT_ADMIN_ROLE();
+      assert.equal(await feeCollector.hasRole(adminRole, owner), true, "Deployer should be admin");
     });
 
     it("should deploy with correct treasury", async () => {
@@ -98,6 +99,69 @@ contract("FeeCollector", (accounts) => {
     });
   });
 
+  describe("Referral Fees", () => {
+    const referrer = accounts[5];
+    const feeSource = accounts[3];
+    const CODE = web3.utils.padRight(web3.utils.utf8ToHex("AGGREGATOR"), 64);
+
+    beforeEach(async () => {
+      await feeCollector.setFeeSource(feeSource, true, { from: owner });
+      await feeCollector.registerReferralCode(CODE, { from: referrer });
+      await feeCollector.setReferralShare(1000, { from: owner });
+    });
+
+    it("should take the referral from the whole premium before the 80/20 split", async () => {
+      const receiver = await MockFlashLoanReceiver.new(pool.address);
+      const liquidity = web3.utils.toBN("100000000");
+      const loan = web3.utils.toBN("20000000");
+
+      await pool.whitelistToken(usdt.address, { from: owner });
+      await usdt.mint(owner, liquidity);
+      await usdt.approve(pool.address, liquidity, { from: owner });
+      await pool.deposit(usdt.address, liquidity, 0, { from: owner });
+      await usdt.mint(receiver.address, liquidity);
+
+      // 0.05% of 20 USDT = 10000 premium; 10% to the referrer, then 80/20 on the other 9000
+      await pool.flashLoanWithReferral(receiver.address, usdt.address, loan, "0x", CODE, { from: owner });
+
+      assert.equal((await feeCollector.getClaimable(usdt.address, referrer)).toString(), "1000", "Referrer 10%");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toString(), "1800", "Treasury 20% of the rest");
+      assert.equal((await feeCollector.getDepositorFees(usdt.address)).toString(), "7200", "Depositors 80% of the rest");
+    });
+
+    it("should take the referral off the top for approved fee sources", async () => {
+      await usdt.mint(feeCollector.address, FEE_AMOUNT);
+      const tx = await feeCollector.collectReferredFees(usdt.address, FEE_AMOUNT, CODE, FEE_AMOUNT, { from: feeSource });
+
+      assert.equal((await feeCollector.getClaimable(usdt.address, referrer)).toString(), "100000", "Referrer 10%");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toString(), "900000", "Treasury keeps the rest");
+
+      const collected = tx.logs.find((log) => log.event === "FeesCollected");
+      assert.equal(collected.args.treasuryShare.toString(), "900000", "FeesCollected should exclude the referral");
+    });
+
+    it("should credit nothing when the referral share is zero", async () => {
+      await feeCollector.setReferralShare(0, { from: owner });
+      await usdt.mint(feeCollector.address, FEE_AMOUNT);
+      await feeCollector.collectReferredFees(usdt.address, FEE_AMOUNT, CODE, FEE_AMOUNT, { from: feeSource });
+
+      assert.equal((await feeCollector.getClaimable(usdt.address, referrer)).toNumber(), 0, "Nothing credited");
+      assert((await feeCollector.getTreasuryFees(usdt.address)).eq(FEE_AMOUNT), "Treasury keeps everything");
+    });
+
+    it("should cap the referral share at 50% of the premium", async () => {
+      await feeCollector.setReferralShare(5000, { from: owner });
+      assert.equal((await feeCollector.referralShareBps()).toNumber(), 5000, "50% should be allowed");
+
+      try {
+        await feeCollector.setReferralShare(5001, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ReferralShareTooHigh"), "Should revert with ReferralShareTooHigh");
+      }
+    });
+  });
+
   describe("Treasury Management", () => {
     it("should allow owner to update treasury", async () => {
       await feeCollector.setTreasury(newTreasury, { from: owner });
@@ -128,7 +192,7 @@ contract("FeeCollector", (accounts) => {
         await feeCollector.setTreasury(newTreasury, { from: unauthorized });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
   });
@@ -164,7 +228,7 @@ contract("FeeCollector", (accounts) => {
         await feeCollector.setFeeSplit(3000, 7000, { from: unauthorized });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
 
@@ -228,4 +292,205 @@ contract("FeeCollector", (accounts) => {
       assert.equal(fees.toNumber(), 0, "Should have zero fees initially");
     });
   });
+
+  describe("Fee Recipients", () => {
+    const [insurance, buyback, devFund] = accounts.slice(5, 8);
+    const feeSource = accounts[3];
+
+    // Approved sources without LPs send their whole premium to the protocol share
+    async function collect(token, amount) {
+      await token.mint(feeCollector.address, amount);
+      return feeCollector.collectFees(token.address, amount, { from: feeSource });
+    }
+
+    beforeEach(async () => {
+      await feeCollector.setFeeSource(feeSource, true, { from: owner });
+    });
+
+    it("should start with no recipients", async () => {
+      const result = await feeCollector.getFeeRecipients();
+      assert.equal(result.recipients.length, 0, "No recipients by default");
+    });
+
+    it("should set recipients and emit FeeRecipientsUpdated", async () => {
+      const tx = await feeCollector.setFeeRecipients([insurance, buyback], [5000, 3000], { from: owner });
+
+      const event = tx.logs.find((log) => log.event === "FeeRecipientsUpdated");
+      assert(event, "FeeRecipientsUpdated event should be emitted");
+
+      const result = await feeCollector.getFeeRecipients();
+      assert.deepEqual(result.recipients, [insurance, buyback], "Recipients should be stored");
+      assert.deepEqual(result.weightsBps.map((w) => w.toNumber()), [5000, 3000], "Weights should be stored");
+    });
+
+    it("should split the protocol share unevenly and leave the remainder to the treasury", async () => {
+      await feeCollector.setFeeRecipients([insurance, buyback], [5000, 3000], { from: owner });
+
+      const tx = await collect(usdt, FEE_AMOUNT);
+
+      assert.equal((await feeCollector.getClaimable(usdt.address, insurance)).toString(), "500000", "Insurance 50%");
+      assert.equal((await feeCollector.getClaimable(usdt.address, buyback)).toString(), "300000", "Buyback 30%");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toString(), "200000", "Treasury keeps 20%");
+
+      const allocations = tx.logs.filter((log) => log.event === "FeesAllocated");
+      assert.equal(allocations.length, 2, "FeesAllocated should be emitted per recipient");
+      const collected = tx.logs.find((log) => log.event === "FeesCollected");
+      assert(collected.args.treasuryShare.eq(FEE_AMOUNT), "FeesCollected should report the whole protocol share");
+    });
+
+    it("should send rounding dust to the treasury", async () => {
+      await feeCollector.setFeeRecipients([insurance, buyback, devFund], [3333, 3333, 3334], { from: owner });
+
+      await collect(usdt, web3.utils.toBN(100));
+      await collect(usdt, web3.utils.toBN(7));
+
+      // 100 -> 33/33/33 + 1 dust; 7 -> 2/2/2 + 1 dust
+      assert.equal((await feeCollector.getClaimable(usdt.address, insurance)).toNumber(), 35, "Insurance rounds down");
+      assert.equal((await feeCollector.getClaimable(usdt.address, buyback)).toNumber(), 35, "Buyback rounds down");
+      assert.equal((await feeCollector.getClaimable(usdt.address, devFund)).toNumber(), 35, "Dev fund rounds down");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 2, "Dust goes to the treasury");
+    });
+
+    it("should skip recipients whose part rounds to zero", async () => {
+      await feeCollector.setFeeRecipients([insurance], [1], { from: owner });
+
+      const tx = await collect(usdt, web3.utils.toBN(9999));
+
+      assert.equal((await feeCollector.getClaimable(usdt.address, insurance)).toNumber(), 0, "Nothing credited");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 9999, "Treasury keeps everything");
+      assert(!tx.logs.find((log) => log.event === "FeesAllocated"), "No FeesAllocated for zero parts");
+    });
+
+    it("should divide only the treasury share of pool fees", async () => {
+      const receiver = await MockFlashLoanReceiver.new(pool.address);
+      const liquidity = web3.utils.toBN("100000000");
+      const loan = web3.utils.toBN("20000000");
+
+      await pool.whitelistToken(usdt.address, { from: owner });
+      await usdt.mint(owner, liquidity);
+      await usdt.approve(pool.address, liquidity, { from: owner });
+      await pool.deposit(usdt.address, liquidity, 0, { from: owner });
+      await usdt.mint(receiver.address, liquidity);
+      await feeCollector.setFeeRecipients([insurance], [2500], { from: owner });
+
+      // 0.05% of 20 USDT = 10000 premium; 20% protocol share, a quarter of it to insurance
+      await pool.flashLoan(receiver.address, usdt.address, loan, "0x", { from: owner });
+
+      assert.equal((await feeCollector.getClaimable(usdt.address, insurance)).toString(), "500", "Quarter of 20%");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toString(), "1500", "Treasury keeps the rest");
+      assert.equal((await feeCollector.getDepositorFees(usdt.address)).toString(), "8000", "Depositors unaffected");
+    });
+
+    it("should let recipients claim their balance once", async () => {
+      await feeCollector.setFeeRecipients([insurance, buyback], [5000, 3000], { from: owner });
+      await collect(usdt, FEE_AMOUNT);
+
+      const tx = await feeCollector.claim(usdt.address, { from: insurance });
+      const event = tx.logs.find((log) => log.event === "FeesClaimed");
+      assert(event, "FeesClaimed event should be emitted");
+      assert.equal(event.args.amount.toString(), "500000", "Claimed amount should match");
+      assert.equal((await usdt.balanceOf(insurance)).toString(), "500000", "Insurance should receive its part");
+      assert.equal((await feeCollector.getClaimable(usdt.address, insurance)).toString(), "0", "Balance cleared");
+
+      try {
+        await feeCollector.claim(usdt.address, { from: insurance });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("NoFeesToWithdraw"), "Should revert with NoFeesToWithdraw");
+      }
+    });
+
+    it("should keep balances claimable after a recipient is removed", async () => {
+      await feeCollector.setFeeRecipients([insurance, buyback], [5000, 3000], { from: owner });
+      await collect(usdt, FEE_AMOUNT);
+
+      await feeCollector.setFeeRecipients([buyback], [3000], { from: owner });
+      await collect(usdt, FEE_AMOUNT);
+
+      assert.equal((await feeCollector.getClaimable(usdt.address, insurance)).toString(), "500000", "Not credited again");
+      assert.equal((await feeCollector.getClaimable(usdt.address, buyback)).toString(), "600000", "Still credited");
+
+      await feeCollector.claim(usdt.address, { from: insurance });
+      assert.equal((await usdt.balanceOf(insurance)).toString(), "500000", "Removed recipient can claim");
+    });
+
+    it("should reject weights above 10000 in total", async () => {
+      try {
+        await feeCollector.setFeeRecipients([insurance, buyback], [6000, 4001], { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InvalidFeeRecipients"), "Should revert with InvalidFeeRecipients");
+      }
+    });
+
+    it("should reject mismatched, duplicate, zero-weight and zero-address recipients", async () => {
+      const cases = [
+        [[insurance, buyback], [5000], "InvalidFeeRecipients"],
+        [[insurance, insurance], [1000, 1000], "InvalidFeeRecipients"],
+        [[insurance], [0], "InvalidFeeRecipients"],
+        [["0x0000000000000000000000000000000000000000"], [1000], "ZeroAddress"],
+      ];
+
+      for (const [recipients, weights, reason] of cases) {
+        try {
+          await feeCollector.setFeeRecipients(recipients, weights, { from: owner });
+          assert.fail("Should have reverted");
+        } catch (error) {
+          assert(error.message.includes(reason), `Should revert with ${reason}`);
+        }
+      }
+    });
+
+    it("should only allow fee manager to set recipients", async () => {
+      try {
+        await feeCollector.setFeeRecipients([insurance], [1000], { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+  });
+
+  describe("Batch Treasury Withdrawal", () => {
+    const feeSource = accounts[3];
+
+    beforeEach(async () => {
+      await feeCollector.setFeeSource(feeSource, true, { from: owner });
+    });
+
+    it("should withdraw treasury fees for every token in one call", async () => {
+      const usdd = await MockERC20.new("Test USDD", "USDD", 18);
+      const idle = await MockERC20.new("Idle Token", "IDLE", 6);
+
+      for (const [token, amount] of [[usdt, 1000], [usdd, 2000], [idle, 300]]) {
+        await token.mint(feeCollector.address, amount);
+        await feeCollector.collectFees(token.address, amount, { from: feeSource });
+      }
+      await feeCollector.withdrawTreasuryFees(idle.address);
+
+      const tokens = await feeCollector.getFeeTokens();
+      assert.deepEqual(tokens, [usdt.address, usdd.address, idle.address], "Tokens should be tracked once each");
+
+      const tx = await feeCollector.withdrawAllTreasuryFees();
+
+      const withdrawals = tx.logs.filter((log) => log.event === "TreasuryWithdrawal");
+      assert.equal(withdrawals.length, 2, "Tokens without fees should be skipped");
+      assert.equal((await usdt.balanceOf(treasury)).toNumber(), 1000, "USDT should be withdrawn");
+      assert.equal((await usdd.balanceOf(treasury)).toNumber(), 2000, "USDD should be withdrawn");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 0, "USDT fees cleared");
+      assert.equal((await feeCollector.getTreasuryFees(usdd.address)).toNumber(), 0, "USDD fees cleared");
+    });
+
+    it("should leave recipient balances in the collector", async () => {
+      const insurance = accounts[5];
+      await feeCollector.setFeeRecipients([insurance], [4000], { from: owner });
+      await usdt.mint(feeCollector.address, 1000);
+      await feeCollector.collectFees(usdt.address, 1000, { from: feeSource });
+
+      await feeCollector.withdrawAllTreasuryFees();
+
+      assert.equal((await usdt.balanceOf(treasury)).toNumber(), 600, "Treasury should get its remainder");
+      assert.equal((await usdt.balanceOf(feeCollector.address)).toNumber(), 400, "Recipient part should stay");
+    });
+  });
 });
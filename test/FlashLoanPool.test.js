@@ -2,13 +2,19 @@ const FlashLoanPool = artifacts.require("FlashLoanPool");
 const FeeCollector = artifacts.require("FeeCollector");
 const MockERC20 = artifacts.require("MockERC20");
 const MockFlashLoanReceiver = artifacts.require("MockFlashLoanReceiver");
+const MockFlashLoanBatchReceiver = artifacts.require("MockFlashLoanBatchReceiver");
+const ERC3156FlashLender = artifacts.require("ERC3156FlashLender");
+const MockERC3156FlashBorrower = artifacts.require("MockERC3156FlashBorrower");
+const PoolShareToken = artifacts.require("PoolShareToken");
+const MockTaxToken = artifacts.require("MockTaxToken");
+const MockRebasingToken = artifacts.require("MockRebasingToken");
 
 /**
  * @title FlashLoanPool Test Suite
  * @notice Comprehensive tests for the core flash loan functionality
  */
 contract("FlashLoanPool", (accounts) => {
-  const [owner, user1, , treasury] = accounts;
+  const [owner, user1, user2, treasury] = accounts;
   
   // Contract instances
   let pool;
@@ -45,9 +51,9 @@ contract("FlashLoanPool", (accounts) => {
   });
 
   describe("Deployment", () => {
-    it("should deploy with correct owner", async () => {
-      const contractOwner = await pool.owner();
-      assert.equal(contractOwner, owner, "Owner should be deployer");
+    it("should grant the default admin role to the deployer", async () => {
+      const adminRole = await pool.DEFAULT_ADMIN_ROLE();
+      assert.equal(await pool.hasRole(adminRole, owner), true, "Deployer should be admin");
     });
 
     it("should deploy with correct fee", async () => {
@@ -72,7 +78,7 @@ contract("FlashLoanPool", (accounts) => {
     });
 
     it("should accept deposits", async () => {
-      const tx = await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
+      const tx = await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
       
       // Check event
       assert.equal(tx.logs[0].event, "Deposit", "Should emit Deposit event");
@@ -81,14 +87,14 @@ contract("FlashLoanPool", (accounts) => {
     });
 
     it("should mint correct shares for first deposit", async () => {
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
       
       const shares = await pool.getPoolShares(user1, usdt.address);
       assert.equal(shares.toString(), DEPOSIT_AMOUNT.toString(), "First deposit should be 1:1");
     });
 
     it("should update pool liquidity", async () => {
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
       
       const liquidity = await pool.getAvailableLiquidity(usdt.address);
       assert.equal(liquidity.toString(), DEPOSIT_AMOUNT.toString(), "Liquidity should match deposit");
@@ -96,7 +102,7 @@ contract("FlashLoanPool", (accounts) => {
 
     it("should reject zero amount deposits", async () => {
       try {
-        await pool.deposit(usdt.address, 0, { from: user1 });
+        await pool.deposit(usdt.address, 0, 0, { from: user1 });
         assert.fail("Should have reverted");
       } catch (error) {
         assert(error.message.includes("ZeroAmount"), "Should revert with ZeroAmount");
@@ -109,7 +115,7 @@ contract("FlashLoanPool", (accounts) => {
       await unsupportedToken.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
       
       try {
-        await pool.deposit(unsupportedToken.address, DEPOSIT_AMOUNT, { from: user1 });
+        await pool.deposit(unsupportedToken.address, DEPOSIT_AMOUNT, 0, { from: user1 });
         assert.fail("Should have reverted");
       } catch (error) {
         assert(error.message.includes("TokenNotSupported"), "Should revert with TokenNotSupported");
@@ -120,12 +126,12 @@ contract("FlashLoanPool", (accounts) => {
   describe("Withdrawals", () => {
     beforeEach(async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
     });
 
     it("should allow full withdrawal", async () => {
       const shares = await pool.getPoolShares(user1, usdt.address);
-      const tx = await pool.withdraw(usdt.address, shares, { from: user1 });
+      const tx = await pool.withdraw(usdt.address, shares, 0, { from: user1 });
       
       // Check event
       assert.equal(tx.logs[0].event, "Withdrawal", "Should emit Withdrawal event");
@@ -139,7 +145,7 @@ contract("FlashLoanPool", (accounts) => {
       const shares = await pool.getPoolShares(user1, usdt.address);
       const halfShares = shares.div(web3.utils.toBN(2));
       
-      await pool.withdraw(usdt.address, halfShares, { from: user1 });
+      await pool.withdraw(usdt.address, halfShares, 0, { from: user1 });
       
       const remainingShares = await pool.getPoolShares(user1, usdt.address);
       assert.equal(remainingShares.toString(), halfShares.toString(), "Should have half shares remaining");
@@ -150,7 +156,7 @@ contract("FlashLoanPool", (accounts) => {
       const excessShares = shares.add(web3.utils.toBN(1));
       
       try {
-        await pool.withdraw(usdt.address, excessShares, { from: user1 });
+        await pool.withdraw(usdt.address, excessShares, 0, { from: user1 });
         assert.fail("Should have reverted");
       } catch (error) {
         assert(error.message.includes("InsufficientShares"), "Should revert with InsufficientShares");
@@ -159,7 +165,7 @@ contract("FlashLoanPool", (accounts) => {
 
     it("should reject zero amount withdrawal", async () => {
       try {
-        await pool.withdraw(usdt.address, 0, { from: user1 });
+        await pool.withdraw(usdt.address, 0, 0, { from: user1 });
         assert.fail("Should have reverted");
       } catch (error) {
         assert(error.message.includes("ZeroAmount"), "Should revert with ZeroAmount");
@@ -167,11 +173,254 @@ contract("FlashLoanPool", (accounts) => {
     });
   });
 
+  describe("ERC-4626 Vault", () => {
+    const toBN = web3.utils.toBN;
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+
+      // Accrue premium in the pool so shares are worth more than 1 unit
+      await pool.setFeeCollector("0x0000000000000000000000000000000000000000", { from: owner });
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+    });
+
+    it("should report total assets including accrued premium", async () => {
+      const premium = LOAN_AMOUNT.mul(toBN(FLASH_LOAN_FEE)).div(toBN(10000));
+      const totalAssets = await pool.totalAssets(usdt.address);
+      assert.equal(totalAssets.toString(), DEPOSIT_AMOUNT.add(premium).toString(), "Total assets should include premium");
+    });
+
+    it("should deposit for a receiver", async () => {
+      const amount = toBN("1000000");
+      const expectedShares = await pool.previewDeposit(usdt.address, amount);
+      await usdt.approve(pool.address, amount, { from: user1 });
+
+      await pool.depositFor(usdt.address, amount, user2, expectedShares, { from: user1 });
+
+      const shares = await pool.getPoolShares(user2, usdt.address);
+      assert.equal(shares.toString(), expectedShares.toString(), "Receiver should get previewed shares");
+    });
+
+    it("should enforce the slippage bounds of depositFor and withdrawTo", async () => {
+      const amount = toBN("1000000");
+      const expectedShares = await pool.previewDeposit(usdt.address, amount);
+      await usdt.approve(pool.address, amount, { from: user1 });
+
+      try {
+        await pool.depositFor(usdt.address, amount, user2, expectedShares.addn(1), { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("SlippageSharesOut"), "Should revert with SlippageSharesOut");
+      }
+
+      const expectedAssets = await pool.previewRedeem(usdt.address, amount);
+      try {
+        await pool.withdrawTo(usdt.address, amount, user2, expectedAssets.addn(1), { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("SlippageAmountOut"), "Should revert with SlippageAmountOut");
+      }
+    });
+
+    it("should mint exact shares pulling previewMint assets", async () => {
+      const shares = toBN("1000000");
+      const expectedAssets = await pool.previewMint(usdt.address, shares);
+      await usdt.approve(pool.address, expectedAssets, { from: user1 });
+      const balanceBefore = await usdt.balanceOf(user1);
+
+      await pool.mint(usdt.address, shares, user2, { from: user1 });
+
+      const balanceAfter = await usdt.balanceOf(user1);
+      const received = await pool.getPoolShares(user2, usdt.address);
+      assert.equal(received.toString(), shares.toString(), "Receiver should get exact shares");
+      assert.equal(balanceBefore.sub(balanceAfter).toString(), expectedAssets.toString(), "Should pull previewed assets");
+    });
+
+    it("should round previewMint up and previewDeposit down", async () => {
+      const amount = toBN("1000001");
+      const depositShares = await pool.previewDeposit(usdt.address, amount);
+      const mintAssets = await pool.previewMint(usdt.address, depositShares);
+
+      assert(mintAssets.lte(amount), "Minting deposit shares should not cost more than the deposit");
+      const redeemAssets = await pool.previewRedeem(usdt.address, depositShares);
+      assert(redeemAssets.lte(amount), "Redeeming should not return more than deposited");
+    });
+
+    it("should withdraw exact assets to a receiver", async () => {
+      const assets = toBN("1000000");
+      const expectedShares = await pool.previewWithdraw(usdt.address, assets);
+      const sharesBefore = await pool.getPoolShares(user1, usdt.address);
+      const receiverBefore = await usdt.balanceOf(user2);
+
+      await pool.withdrawAssets(usdt.address, assets, user2, user1, { from: user1 });
+
+      const sharesAfter = await pool.getPoolShares(user1, usdt.address);
+      const receiverAfter = await usdt.balanceOf(user2);
+      assert.equal(sharesBefore.sub(sharesAfter).toString(), expectedShares.toString(), "Should burn previewed shares");
+      assert.equal(receiverAfter.sub(receiverBefore).toString(), assets.toString(), "Receiver should get exact assets");
+    });
+
+    it("should redeem shares to a receiver", async () => {
+      const shares = toBN("1000000");
+      const expectedAssets = await pool.previewRedeem(usdt.address, shares);
+      const receiverBefore = await usdt.balanceOf(user2);
+
+      await pool.redeem(usdt.address, shares, user2, user1, { from: user1 });
+
+      const receiverAfter = await usdt.balanceOf(user2);
+      assert.equal(receiverAfter.sub(receiverBefore).toString(), expectedAssets.toString(), "Receiver should get previewed assets");
+    });
+
+    it("should withdraw shares to a receiver with withdrawTo", async () => {
+      const shares = toBN("1000000");
+      const expectedAssets = await pool.previewRedeem(usdt.address, shares);
+      const receiverBefore = await usdt.balanceOf(user2);
+
+      await pool.withdrawTo(usdt.address, shares, user2, expectedAssets, { from: user1 });
+
+      const receiverAfter = await usdt.balanceOf(user2);
+      assert.equal(receiverAfter.sub(receiverBefore).toString(), expectedAssets.toString(), "Receiver should get assets");
+    });
+
+    it("should reject redeem on behalf of owner without allowance", async () => {
+      try {
+        await pool.redeem(usdt.address, toBN("1000000"), user2, user1, { from: user2 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InsufficientShareAllowance"), "Should revert with InsufficientShareAllowance");
+      }
+    });
+
+    it("should allow redeem on behalf of owner with allowance", async () => {
+      const shares = toBN("1000000");
+      const tx = await pool.approveShares(usdt.address, user2, shares, { from: user1 });
+      assert.equal(tx.logs[0].event, "SharesApproval", "Should emit SharesApproval event");
+
+      await pool.redeem(usdt.address, shares, user2, user1, { from: user2 });
+
+      const remaining = await pool.shareAllowance(usdt.address, user1, user2);
+      assert.equal(remaining.toNumber(), 0, "Allowance should be spent");
+    });
+
+    it("should report max deposit and mint for supported tokens only", async () => {
+      const unsupportedToken = await MockERC20.new("Unknown", "UNK", 18);
+
+      const maxDeposit = await pool.maxDeposit(usdt.address, user1);
+      const maxMint = await pool.maxMint(usdt.address, user1);
+      const maxUnsupported = await pool.maxDeposit(unsupportedToken.address, user1);
+
+      assert(maxDeposit.gt(toBN(0)), "Supported token should allow deposits");
+      assert(maxMint.gt(toBN(0)), "Supported token should allow mints");
+      assert.equal(maxUnsupported.toNumber(), 0, "Unsupported token should not allow deposits");
+    });
+
+    it("should report max withdraw and redeem for owner position", async () => {
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      const maxRedeem = await pool.maxRedeem(usdt.address, user1);
+      const maxWithdraw = await pool.maxWithdraw(usdt.address, user1);
+      const expectedAssets = await pool.previewRedeem(usdt.address, shares);
+
+      assert.equal(maxRedeem.toString(), shares.toString(), "Max redeem should be all shares");
+      assert.equal(maxWithdraw.toString(), expectedAssets.toString(), "Max withdraw should be position value");
+    });
+
+    it("should reject zero receiver", async () => {
+      try {
+        await pool.depositFor(usdt.address, toBN("1000000"), "0x0000000000000000000000000000000000000000", 0, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ZeroAddress"), "Should revert with ZeroAddress");
+      }
+    });
+  });
+
+  describe("LP Share Token", () => {
+    const toBN = web3.utils.toBN;
+    let shareToken;
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+      shareToken = await PoolShareToken.at(await pool.getShareToken(usdt.address));
+    });
+
+    it("should deploy a share token on whitelist", async () => {
+      assert.equal(await shareToken.POOL(), pool.address, "Pool should own the share token");
+      assert.equal(await shareToken.ASSET(), usdt.address, "Share token should track the asset");
+      assert.equal(await shareToken.symbol(), "jfUSDT", "Symbol should derive from the asset");
+      assert.equal(await shareToken.name(), "JustFlash USDT LP", "Name should derive from the asset");
+      assert.equal((await shareToken.decimals()).toNumber(), 6, "Decimals should match the asset");
+    });
+
+    it("should mint share tokens on deposit", async () => {
+      const balance = await shareToken.balanceOf(user1);
+      const poolShares = await pool.getPoolShares(user1, usdt.address);
+      const totalSupply = await shareToken.totalSupply();
+
+      assert.equal(balance.toString(), DEPOSIT_AMOUNT.toString(), "Share tokens should be minted");
+      assert.equal(poolShares.toString(), balance.toString(), "getPoolShares should match balanceOf");
+      assert.equal(totalSupply.toString(), (await pool.getTotalPoolShares(usdt.address)).toString(), "Supply should match total shares");
+    });
+
+    it("should burn share tokens on withdraw", async () => {
+      const half = DEPOSIT_AMOUNT.div(toBN(2));
+      await pool.withdraw(usdt.address, half, 0, { from: user1 });
+
+      const balance = await shareToken.balanceOf(user1);
+      const totalSupply = await shareToken.totalSupply();
+      assert.equal(balance.toString(), half.toString(), "Half the shares should be burned");
+      assert.equal(totalSupply.toString(), half.toString(), "Supply should shrink");
+    });
+
+    it("should let a transferee withdraw transferred shares", async () => {
+      const shares = toBN("10000000000");
+      await shareToken.transfer(user2, shares, { from: user1 });
+
+      assert.equal((await pool.getPoolShares(user2, usdt.address)).toString(), shares.toString(), "Transferee should own the shares");
+
+      const expectedAssets = await pool.previewRedeem(usdt.address, shares);
+      const before = await usdt.balanceOf(user2);
+      await pool.withdraw(usdt.address, shares, 0, { from: user2 });
+      const after = await usdt.balanceOf(user2);
+
+      assert.equal(after.sub(before).toString(), expectedAssets.toString(), "Transferee should redeem the assets");
+      assert.equal((await shareToken.balanceOf(user2)).toNumber(), 0, "Transferee shares should be burned");
+    });
+
+    it("should honour share token approvals for redeem", async () => {
+      const shares = toBN("1000000");
+      await shareToken.approve(user2, shares, { from: user1 });
+
+      assert.equal((await pool.shareAllowance(usdt.address, user1, user2)).toString(), shares.toString(), "Allowance should be shared");
+
+      await pool.redeem(usdt.address, shares, user2, user1, { from: user2 });
+      assert.equal((await shareToken.allowance(user1, user2)).toNumber(), 0, "Allowance should be spent");
+    });
+
+    it("should reject mint and burn from non-pool callers", async () => {
+      try {
+        await shareToken.mint(user1, toBN("1"), { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UnauthorizedPool"), "Should revert with UnauthorizedPool");
+      }
+    });
+
+    it("should keep the share token when a token is re-whitelisted", async () => {
+      await pool.delistToken(usdt.address, { from: owner });
+      await pool.whitelistToken(usdt.address, { from: owner });
+
+      assert.equal(await pool.getShareToken(usdt.address), shareToken.address, "Share token should be reused");
+      assert.equal((await shareToken.balanceOf(user1)).toString(), DEPOSIT_AMOUNT.toString(), "Holders should keep their shares");
+    });
+  });
+
   describe("Flash Loans", () => {
     beforeEach(async () => {
       // Deposit liquidity
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
     });
 
     it("should execute successful flash loan", async () => {
@@ -282,25 +531,1299 @@ contract("FlashLoanPool", (accounts) => {
     });
   });
 
-  describe("Share Value Accrual", () => {
-    it("should increase share value with fees", async () => {
-      // First deposit
+  describe("Pool Statistics", () => {
+    const toBN = web3.utils.toBN;
+    const premiumOf = (amount) => amount.mul(toBN(FLASH_LOAN_FEE)).div(toBN(10000));
+
+    beforeEach(async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
-      
-      // Execute flash loan (generates fees)
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+    });
+
+    it("should report zero stats before any loan", async () => {
+      const stats = await pool.getPoolStats(usdt.address);
+      assert.equal(stats.totalBorrowed.toString(), "0", "Nothing borrowed");
+      assert.equal(stats.loanCount.toNumber(), 0, "No loans");
+      assert.equal(stats.totalPremiums.toString(), "0", "No premiums");
+      assert.equal(stats.uniqueBorrowers.toNumber(), 0, "No borrowers");
+      assert.equal(stats.lastLoanTimestamp.toNumber(), 0, "No last loan");
+    });
+
+    it("should accumulate volume, loans and premiums", async () => {
+      const smallLoan = LOAN_AMOUNT.div(toBN(2));
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      const tx = await pool.flashLoan(receiver.address, usdt.address, smallLoan, "0x", { from: user1 });
+
+      const stats = await pool.getPoolStats(usdt.address);
+      const block = await web3.eth.getBlock(tx.receipt.blockNumber);
+      assert.equal(stats.totalBorrowed.toString(), LOAN_AMOUNT.add(smallLoan).toString(), "Volume should add up");
+      assert.equal(stats.loanCount.toNumber(), 2, "Both loans should count");
+      assert.equal(
+        stats.totalPremiums.toString(),
+        premiumOf(LOAN_AMOUNT).add(premiumOf(smallLoan)).toString(),
+        "Premiums should add up"
+      );
+      assert.equal(stats.lastLoanTimestamp.toString(), block.timestamp.toString(), "Should record the last loan time");
+    });
+
+    it("should count each initiator once", async () => {
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      assert.equal((await pool.getPoolStats(usdt.address)).uniqueBorrowers.toNumber(), 1, "Repeat loans count once");
+
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user2 });
+      assert.equal((await pool.getPoolStats(usdt.address)).uniqueBorrowers.toNumber(), 2, "New initiator counts");
+    });
+
+    it("should leave stats untouched by a failed loan", async () => {
+      await receiver.setShouldRepay(false);
+
+      try {
+        await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("revert"), "Should revert");
+      }
+
+      const stats = await pool.getPoolStats(usdt.address);
+      assert.equal(stats.loanCount.toNumber(), 0, "Failed loan should not count");
+      assert.equal(stats.uniqueBorrowers.toNumber(), 0, "Failed borrower should not count");
+    });
+  });
+
+  describe("Flash Loan Quotes", () => {
+    const toBN = web3.utils.toBN;
+    const bps = (amount, fee) => amount.mul(toBN(fee)).div(toBN(10000));
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+    // IFlashLoanPool.FlashLoanStatus
+    const STATUS = {
+      Available: 0,
+      ZeroAddress: 1,
+      Paused: 2,
+      ZeroAmount: 3,
+      TokenNotSupported: 4,
+      InsufficientLiquidity: 5,
+      LoanAmountTooLarge: 6,
+      BlockBorrowLimitExceeded: 7,
+    };
+
+    // The quote must name the error the loan itself reverts with
+    async function expectQuotedFailure(token, amount, borrower, status, errorName) {
+      const quote = await pool.quoteFlashLoan(token, amount, borrower, user1);
+      assert.equal(quote.status.toNumber(), status, `Quote should report ${errorName}`);
+
+      try {
+        await pool.flashLoan(borrower, token, amount, "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes(errorName), `Should revert with ${errorName}`);
+      }
+      return quote;
+    }
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+    });
+
+    it("should quote the premium charged and the max borrowable amount", async () => {
+      const quote = await pool.quoteFlashLoan(usdt.address, LOAN_AMOUNT, receiver.address, receiver.address);
+      assert.equal(quote.status.toNumber(), STATUS.Available, "Loan should be available");
+      assert.equal(quote.premium.toString(), bps(LOAN_AMOUNT, FLASH_LOAN_FEE).toString(), "Premium at the token fee");
+      assert.equal(quote.maxBorrowable.toString(), DEPOSIT_AMOUNT.toString(), "All liquidity is borrowable");
+
       await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
-      
-      // Check that total deposits increased (from depositor fee share)
-      const totalDeposits = await pool.getTotalDeposits(usdt.address);
-      
-      // 80% of premium goes to depositors (calculated but not used in assertion)
-      // const premium = LOAN_AMOUNT.mul(web3.utils.toBN(FLASH_LOAN_FEE)).div(web3.utils.toBN(10000));
-      // const depositorShare = premium.mul(web3.utils.toBN(80)).div(web3.utils.toBN(100));
-      
-      // Total deposits should have increased by depositor share
-      // (Note: In current implementation, depositor share is returned to pool)
-      assert(totalDeposits.gte(DEPOSIT_AMOUNT), "Total deposits should not decrease");
+      assert.equal((await receiver.lastPremium()).toString(), quote.premium.toString(), "Quoted premium should be charged");
+    });
+
+    it("should include borrower discounts in the premium", async () => {
+      await pool.setBorrowerFee(receiver.address, 2, { from: owner });
+
+      const quote = await pool.quoteFlashLoan(usdt.address, LOAN_AMOUNT, receiver.address, receiver.address);
+      assert.equal(quote.premium.toString(), bps(LOAN_AMOUNT, 2).toString(), "Discounted premium should be quoted");
+
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      assert.equal((await receiver.lastPremium()).toString(), quote.premium.toString(), "Quoted premium should be charged");
+    });
+
+    it("should price receiver and initiator discounts like the loan", async () => {
+      await pool.setBorrowerFee(user2, 2, { from: owner });
+
+      const quote = await pool.quoteFlashLoan(usdt.address, LOAN_AMOUNT, receiver.address, user2);
+      assert.equal(quote.premium.toString(), bps(LOAN_AMOUNT, 2).toString(), "Initiator discount should be quoted");
+      const otherQuote = await pool.quoteFlashLoan(usdt.address, LOAN_AMOUNT, receiver.address, user1);
+      assert.equal(otherQuote.premium.toString(), bps(LOAN_AMOUNT, FLASH_LOAN_FEE).toString(), "Other initiators pay the token fee");
+
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user2 });
+      assert.equal((await receiver.lastPremium()).toString(), quote.premium.toString(), "Quoted premium should be charged");
+    });
+
+    it("should report a zero borrower", async () => {
+      await expectQuotedFailure(usdt.address, LOAN_AMOUNT, ZERO_ADDRESS, STATUS.ZeroAddress, "ZeroAddress");
+    });
+
+    it("should report a paused token before other checks", async () => {
+      await pool.pauseToken(usdt.address, { from: owner });
+
+      const quote = await expectQuotedFailure(usdt.address, 0, receiver.address, STATUS.Paused, "TokenIsPaused");
+      assert.equal(quote.maxBorrowable.toNumber(), 0, "Nothing is borrowable while paused");
+    });
+
+    it("should report a zero amount", async () => {
+      await expectQuotedFailure(usdt.address, 0, receiver.address, STATUS.ZeroAmount, "ZeroAmount");
+    });
+
+    it("should report an unsupported token", async () => {
+      const unsupportedToken = await MockERC20.new("Unknown", "UNK", 18);
+
+      const quote = await expectQuotedFailure(
+        unsupportedToken.address,
+        LOAN_AMOUNT,
+        receiver.address,
+        STATUS.TokenNotSupported,
+        "TokenNotSupported"
+      );
+      assert.equal(quote.maxBorrowable.toNumber(), 0, "Nothing is borrowable");
+    });
+
+    it("should report insufficient liquidity", async () => {
+      await expectQuotedFailure(
+        usdt.address,
+        DEPOSIT_AMOUNT.add(toBN(1)),
+        receiver.address,
+        STATUS.InsufficientLiquidity,
+        "InsufficientLiquidity"
+      );
+    });
+
+    it("should report the loan size cap", async () => {
+      const cap = LOAN_AMOUNT.div(toBN(2));
+      await pool.setMaxLoanAmount(usdt.address, cap, { from: owner });
+
+      const quote = await expectQuotedFailure(
+        usdt.address,
+        LOAN_AMOUNT,
+        receiver.address,
+        STATUS.LoanAmountTooLarge,
+        "LoanAmountTooLarge"
+      );
+      assert.equal(quote.maxBorrowable.toString(), cap.toString(), "Max borrowable should be the cap");
+    });
+
+    it("should report the per-block borrow limit", async () => {
+      const limit = LOAN_AMOUNT.div(toBN(2));
+      await pool.setBlockBorrowLimit(usdt.address, limit, { from: owner });
+
+      const quote = await expectQuotedFailure(
+        usdt.address,
+        LOAN_AMOUNT,
+        receiver.address,
+        STATUS.BlockBorrowLimitExceeded,
+        "BlockBorrowLimitExceeded"
+      );
+      assert.equal(quote.maxBorrowable.toString(), limit.toString(), "Max borrowable should be the block limit");
+    });
+  });
+
+  describe("Per-Token Loan Limits", () => {
+    const toBN = web3.utils.toBN;
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+    });
+
+    it("should charge the token fee override instead of the global fee", async () => {
+      const tx = await pool.setTokenFee(usdt.address, 30, { from: owner });
+      assert.equal(tx.logs[0].event, "TokenFeeOverrideUpdated", "Should emit TokenFeeOverrideUpdated event");
+
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      const expectedPremium = LOAN_AMOUNT.mul(toBN(30)).div(toBN(10000));
+      assert.equal((await receiver.lastPremium()).toString(), expectedPremium.toString(), "Override premium should apply");
+      assert.equal((await pool.flashFee(usdt.address, LOAN_AMOUNT)).toString(), expectedPremium.toString(), "flashFee should use override");
+      assert.equal((await pool.getTokenFee(usdt.address)).toNumber(), 30, "Effective fee should be the override");
+      assert.equal((await pool.getFlashLoanFee()).toNumber(), FLASH_LOAN_FEE, "Global fee should be unchanged");
+    });
+
+    it("should allow a zero fee override and clearing it", async () => {
+      await pool.setTokenFee(usdt.address, 0, { from: owner });
+      assert.equal((await pool.flashFee(usdt.address, LOAN_AMOUNT)).toNumber(), 0, "Zero override should apply");
+
+      await pool.clearTokenFee(usdt.address, { from: owner });
+      const { enabled } = await pool.getFeeOverride(usdt.address);
+      assert.equal(enabled, false, "Override should be cleared");
+      assert.equal((await pool.getTokenFee(usdt.address)).toNumber(), FLASH_LOAN_FEE, "Global fee should apply again");
+    });
+
+    it("should reject token fee override above maximum", async () => {
+      try {
+        await pool.setTokenFee(usdt.address, 101, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("FeeTooHigh"), "Should revert with FeeTooHigh");
+      }
+    });
+
+    it("should enforce the maximum loan size", async () => {
+      const cap = LOAN_AMOUNT.div(toBN(2));
+      await pool.setMaxLoanAmount(usdt.address, cap, { from: owner });
+
+      assert.equal((await pool.maxFlashLoan(usdt.address)).toString(), cap.toString(), "maxFlashLoan should report the cap");
+
+      try {
+        await receiver.initiateFlashLoan(usdt.address, cap.add(toBN(1)), "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("LoanAmountTooLarge"), "Should revert with LoanAmountTooLarge");
+      }
+
+      await receiver.initiateFlashLoan(usdt.address, cap, "0x", { from: user1 });
+      assert.equal((await receiver.lastAmount()).toString(), cap.toString(), "Loan at the cap should succeed");
+    });
+
+    it("should enforce the per-block borrow limit across loans in one block", async () => {
+      const half = LOAN_AMOUNT.div(toBN(2));
+      await pool.setBlockBorrowLimit(usdt.address, LOAN_AMOUNT, { from: owner });
+
+      await receiver.initiateRepeatedFlashLoans(usdt.address, half, 2, { from: user1 });
+      assert.equal((await receiver.callCount()).toNumber(), 2, "Loans within the limit should succeed");
+
+      try {
+        await receiver.initiateRepeatedFlashLoans(usdt.address, half.add(toBN(1)), 2, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("BlockBorrowLimitExceeded"), "Should revert with BlockBorrowLimitExceeded");
+      }
+    });
+
+    it("should apply borrow caps to batch loans", async () => {
+      const batchReceiver = await MockFlashLoanBatchReceiver.new(pool.address);
+      await usdt.mint(batchReceiver.address, INITIAL_SUPPLY);
+      await pool.setMaxLoanAmount(usdt.address, LOAN_AMOUNT, { from: owner });
+
+      try {
+        await batchReceiver.initiateBatchFlashLoan([usdt.address], [LOAN_AMOUNT.add(toBN(1))], "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("LoanAmountTooLarge"), "Should revert with LoanAmountTooLarge");
+      }
+    });
+
+    it("should restrict loan limit configuration to owner", async () => {
+      try {
+        await pool.setMaxLoanAmount(usdt.address, LOAN_AMOUNT, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert for non-owner");
+      }
+    });
+  });
+
+  describe("Borrower Fee Tiers", () => {
+    const toBN = web3.utils.toBN;
+    const bps = (amount, fee) => amount.mul(toBN(fee)).div(toBN(10000));
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+    });
+
+    it("should let an approved receiver borrow fee-free", async () => {
+      const tx = await pool.setBorrowerFee(receiver.address, 0, { from: owner });
+      assert.equal(tx.logs[0].event, "BorrowerFeeUpdated", "Should emit BorrowerFeeUpdated event");
+
+      const loanTx = await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user2 });
+
+      assert.equal((await receiver.lastPremium()).toNumber(), 0, "Receiver should be charged no premium");
+      assert.equal(loanTx.logs[0].args.premium.toNumber(), 0, "FlashLoan event should report the premium charged");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 0, "No fees should be collected");
+    });
+
+    it("should apply a reduced fee for an approved initiator", async () => {
+      await pool.setBorrowerFee(user2, 2, { from: owner });
+
+      const loanTx = await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user2 });
+
+      const expectedPremium = bps(LOAN_AMOUNT, 2);
+      assert.equal(loanTx.logs[0].args.premium.toString(), expectedPremium.toString(), "Event should report the reduced premium");
+      assert.equal((await receiver.lastPremium()).toString(), expectedPremium.toString(), "Receiver should be charged the reduced premium");
+    });
+
+    it("should quote flashFee for the caller", async () => {
+      await pool.setBorrowerFee(user2, 2, { from: owner });
+
+      const user2Fee = await pool.flashFee(usdt.address, LOAN_AMOUNT, { from: user2 });
+      assert.equal(user2Fee.toString(), bps(LOAN_AMOUNT, 2).toString(), "Caller's discount should be quoted");
+      const user1Fee = await pool.flashFee(usdt.address, LOAN_AMOUNT, { from: user1 });
+      assert.equal(user1Fee.toString(), bps(LOAN_AMOUNT, FLASH_LOAN_FEE).toString(), "Others are quoted the token fee");
+      const quoted = await pool.flashFeeFor(usdt.address, LOAN_AMOUNT, receiver.address, user2);
+      assert.equal(quoted.toString(), bps(LOAN_AMOUNT, 2).toString(), "flashFeeFor should quote the initiator's fee");
+    });
+
+    it("should charge the lowest applicable fee", async () => {
+      await pool.setBorrowerFee(receiver.address, 3, { from: owner });
+      await pool.setBorrowerFee(user2, 1, { from: owner });
+
+      assert.equal((await pool.getEffectiveFee(usdt.address, receiver.address, user2)).toNumber(), 1, "Initiator fee should win");
+      assert.equal((await pool.getEffectiveFee(usdt.address, receiver.address, user1)).toNumber(), 3, "Receiver fee should apply");
+      assert.equal((await pool.getEffectiveFee(usdt.address, user1, user1)).toNumber(), FLASH_LOAN_FEE, "Others pay the token fee");
+    });
+
+    it("should move initiators into volume tiers by cumulative borrowed amount", async () => {
+      const tx = await pool.setVolumeTiers(usdt.address, [LOAN_AMOUNT], [1], { from: owner });
+      assert.equal(tx.logs[0].event, "VolumeTiersUpdated", "Should emit VolumeTiersUpdated event");
+
+      const firstTx = await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user2 });
+      assert.equal(firstTx.logs[0].args.premium.toString(), bps(LOAN_AMOUNT, FLASH_LOAN_FEE).toString(), "First loan pays the token fee");
+
+      assert.equal((await pool.getCumulativeBorrowed(usdt.address, user2)).toString(), LOAN_AMOUNT.toString(), "Volume should be tracked");
+
+      const secondTx = await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user2 });
+      assert.equal(secondTx.logs[0].args.premium.toString(), bps(LOAN_AMOUNT, 1).toString(), "Second loan pays the tier fee");
+    });
+
+    it("should never raise the fee through a tier", async () => {
+      await pool.setVolumeTiers(usdt.address, [0], [50], { from: owner });
+      assert.equal((await pool.getEffectiveFee(usdt.address, receiver.address, user2)).toNumber(), FLASH_LOAN_FEE, "Tier above token fee should be ignored");
+    });
+
+    it("should reject non-ascending volume tiers", async () => {
+      try {
+        await pool.setVolumeTiers(usdt.address, [LOAN_AMOUNT, LOAN_AMOUNT], [3, 1], { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InvalidVolumeTiers"), "Should revert with InvalidVolumeTiers");
+      }
+    });
+
+    it("should restore the token fee when a borrower fee is cleared", async () => {
+      await pool.setBorrowerFee(receiver.address, 0, { from: owner });
+      await pool.clearBorrowerFee(receiver.address, { from: owner });
+
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      assert.equal((await receiver.lastPremium()).toString(), bps(LOAN_AMOUNT, FLASH_LOAN_FEE).toString(), "Token fee should apply again");
+    });
+
+    it("should restrict fee tier configuration to owner", async () => {
+      try {
+        await pool.setBorrowerFee(user1, 0, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert for non-owner");
+      }
+    });
+  });
+
+  describe("Batch Flash Loans", () => {
+    let usdd;
+    let batchReceiver;
+
+    beforeEach(async () => {
+      usdd = await MockERC20.new("Test USDD", "USDD", 18);
+      await pool.whitelistToken(usdd.address, { from: owner });
+
+      batchReceiver = await MockFlashLoanBatchReceiver.new(pool.address);
+
+      // Deposit liquidity for both tokens
+      await usdd.mint(user1, INITIAL_SUPPLY);
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+      await usdd.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdd.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+
+      // Fund receiver for premiums
+      await usdt.mint(batchReceiver.address, INITIAL_SUPPLY);
+      await usdd.mint(batchReceiver.address, INITIAL_SUPPLY);
+    });
+
+    it("should execute multi-asset flash loan with a single callback", async () => {
+      await batchReceiver.initiateBatchFlashLoan(
+        [usdt.address, usdd.address],
+        [LOAN_AMOUNT, LOAN_AMOUNT],
+        "0x",
+        { from: user1 }
+      );
+
+      const callCount = await batchReceiver.callCount();
+      assert.equal(callCount.toNumber(), 1, "Receiver should be called once");
+
+      const firstToken = await batchReceiver.lastTokens(0);
+      const secondToken = await batchReceiver.lastTokens(1);
+      assert.equal(firstToken, usdt.address, "First leg should be USDT");
+      assert.equal(secondToken, usdd.address, "Second leg should be USDD");
+    });
+
+    it("should charge premium per token", async () => {
+      const smallLoan = LOAN_AMOUNT.div(web3.utils.toBN(2));
+      await batchReceiver.initiateBatchFlashLoan(
+        [usdt.address, usdd.address],
+        [LOAN_AMOUNT, smallLoan],
+        "0x",
+        { from: user1 }
+      );
+
+      const premiums = await batchReceiver.getLastPremiums();
+      const expectedUsdt = LOAN_AMOUNT.mul(web3.utils.toBN(FLASH_LOAN_FEE)).div(web3.utils.toBN(10000));
+      const expectedUsdd = smallLoan.mul(web3.utils.toBN(FLASH_LOAN_FEE)).div(web3.utils.toBN(10000));
+
+      assert.equal(premiums[0].toString(), expectedUsdt.toString(), "USDT premium should be 0.05%");
+      assert.equal(premiums[1].toString(), expectedUsdd.toString(), "USDD premium should be 0.05%");
+    });
+
+    it("should record stats per leg", async () => {
+      await batchReceiver.initiateBatchFlashLoan(
+        [usdt.address, usdd.address],
+        [LOAN_AMOUNT, LOAN_AMOUNT],
+        "0x",
+        { from: user1 }
+      );
+
+      for (const token of [usdt.address, usdd.address]) {
+        const stats = await pool.getPoolStats(token);
+        assert.equal(stats.totalBorrowed.toString(), LOAN_AMOUNT.toString(), "Each leg's volume should count");
+        assert.equal(stats.loanCount.toNumber(), 1, "Each leg should count as a loan");
+        assert.equal(stats.uniqueBorrowers.toNumber(), 1, "The initiator should count per token");
+      }
+    });
+
+    it("should emit one FlashLoan event per leg", async () => {
+      const tx = await pool.flashLoanBatch(
+        batchReceiver.address,
+        [usdt.address, usdd.address],
+        [LOAN_AMOUNT, LOAN_AMOUNT],
+        "0x",
+        { from: user1 }
+      );
+
+      const events = tx.logs.filter((log) => log.event === "FlashLoan");
+      assert.equal(events.length, 2, "Should emit two FlashLoan events");
+      assert.equal(events[0].args.token, usdt.address, "First event should be USDT");
+      assert.equal(events[1].args.token, usdd.address, "Second event should be USDD");
+      assert.equal(events[1].args.initiator, user1, "Initiator should be caller");
+    });
+
+    it("should reject mismatched array lengths", async () => {
+      try {
+        await pool.flashLoanBatch(batchReceiver.address, [usdt.address, usdd.address], [LOAN_AMOUNT], "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InvalidBatchLength"), "Should revert with InvalidBatchLength");
+      }
+    });
+
+    it("should reject empty batch", async () => {
+      try {
+        await pool.flashLoanBatch(batchReceiver.address, [], [], "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InvalidBatchLength"), "Should revert with InvalidBatchLength");
+      }
+    });
+
+    it("should reject duplicate tokens", async () => {
+      try {
+        await pool.flashLoanBatch(batchReceiver.address, [usdt.address, usdt.address], [LOAN_AMOUNT, LOAN_AMOUNT], "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("DuplicateToken"), "Should revert with DuplicateToken");
+      }
+    });
+
+    it("should reject batch containing unsupported token", async () => {
+      const unsupportedToken = await MockERC20.new("Unknown", "UNK", 18);
+
+      try {
+        await pool.flashLoanBatch(batchReceiver.address, [usdt.address, unsupportedToken.address], [LOAN_AMOUNT, LOAN_AMOUNT], "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TokenNotSupported"), "Should revert with TokenNotSupported");
+      }
+    });
+
+    it("should revert whole batch if any leg is not repaid", async () => {
+      await batchReceiver.setShouldRepay(false);
+
+      try {
+        await batchReceiver.initiateBatchFlashLoan([usdt.address, usdd.address], [LOAN_AMOUNT, LOAN_AMOUNT], "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        const usdtBalance = await usdt.balanceOf(pool.address);
+        const usddBalance = await usdd.balanceOf(pool.address);
+        assert.equal(usdtBalance.toString(), DEPOSIT_AMOUNT.toString(), "USDT balance should be unchanged");
+        assert.equal(usddBalance.toString(), DEPOSIT_AMOUNT.toString(), "USDD balance should be unchanged");
+      }
+    });
+
+    it("should revert if batch receiver returns false", async () => {
+      await batchReceiver.setShouldReturnTrue(false);
+
+      try {
+        await batchReceiver.initiateBatchFlashLoan([usdt.address, usdd.address], [LOAN_AMOUNT, LOAN_AMOUNT], "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ReceiverCallbackFailed"), "Should revert with ReceiverCallbackFailed");
+      }
+    });
+  });
+
+  describe("ERC-3156 Lender", () => {
+    let lender;
+    let borrower;
+
+    beforeEach(async () => {
+      lender = await ERC3156FlashLender.new(pool.address);
+      borrower = await MockERC3156FlashBorrower.new(lender.address);
+      await pool.setTrustedAdapter(lender.address, true, { from: owner });
+
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+
+      // Fund borrower for the fee
+      await usdt.mint(borrower.address, INITIAL_SUPPLY);
+    });
+
+    it("should report maxFlashLoan on pool and lender", async () => {
+      const poolMax = await pool.maxFlashLoan(usdt.address);
+      const lenderMax = await lender.maxFlashLoan(usdt.address);
+
+      assert.equal(poolMax.toString(), DEPOSIT_AMOUNT.toString(), "Pool max should equal liquidity");
+      assert.equal(lenderMax.toString(), DEPOSIT_AMOUNT.toString(), "Lender max should equal liquidity");
+    });
+
+    it("should report zero maxFlashLoan for unsupported token", async () => {
+      const unsupportedToken = await MockERC20.new("Unknown", "UNK", 18);
+
+      const max = await lender.maxFlashLoan(unsupportedToken.address);
+      assert.equal(max.toNumber(), 0, "Unsupported token max should be zero");
+    });
+
+    it("should report flashFee matching the pool premium", async () => {
+      const fee = await lender.flashFee(usdt.address, LOAN_AMOUNT);
+      const expectedPremium = LOAN_AMOUNT.mul(web3.utils.toBN(FLASH_LOAN_FEE)).div(web3.utils.toBN(10000));
+
+      assert.equal(fee.toString(), expectedPremium.toString(), "Fee should be 0.05%");
+    });
+
+    it("should revert flashFee for unsupported token", async () => {
+      const unsupportedToken = await MockERC20.new("Unknown", "UNK", 18);
+
+      try {
+        await lender.flashFee(unsupportedToken.address, LOAN_AMOUNT);
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TokenNotSupported"), "Should revert with TokenNotSupported");
+      }
+    });
+
+    it("should execute ERC-3156 flash loan", async () => {
+      const params = web3.eth.abi.encodeParameters(['uint256'], [42]);
+      await borrower.flashBorrow(usdt.address, LOAN_AMOUNT, params, { from: user1 });
+
+      const callCount = await borrower.callCount();
+      assert.equal(callCount.toNumber(), 1, "Borrower should be called once");
+
+      const lastInitiator = await borrower.lastInitiator();
+      assert.equal(lastInitiator, borrower.address, "Initiator should be lender caller");
+
+      const lastFee = await borrower.lastFee();
+      const expectedPremium = LOAN_AMOUNT.mul(web3.utils.toBN(FLASH_LOAN_FEE)).div(web3.utils.toBN(10000));
+      assert.equal(lastFee.toString(), expectedPremium.toString(), "Fee should be 0.05%");
+
+      const lastData = await borrower.lastData();
+      assert.equal(lastData, params, "Data should be passed through");
+    });
+
+    it("should deliver the loan to the borrower before the callback", async () => {
+      const balanceBefore = await usdt.balanceOf(borrower.address);
+      await borrower.flashBorrow(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      const lastBalance = await borrower.lastBalance();
+      assert.equal(lastBalance.toString(), balanceBefore.add(LOAN_AMOUNT).toString(), "Borrower should hold the loan");
+    });
+
+    it("should route the premium through the pool fee flow", async () => {
+      await borrower.flashBorrow(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      const expectedPremium = LOAN_AMOUNT.mul(web3.utils.toBN(FLASH_LOAN_FEE)).div(web3.utils.toBN(10000));
+      const expectedTreasury = expectedPremium.mul(web3.utils.toBN(20)).div(web3.utils.toBN(100));
+      const treasuryFees = await feeCollector.getTreasuryFees(usdt.address);
+      assert.equal(treasuryFees.toString(), expectedTreasury.toString(), "Treasury should get 20% of premium");
+
+      const lenderBalance = await usdt.balanceOf(lender.address);
+      assert.equal(lenderBalance.toNumber(), 0, "Lender should not retain tokens");
+    });
+
+    it("should revert if borrower returns wrong callback value", async () => {
+      await borrower.setShouldReturnSuccess(false);
+
+      try {
+        await borrower.flashBorrow(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InvalidCallbackReturn"), "Should revert with InvalidCallbackReturn");
+      }
+    });
+
+    it("should revert if borrower does not approve repayment", async () => {
+      await borrower.setShouldRepay(false);
+
+      try {
+        await borrower.flashBorrow(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        const poolBalance = await usdt.balanceOf(pool.address);
+        assert.equal(poolBalance.toString(), DEPOSIT_AMOUNT.toString(), "Pool balance should be unchanged");
+      }
+    });
+
+    it("should reject executeOperation not called by pool", async () => {
+      try {
+        await lender.executeOperation(usdt.address, LOAN_AMOUNT, 0, user1, "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UnauthorizedPool"), "Should revert with UnauthorizedPool");
+      }
+    });
+
+    it("should charge the lender's caller its own fee discount and volume", async () => {
+      const toBN = web3.utils.toBN;
+      await pool.setBorrowerFee(borrower.address, 1, { from: owner });
+      const expectedPremium = LOAN_AMOUNT.mul(toBN(1)).div(toBN(10000));
+
+      const quoted = await lender.flashFee(usdt.address, LOAN_AMOUNT, { from: borrower.address });
+      assert.equal(quoted.toString(), expectedPremium.toString(), "flashFee should quote the caller's fee");
+
+      await borrower.flashBorrow(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      assert.equal((await borrower.lastFee()).toString(), expectedPremium.toString(), "Caller's fee should be charged");
+
+      const borrowerVolume = await pool.getCumulativeBorrowed(usdt.address, borrower.address);
+      assert.equal(borrowerVolume.toString(), LOAN_AMOUNT.toString(), "Volume should be keyed on the caller");
+      assert.equal((await pool.getCumulativeBorrowed(usdt.address, lender.address)).toNumber(), 0, "Lender has no volume");
+    });
+
+    it("should count each lender caller as a borrower", async () => {
+      const otherBorrower = await MockERC3156FlashBorrower.new(lender.address);
+      await usdt.mint(otherBorrower.address, INITIAL_SUPPLY);
+
+      await borrower.flashBorrow(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      await otherBorrower.flashBorrow(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      const stats = await pool.getPoolStats(usdt.address);
+      assert.equal(stats.uniqueBorrowers.toNumber(), 2, "Both callers should count");
+    });
+
+    it("should reject loans through a lender the pool does not trust", async () => {
+      await pool.setTrustedAdapter(lender.address, false, { from: owner });
+      assert.equal(await pool.isTrustedAdapter(lender.address), false, "Lender should be untrusted");
+
+      try {
+        await borrower.flashBorrow(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UntrustedAdapter"), "Should revert with UntrustedAdapter");
+      }
+    });
+
+    it("should reject flashLoanFor from untrusted callers", async () => {
+      try {
+        await pool.flashLoanFor(receiver.address, usdt.address, LOAN_AMOUNT, "0x", user2, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UntrustedAdapter"), "Should revert with UntrustedAdapter");
+      }
+    });
+
+    it("should restrict adapter trust to the admin", async () => {
+      try {
+        await pool.setTrustedAdapter(user1, true, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert for non-admin");
+      }
+    });
+
+    it("should reject pool loans not initiated by the lender", async () => {
+      const params = web3.eth.abi.encodeParameters(['address', 'address', 'bytes'], [user1, borrower.address, "0x"]);
+
+      try {
+        await pool.flashLoan(lender.address, usdt.address, LOAN_AMOUNT, params, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UntrustedInitiator"), "Should revert with UntrustedInitiator");
+      }
+    });
+  });
+
+  describe("Share Value Accrual", () => {
+    const toBN = web3.utils.toBN;
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+    });
+
+    it("should increase share value with fees", async () => {
+      // Execute flash loan (generates fees)
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      
+      // 80% of premium goes to depositors via FeeCollector.collectFees -> pool.accrueFees
+      const premium = LOAN_AMOUNT.mul(toBN(FLASH_LOAN_FEE)).div(toBN(10000));
+      const treasuryShare = premium.mul(toBN(20)).div(toBN(100));
+      const depositorShare = premium.sub(treasuryShare);
+
+      const totalDeposits = await pool.getTotalDeposits(usdt.address);
+      assert.equal(totalDeposits.toString(), DEPOSIT_AMOUNT.add(depositorShare).toString(), "Total deposits should include depositor fees");
+
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      const value = await pool.sharesToAmount(usdt.address, shares);
+      assert(value.gt(DEPOSIT_AMOUNT), "LP position should reflect fee yield");
+    });
+
+    it("should keep pool balance equal to total deposits after fees", async () => {
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      const balance = await usdt.balanceOf(pool.address);
+      const totalDeposits = await pool.getTotalDeposits(usdt.address);
+      assert.equal(balance.toString(), totalDeposits.toString(), "Balance should match deposits");
+      assert.equal((await pool.getExcessBalance(usdt.address)).toNumber(), 0, "No excess expected");
+    });
+
+    it("should keep lending during a shortfall and refill it with fees first", async () => {
+      const loss = toBN("10000000");
+      await usdt.burn(pool.address, loss);
+      assert((await pool.getShortfall(usdt.address)).eq(loss), "Shortfall should be open");
+
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      const premium = LOAN_AMOUNT.mul(toBN(FLASH_LOAN_FEE)).div(toBN(10000));
+      const depositorShare = premium.sub(premium.mul(toBN(20)).div(toBN(100)));
+      assert.equal((await pool.getShortfall(usdt.address)).toNumber(), 0, "Fees should close the shortfall");
+      assert.equal(
+        (await pool.getTotalDeposits(usdt.address)).toString(),
+        DEPOSIT_AMOUNT.add(depositorShare).sub(loss).toString(),
+        "Only the backed part should be credited"
+      );
+    });
+
+    it("should only accept fee accrual from the fee collector", async () => {
+      try {
+        await pool.accrueFees(usdt.address, toBN("1000000"), { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UnauthorizedFeeCollector"), "Should revert with UnauthorizedFeeCollector");
+      }
+    });
+
+    it("should skim stray donations to a recipient", async () => {
+      const donation = toBN("5000000");
+      await usdt.transfer(pool.address, donation, { from: user1 });
+      assert.equal((await pool.getExcessBalance(usdt.address)).toString(), donation.toString(), "Donation should be excess");
+
+      const before = await usdt.balanceOf(treasury);
+      await pool.skim(usdt.address, treasury, { from: owner });
+      const after = await usdt.balanceOf(treasury);
+
+      assert.equal(after.sub(before).toString(), donation.toString(), "Excess should be skimmed");
+      assert.equal((await pool.getTotalDeposits(usdt.address)).toString(), DEPOSIT_AMOUNT.toString(), "Deposits should be untouched");
+    });
+
+    it("should sync stray donations into share value", async () => {
+      const donation = toBN("5000000");
+      await usdt.transfer(pool.address, donation, { from: user1 });
+
+      const tx = await pool.sync(usdt.address, { from: owner });
+      assert.equal(tx.logs[0].event, "Synced", "Should emit Synced event");
+
+      const totalDeposits = await pool.getTotalDeposits(usdt.address);
+      assert.equal(totalDeposits.toString(), DEPOSIT_AMOUNT.add(donation).toString(), "Donation should be credited to LPs");
+    });
+
+    it("should restrict skim and sync to owner", async () => {
+      try {
+        await pool.skim(usdt.address, user1, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert for non-owner skim");
+      }
+
+      try {
+        await pool.sync(usdt.address, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert for non-owner sync");
+      }
+    });
+  });
+
+  describe("Fee Vesting", () => {
+    const toBN = web3.utils.toBN;
+    const VESTING_PERIOD = 86400; // 1 day
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+      await pool.setFeeVestingPeriod(usdt.address, VESTING_PERIOD, { from: owner });
+    });
+
+    function depositorShareOf(amount) {
+      const premium = amount.mul(toBN(FLASH_LOAN_FEE)).div(toBN(10000));
+      return premium.sub(premium.mul(toBN(20)).div(toBN(100)));
+    }
+
+    it("should lock accrued premiums out of share price", async () => {
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      const depositorShare = depositorShareOf(LOAN_AMOUNT);
+
+      const totalDeposits = await pool.getTotalDeposits(usdt.address);
+      assert(totalDeposits.eq(DEPOSIT_AMOUNT.add(depositorShare)), "Premiums should still be tracked");
+
+      const vesting = await pool.getFeeVesting(usdt.address);
+      assert.equal(vesting.period.toNumber(), VESTING_PERIOD, "Period should be reported");
+      assert(vesting.lockedFees.gt(toBN(0)) && vesting.lockedFees.lte(depositorShare), "Premium should be locked");
+      assert(vesting.vestedAt.gtn(0), "Vesting end should be reported");
+
+      const totalAssets = await pool.totalAssets(usdt.address);
+      assert(totalAssets.eq(totalDeposits.sub(vesting.lockedFees)), "totalAssets should exclude locked premiums");
+    });
+
+    it("should deny a just-in-time depositor the premium", async () => {
+      await usdt.mint(user2, INITIAL_SUPPLY);
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user2 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user2 });
+
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user2 });
+
+      const balanceBefore = await usdt.balanceOf(user2);
+      const shares = await pool.getPoolShares(user2, usdt.address);
+      await pool.withdraw(usdt.address, shares, 0, { from: user2 });
+      const gain = (await usdt.balanceOf(user2)).sub(balanceBefore).sub(DEPOSIT_AMOUNT);
+
+      // Without vesting the JIT deposit would take half the depositor share
+      const undiluted = depositorShareOf(LOAN_AMOUNT).divn(2);
+      assert(gain.muln(100).lt(undiluted), "JIT depositor should capture under 1% of its undiluted cut");
+
+      const remaining = await pool.getTotalDeposits(usdt.address);
+      assert(remaining.gt(DEPOSIT_AMOUNT), "Forfeited premium should stay with long-term LPs");
+    });
+
+    it("should release premiums once the period has passed", async () => {
+      await pool.setFeeVestingPeriod(usdt.address, 2, { from: owner });
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      await new Promise((resolve) => setTimeout(resolve, 3000));
+      await usdt.mint(user2, 1); // mine a block past the vesting period
+
+      const vesting = await pool.getFeeVesting(usdt.address);
+      assert.equal(vesting.lockedFees.toString(), "0", "Nothing should be locked");
+      assert.equal(vesting.vestedAt.toString(), "0", "No vesting end once fully vested");
+
+      const value = await pool.sharesToAmount(usdt.address, await pool.getPoolShares(user1, usdt.address));
+      assert(value.gt(DEPOSIT_AMOUNT), "LP position should reflect the vested premium");
+    });
+
+    it("should release locked premiums when vesting is disabled", async () => {
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      const tx = await pool.setFeeVestingPeriod(usdt.address, 0, { from: owner });
+      assert.equal(tx.logs[0].event, "FeeVestingPeriodUpdated", "Should emit FeeVestingPeriodUpdated");
+
+      const vesting = await pool.getFeeVesting(usdt.address);
+      assert.equal(vesting.lockedFees.toString(), "0", "Nothing should be locked");
+      assert((await pool.totalAssets(usdt.address)).eq(await pool.getTotalDeposits(usdt.address)), "All premiums count");
+    });
+
+    it("should reject a period above the maximum", async () => {
+      const maxPeriod = await pool.MAX_FEE_VESTING_PERIOD();
+      try {
+        await pool.setFeeVestingPeriod(usdt.address, maxPeriod.addn(1), { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("VestingPeriodTooLong"), "Should revert with VestingPeriodTooLong");
+      }
+    });
+
+    it("should only allow fee manager to set the period", async () => {
+      try {
+        await pool.setFeeVestingPeriod(usdt.address, 60, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+  });
+
+  describe("Transfer-Tax and Rebasing Tokens", () => {
+    const TAX_BPS = web3.utils.toBN(100); // 1%
+    const BPS = web3.utils.toBN(10000);
+
+    let taxToken;
+
+    const afterTax = (amount) => amount.sub(amount.mul(TAX_BPS).div(BPS));
+
+    beforeEach(async () => {
+      taxToken = await MockTaxToken.new("Taxed Meme", "TAX", 6, TAX_BPS);
+      await pool.whitelistToken(taxToken.address, { from: owner });
+      await taxToken.mint(user1, INITIAL_SUPPLY);
+      await taxToken.approve(pool.address, INITIAL_SUPPLY, { from: user1 });
+    });
+
+    it("should reject a taxed deposit when the token is not flagged", async () => {
+      try {
+        await pool.deposit(taxToken.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TransferAmountMismatch"), "Should revert with TransferAmountMismatch");
+      }
+    });
+
+    it("should credit flagged deposits with the amount received", async () => {
+      const flagTx = await pool.setTokenFlags(taxToken.address, true, false, { from: owner });
+      assert.equal(flagTx.logs[0].event, "TokenFlagsUpdated", "Should emit TokenFlagsUpdated");
+
+      const tx = await pool.deposit(taxToken.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+      const received = afterTax(DEPOSIT_AMOUNT);
+
+      assert.equal(tx.logs[0].args.amount.toString(), received.toString(), "Event should report the received amount");
+      assert.equal((await pool.totalAssets(taxToken.address)).toString(), received.toString(), "Assets should match receipt");
+      assert.equal(
+        (await pool.getPoolShares(user1, taxToken.address)).toString(),
+        received.toString(),
+        "Shares should be priced on the received amount"
+      );
+      assert.equal((await pool.getExcessBalance(taxToken.address)).toString(), "0", "No untracked balance");
+    });
+
+    it("should reject exact-share mints of a taxed token", async () => {
+      await pool.setTokenFlags(taxToken.address, true, false, { from: owner });
+
+      try {
+        await pool.mint(taxToken.address, DEPOSIT_AMOUNT, user1, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TransferAmountMismatch"), "Should revert with TransferAmountMismatch");
+      }
+    });
+
+    it("should withdraw a taxed token and keep tracked deposits at the balance", async () => {
+      await pool.setTokenFlags(taxToken.address, true, false, { from: owner });
+      await pool.deposit(taxToken.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+
+      const shares = await pool.getPoolShares(user1, taxToken.address);
+      const balanceBefore = await taxToken.balanceOf(user1);
+      await pool.withdraw(taxToken.address, shares, 0, { from: user1 });
+      const balanceAfter = await taxToken.balanceOf(user1);
+
+      const assets = afterTax(DEPOSIT_AMOUNT);
+      assert.equal(balanceAfter.sub(balanceBefore).toString(), afterTax(assets).toString(), "Holder bears the tax");
+      assert.equal((await pool.totalAssets(taxToken.address)).toString(), "0", "Tracked deposits should be empty");
+    });
+
+    it("should require taxed loan repayments to cover the tax", async () => {
+      await pool.setTokenFlags(taxToken.address, true, false, { from: owner });
+      await pool.deposit(taxToken.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+      await taxToken.mint(receiver.address, INITIAL_SUPPLY);
+
+      try {
+        await receiver.initiateFlashLoan(taxToken.address, LOAN_AMOUNT, "0x");
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("FlashLoanRepaymentFailed"), "Taxed repayment should fall short");
+      }
+
+      // Pushing the shortfall directly makes up for the tax on the pulled repayment
+      await receiver.setDirectRepayment(LOAN_AMOUNT.div(web3.utils.toBN(50)));
+      const assetsBefore = await pool.totalAssets(taxToken.address);
+      await receiver.initiateFlashLoan(taxToken.address, LOAN_AMOUNT, "0x");
+
+      const assetsAfter = await pool.totalAssets(taxToken.address);
+      assert(assetsAfter.gt(assetsBefore), "LPs should earn their share of the premium");
+      const balance = await taxToken.balanceOf(pool.address);
+      assert(balance.gte(assetsAfter), "Tracked deposits should stay backed");
+    });
+
+    it("should credit rebases to LPs instead of treating them as excess", async () => {
+      const rebasing = await MockRebasingToken.new("Rebasing", "REB", 6);
+      await pool.whitelistToken(rebasing.address, { from: owner });
+      await pool.setTokenFlags(rebasing.address, false, true, { from: owner });
+      await rebasing.mint(user1, DEPOSIT_AMOUNT);
+      await rebasing.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(rebasing.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+
+      // +10%
+      await rebasing.rebase(web3.utils.toBN("1100000000000000000"));
+      assert.equal((await pool.getExcessBalance(rebasing.address)).toString(), "0", "Rebase should not be skimmable");
+
+      const shares = await pool.getPoolShares(user1, rebasing.address);
+      const tx = await pool.withdraw(rebasing.address, shares, 0, { from: user1 });
+      const withdrawal = tx.logs.find((log) => log.event === "Withdrawal");
+
+      const expected = DEPOSIT_AMOUNT.mul(web3.utils.toBN(11)).div(web3.utils.toBN(10));
+      assert(tx.logs.some((log) => log.event === "Synced"), "Should sync the rebase before pricing");
+      assert(expected.sub(withdrawal.args.amount).lten(1), "Withdrawal should include the rebase");
+    });
+
+    it("should share a negative rebase across LPs", async () => {
+      const rebasing = await MockRebasingToken.new("Rebasing", "REB", 6);
+      await pool.whitelistToken(rebasing.address, { from: owner });
+      await pool.setTokenFlags(rebasing.address, false, true, { from: owner });
+      await rebasing.mint(user1, DEPOSIT_AMOUNT);
+      await rebasing.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(rebasing.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+
+      // -10%
+      await rebasing.rebase(web3.utils.toBN("900000000000000000"));
+
+      const shares = await pool.getPoolShares(user1, rebasing.address);
+      const tx = await pool.withdraw(rebasing.address, shares, 0, { from: user1 });
+      const withdrawal = tx.logs.find((log) => log.event === "Withdrawal");
+
+      const expected = DEPOSIT_AMOUNT.mul(web3.utils.toBN(9)).div(web3.utils.toBN(10));
+      assert(expected.sub(withdrawal.args.amount).lten(1), "Withdrawal should reflect the loss");
+    });
+
+    it("should restrict token flags to the token manager", async () => {
+      try {
+        await pool.setTokenFlags(taxToken.address, true, false, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
+      }
+    });
+  });
+
+  describe("Withdrawal Queue", () => {
+    const SHORTFALL = web3.utils.toBN("60000000000"); // 60k tokens
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+      await usdt.mint(user2, INITIAL_SUPPLY);
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user2 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user2 });
+    });
+
+    // Simulates liquidity stuck outside the pool, and its return
+    async function removeLiquidity(amount) {
+      await usdt.burn(pool.address, amount);
+    }
+
+    async function returnLiquidity(amount) {
+      await usdt.mint(pool.address, amount);
+    }
+
+    it("should burn shares and queue the assets", async () => {
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      const tx = await pool.requestWithdrawal(usdt.address, shares, DEPOSIT_AMOUNT, { from: user1 });
+
+      const event = tx.logs.find((log) => log.event === "WithdrawalRequested");
+      assert(event, "WithdrawalRequested event should be emitted");
+      assert.equal(event.args.requestId.toNumber(), 1, "Ids should start at 1");
+      assert(event.args.assets.eq(DEPOSIT_AMOUNT), "Assets should be fixed at request");
+
+      assert.equal((await pool.getPoolShares(user1, usdt.address)).toString(), "0", "Shares should be burned");
+      assert((await pool.getTotalDeposits(usdt.address)).eq(DEPOSIT_AMOUNT), "Only user2's deposit stays tracked");
+
+      const request = await pool.getWithdrawalRequest(1);
+      assert.equal(request.owner, user1, "Owner should be recorded");
+      assert.equal(request.status.toNumber(), 1, "Request should be pending");
+
+      const queue = await pool.getWithdrawalQueue(usdt.address);
+      assert(queue.queuedAssets.eq(DEPOSIT_AMOUNT), "Queued assets should be tracked");
+      assert.equal(queue.pendingRequests.toNumber(), 1, "One request should be pending");
+      assert.equal((await pool.getExcessBalance(usdt.address)).toString(), "0", "Queued assets are not excess");
+
+      const ids = await pool.getWithdrawalRequests(user1);
+      assert.deepEqual(ids.map((id) => id.toNumber()), [1], "Owner should see the request");
+    });
+
+    it("should claim immediately when liquidity is available", async () => {
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      await pool.requestWithdrawal(usdt.address, shares, 0, { from: user1 });
+
+      const balanceBefore = await usdt.balanceOf(user1);
+      const tx = await pool.claimWithdrawal(1, { from: user2 });
+
+      assert(tx.logs.find((log) => log.event === "WithdrawalFinalized"), "Claim should finalize first");
+      assert(tx.logs.find((log) => log.event === "WithdrawalClaimed"), "WithdrawalClaimed event should be emitted");
+      const received = (await usdt.balanceOf(user1)).sub(balanceBefore);
+      assert(received.eq(DEPOSIT_AMOUNT), "Owner should receive the assets, whoever claims");
+      assert.equal((await pool.getWithdrawalRequest(1)).status.toNumber(), 3, "Request should be claimed");
+
+      try {
+        await pool.claimWithdrawal(1, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("WithdrawalNotReady"), "Should revert with WithdrawalNotReady");
+      }
+    });
+
+    it("should block direct withdrawals and queue claims while the pool is short", async () => {
+      await removeLiquidity(SHORTFALL.add(SHORTFALL)); // 80k of 200k left
+
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      try {
+        await pool.withdraw(usdt.address, shares, 0, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InsufficientLiquidity"), "Should revert with InsufficientLiquidity");
+      }
+
+      await pool.requestWithdrawal(usdt.address, shares, 0, { from: user1 });
+      try {
+        await pool.claimWithdrawal(1, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("WithdrawalNotReady"), "Should revert with WithdrawalNotReady");
+      }
+
+      // Queued assets are paid before anyone withdraws directly
+      assert.equal((await pool.maxWithdraw(usdt.address, user2)).toString(), "0", "Nothing liquid for LPs");
+
+      await returnLiquidity(SHORTFALL);
+      await pool.claimWithdrawal(1, { from: user1 });
+      assert.equal((await pool.getWithdrawalRequest(1)).status.toNumber(), 3, "Request should be claimed");
+    });
+
+    it("should finalize requests first-in first-out", async () => {
+      const half = (await pool.getPoolShares(user1, usdt.address)).divn(2);
+      await removeLiquidity(DEPOSIT_AMOUNT.add(SHORTFALL)); // 40k left
+
+      await pool.requestWithdrawal(usdt.address, await pool.getPoolShares(user2, usdt.address), 0, { from: user2 });
+      await pool.requestWithdrawal(usdt.address, half, 0, { from: user1 });
+
+      // 40k cannot cover the 100k head, so the 50k request behind it waits too
+      await pool.processWithdrawals(usdt.address, 10);
+      assert.equal((await pool.getWithdrawalRequest(2)).status.toNumber(), 1, "Later request must not jump the queue");
+      try {
+        await pool.claimWithdrawal(2, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("WithdrawalNotReady"), "Should revert with WithdrawalNotReady");
+      }
+
+      await returnLiquidity(SHORTFALL);
+      const tx = await pool.processWithdrawals(usdt.address, 10);
+      const finalized = tx.logs.filter((log) => log.event === "WithdrawalFinalized");
+      assert.equal(finalized.length, 1, "Only the head should fit in 100k");
+      assert.equal(finalized[0].args.requestId.toNumber(), 1, "Head should be finalized first");
+
+      await returnLiquidity(DEPOSIT_AMOUNT);
+      await pool.processWithdrawals(usdt.address, 10);
+      const queue = await pool.getWithdrawalQueue(usdt.address);
+      assert.equal(queue.pendingRequests.toNumber(), 0, "Queue should be drained");
+      assert(queue.finalizedAssets.eq(queue.queuedAssets), "All queued assets should be reserved");
+    });
+
+    it("should respect the per-call request limit", async () => {
+      const third = (await pool.getPoolShares(user1, usdt.address)).divn(3);
+      await pool.requestWithdrawal(usdt.address, third, 0, { from: user1 });
+      await pool.requestWithdrawal(usdt.address, third, 0, { from: user1 });
+
+      await pool.processWithdrawals(usdt.address, 1);
+      assert.equal((await pool.getWithdrawalRequest(1)).status.toNumber(), 2, "First request should be finalized");
+      assert.equal((await pool.getWithdrawalRequest(2)).status.toNumber(), 1, "Second request should wait");
+    });
+
+    it("should cancel a pending request back into shares", async () => {
+      await removeLiquidity(DEPOSIT_AMOUNT.add(SHORTFALL));
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      await pool.requestWithdrawal(usdt.address, shares, 0, { from: user1 });
+
+      try {
+        await pool.cancelWithdrawal(1, { from: user2 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("NotRequestOwner"), "Should revert with NotRequestOwner");
+      }
+
+      const tx = await pool.cancelWithdrawal(1, { from: user1 });
+      const event = tx.logs.find((log) => log.event === "WithdrawalCancelled");
+      assert(event, "WithdrawalCancelled event should be emitted");
+      assert((await pool.getPoolShares(user1, usdt.address)).eq(event.args.shares), "Shares should be minted back");
+
+      const queue = await pool.getWithdrawalQueue(usdt.address);
+      assert.equal(queue.queuedAssets.toString(), "0", "Nothing should stay queued");
+      assert.equal(queue.pendingRequests.toNumber(), 0, "No request should be pending");
+      assert.equal((await pool.getWithdrawalRequest(1)).status.toNumber(), 4, "Request should be cancelled");
+    });
+
+    it("should skip cancelled requests when processing", async () => {
+      const half = (await pool.getPoolShares(user1, usdt.address)).divn(2);
+      await removeLiquidity(INITIAL_SUPPLY.divn(5)); // empty pool
+      await pool.requestWithdrawal(usdt.address, half, 0, { from: user1 });
+      await pool.requestWithdrawal(usdt.address, half, 0, { from: user1 });
+      await pool.cancelWithdrawal(1, { from: user1 });
+
+      await returnLiquidity(SHORTFALL);
+      await pool.claimWithdrawal(2, { from: user1 });
+      assert.equal((await pool.getWithdrawalRequest(2)).status.toNumber(), 3, "Request behind a cancel should be paid");
+    });
+
+    it("should not cancel a request while deposits are closed", async () => {
+      await removeLiquidity(DEPOSIT_AMOUNT.add(SHORTFALL));
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      await pool.requestWithdrawal(usdt.address, shares, 0, { from: user1 });
+
+      await pool.pauseToken(usdt.address, { from: owner });
+      try {
+        await pool.cancelWithdrawal(1, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TokenIsPaused"), "Should revert with TokenIsPaused");
+      }
+      await pool.unpauseToken(usdt.address, { from: owner });
+
+      await pool.delistToken(usdt.address, { from: owner });
+      try {
+        await pool.cancelWithdrawal(1, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TokenNotSupported"), "Should revert with TokenNotSupported");
+      }
+
+      assert.equal((await pool.getWithdrawalRequest(1)).status.toNumber(), 1, "Request should stay pending");
+    });
+
+    it("should not cancel a finalized request", async () => {
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      await pool.requestWithdrawal(usdt.address, shares, 0, { from: user1 });
+      await pool.processWithdrawals(usdt.address, 1);
+
+      try {
+        await pool.cancelWithdrawal(1, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("WithdrawalNotPending"), "Should revert with WithdrawalNotPending");
+      }
+    });
+
+    it("should accept requests while paused", async () => {
+      await pool.pause({ from: owner });
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      await pool.requestWithdrawal(usdt.address, shares, 0, { from: user1 });
+      await pool.claimWithdrawal(1, { from: user1 });
+      assert.equal((await pool.getWithdrawalRequest(1)).status.toNumber(), 3, "Request should be claimed");
+    });
+
+    it("should enforce the minimum amount out", async () => {
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      try {
+        await pool.requestWithdrawal(usdt.address, shares, DEPOSIT_AMOUNT.addn(1), { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("SlippageAmountOut"), "Should revert with SlippageAmountOut");
+      }
+    });
+
+    it("should reject unknown request ids", async () => {
+      try {
+        await pool.claimWithdrawal(42, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("WithdrawalRequestNotFound"), "Should revert with WithdrawalRequestNotFound");
+      }
     });
   });
 
@@ -346,7 +1869,7 @@ contract("FlashLoanPool", (accounts) => {
         await pool.whitelistToken(user1, { from: user1 });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
   });
@@ -354,7 +1877,7 @@ contract("FlashLoanPool", (accounts) => {
   describe("View Functions", () => {
     beforeEach(async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
     });
 
     it("should return correct available liquidity", async () => {
@@ -0,0 +1,279 @@
+const FlashMintFacility = artifacts.require("FlashMintFacility");
+const FeeCollector = artifacts.require("FeeCollector");
+const FlashLoanPool = artifacts.require("FlashLoanPool");
+const MockERC20 = artifacts.require("MockERC20");
+const MockFlashLoanReceiver = artifacts.require("MockFlashLoanReceiver");
+
+/**
+ * @title FlashMintFacility Test Suite
+ * @notice Tests for unbacked flash mints, the per-transaction ceiling and premium routing
+ */
+contract("FlashMintFacility", (accounts) => {
+  const [owner, treasury, borrower, , unauthorized] = accounts;
+
+  let facility;
+  let feeCollector;
+  let pool;
+  let stable;
+  let receiver;
+
+  const FEE_BPS = 9; // 0.09%
+  const CEILING = web3.utils.toBN("1000000000000"); // 1,000,000 tokens
+  const MINT_AMOUNT = web3.utils.toBN("100000000000"); // 100,000 tokens
+
+  beforeEach(async () => {
+    stable = await MockERC20.new("Protocol Stable", "PUSD", 6);
+    pool = await FlashLoanPool.new(owner, 5);
+    feeCollector = await FeeCollector.new(owner, treasury, pool.address);
+    await pool.setFeeCollector(feeCollector.address, { from: owner });
+
+    facility = await FlashMintFacility.new(owner, stable.address, feeCollector.address, FEE_BPS, CEILING);
+    await feeCollector.setFeeSource(facility.address, true, { from: owner });
+
+    receiver = await MockFlashLoanReceiver.new(facility.address);
+  });
+
+  async function fundPremium(amount) {
+    const premium = await facility.flashMintFee(amount);
+    await stable.mint(receiver.address, premium);
+    return premium;
+  }
+
+  describe("Deployment", () => {
+    it("should set token, collector, fee and ceiling", async () => {
+      assert.equal(await facility.TOKEN(), stable.address, "Token should be set");
+      assert.equal(await facility.feeCollector(), feeCollector.address, "Collector should be set");
+      assert.equal((await facility.flashMintFeeBps()).toNumber(), FEE_BPS, "Fee should be set");
+      assert((await facility.maxFlashMint()).eq(CEILING), "Ceiling should be set");
+    });
+
+    it("should reject deployment with zero token", async () => {
+      try {
+        await FlashMintFacility.new(
+          owner,
+          "0x0000000000000000000000000000000000000000",
+          feeCollector.address,
+          FEE_BPS,
+          CEILING
+        );
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("revert"), "Should revert");
+      }
+    });
+
+    it("should reject deployment with fee above maximum", async () => {
+      try {
+        await FlashMintFacility.new(owner, stable.address, feeCollector.address, 101, CEILING);
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("revert"), "Should revert");
+      }
+    });
+  });
+
+  describe("Flash Mint", () => {
+    it("should mint, call back and burn the amount", async () => {
+      await fundPremium(MINT_AMOUNT);
+      const supplyBefore = await stable.totalSupply();
+
+      const tx = await facility.flashMint(receiver.address, MINT_AMOUNT, "0x1234", { from: borrower });
+
+      const event = tx.logs.find((log) => log.event === "FlashMint");
+      assert(event, "FlashMint event should be emitted");
+      assert(event.args.amount.eq(MINT_AMOUNT), "Amount should match");
+      assert.equal(event.args.initiator, borrower, "Initiator should be the caller");
+
+      assert((await receiver.lastAmount()).eq(MINT_AMOUNT), "Receiver should see the amount");
+      assert.equal(await receiver.lastToken(), stable.address, "Receiver should see the token");
+      assert.equal(await receiver.lastInitiator(), borrower, "Receiver should see the initiator");
+      assert((await stable.totalSupply()).eq(supplyBefore), "Supply should be unchanged");
+      assert.equal((await stable.balanceOf(receiver.address)).toString(), "0", "Receiver should be drained");
+      assert.equal((await stable.balanceOf(facility.address)).toString(), "0", "Facility should keep nothing");
+    });
+
+    it("should route the whole premium to the treasury", async () => {
+      const premium = await fundPremium(MINT_AMOUNT);
+      assert(premium.gtn(0), "Premium should be non-zero");
+
+      await facility.flashMint(receiver.address, MINT_AMOUNT, "0x", { from: borrower });
+
+      assert((await feeCollector.getTreasuryFees(stable.address)).eq(premium), "Treasury should get the premium");
+      assert.equal(
+        (await feeCollector.getDepositorFees(stable.address)).toString(),
+        "0",
+        "No depositor share without LPs"
+      );
+      assert((await stable.balanceOf(feeCollector.address)).eq(premium), "Collector should hold the premium");
+      assert.equal((await stable.balanceOf(pool.address)).toString(), "0", "Pool should receive nothing");
+
+      const events = await feeCollector.getPastEvents("FeesCollected", { fromBlock: 0 });
+      assert.equal(events.length, 1, "FeesCollected should be emitted once");
+    });
+
+    it("should allow a mint at exactly the ceiling", async () => {
+      await fundPremium(CEILING);
+      await facility.flashMint(receiver.address, CEILING, "0x", { from: borrower });
+      assert.equal((await receiver.callCount()).toNumber(), 1, "Callback should run");
+    });
+
+    it("should reject a mint above the ceiling", async () => {
+      try {
+        await facility.flashMint(receiver.address, CEILING.addn(1), "0x", { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("FlashMintCeilingExceeded"), "Should revert with FlashMintCeilingExceeded");
+      }
+    });
+
+    it("should reject all mints while the ceiling is zero", async () => {
+      await facility.setMaxFlashMint(0, { from: owner });
+      assert.equal((await facility.maxFlashMintAmount()).toString(), "0", "Nothing should be mintable");
+
+      try {
+        await facility.flashMint(receiver.address, 1, "0x", { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("FlashMintCeilingExceeded"), "Should revert with FlashMintCeilingExceeded");
+      }
+    });
+
+    it("should reject zero amount", async () => {
+      try {
+        await facility.flashMint(receiver.address, 0, "0x", { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ZeroAmount"), "Should revert with ZeroAmount");
+      }
+    });
+
+    it("should revert when the receiver does not repay", async () => {
+      await fundPremium(MINT_AMOUNT);
+      await receiver.setShouldRepay(false);
+
+      try {
+        await facility.flashMint(receiver.address, MINT_AMOUNT, "0x", { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("revert"), "Should revert");
+      }
+    });
+
+    it("should revert when the receiver cannot cover the premium", async () => {
+      try {
+        await facility.flashMint(receiver.address, MINT_AMOUNT, "0x", { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("revert"), "Should revert");
+      }
+    });
+
+    it("should revert when the callback returns false", async () => {
+      await fundPremium(MINT_AMOUNT);
+      await receiver.setShouldReturnTrue(false);
+
+      try {
+        await facility.flashMint(receiver.address, MINT_AMOUNT, "0x", { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ReceiverCallbackFailed"), "Should revert with ReceiverCallbackFailed");
+      }
+    });
+
+    it("should revert when the facility is not an approved fee source", async () => {
+      await feeCollector.setFeeSource(facility.address, false, { from: owner });
+      await fundPremium(MINT_AMOUNT);
+
+      try {
+        await facility.flashMint(receiver.address, MINT_AMOUNT, "0x", { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UnauthorizedCaller"), "Should revert with UnauthorizedCaller");
+      }
+    });
+  });
+
+  describe("Fee Sources", () => {
+    it("should only allow admin to approve fee sources", async () => {
+      try {
+        await feeCollector.setFeeSource(unauthorized, true, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+
+    it("should track approved fee sources", async () => {
+      assert.equal(await feeCollector.isFeeSource(facility.address), true, "Facility should be approved");
+      assert.equal(await feeCollector.isFeeSource(unauthorized), false, "Others should not be approved");
+    });
+
+    it("should reject fee reports from unapproved callers", async () => {
+      try {
+        await feeCollector.collectFees(stable.address, 100, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UnauthorizedCaller"), "Should revert with UnauthorizedCaller");
+      }
+    });
+  });
+
+  describe("Admin Functions", () => {
+    it("should allow fee manager to update the fee", async () => {
+      await facility.setFlashMintFee(20, { from: owner });
+      assert.equal((await facility.flashMintFeeBps()).toNumber(), 20, "Fee should be updated");
+      assert.equal((await facility.flashMintFee(10000)).toNumber(), 20, "Premium should follow the fee");
+    });
+
+    it("should reject fee above maximum", async () => {
+      try {
+        await facility.setFlashMintFee(101, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("FeeTooHigh"), "Should revert with FeeTooHigh");
+      }
+    });
+
+    it("should only allow token manager to change the ceiling", async () => {
+      try {
+        await facility.setMaxFlashMint(1, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+
+    it("should only allow treasury manager to change the fee collector", async () => {
+      try {
+        await facility.setFeeCollector(unauthorized, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+
+    it("should block mints while paused and report a zero ceiling", async () => {
+      await facility.pause({ from: owner });
+      assert.equal((await facility.maxFlashMintAmount()).toString(), "0", "Nothing should be mintable");
+
+      try {
+        await facility.flashMint(receiver.address, MINT_AMOUNT, "0x", { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("EnforcedPause"), "Should revert with EnforcedPause");
+      }
+
+      await facility.unpause({ from: owner });
+      assert((await facility.maxFlashMintAmount()).eq(CEILING), "Ceiling should be restored");
+    });
+
+    it("should only allow guardian to pause", async () => {
+      try {
+        await facility.pause({ from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+  });
+});
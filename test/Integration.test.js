@@ -55,7 +55,7 @@ contract("Integration", (accounts) => {
     it("should handle complete deposit -> flash loan -> withdraw cycle", async () => {
       // 1. Depositor1 deposits USDT
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       const sharesAfterDeposit = await pool.getPoolShares(depositor1, usdt.address);
       assert.equal(sharesAfterDeposit.toString(), DEPOSIT_AMOUNT.toString(), "Should receive 1:1 shares");
@@ -70,7 +70,7 @@ contract("Integration", (accounts) => {
       
       // 3. Depositor1 withdraws
       const shares = await pool.getPoolShares(depositor1, usdt.address);
-      await pool.withdraw(usdt.address, shares, { from: depositor1 });
+      await pool.withdraw(usdt.address, shares, 0, { from: depositor1 });
       
       // Should have received original deposit plus share of fees
       const finalBalance = await usdt.balanceOf(depositor1);
@@ -80,14 +80,14 @@ contract("Integration", (accounts) => {
     it("should handle multiple depositors correctly", async () => {
       // Depositor1 deposits first
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       // Execute flash loan to generate fees
       await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: borrower });
       
       // Depositor2 deposits after fees accumulated
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor2 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor2 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor2 });
       
       // Check share distribution
       const shares1 = await pool.getPoolShares(depositor1, usdt.address);
@@ -106,10 +106,10 @@ contract("Integration", (accounts) => {
     it("should handle multiple tokens independently", async () => {
       // Deposit both tokens
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       await usdc.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdc.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdc.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       // Flash loan from USDT only
       await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: borrower });
@@ -126,7 +126,7 @@ contract("Integration", (accounts) => {
 
     it("should handle consecutive flash loans", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       // Execute multiple flash loans
       for (let i = 0; i < 5; i++) {
@@ -145,7 +145,7 @@ contract("Integration", (accounts) => {
   describe("Fee Distribution Flow", () => {
     it("should distribute fees correctly (80/20 split)", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       const poolBalanceBefore = await usdt.balanceOf(pool.address);
       
@@ -168,7 +168,7 @@ contract("Integration", (accounts) => {
 
     it("should allow treasury withdrawal", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       // Execute flash loan to generate fees
       await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: borrower });
@@ -190,6 +190,134 @@ contract("Integration", (accounts) => {
     });
   });
 
+  describe("Referral Flow", () => {
+    const referrer = accounts[5];
+    const CODE = web3.utils.padRight(web3.utils.utf8ToHex("AGGREGATOR"), 64);
+    const REFERRAL_SHARE = 2500; // 25% of the premium
+
+    beforeEach(async () => {
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
+      await feeCollector.setReferralShare(REFERRAL_SHARE, { from: owner });
+      await feeCollector.registerReferralCode(CODE, { from: referrer });
+    });
+
+    it("should register referral codes", async () => {
+      assert.equal(await feeCollector.getReferrer(CODE), referrer, "Code should map to the referrer");
+
+      const events = await feeCollector.getPastEvents("ReferralCodeRegistered", { fromBlock: 0 });
+      assert.equal(events.length, 1, "ReferralCodeRegistered should be emitted");
+    });
+
+    it("should reject taken and zero codes", async () => {
+      const zeroCode = "0x" + "0".repeat(64);
+      for (const code of [CODE, zeroCode]) {
+        try {
+          await feeCollector.registerReferralCode(code, { from: borrower });
+          assert.fail("Should have reverted");
+        } catch (error) {
+          assert(error.message.includes("ReferralCodeUnavailable"), "Should revert with ReferralCodeUnavailable");
+        }
+      }
+    });
+
+    it("should pay the referrer from the premium and split the rest 80/20", async () => {
+      const poolBalanceBefore = await usdt.balanceOf(pool.address);
+
+      await pool.flashLoanWithReferral(receiver.address, usdt.address, LOAN_AMOUNT, "0x", CODE, { from: borrower });
+
+      const premium = LOAN_AMOUNT.muln(FLASH_LOAN_FEE).divn(10000);
+      const referralShare = premium.muln(REFERRAL_SHARE).divn(10000);
+      const protocolShare = premium.sub(referralShare).muln(20).divn(100);
+      const depositorShare = premium.sub(referralShare).sub(protocolShare);
+
+      const poolIncrease = (await usdt.balanceOf(pool.address)).sub(poolBalanceBefore);
+      assert(poolIncrease.eq(depositorShare), "Pool should receive 80% of the rest");
+      assert((await feeCollector.getClaimable(usdt.address, referrer)).eq(referralShare), "Referrer slice");
+      assert(
+        (await feeCollector.getTreasuryFees(usdt.address)).eq(protocolShare),
+        "Treasury should receive 20% of the rest"
+      );
+
+      const events = await feeCollector.getPastEvents("ReferralFeesCredited", { fromBlock: 0 });
+      assert.equal(events.length, 1, "ReferralFeesCredited should be emitted");
+      assert.equal(events[0].args.referrer, referrer, "Event referrer should match");
+      assert(events[0].args.volume.eq(LOAN_AMOUNT), "Event volume should match");
+
+      await feeCollector.claim(usdt.address, { from: referrer });
+      assert((await usdt.balanceOf(referrer)).eq(referralShare), "Referrer should claim its slice");
+    });
+
+    it("should track per-referrer volume, loans and earnings", async () => {
+      await pool.flashLoanWithReferral(receiver.address, usdt.address, LOAN_AMOUNT, "0x", CODE, { from: borrower });
+      await feeCollector.setReferralShare(0, { from: owner });
+      await pool.flashLoanWithReferral(receiver.address, usdt.address, LOAN_AMOUNT, "0x", CODE, { from: borrower });
+
+      const stats = await feeCollector.getReferralStats(referrer, usdt.address);
+      const earned = LOAN_AMOUNT.muln(FLASH_LOAN_FEE).divn(10000).muln(REFERRAL_SHARE).divn(10000);
+      assert(stats.volume.eq(LOAN_AMOUNT.muln(2)), "Volume should include both loans");
+      assert.equal(stats.loans.toNumber(), 2, "Both loans should be counted");
+      assert(stats.earned.eq(earned), "Only the first loan should earn");
+
+      const usdcStats = await feeCollector.getReferralStats(referrer, usdc.address);
+      assert.equal(usdcStats.loans.toNumber(), 0, "Stats should be per token");
+    });
+
+    it("should record referred loans that pay no premium", async () => {
+      await pool.setTokenFee(usdt.address, 0, { from: owner });
+      await pool.flashLoanWithReferral(receiver.address, usdt.address, LOAN_AMOUNT, "0x", CODE, { from: borrower });
+
+      const stats = await feeCollector.getReferralStats(referrer, usdt.address);
+      assert(stats.volume.eq(LOAN_AMOUNT), "Volume should be recorded");
+      assert.equal(stats.loans.toNumber(), 1, "The loan should be counted");
+      assert.equal(stats.earned.toNumber(), 0, "Nothing should be earned");
+    });
+
+    it("should not credit referrers on plain flash loans", async () => {
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: borrower });
+
+      assert.equal((await feeCollector.getClaimable(usdt.address, referrer)).toNumber(), 0, "Nothing credited");
+      const stats = await feeCollector.getReferralStats(referrer, usdt.address);
+      assert.equal(stats.loans.toNumber(), 0, "No referred loans");
+    });
+
+    it("should revert referred loans with an unknown code", async () => {
+      const unknown = web3.utils.padRight(web3.utils.utf8ToHex("UNKNOWN"), 64);
+      try {
+        await pool.flashLoanWithReferral(receiver.address, usdt.address, LOAN_AMOUNT, "0x", unknown, { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UnknownReferralCode"), "Should revert with UnknownReferralCode");
+      }
+    });
+
+    it("should revert referred loans when the pool has no fee collector", async () => {
+      await pool.setFeeCollector("0x0000000000000000000000000000000000000000", { from: owner });
+      try {
+        await pool.flashLoanWithReferral(receiver.address, usdt.address, LOAN_AMOUNT, "0x", CODE, { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UnknownReferralCode"), "Should revert with UnknownReferralCode");
+      }
+    });
+
+    it("should only allow fee manager to set a referral share up to 50%", async () => {
+      try {
+        await feeCollector.setReferralShare(5001, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ReferralShareTooHigh"), "Should revert with ReferralShareTooHigh");
+      }
+
+      try {
+        await feeCollector.setReferralShare(100, { from: borrower });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+  });
+
   describe("Registry Integration", () => {
     it("should properly integrate pool and registry", async () => {
       // Check registry returns correct pool
@@ -228,7 +356,7 @@ contract("Integration", (accounts) => {
   describe("Edge Cases", () => {
     it("should handle flash loan equal to total liquidity", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       // Borrow entire pool
       await receiver.initiateFlashLoan(usdt.address, DEPOSIT_AMOUNT, "0x", { from: borrower });
@@ -239,7 +367,7 @@ contract("Integration", (accounts) => {
 
     it("should handle minimum flash loan amount", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       // Borrow 1 token unit
       await receiver.initiateFlashLoan(usdt.address, 1, "0x", { from: borrower });
@@ -250,10 +378,10 @@ contract("Integration", (accounts) => {
 
     it("should handle deposit and immediate withdrawal", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       const shares = await pool.getPoolShares(depositor1, usdt.address);
-      await pool.withdraw(usdt.address, shares, { from: depositor1 });
+      await pool.withdraw(usdt.address, shares, 0, { from: depositor1 });
       
       const balance = await usdt.balanceOf(depositor1);
       assert.equal(balance.toString(), INITIAL_SUPPLY.toString(), "Should return exact deposit");
@@ -261,7 +389,7 @@ contract("Integration", (accounts) => {
 
     it("should handle fee change between flash loans", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       // Flash loan with 5 bps fee
       await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x", { from: borrower });
@@ -282,7 +410,7 @@ contract("Integration", (accounts) => {
   describe("Gas Optimization Verification", () => {
     it("should execute flash loan within reasonable gas", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       const tx = await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: borrower });
       
@@ -293,7 +421,7 @@ contract("Integration", (accounts) => {
 
     it("should execute deposit within reasonable gas", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      const tx = await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      const tx = await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       // Deposit should be under 200k gas
       assert(tx.receipt.gasUsed < 200000, `Gas used: ${tx.receipt.gasUsed} should be under 200k`);
@@ -301,10 +429,10 @@ contract("Integration", (accounts) => {
 
     it("should execute withdrawal within reasonable gas", async () => {
       await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: depositor1 });
-      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: depositor1 });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor1 });
       
       const shares = await pool.getPoolShares(depositor1, usdt.address);
-      const tx = await pool.withdraw(usdt.address, shares, { from: depositor1 });
+      const tx = await pool.withdraw(usdt.address, shares, 0, { from: depositor1 });
       
       // Withdrawal should be under 150k gas
       assert(tx.receipt.gasUsed < 150000, `Gas used: ${tx.receipt.gasUsed} should be under 150k`);
@@ -0,0 +1,163 @@
+const FlashLoanPool = artifacts.require("FlashLoanPool");
+const FeeCollector = artifacts.require("FeeCollector");
+const MockERC20 = artifacts.require("MockERC20");
+const MockFlashLoanReceiver = artifacts.require("MockFlashLoanReceiver");
+
+/**
+ * @title Accounting Invariant Test Suite
+ * @notice Runs seeded random deposit/loan/withdraw/donation sequences and checks
+ * that pool balances, tracked deposits, shares and fees stay consistent
+ */
+contract("Invariants", (accounts) => {
+  const [owner, user1, user2, user3, treasury, borrower] = accounts;
+  const users = [user1, user2, user3];
+  const toBN = web3.utils.toBN;
+
+  const FLASH_LOAN_FEE = 9;
+  const INITIAL_SUPPLY = toBN("1000000000000"); // 1M tokens (6 decimals)
+  const STEPS = 20;
+  const SEEDS = [1, 42, 1337];
+
+  let pool;
+  let feeCollector;
+  let usdt;
+  let receiver;
+
+  // Deterministic PRNG (mulberry32) so failing sequences can be replayed
+  function prng(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function randomAmount(rand, min, max) {
+    return toBN(Math.floor(min + rand() * (max - min)));
+  }
+
+  beforeEach(async () => {
+    usdt = await MockERC20.new("Test USDT", "USDT", 6);
+    pool = await FlashLoanPool.new(owner, FLASH_LOAN_FEE);
+    feeCollector = await FeeCollector.new(owner, treasury, pool.address);
+
+    await pool.setFeeCollector(feeCollector.address, { from: owner });
+    await pool.whitelistToken(usdt.address, { from: owner });
+
+    receiver = await MockFlashLoanReceiver.new(pool.address);
+    await usdt.mint(receiver.address, INITIAL_SUPPLY);
+
+    for (const user of users) {
+      await usdt.mint(user, INITIAL_SUPPLY);
+      await usdt.approve(pool.address, INITIAL_SUPPLY, { from: user });
+    }
+  });
+
+  /**
+   * @notice Asserts every accounting invariant
+   * @param donated Tokens transferred directly to the pool and not yet skimmed or synced
+   * @param step Label for failure messages
+   */
+  async function checkInvariants(donated, step) {
+    const balance = await usdt.balanceOf(pool.address);
+    const totalDeposits = await pool.getTotalDeposits(usdt.address);
+    const totalShares = await pool.getTotalPoolShares(usdt.address);
+
+    // Pool balance == tracked deposits (principal + accrued fees) + unaccounted donations
+    assert.equal(balance.toString(), totalDeposits.add(donated).toString(), `${step}: balance != deposits + donations`);
+    assert.equal((await pool.getExcessBalance(usdt.address)).toString(), donated.toString(), `${step}: excess mismatch`);
+
+    // Fee collector holds exactly the treasury share
+    const collectorBalance = await usdt.balanceOf(feeCollector.address);
+    const treasuryFees = await feeCollector.getTreasuryFees(usdt.address);
+    assert.equal(collectorBalance.toString(), treasuryFees.toString(), `${step}: collector balance != treasury fees`);
+
+    // Shares are fully accounted and every position is redeemable from tracked deposits
+    let sumShares = toBN(0);
+    let sumAssets = toBN(0);
+    for (const user of users) {
+      const shares = await pool.getPoolShares(user, usdt.address);
+      sumShares = sumShares.add(shares);
+      sumAssets = sumAssets.add(await pool.previewRedeem(usdt.address, shares));
+    }
+    assert.equal(sumShares.toString(), totalShares.toString(), `${step}: share sum != total shares`);
+    assert(sumAssets.lte(totalDeposits), `${step}: positions exceed deposits`);
+  }
+
+  for (const seed of SEEDS) {
+    it(`should hold accounting invariants for random sequence (seed ${seed})`, async () => {
+      const rand = prng(seed);
+      let donated = toBN(0);
+      let feesPaid = toBN(0);
+
+      // Seed liquidity so early loans have something to borrow
+      await pool.deposit(usdt.address, toBN("10000000000"), 0, { from: user1 });
+
+      for (let step = 0; step < STEPS; step++) {
+        const user = users[Math.floor(rand() * users.length)];
+        const action = rand();
+        let label;
+
+        if (action < 0.3) {
+          const amount = randomAmount(rand, 1e6, 5e10);
+          await pool.deposit(usdt.address, amount, 0, { from: user });
+          label = `step ${step} deposit ${amount}`;
+        } else if (action < 0.5) {
+          const shares = await pool.getPoolShares(user, usdt.address);
+          const portion = shares.mul(toBN(1 + Math.floor(rand() * 4))).div(toBN(4));
+          if (portion.isZero()) continue;
+          const minAmountOut = await pool.previewRedeem(usdt.address, portion);
+          await pool.withdraw(usdt.address, portion, minAmountOut, { from: user });
+          label = `step ${step} withdraw ${portion}`;
+        } else if (action < 0.85) {
+          const liquidity = await pool.getAvailableLiquidity(usdt.address);
+          const amount = liquidity.mul(toBN(Math.floor(rand() * 1000))).div(toBN(1000));
+          if (amount.isZero()) continue;
+          await receiver.initiateFlashLoan(usdt.address, amount, "0x", { from: borrower });
+          feesPaid = feesPaid.add(amount.mul(toBN(FLASH_LOAN_FEE)).div(toBN(10000)));
+          label = `step ${step} flashLoan ${amount}`;
+        } else if (action < 0.95) {
+          const amount = randomAmount(rand, 1, 1e7);
+          await usdt.transfer(pool.address, amount, { from: user });
+          donated = donated.add(amount);
+          label = `step ${step} donate ${amount}`;
+        } else if (rand() < 0.5) {
+          await pool.skim(usdt.address, treasury, { from: owner });
+          donated = toBN(0);
+          label = `step ${step} skim`;
+        } else {
+          await pool.sync(usdt.address, { from: owner });
+          donated = toBN(0);
+          label = `step ${step} sync`;
+        }
+
+        await checkInvariants(donated, label);
+      }
+
+      // Every premium paid is split between the fee collector and tracked deposits
+      const treasuryFees = await feeCollector.getTreasuryFees(usdt.address);
+      const depositorFees = await feeCollector.getDepositorFees(usdt.address);
+      assert.equal(treasuryFees.add(depositorFees).toString(), feesPaid.toString(), "Fees should be fully distributed");
+    });
+  }
+
+  it("should let all depositors exit with their principal plus fees", async () => {
+    const amount = toBN("50000000000");
+    for (const user of users) {
+      await pool.deposit(usdt.address, amount, 0, { from: user });
+    }
+
+    await receiver.initiateFlashLoan(usdt.address, amount.mul(toBN(3)), "0x", { from: borrower });
+
+    for (const user of users) {
+      const shares = await pool.getPoolShares(user, usdt.address);
+      await pool.withdraw(usdt.address, shares, amount, { from: user });
+    }
+
+    await checkInvariants(toBN(0), "after full exit");
+    assert.equal((await pool.getTotalPoolShares(usdt.address)).toNumber(), 0, "All shares should be burned");
+  });
+});
@@ -1,13 +1,14 @@
 const PoolRegistry = artifacts.require("PoolRegistry");
 const FlashLoanPool = artifacts.require("FlashLoanPool");
 const MockERC20 = artifacts.require("MockERC20");
+const MockFlashLoanReceiver = artifacts.require("MockFlashLoanReceiver");
 
 /**
  * @title PoolRegistry Test Suite
  * @notice Tests for token registration and management
  */
 contract("PoolRegistry", (accounts) => {
-  const [owner, unauthorized] = accounts;
+  const [owner, unauthorized, depositor] = accounts;
   
   let registry;
   let pool;
@@ -27,9 +28,9 @@ contract("PoolRegistry", (accounts) => {
   });
 
   describe("Deployment", () => {
-    it("should deploy with correct owner", async () => {
-      const contractOwner = await registry.owner();
-      assert.equal(contractOwner, owner, "Owner should be deployer");
+    it("should grant the default admin role to the deployer", async () => {
+      const adminRole = await registry.DEFAULT_ADMIN_ROLE();
+      assert.equal(await registry.hasRole(adminRole, owner), true, "Deployer should be admin");
     });
 
     it("should deploy with correct pool address", async () => {
@@ -115,7 +116,7 @@ contract("PoolRegistry", (accounts) => {
         await registry.registerToken(usdt.address, { from: unauthorized });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
   });
@@ -168,7 +169,7 @@ contract("PoolRegistry", (accounts) => {
         await registry.removeToken(usdt.address, { from: unauthorized });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
   });
@@ -246,4 +247,279 @@ contract("PoolRegistry", (accounts) => {
       assert.equal(isNotRegistered, false, "New token should not be registered");
     });
   });
+
+  describe("Pools", () => {
+    let isolatedPool;
+
+    beforeEach(async () => {
+      isolatedPool = await FlashLoanPool.new(owner, 20);
+    });
+
+    it("should list the default pool after deployment", async () => {
+      const pools = await registry.getPools();
+      assert.equal(pools.length, 1, "Should have 1 pool");
+      assert.equal(pools[0], pool.address, "Default pool should be listed");
+    });
+
+    it("should register a token in an added pool", async () => {
+      const addTx = await registry.addPool(isolatedPool.address, { from: owner });
+      assert.equal(addTx.logs[0].event, "PoolAdded", "Should emit PoolAdded");
+
+      const tx = await registry.registerTokenInPool(usdt.address, isolatedPool.address, { from: owner });
+      assert.equal(tx.logs[0].args.pool, isolatedPool.address, "Event should carry the isolated pool");
+      assert.equal(await registry.getPool(usdt.address), isolatedPool.address, "Token should map to isolated pool");
+      assert.equal((await registry.getPoolTokenCount(isolatedPool.address)).toNumber(), 1, "Pool should hold 1 token");
+    });
+
+    it("should reject registering a token in an unknown pool", async () => {
+      try {
+        await registry.registerTokenInPool(usdt.address, isolatedPool.address, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("PoolNotAdded"), "Should revert with PoolNotAdded");
+      }
+    });
+
+    it("should move a token between pools", async () => {
+      await registry.addPool(isolatedPool.address, { from: owner });
+      await registry.registerToken(usdt.address, { from: owner });
+
+      const tx = await registry.setTokenPool(usdt.address, isolatedPool.address, { from: owner });
+      assert.equal(tx.logs[0].event, "TokenPoolUpdated", "Should emit TokenPoolUpdated");
+      assert.equal(tx.logs[0].args.oldPool, pool.address, "Old pool should be the default pool");
+      assert.equal(tx.logs[0].args.newPool, isolatedPool.address, "New pool should be the isolated pool");
+      assert.equal((await registry.getPoolTokenCount(pool.address)).toNumber(), 0, "Default pool should be empty");
+    });
+
+    it("should only remove pools without tokens", async () => {
+      await registry.addPool(isolatedPool.address, { from: owner });
+      await registry.registerTokenInPool(usdt.address, isolatedPool.address, { from: owner });
+
+      try {
+        await registry.removePool(isolatedPool.address, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("PoolInUse"), "Should revert with PoolInUse");
+      }
+
+      await registry.removeToken(usdt.address, { from: owner });
+      const tx = await registry.removePool(isolatedPool.address, { from: owner });
+      assert.equal(tx.logs[0].event, "PoolRemoved", "Should emit PoolRemoved");
+      assert.equal(await registry.isPoolRegistered(isolatedPool.address), false, "Pool should be removed");
+    });
+
+    it("should not remove the default pool", async () => {
+      try {
+        await registry.removePool(pool.address, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("CannotRemoveDefaultPool"), "Should revert with CannotRemoveDefaultPool");
+      }
+    });
+
+    it("should restrict pool management to the admin", async () => {
+      try {
+        await registry.addPool(isolatedPool.address, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
+      }
+    });
+  });
+
+  describe("Token Metadata", () => {
+    beforeEach(async () => {
+      await registry.registerToken(usdt.address, { from: owner });
+    });
+
+    it("should record symbol and decimals on registration", async () => {
+      const metadata = await registry.getTokenMetadata(usdt.address);
+      assert.equal(metadata.symbol, "USDT", "Symbol should be read from the token");
+      assert.equal(metadata.decimals.toNumber(), 6, "Decimals should be read from the token");
+      assert.equal(metadata.category.toNumber(), 0, "Category should be uncategorized");
+      assert.equal(metadata.riskTier.toNumber(), 0, "Risk tier should be unrated");
+    });
+
+    it("should update metadata", async () => {
+      const tx = await registry.setTokenMetadata(usdt.address, "USDT", 6, 1, 1, { from: owner });
+      assert.equal(tx.logs[0].event, "TokenMetadataUpdated", "Should emit TokenMetadataUpdated");
+
+      const metadata = await registry.getTokenMetadata(usdt.address);
+      assert.equal(metadata.category.toNumber(), 1, "Category should be stablecoin");
+      assert.equal(metadata.riskTier.toNumber(), 1, "Risk tier should be updated");
+    });
+
+    it("should reject risk tiers above the maximum", async () => {
+      try {
+        await registry.setTokenMetadata(usdt.address, "USDT", 6, 1, 6, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InvalidRiskTier"), "Should revert with InvalidRiskTier");
+      }
+    });
+
+    it("should set and clear a fee override", async () => {
+      await registry.setTokenFeeOverride(usdt.address, 30, { from: owner });
+      let feeOverride = await registry.getFeeOverride(usdt.address);
+      assert.equal(feeOverride.enabled, true, "Override should be enabled");
+      assert.equal(feeOverride.feeBps.toNumber(), 30, "Override should be 30 bps");
+
+      await registry.clearTokenFeeOverride(usdt.address, { from: owner });
+      feeOverride = await registry.getFeeOverride(usdt.address);
+      assert.equal(feeOverride.enabled, false, "Override should be cleared");
+    });
+
+    it("should reject fee overrides above the maximum", async () => {
+      try {
+        await registry.setTokenFeeOverride(usdt.address, 101, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("FeeTooHigh"), "Should revert with FeeTooHigh");
+      }
+    });
+
+    it("should clear metadata when a token is removed", async () => {
+      await registry.setTokenFeeOverride(usdt.address, 30, { from: owner });
+      await registry.removeToken(usdt.address, { from: owner });
+
+      const metadata = await registry.getTokenMetadata(usdt.address);
+      assert.equal(metadata.symbol, "", "Symbol should be cleared");
+      assert.equal((await registry.getFeeOverride(usdt.address)).enabled, false, "Override should be cleared");
+    });
+  });
+
+  describe("Pagination", () => {
+    let tokens;
+
+    beforeEach(async () => {
+      tokens = [usdt, usdc, await MockERC20.new("Test DAI", "DAI", 18)];
+      for (const token of tokens) {
+        await registry.registerToken(token.address, { from: owner });
+      }
+    });
+
+    it("should return a page of tokens with the total", async () => {
+      const page = await registry.getTokens(1, 1);
+      assert.equal(page.total.toNumber(), 3, "Total should be 3");
+      assert.equal(page.tokens.length, 1, "Page should hold 1 token");
+      assert.equal(page.tokens[0], usdc.address, "Page should start at the offset");
+    });
+
+    it("should truncate the last page", async () => {
+      const page = await registry.getTokens(2, 10);
+      assert.equal(page.tokens.length, 1, "Last page should hold the remaining token");
+      assert.equal(page.tokens[0], tokens[2].address, "Last page should hold the last token");
+    });
+
+    it("should accept the largest possible limit", async () => {
+      const maxUint = web3.utils.toBN(2).pow(web3.utils.toBN(256)).subn(1);
+      const page = await registry.getTokens(1, maxUint);
+      assert.equal(page.tokens.length, 2, "Page should hold every token after the offset");
+      assert.equal(page.tokens[1], tokens[2].address, "Page should end at the last token");
+    });
+
+    it("should return an empty page past the end", async () => {
+      const page = await registry.getTokens(3, 10);
+      assert.equal(page.tokens.length, 0, "Page should be empty");
+      assert.equal(page.total.toNumber(), 3, "Total should still be reported");
+    });
+  });
+
+  describe("Pool Integration", () => {
+    const DEPOSIT_AMOUNT = web3.utils.toBN("100000000000");
+    const LOAN_AMOUNT = web3.utils.toBN("10000000000");
+
+    let receiver;
+
+    beforeEach(async () => {
+      await pool.whitelistToken(usdt.address, { from: owner });
+      await registry.registerToken(usdt.address, { from: owner });
+      await pool.setPoolRegistry(registry.address, { from: owner });
+
+      receiver = await MockFlashLoanReceiver.new(pool.address);
+      await usdt.mint(receiver.address, DEPOSIT_AMOUNT);
+      await usdt.mint(depositor, DEPOSIT_AMOUNT.mul(web3.utils.toBN(2)));
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT.mul(web3.utils.toBN(2)), { from: depositor });
+      await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor });
+    });
+
+    it("should stop flash loans and deposits when deactivated in the registry", async () => {
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x");
+
+      await registry.setTokenActive(usdt.address, false, { from: owner });
+      assert.equal(await pool.isTokenSupported(usdt.address), false, "Pool should follow the registry");
+      assert.equal(await pool.isTokenWhitelisted(usdt.address), true, "Pool whitelist should be unchanged");
+      assert.equal((await pool.maxFlashLoan(usdt.address)).toString(), "0", "Max loan should be zero");
+
+      try {
+        await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x");
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TokenNotSupported"), "Loan should revert for inactive token");
+      }
+
+      try {
+        await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: depositor });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TokenNotSupported"), "Deposit should revert for inactive token");
+      }
+
+      await registry.setTokenActive(usdt.address, true, { from: owner });
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x");
+    });
+
+    it("should keep withdrawals open for tokens inactive in the registry", async () => {
+      await registry.setTokenActive(usdt.address, false, { from: owner });
+
+      const shares = await pool.getPoolShares(depositor, usdt.address);
+      await pool.withdraw(usdt.address, shares, DEPOSIT_AMOUNT, { from: depositor });
+
+      assert.equal((await pool.getPoolShares(depositor, usdt.address)).toString(), "0", "Shares should be burned");
+    });
+
+    it("should reject whitelisted tokens missing from the registry", async () => {
+      await pool.whitelistToken(usdc.address, { from: owner });
+      assert.equal(await pool.isTokenSupported(usdc.address), false, "Unregistered token should be unsupported");
+
+      await pool.setPoolRegistry("0x0000000000000000000000000000000000000000", { from: owner });
+      assert.equal(await pool.isTokenSupported(usdc.address), true, "Unlinking should fall back to the whitelist");
+    });
+
+    it("should stop supporting a token moved to another pool", async () => {
+      const isolatedPool = await FlashLoanPool.new(owner, 20);
+      await registry.addPool(isolatedPool.address, { from: owner });
+      await registry.setTokenPool(usdt.address, isolatedPool.address, { from: owner });
+
+      assert.equal(await pool.isTokenSupported(usdt.address), false, "Old pool should stop supporting the token");
+
+      await isolatedPool.whitelistToken(usdt.address, { from: owner });
+      await isolatedPool.setPoolRegistry(registry.address, { from: owner });
+      assert.equal(await isolatedPool.isTokenSupported(usdt.address), true, "Isolated pool should support the token");
+
+      const shares = await pool.getPoolShares(depositor, usdt.address);
+      await pool.withdraw(usdt.address, shares, DEPOSIT_AMOUNT, { from: depositor });
+    });
+
+    it("should apply the registry fee override when the pool has none", async () => {
+      await registry.setTokenFeeOverride(usdt.address, 25, { from: owner });
+      assert.equal((await pool.getTokenFee(usdt.address)).toNumber(), 25, "Registry override should apply");
+
+      await pool.setTokenFee(usdt.address, 10, { from: owner });
+      assert.equal((await pool.getTokenFee(usdt.address)).toNumber(), 10, "Pool override should take precedence");
+
+      await pool.clearTokenFee(usdt.address, { from: owner });
+      await registry.clearTokenFeeOverride(usdt.address, { from: owner });
+      assert.equal((await pool.getTokenFee(usdt.address)).toNumber(), 5, "Global fee should apply");
+    });
+
+    it("should restrict the registry link to the admin", async () => {
+      try {
+        await pool.setPoolRegistry(unauthorized, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
+      }
+    });
+  });
 });
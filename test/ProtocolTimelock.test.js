@@ -0,0 +1,178 @@
+const ProtocolTimelock = artifacts.require("ProtocolTimelock");
+const FlashLoanPool = artifacts.require("FlashLoanPool");
+const FeeCollector = artifacts.require("FeeCollector");
+
+/**
+ * @title ProtocolTimelock Test Suite
+ * @notice Tests for timelocked admin changes on the protocol contracts
+ */
+contract("ProtocolTimelock", (accounts) => {
+  const [owner, proposer, executor, attacker, treasury, guardian] = accounts;
+
+  // Short delay so tests can wait it out in real time on any node
+  const MIN_DELAY = 3;
+  const ZERO_BYTES32 = "0x" + "0".repeat(64);
+  const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+  let timelock;
+  let pool;
+  let feeCollector;
+
+  const sleep = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+
+  // Moves every manager role the deployer holds to the timelock, then proposes the timelock
+  // as admin and has it accept through a queued call, as scripts/transfer-ownership.js does
+  async function handOverRoles(instances) {
+    const roles = ["TOKEN_MANAGER_ROLE", "FEE_MANAGER_ROLE", "TREASURY_MANAGER_ROLE", "GUARDIAN_ROLE"];
+    for (const instance of instances) {
+      for (const name of roles) {
+        const role = await instance[name]();
+        if (await instance.hasRole(role, owner)) {
+          await instance.grantRole(role, timelock.address, { from: owner });
+          await instance.renounceRole(role, owner, { from: owner });
+        }
+      }
+      await instance.beginDefaultAdminTransfer(timelock.address, { from: owner });
+    }
+
+    const targets = instances.map((instance) => instance.address);
+    const values = targets.map(() => 0);
+    const payloads = targets.map(() => encodeCall(FlashLoanPool, "acceptDefaultAdminTransfer", []));
+    await timelock.scheduleBatch(targets, values, payloads, ZERO_BYTES32, ZERO_BYTES32, MIN_DELAY, { from: proposer });
+    await sleep(MIN_DELAY + 1);
+    await timelock.executeBatch(targets, values, payloads, ZERO_BYTES32, ZERO_BYTES32, { from: executor });
+  }
+
+  function encodeCall(artifact, name, args) {
+    const abi = artifact.abi.find((item) => item.type === "function" && item.name === name);
+    return web3.eth.abi.encodeFunctionCall(abi, args);
+  }
+
+  beforeEach(async () => {
+    timelock = await ProtocolTimelock.new(MIN_DELAY, [proposer], [executor], ZERO_ADDRESS);
+    pool = await FlashLoanPool.new(owner, 5);
+    feeCollector = await FeeCollector.new(owner, treasury, pool.address);
+
+    await pool.setFeeCollector(feeCollector.address, { from: owner });
+    await pool.grantRole(await pool.GUARDIAN_ROLE(), guardian, { from: owner });
+    await handOverRoles([pool, feeCollector]);
+  });
+
+  describe("Deployment", () => {
+    it("should set the minimum delay", async () => {
+      const delay = await timelock.getMinDelay();
+      assert.equal(delay.toNumber(), MIN_DELAY, "Min delay should be set");
+    });
+
+    it("should hold the admin role on the protocol contracts", async () => {
+      const adminRole = await pool.DEFAULT_ADMIN_ROLE();
+      assert.equal(await pool.hasRole(adminRole, timelock.address), true, "Timelock should administer pool");
+      assert.equal(await feeCollector.hasRole(adminRole, timelock.address), true, "Timelock should administer fee collector");
+      assert.equal(await pool.hasRole(adminRole, owner), false, "Deployer should have handed over");
+      assert.equal(await pool.defaultAdmin(), timelock.address, "Timelock should be the single admin");
+    });
+
+    it("should block direct admin calls from the deployer", async () => {
+      try {
+        await pool.setFlashLoanFee(10, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
+      }
+    });
+  });
+
+  describe("Queue and Execute", () => {
+    it("should execute a queued fee change after the delay", async () => {
+      const data = encodeCall(FlashLoanPool, "setFlashLoanFee", [10]);
+      const tx = await timelock.schedule(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, MIN_DELAY, { from: proposer });
+      assert.equal(tx.logs[0].event, "CallScheduled", "Should emit CallScheduled");
+
+      const id = await timelock.hashOperation(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32);
+      assert.equal(await timelock.isOperationPending(id), true, "Operation should be pending");
+
+      await sleep(MIN_DELAY + 1);
+
+      const execTx = await timelock.execute(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, { from: executor });
+      assert.equal(execTx.logs[0].event, "CallExecuted", "Should emit CallExecuted");
+      assert.equal((await pool.flashLoanFeeBps()).toNumber(), 10, "Fee should be updated");
+      assert.equal(await timelock.isOperationDone(id), true, "Operation should be done");
+    });
+
+    it("should reject execution before the delay has passed", async () => {
+      const data = encodeCall(FeeCollector, "setTreasury", [attacker]);
+      await timelock.schedule(feeCollector.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, MIN_DELAY, { from: proposer });
+
+      try {
+        await timelock.execute(feeCollector.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, { from: executor });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TimelockUnexpectedOperationState"), "Should revert until ready");
+      }
+
+      assert.equal(await feeCollector.treasury(), treasury, "Treasury should be unchanged");
+    });
+
+    it("should reject a delay shorter than the minimum", async () => {
+      const data = encodeCall(FlashLoanPool, "setFlashLoanFee", [10]);
+
+      try {
+        await timelock.schedule(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, MIN_DELAY - 1, { from: proposer });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TimelockInsufficientDelay"), "Should revert with insufficient delay");
+      }
+    });
+
+    it("should only let proposers queue and executors execute", async () => {
+      const data = encodeCall(FlashLoanPool, "setFlashLoanFee", [10]);
+
+      try {
+        await timelock.schedule(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, MIN_DELAY, { from: attacker });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Non-proposer should not queue");
+      }
+
+      await timelock.schedule(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, MIN_DELAY, { from: proposer });
+      await sleep(MIN_DELAY + 1);
+
+      try {
+        await timelock.execute(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, { from: attacker });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Non-executor should not execute");
+      }
+    });
+  });
+
+  describe("Cancel", () => {
+    it("should let a proposer cancel a queued call", async () => {
+      const data = encodeCall(FlashLoanPool, "setFeeCollector", [attacker]);
+      await timelock.schedule(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, MIN_DELAY, { from: proposer });
+      const id = await timelock.hashOperation(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32);
+
+      const tx = await timelock.cancel(id, { from: proposer });
+      assert.equal(tx.logs[0].event, "Cancelled", "Should emit Cancelled");
+      assert.equal(await timelock.isOperation(id), false, "Operation should be removed");
+
+      await sleep(MIN_DELAY + 1);
+
+      try {
+        await timelock.execute(pool.address, 0, data, ZERO_BYTES32, ZERO_BYTES32, { from: executor });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TimelockUnexpectedOperationState"), "Cancelled call should not execute");
+      }
+
+      assert.equal(await pool.feeCollector(), feeCollector.address, "Fee collector should be unchanged");
+    });
+  });
+
+  describe("Guardian", () => {
+    it("should still let the guardian pause without the delay", async () => {
+      await pool.pause({ from: guardian });
+      assert.equal(await pool.paused(), true, "Guardian pause should not be timelocked");
+    });
+  });
+});
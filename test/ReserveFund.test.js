@@ -0,0 +1,252 @@
+const ReserveFund = artifacts.require("ReserveFund");
+const FeeCollector = artifacts.require("FeeCollector");
+const FlashLoanPool = artifacts.require("FlashLoanPool");
+const MockERC20 = artifacts.require("MockERC20");
+const MockFlashLoanReceiver = artifacts.require("MockFlashLoanReceiver");
+
+/**
+ * @title ReserveFund Test Suite
+ * @notice Tests for premium routing into the reserve, reserve ratios and shortfall cover
+ */
+contract("ReserveFund", (accounts) => {
+  const [owner, treasury, user1, feeSource, unauthorized] = accounts;
+
+  let reserve;
+  let feeCollector;
+  let pool;
+  let usdt;
+  let receiver;
+
+  const DEPOSIT_AMOUNT = web3.utils.toBN("100000000"); // 100 tokens
+  const LOAN_AMOUNT = web3.utils.toBN("20000000"); // 20 tokens, 10000 premium at 5 bps
+  const RESERVE_SHARE = 1000; // 10%
+
+  beforeEach(async () => {
+    usdt = await MockERC20.new("Test USDT", "USDT", 6);
+    pool = await FlashLoanPool.new(owner, 5);
+    feeCollector = await FeeCollector.new(owner, treasury, pool.address);
+    reserve = await ReserveFund.new(owner, pool.address);
+
+    await pool.setFeeCollector(feeCollector.address, { from: owner });
+    await pool.whitelistToken(usdt.address, { from: owner });
+    await feeCollector.setReserveFund(reserve.address, { from: owner });
+    await feeCollector.setReserveShare(RESERVE_SHARE, { from: owner });
+
+    receiver = await MockFlashLoanReceiver.new(pool.address);
+    await usdt.mint(receiver.address, DEPOSIT_AMOUNT);
+    await usdt.mint(user1, DEPOSIT_AMOUNT);
+    await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+    await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+  });
+
+  describe("Deployment", () => {
+    it("should set the pool and grant the admin role", async () => {
+      assert.equal(await reserve.flashLoanPool(), pool.address, "Pool should be set");
+      const adminRole = await reserve.DEFAULT_ADMIN_ROLE();
+      assert.equal(await reserve.hasRole(adminRole, owner), true, "Deployer should be admin");
+    });
+
+    it("should reject deployment with zero pool", async () => {
+      try {
+        await ReserveFund.new(owner, "0x0000000000000000000000000000000000000000");
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("revert"), "Should revert");
+      }
+    });
+  });
+
+  describe("Premium Routing", () => {
+    it("should send the reserve share off the top of each premium", async () => {
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      // 10000 premium: 1000 to the reserve, then 20/80 of the remaining 9000
+      assert.equal((await reserve.getReserves(usdt.address)).toNumber(), 1000, "Reserve should get 10%");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 1800, "Treasury gets 20% of rest");
+      assert.equal((await feeCollector.getDepositorFees(usdt.address)).toNumber(), 7200, "LPs get 80% of rest");
+
+      const events = await feeCollector.getPastEvents("ReserveFunded", { fromBlock: 0 });
+      assert.equal(events.length, 1, "ReserveFunded should be emitted");
+      assert.equal(events[0].args.amount.toNumber(), 1000, "Event amount should match");
+      assert.equal(events[0].args.reserve, reserve.address, "Event reserve should match");
+    });
+
+    it("should leave other fee sources' premiums out of the reserve", async () => {
+      await feeCollector.setFeeSource(feeSource, true, { from: owner });
+      await usdt.mint(feeCollector.address, 100);
+
+      await feeCollector.collectFees(usdt.address, 100, { from: feeSource });
+
+      assert.equal((await reserve.getReserves(usdt.address)).toNumber(), 0, "Reserve should get nothing");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 100, "Treasury gets it all");
+    });
+
+    it("should not route anything without a reserve fund", async () => {
+      await feeCollector.setReserveFund("0x0000000000000000000000000000000000000000", { from: owner });
+
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      assert.equal((await usdt.balanceOf(reserve.address)).toNumber(), 0, "Reserve should receive nothing");
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 2000, "Default 20% to treasury");
+    });
+
+    it("should reject a reserve share above the maximum", async () => {
+      try {
+        await feeCollector.setReserveShare(5001, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ReserveShareTooHigh"), "Should revert with ReserveShareTooHigh");
+      }
+    });
+
+    it("should only allow managers to configure the reserve", async () => {
+      for (const call of [
+        () => feeCollector.setReserveFund(unauthorized, { from: unauthorized }),
+        () => feeCollector.setReserveShare(100, { from: unauthorized }),
+      ]) {
+        try {
+          await call();
+          assert.fail("Should have reverted");
+        } catch (error) {
+          assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+        }
+      }
+    });
+  });
+
+  describe("Reserve Ratio", () => {
+    it("should report reserves against pool assets", async () => {
+      await usdt.mint(reserve.address, DEPOSIT_AMOUNT.divn(20)); // 5% of deposits
+
+      assert.equal((await reserve.getReserveRatio(usdt.address)).toNumber(), 500, "Ratio should be 5%");
+
+      const status = await reserve.getReserveStatus(usdt.address);
+      assert(status.reserves.eq(DEPOSIT_AMOUNT.divn(20)), "Reserves should match");
+      assert(status.poolAssets.eq(DEPOSIT_AMOUNT), "Pool assets should match");
+      assert.equal(status.shortfall.toNumber(), 0, "No shortfall");
+      assert.equal(status.ratioBps.toNumber(), 500, "Ratio should match");
+    });
+
+    it("should report a zero ratio for an empty pool", async () => {
+      const other = await MockERC20.new("Other", "OTH", 6);
+      await other.mint(reserve.address, 1000);
+      assert.equal((await reserve.getReserveRatio(other.address)).toNumber(), 0, "Ratio should be zero");
+    });
+  });
+
+  describe("Cover", () => {
+    const LOSS = web3.utils.toBN("5000000");
+
+    beforeEach(async () => {
+      await usdt.mint(reserve.address, LOSS.muln(2));
+      await usdt.burn(pool.address, LOSS);
+    });
+
+    it("should report the pool shortfall", async () => {
+      assert((await pool.getShortfall(usdt.address)).eq(LOSS), "Shortfall should equal the loss");
+    });
+
+    it("should make LPs whole", async () => {
+      const tx = await reserve.cover(usdt.address, LOSS, { from: owner });
+
+      const event = tx.logs.find((log) => log.event === "ShortfallCovered");
+      assert(event, "ShortfallCovered event should be emitted");
+      assert(event.args.amount.eq(LOSS), "Event amount should match");
+      assert.equal(event.args.remainingShortfall.toNumber(), 0, "Nothing should be left");
+      assert.equal(event.args.reserveRatioBps.toNumber(), 500, "Ratio should drop to 5%");
+
+      assert.equal((await pool.getShortfall(usdt.address)).toNumber(), 0, "Shortfall should be closed");
+      assert((await reserve.getReserves(usdt.address)).eq(LOSS), "Reserves should drop by the cover");
+
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      await pool.withdraw(usdt.address, shares, 0, { from: user1 });
+      assert((await usdt.balanceOf(user1)).eq(DEPOSIT_AMOUNT), "LP should withdraw the full deposit");
+    });
+
+    it("should allow partial covers", async () => {
+      await reserve.cover(usdt.address, LOSS.divn(2), { from: owner });
+      assert((await pool.getShortfall(usdt.address)).eq(LOSS.divn(2)), "Half should remain");
+    });
+
+    it("should reject a cover above the shortfall", async () => {
+      try {
+        await reserve.cover(usdt.address, LOSS.addn(1), { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("CoverExceedsShortfall"), "Should revert with CoverExceedsShortfall");
+      }
+    });
+
+    it("should reject a cover above the reserves", async () => {
+      await usdt.burn(reserve.address, LOSS.muln(2).subn(1));
+
+      try {
+        await reserve.cover(usdt.address, LOSS, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InsufficientReserves"), "Should revert with InsufficientReserves");
+      }
+    });
+
+    it("should reject a zero cover", async () => {
+      try {
+        await reserve.cover(usdt.address, 0, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ZeroAmount"), "Should revert with ZeroAmount");
+      }
+    });
+
+    it("should only allow governance to cover", async () => {
+      try {
+        await reserve.cover(usdt.address, LOSS, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+  });
+
+  describe("Migration", () => {
+    let newReserve;
+
+    beforeEach(async () => {
+      newReserve = await ReserveFund.new(owner, pool.address);
+      await usdt.mint(reserve.address, 1000);
+    });
+
+    it("should move all reserves of a token to the new fund", async () => {
+      await feeCollector.setReserveFund(newReserve.address, { from: owner });
+      const tx = await reserve.migrateReserves(usdt.address, newReserve.address, { from: owner });
+
+      const event = tx.logs.find((log) => log.event === "ReservesMigrated");
+      assert(event, "ReservesMigrated event should be emitted");
+      assert.equal(event.args.amount.toNumber(), 1000, "Event amount should match");
+      assert.equal((await reserve.getReserves(usdt.address)).toNumber(), 0, "Old fund should be empty");
+      assert.equal((await newReserve.getReserves(usdt.address)).toNumber(), 1000, "New fund should hold the reserves");
+    });
+
+    it("should reject migrating to itself or the zero address", async () => {
+      for (const [target, errorName] of [
+        [reserve.address, "InvalidReserve"],
+        ["0x0000000000000000000000000000000000000000", "ZeroAddress"],
+      ]) {
+        try {
+          await reserve.migrateReserves(usdt.address, target, { from: owner });
+          assert.fail("Should have reverted");
+        } catch (error) {
+          assert(error.message.includes(errorName), `Should revert with ${errorName}`);
+        }
+      }
+    });
+
+    it("should only allow governance to migrate", async () => {
+      try {
+        await reserve.migrateReserves(usdt.address, unauthorized, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+  });
+});
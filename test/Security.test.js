@@ -38,7 +38,7 @@ contract("Security", (accounts) => {
     
     // Deposit liquidity
     await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
-    await pool.deposit(usdt.address, DEPOSIT_AMOUNT, { from: user1 });
+    await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
   });
 
   describe("Reentrancy Protection", () => {
@@ -136,7 +136,7 @@ contract("Security", (accounts) => {
         await pool.whitelistToken(newToken.address, { from: attacker });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
 
@@ -145,7 +145,7 @@ contract("Security", (accounts) => {
         await pool.setFlashLoanFee(50, { from: attacker });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
 
@@ -154,7 +154,7 @@ contract("Security", (accounts) => {
         await pool.setFeeCollector(attacker, { from: attacker });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
 
@@ -163,11 +163,188 @@ contract("Security", (accounts) => {
         await pool.delistToken(usdt.address, { from: attacker });
         assert.fail("Should have reverted");
       } catch (error) {
-        assert(error.message.includes("OwnableUnauthorizedAccount"), "Should revert with unauthorized");
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
       }
     });
   });
 
+  describe("Role-Based Access", () => {
+    const tokenManager = accounts[6];
+
+    it("should let a token manager list tokens without other admin powers", async () => {
+      const role = await pool.TOKEN_MANAGER_ROLE();
+      const tx = await pool.grantRole(role, tokenManager, { from: owner });
+      assert.equal(tx.logs[0].event, "RoleGranted", "Should emit RoleGranted");
+
+      const newToken = await MockERC20.new("New", "NEW", 18);
+      await pool.whitelistToken(newToken.address, { from: tokenManager });
+      assert.equal(await pool.isTokenSupported(newToken.address), true, "Token manager should whitelist");
+
+      try {
+        await pool.setFlashLoanFee(50, { from: tokenManager });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Token manager should not set fees");
+      }
+
+      try {
+        await pool.grantRole(role, attacker, { from: tokenManager });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Only the admin should grant roles");
+      }
+    });
+
+    it("should separate fee and treasury managers across contracts", async () => {
+      const feeManager = accounts[7];
+      const treasuryManager = accounts[8];
+      await pool.grantRole(await pool.FEE_MANAGER_ROLE(), feeManager, { from: owner });
+      await feeCollector.grantRole(await feeCollector.FEE_MANAGER_ROLE(), feeManager, { from: owner });
+      await feeCollector.grantRole(await feeCollector.TREASURY_MANAGER_ROLE(), treasuryManager, { from: owner });
+
+      await pool.setFlashLoanFee(20, { from: feeManager });
+      await feeCollector.setFeeSplit(3000, 7000, { from: feeManager });
+      await feeCollector.setTreasury(treasuryManager, { from: treasuryManager });
+
+      assert.equal((await pool.flashLoanFeeBps()).toNumber(), 20, "Fee manager should set pool fee");
+      assert.equal(await feeCollector.treasury(), treasuryManager, "Treasury manager should set treasury");
+
+      try {
+        await feeCollector.setTreasury(attacker, { from: feeManager });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Fee manager should not set treasury");
+      }
+    });
+
+    it("should remove powers when a role is revoked", async () => {
+      const role = await pool.TOKEN_MANAGER_ROLE();
+      await pool.grantRole(role, tokenManager, { from: owner });
+      const tx = await pool.revokeRole(role, tokenManager, { from: owner });
+      assert.equal(tx.logs[0].event, "RoleRevoked", "Should emit RoleRevoked");
+
+      try {
+        await pool.delistToken(usdt.address, { from: tokenManager });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Revoked manager should be rejected");
+      }
+    });
+  });
+
+  describe("Two-Step Admin Transfer", () => {
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+    it("should hand over the admin role only once the new admin accepts", async () => {
+      const adminRole = await pool.DEFAULT_ADMIN_ROLE();
+      const tx = await pool.beginDefaultAdminTransfer(user1, { from: owner });
+      const event = tx.logs.find((log) => log.event === "DefaultAdminTransferStarted");
+      assert(event, "DefaultAdminTransferStarted should be emitted");
+      assert.equal(event.args.newAdmin, user1, "Event should name the proposed admin");
+
+      assert.equal(await pool.pendingDefaultAdmin(), user1, "Proposal should be pending");
+      assert.equal(await pool.defaultAdmin(), owner, "Current admin keeps control until acceptance");
+
+      const acceptTx = await pool.acceptDefaultAdminTransfer({ from: user1 });
+      assert(acceptTx.logs.some((log) => log.event === "RoleRevoked"), "Old admin should be revoked");
+      assert(acceptTx.logs.some((log) => log.event === "RoleGranted"), "New admin should be granted");
+
+      assert.equal(await pool.defaultAdmin(), user1, "New admin should take over");
+      assert.equal(await pool.pendingDefaultAdmin(), ZERO_ADDRESS, "Proposal should be cleared");
+      assert.equal(await pool.hasRole(adminRole, owner), false, "Old admin should lose the role");
+
+      await pool.grantRole(await pool.GUARDIAN_ROLE(), attacker, { from: user1 });
+      try {
+        await pool.grantRole(await pool.GUARDIAN_ROLE(), treasury, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Old admin should be rejected");
+      }
+    });
+
+    it("should only let the proposed admin accept", async () => {
+      await pool.beginDefaultAdminTransfer(user1, { from: owner });
+
+      try {
+        await pool.acceptDefaultAdminTransfer({ from: attacker });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("NotPendingDefaultAdmin"), "Should revert with NotPendingDefaultAdmin");
+      }
+    });
+
+    it("should let the admin cancel a proposal", async () => {
+      await pool.beginDefaultAdminTransfer(user1, { from: owner });
+      const tx = await pool.cancelDefaultAdminTransfer({ from: owner });
+      assert(tx.logs.some((log) => log.event === "DefaultAdminTransferCanceled"), "Should emit cancel event");
+
+      try {
+        await pool.acceptDefaultAdminTransfer({ from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("NotPendingDefaultAdmin"), "Cancelled proposal should not be accepted");
+      }
+    });
+
+    it("should reject invalid proposals and proposals from non-admins", async () => {
+      for (const newAdmin of [ZERO_ADDRESS, owner]) {
+        try {
+          await pool.beginDefaultAdminTransfer(newAdmin, { from: owner });
+          assert.fail("Should have reverted");
+        } catch (error) {
+          assert(error.message.includes("InvalidDefaultAdmin"), "Should revert with InvalidDefaultAdmin");
+        }
+      }
+
+      try {
+        await pool.beginDefaultAdminTransfer(attacker, { from: attacker });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
+      }
+    });
+
+    it("should reject granting or revoking the admin role directly", async () => {
+      const adminRole = await pool.DEFAULT_ADMIN_ROLE();
+      for (const call of [
+        () => pool.grantRole(adminRole, user1, { from: owner }),
+        () => pool.revokeRole(adminRole, owner, { from: owner }),
+        () => feeCollector.grantRole(adminRole, user1, { from: owner }),
+      ]) {
+        try {
+          await call();
+          assert.fail("Should have reverted");
+        } catch (error) {
+          assert(error.message.includes("DefaultAdminTransferRequired"), "Should revert with DefaultAdminTransferRequired");
+        }
+      }
+    });
+
+    it("should not let the pool admin renounce", async () => {
+      const adminRole = await pool.DEFAULT_ADMIN_ROLE();
+      try {
+        await pool.renounceRole(adminRole, owner, { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("DefaultAdminRenounceDisabled"), "Should revert with DefaultAdminRenounceDisabled");
+      }
+      assert.equal(await pool.defaultAdmin(), owner, "Admin should be kept");
+
+      const guardianRole = await pool.GUARDIAN_ROLE();
+      await pool.renounceRole(guardianRole, owner, { from: owner });
+      assert.equal(await pool.hasRole(guardianRole, owner), false, "Other roles can still be renounced");
+    });
+
+    it("should clear the admin and any proposal when renounced elsewhere", async () => {
+      const adminRole = await feeCollector.DEFAULT_ADMIN_ROLE();
+      await feeCollector.beginDefaultAdminTransfer(user1, { from: owner });
+      await feeCollector.renounceRole(adminRole, owner, { from: owner });
+
+      assert.equal(await feeCollector.defaultAdmin(), ZERO_ADDRESS, "Admin should be cleared");
+      assert.equal(await feeCollector.pendingDefaultAdmin(), ZERO_ADDRESS, "Proposal should be dropped");
+    });
+  });
+
   describe("Token Whitelist Security", () => {
     it("should reject flash loans for non-whitelisted tokens", async () => {
       const unknownToken = await MockERC20.new("Unknown", "UNK", 18);
@@ -186,7 +363,7 @@ contract("Security", (accounts) => {
       await unknownToken.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
       
       try {
-        await pool.deposit(unknownToken.address, DEPOSIT_AMOUNT, { from: user1 });
+        await pool.deposit(unknownToken.address, DEPOSIT_AMOUNT, 0, { from: user1 });
         assert.fail("Should have reverted");
       } catch (error) {
         assert(error.message.includes("TokenNotSupported"), "Should revert with token not supported");
@@ -205,6 +382,113 @@ contract("Security", (accounts) => {
     });
   });
 
+  describe("Share Inflation Protection", () => {
+    const toBN = web3.utils.toBN;
+    const victim = accounts[4];
+    const DONATION = toBN("10000000000"); // 10k tokens
+    const SMALL_DEPOSIT = toBN("1000000"); // 1 token
+
+    let freshPool;
+
+    beforeEach(async () => {
+      // Fresh pool at max fee with no fee collector, so premiums inflate the share price
+      freshPool = await FlashLoanPool.new(owner, 100);
+      await freshPool.whitelistToken(usdt.address, { from: owner });
+      await receiver.setPool(freshPool.address);
+
+      await usdt.mint(attacker, DONATION.add(toBN(1)));
+      await usdt.mint(victim, INITIAL_SUPPLY);
+    });
+
+    async function inflateSharePrice() {
+      // Attacker becomes first depositor with a single share
+      await usdt.approve(freshPool.address, 1, { from: attacker });
+      await freshPool.deposit(usdt.address, 1, 0, { from: attacker });
+
+      // Direct transfer is only loanable liquidity; the premium on it lands in total deposits
+      await usdt.transfer(freshPool.address, DONATION, { from: attacker });
+      await receiver.initiateFlashLoan(usdt.address, DONATION, "0x", { from: attacker });
+    }
+
+    it("should start the first deposit at 1:1", async () => {
+      const shares = await freshPool.previewDeposit(usdt.address, DEPOSIT_AMOUNT);
+      assert.equal(shares.toString(), DEPOSIT_AMOUNT.toString(), "Empty pool should mint 1:1");
+    });
+
+    it("should ignore direct donations in the share price", async () => {
+      await usdt.approve(freshPool.address, 1, { from: attacker });
+      await freshPool.deposit(usdt.address, 1, 0, { from: attacker });
+      const before = await freshPool.previewDeposit(usdt.address, SMALL_DEPOSIT);
+
+      await usdt.transfer(freshPool.address, DONATION, { from: attacker });
+
+      const after = await freshPool.previewDeposit(usdt.address, SMALL_DEPOSIT);
+      assert.equal(after.toString(), before.toString(), "Donation should not move the share price");
+    });
+
+    it("should never round a late depositor to zero shares", async () => {
+      await inflateSharePrice();
+
+      const balanceBefore = await usdt.balanceOf(victim);
+      await usdt.approve(freshPool.address, SMALL_DEPOSIT, { from: victim });
+
+      try {
+        await freshPool.deposit(usdt.address, SMALL_DEPOSIT, 0, { from: victim });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ZeroShares"), "Should revert with ZeroShares");
+      }
+
+      const balanceAfter = await usdt.balanceOf(victim);
+      assert.equal(balanceAfter.toString(), balanceBefore.toString(), "Victim funds should not be taken");
+    });
+
+    it("should let a late depositor bound slippage with minSharesOut", async () => {
+      await inflateSharePrice();
+
+      const premium = DONATION.div(toBN(100));
+      await usdt.approve(freshPool.address, premium, { from: victim });
+
+      try {
+        // Victim expects the 1:1 price seen before the attack
+        await freshPool.deposit(usdt.address, premium, premium, { from: victim });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("SlippageSharesOut"), "Should revert with SlippageSharesOut");
+      }
+    });
+
+    it("should make the inflation attack unprofitable", async () => {
+      await inflateSharePrice();
+
+      // Victim deposits just enough to receive a share at the inflated price
+      const premium = DONATION.div(toBN(100));
+      await usdt.approve(freshPool.address, premium, { from: victim });
+      const victimShares = await freshPool.previewDeposit(usdt.address, premium);
+      assert(victimShares.gt(toBN(0)), "Victim should receive shares");
+      await freshPool.deposit(usdt.address, premium, victimShares, { from: victim });
+
+      // Attacker paid 1 wei plus the premium; the virtual share absorbs part of the inflation
+      const attackerValue = await freshPool.maxWithdraw(usdt.address, attacker);
+      assert(attackerValue.lt(premium.add(toBN(1))), "Attacker should not profit from the victim");
+    });
+
+    it("should enforce minAmountOut on withdraw", async () => {
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      const expected = await pool.previewRedeem(usdt.address, shares);
+
+      try {
+        await pool.withdraw(usdt.address, shares, expected.add(toBN(1)), { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("SlippageAmountOut"), "Should revert with SlippageAmountOut");
+      }
+
+      await pool.withdraw(usdt.address, shares, expected, { from: user1 });
+      assert.equal((await pool.getPoolShares(user1, usdt.address)).toNumber(), 0, "Withdrawal at the bound should succeed");
+    });
+  });
+
   describe("Integer Safety", () => {
     it("should handle maximum uint256 safely in fee calculation", async () => {
       // Fee calculation: (amount * feeBps) / 10000
@@ -223,6 +507,120 @@ contract("Security", (accounts) => {
     });
   });
 
+  describe("Emergency Controls", () => {
+    const guardian = accounts[5];
+
+    beforeEach(async () => {
+      await pool.grantRole(await pool.GUARDIAN_ROLE(), guardian, { from: owner });
+    });
+
+    it("should let the guardian pause flash loans and deposits globally", async () => {
+      await pool.pause({ from: guardian });
+      assert.equal(await pool.paused(), true, "Pool should be paused");
+      assert.equal((await pool.maxFlashLoan(usdt.address)).toString(), "0", "Max loan should be zero");
+      assert.equal((await pool.maxDeposit(usdt.address, user1)).toString(), "0", "Max deposit should be zero");
+
+      try {
+        await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x");
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("EnforcedPause"), "Loan should revert while paused");
+      }
+
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+      try {
+        await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("EnforcedPause"), "Deposit should revert while paused");
+      }
+    });
+
+    it("should keep withdrawals open while paused", async () => {
+      await pool.pause({ from: guardian });
+      await pool.pauseToken(usdt.address, { from: guardian });
+
+      const shares = await pool.getPoolShares(user1, usdt.address);
+      await pool.withdraw(usdt.address, shares, DEPOSIT_AMOUNT, { from: user1 });
+
+      assert.equal((await pool.getPoolShares(user1, usdt.address)).toString(), "0", "Shares should be burned");
+      assert.equal((await usdt.balanceOf(user1)).toString(), INITIAL_SUPPLY.toString(), "Principal should be returned");
+    });
+
+    it("should pause a single token without affecting others", async () => {
+      const usdd = await MockERC20.new("Test USDD", "USDD", 18);
+      await pool.whitelistToken(usdd.address, { from: owner });
+
+      const tx = await pool.pauseToken(usdt.address, { from: guardian });
+      assert.equal(tx.logs[0].event, "TokenPaused", "Should emit TokenPaused");
+      assert.equal(await pool.isTokenPaused(usdt.address), true, "USDT should be paused");
+      assert.equal(await pool.isTokenActive(usdd.address), true, "USDD should stay active");
+
+      try {
+        await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x");
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("TokenIsPaused"), "Should revert with token paused");
+      }
+
+      await pool.unpauseToken(usdt.address, { from: owner });
+      await receiver.initiateFlashLoan(usdt.address, LOAN_AMOUNT, "0x");
+    });
+
+    it("should only let the owner unpause", async () => {
+      await pool.pause({ from: guardian });
+
+      try {
+        await pool.unpause({ from: guardian });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Guardian should not unpause");
+      }
+
+      await pool.unpause({ from: owner });
+      assert.equal(await pool.paused(), false, "Pool should be unpaused");
+    });
+
+    it("should reject pause calls from other accounts", async () => {
+      try {
+        await pool.pause({ from: attacker });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with unauthorized");
+      }
+    });
+
+    it("should let holders exit delisted tokens in emergency mode", async () => {
+      try {
+        await pool.emergencyWithdraw(usdt.address, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("EmergencyModeNotActive"), "Should require emergency mode");
+      }
+
+      await pool.delistToken(usdt.address, { from: owner });
+      await pool.enableEmergencyMode({ from: guardian });
+      assert.equal(await pool.isTokenActive(usdt.address), false, "Emergency mode should block new exposure");
+
+      const tx = await pool.emergencyWithdraw(usdt.address, { from: user1 });
+      const event = tx.logs.find((log) => log.event === "EmergencyWithdrawal");
+      assert.equal(event.args.amount.toString(), DEPOSIT_AMOUNT.toString(), "Should return full deposit");
+      assert.equal((await usdt.balanceOf(user1)).toString(), INITIAL_SUPPLY.toString(), "Principal should be returned");
+    });
+
+    it("should block deposits in emergency mode", async () => {
+      await pool.enableEmergencyMode({ from: guardian });
+      await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+
+      try {
+        await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("EmergencyModeActive"), "Should revert with emergency mode active");
+      }
+    });
+  });
+
   describe("Fee Manipulation", () => {
     it("should not allow fee to exceed maximum", async () => {
       try {
@@ -0,0 +1,214 @@
+const FlashLoanPoolUpgradeable = artifacts.require("FlashLoanPoolUpgradeable");
+const FeeCollectorUpgradeable = artifacts.require("FeeCollectorUpgradeable");
+const PoolRegistryUpgradeable = artifacts.require("PoolRegistryUpgradeable");
+const ProtocolProxy = artifacts.require("ProtocolProxy");
+const MockFlashLoanPoolV2 = artifacts.require("MockFlashLoanPoolV2");
+const MockERC20 = artifacts.require("MockERC20");
+const MockFlashLoanReceiver = artifacts.require("MockFlashLoanReceiver");
+
+/**
+ * @title Upgradeable Deployment Test Suite
+ * @notice Tests for the UUPS core contracts behind ProtocolProxy: initialization,
+ * flows through the proxies and admin-only upgrades that keep state
+ */
+contract("Upgradeable", (accounts) => {
+  const [owner, treasury, user1, unauthorized] = accounts;
+
+  // ERC-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+  const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+  // ERC-7201 namespace of ProtocolRoles: erc7201:justflash.storage.ProtocolRoles
+  const PROTOCOL_ROLES_SLOT = "0xf3e23eff6910d7fc77d9daa4be2ebaf918193f83d89d4984019df55de40af100";
+  // Sequential slot of FlashLoanPoolBase.flashLoanFeeBps since the first upgradeable release
+  const FEE_BPS_SLOT = 2;
+
+  let poolImplementation;
+  let pool;
+  let feeCollector;
+  let registry;
+  let usdt;
+  let receiver;
+
+  const DEPOSIT_AMOUNT = web3.utils.toBN("100000000"); // 100 tokens
+  const LOAN_AMOUNT = web3.utils.toBN("20000000"); // 20 tokens, 10000 premium at 5 bps
+
+  async function deployProxy(Implementation, implementation, ...initArgs) {
+    const data = implementation.contract.methods.initialize(...initArgs).encodeABI();
+    const proxy = await ProtocolProxy.new(implementation.address, data);
+    return Implementation.at(proxy.address);
+  }
+
+  async function implementationOf(proxyAddress) {
+    const slot = await web3.eth.getStorageAt(proxyAddress, IMPLEMENTATION_SLOT);
+    return web3.utils.toChecksumAddress("0x" + slot.slice(-40));
+  }
+
+  beforeEach(async () => {
+    usdt = await MockERC20.new("Test USDT", "USDT", 6);
+
+    poolImplementation = await FlashLoanPoolUpgradeable.new();
+    pool = await deployProxy(FlashLoanPoolUpgradeable, poolImplementation, owner, 5);
+
+    const collectorImplementation = await FeeCollectorUpgradeable.new();
+    feeCollector = await deployProxy(FeeCollectorUpgradeable, collectorImplementation, owner, treasury, pool.address);
+
+    const registryImplementation = await PoolRegistryUpgradeable.new();
+    registry = await deployProxy(PoolRegistryUpgradeable, registryImplementation, owner, pool.address);
+
+    await pool.setFeeCollector(feeCollector.address, { from: owner });
+    await pool.whitelistToken(usdt.address, { from: owner });
+
+    receiver = await MockFlashLoanReceiver.new(pool.address);
+    await usdt.mint(receiver.address, DEPOSIT_AMOUNT);
+    await usdt.mint(user1, DEPOSIT_AMOUNT);
+    await usdt.approve(pool.address, DEPOSIT_AMOUNT, { from: user1 });
+    await pool.deposit(usdt.address, DEPOSIT_AMOUNT, 0, { from: user1 });
+  });
+
+  describe("Initialization", () => {
+    it("should initialize proxy state and roles", async () => {
+      assert.equal((await pool.flashLoanFeeBps()).toNumber(), 5, "Fee should be set");
+      assert.equal(await pool.hasRole(await pool.DEFAULT_ADMIN_ROLE(), owner), true, "Owner should be pool admin");
+      assert.equal(await pool.hasRole(await pool.GUARDIAN_ROLE(), owner), true, "Owner should be guardian");
+
+      assert.equal(await feeCollector.getTreasury(), treasury, "Treasury should be set");
+      assert.equal((await feeCollector.treasuryShareBps()).toNumber(), 2000, "Default treasury share");
+      assert.equal(await feeCollector.hasRole(await feeCollector.DEFAULT_ADMIN_ROLE(), owner), true, "Collector admin");
+
+      assert.equal(await registry.flashLoanPool(), pool.address, "Registry pool should be set");
+      assert.deepEqual(await registry.getPools(), [pool.address], "Default pool should be added");
+    });
+
+    it("should point the proxy at the implementation", async () => {
+      assert.equal(await implementationOf(pool.address), poolImplementation.address, "Implementation slot");
+    });
+
+    it("should reject a second initialization", async () => {
+      try {
+        await pool.initialize(unauthorized, 100, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InvalidInitialization"), "Should revert with InvalidInitialization");
+      }
+    });
+
+    it("should keep the implementation itself uninitializable", async () => {
+      try {
+        await poolImplementation.initialize(unauthorized, 5, { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("InvalidInitialization"), "Should revert with InvalidInitialization");
+      }
+    });
+
+    it("should validate initializer arguments", async () => {
+      try {
+        await deployProxy(FlashLoanPoolUpgradeable, poolImplementation, owner, 101);
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("revert"), "Should revert");
+      }
+    });
+  });
+
+  describe("Flows Through Proxies", () => {
+    it("should run a flash loan and split its premium", async () => {
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 2000, "Treasury gets 20%");
+      assert.equal((await feeCollector.getDepositorFees(usdt.address)).toNumber(), 8000, "LPs get 80%");
+      assert(
+        (await pool.totalAssets(usdt.address)).eq(DEPOSIT_AMOUNT.addn(8000)),
+        "Depositor share should accrue to the pool"
+      );
+    });
+  });
+
+  describe("Upgrades", () => {
+    it("should upgrade and keep state", async () => {
+      await pool.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      const sharesBefore = await pool.getPoolShares(user1, usdt.address);
+      const assetsBefore = await pool.totalAssets(usdt.address);
+
+      const v2 = await MockFlashLoanPoolV2.new();
+      await pool.upgradeToAndCall(v2.address, "0x", { from: owner });
+      const upgraded = await MockFlashLoanPoolV2.at(pool.address);
+
+      assert.equal(await implementationOf(pool.address), v2.address, "Implementation should be replaced");
+      assert.equal((await upgraded.version()).toNumber(), 2, "New logic should be live");
+      assert((await upgraded.getPoolShares(user1, usdt.address)).eq(sharesBefore), "Shares should be kept");
+      assert((await upgraded.totalAssets(usdt.address)).eq(assetsBefore), "Assets should be kept");
+      assert.equal(await upgraded.feeCollector(), feeCollector.address, "Fee collector should be kept");
+      assert.equal(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), owner), true, "Roles should be kept");
+
+      await upgraded.bumpUpgradeCounter();
+      assert.equal((await upgraded.upgradeCounter()).toNumber(), 1, "New state should be usable");
+
+      await upgraded.flashLoan(receiver.address, usdt.address, LOAN_AMOUNT, "0x", { from: user1 });
+      assert.equal((await feeCollector.getTreasuryFees(usdt.address)).toNumber(), 4000, "Loans should keep working");
+    });
+
+    it("should keep registry state across an upgrade", async () => {
+      await registry.registerToken(usdt.address, { from: owner });
+
+      const next = await PoolRegistryUpgradeable.new();
+      await registry.upgradeToAndCall(next.address, "0x", { from: owner });
+
+      assert.equal(await implementationOf(registry.address), next.address, "Implementation should be replaced");
+      assert.equal(await registry.getPool(usdt.address), pool.address, "Token mapping should be kept");
+      assert.equal(await registry.flashLoanPool(), pool.address, "Default pool should be kept");
+    });
+
+    it("should keep the two-step admin state out of the sequential layout", async () => {
+      assert.equal(web3.utils.hexToNumber(await web3.eth.getStorageAt(pool.address, FEE_BPS_SLOT)), 5, "Fee slot");
+
+      const recorded = await web3.eth.getStorageAt(pool.address, PROTOCOL_ROLES_SLOT);
+      assert.equal(web3.utils.toChecksumAddress("0x" + recorded.slice(-40)), owner, "Admin in its namespace");
+    });
+
+    it("should adopt the admin of a proxy initialized without a recorded admin", async () => {
+      const v2 = await MockFlashLoanPoolV2.new();
+      await pool.upgradeToAndCall(v2.address, "0x", { from: owner });
+      const upgraded = await MockFlashLoanPoolV2.at(pool.address);
+      const adminRole = await upgraded.DEFAULT_ADMIN_ROLE();
+
+      await upgraded.clearRecordedAdmin();
+      assert.equal(await upgraded.defaultAdmin(), "0x0000000000000000000000000000000000000000", "No recorded admin");
+
+      await upgraded.beginDefaultAdminTransfer(user1, { from: owner });
+      assert.equal(await upgraded.defaultAdmin(), owner, "Caller should be recorded as admin");
+
+      await upgraded.acceptDefaultAdminTransfer({ from: user1 });
+      assert.equal(await upgraded.hasRole(adminRole, user1), true, "New admin should hold the role");
+      assert.equal(await upgraded.hasRole(adminRole, owner), false, "Old admin should lose the role");
+    });
+
+    it("should only allow the admin to upgrade", async () => {
+      const v2 = await MockFlashLoanPoolV2.new();
+      try {
+        await pool.upgradeToAndCall(v2.address, "0x", { from: unauthorized });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("AccessControlUnauthorizedAccount"), "Should revert with AccessControl error");
+      }
+    });
+
+    it("should reject upgrades called on the implementation directly", async () => {
+      const v2 = await MockFlashLoanPoolV2.new();
+      try {
+        await poolImplementation.upgradeToAndCall(v2.address, "0x", { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("UUPSUnauthorizedCallContext"), "Should revert with UUPSUnauthorizedCallContext");
+      }
+    });
+
+    it("should reject an implementation that is not UUPS", async () => {
+      try {
+        await pool.upgradeToAndCall(usdt.address, "0x", { from: owner });
+        assert.fail("Should have reverted");
+      } catch (error) {
+        assert(error.message.includes("ERC1967InvalidImplementation"), "Should revert with ERC1967InvalidImplementation");
+      }
+    });
+  });
+});
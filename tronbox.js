@@ -43,7 +43,7 @@ module.exports = {
 
   compilers: {
     solc: {
-      version: '0.8.20',
+      version: '0.8.22',
       settings: {
         optimizer: {
           enabled: true,